@@ -0,0 +1,107 @@
+/**
+ * Replay historical candles through the production strategy + risk gate.
+ *
+ *   npm run backtest -- <history.csv|history.json> [options]
+ *
+ *   --capital <usd>        starting cash                      (default 10000)
+ *   --slippage-bps <n>     price impact per fill              (default 30)
+ *   --fee-bps <n>          fee per fill                       (default 10)
+ *   --liquidity <usd>      liquidity for rows without one     (default 1000000)
+ *   --strategies <list>    e.g. momentum,breakout             (default STRATEGIES)
+ *   --out <file.json>      write metrics, ledger and equity curve
+ *
+ * Strategy and risk parameters come from the same .env / config as the
+ * agent. Per-decision logging is silenced unless LOG_LEVEL is set.
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL ?? "error";
+
+import * as fs from "fs";
+import * as path from "path";
+import { loadHistory } from "../src/backtest/historyLoader";
+import { runBacktest } from "../src/backtest/backtester";
+import { createStrategies } from "../src/strategies";
+
+const USAGE =
+  "Usage: npm run backtest -- <history.csv|history.json> " +
+  "[--capital N] [--slippage-bps N] [--fee-bps N] [--liquidity N] [--strategies list] [--out file.json]";
+
+function parseArgs(argv: string[]): { file: string; opts: Record<string, string> } {
+  const opts: Record<string, string> = {};
+  const positional: string[] = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const value = argv[i + 1];
+      if (value === undefined) throw new Error(`${argv[i]} needs a value`);
+      opts[argv[i].slice(2)] = value;
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  if (positional.length !== 1) throw new Error(USAGE);
+  return { file: positional[0], opts };
+}
+
+function num(opts: Record<string, string>, key: string, fallback: number): number {
+  if (opts[key] === undefined) return fallback;
+  const n = Number(opts[key]);
+  if (!Number.isFinite(n)) throw new Error(`--${key} must be a number (got "${opts[key]}")`);
+  return n;
+}
+
+function pct(n: number): string {
+  return `${(n * 100).toFixed(2)}%`;
+}
+
+function main(): void {
+  const { file, opts } = parseArgs(process.argv.slice(2));
+
+  const series = loadHistory(file, num(opts, "liquidity", 1_000_000));
+  const strategies = createStrategies(opts.strategies);
+  const report = runBacktest(series, strategies, {
+    initialCapital: num(opts, "capital", 10_000),
+    slippageBps: num(opts, "slippage-bps", 30),
+    feeBps: num(opts, "fee-bps", 10),
+  });
+
+  const m = report.metrics;
+  console.log("═══════════════════════════════════════════");
+  console.log(`  Backtest: ${path.basename(file)} (${series.map((s) => s.token.symbol).join(", ")})`);
+  console.log(`  Strategies: ${strategies.map((s) => s.name).join(", ")}`);
+  console.log("═══════════════════════════════════════════");
+  console.log(`  Initial equity : $${m.initialEquity.toFixed(2)}`);
+  console.log(`  Final equity   : $${m.finalEquity.toFixed(2)}`);
+  console.log(`  PnL            : $${m.pnl.toFixed(2)} (${pct(m.returnPct)})`);
+  console.log(`  Max drawdown   : ${pct(m.maxDrawdownPct)}`);
+  console.log(`  Sharpe         : ${m.sharpe.toFixed(2)}`);
+  console.log(`  Trades         : ${m.trades}`);
+  console.log(`  Win rate       : ${pct(m.winRate)}`);
+  console.log(`  Fees paid      : $${m.feesPaid.toFixed(2)}`);
+
+  if (report.ledger.length > 0) {
+    console.log("\n  Ledger:");
+    for (const e of report.ledger) {
+      const pnl = e.realizedPnl === null ? "" : ` pnl=$${e.realizedPnl.toFixed(2)}`;
+      console.log(
+        `  ${new Date(e.timestamp).toISOString()} ${e.action.padEnd(4)} ${e.symbol.padEnd(8)} ` +
+        `qty=${e.quantity.toFixed(4)} @ $${e.fillPrice.toFixed(6)} fee=$${e.fee.toFixed(2)}${pnl}`,
+      );
+    }
+  }
+
+  for (const p of report.openPositions) {
+    console.log(`  Open: ${p.symbol} qty=${p.quantity.toFixed(4)} value=$${p.value.toFixed(2)}`);
+  }
+
+  if (opts.out) {
+    fs.writeFileSync(path.resolve(opts.out), JSON.stringify(report, null, 2), "utf-8");
+    console.log(`\n  Report written → ${path.resolve(opts.out)}`);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("Backtest failed:", err instanceof Error ? err.message : err);
+  process.exit(1);
+}
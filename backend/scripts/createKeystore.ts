@@ -0,0 +1,28 @@
+/**
+ * Encrypt a private key into a JSON keystore for SIGNER_TYPE=keystore.
+ *
+ *   PRIVATE_KEY=0x… npm run keystore -- <output.json> <passwordFile>
+ */
+import * as fs from "fs";
+import { ethers } from "ethers";
+
+async function main(): Promise<void> {
+  const [outPath, passwordFile] = process.argv.slice(2);
+  const key = process.env.PRIVATE_KEY;
+
+  if (!key || !outPath || !passwordFile) {
+    console.error("Usage: PRIVATE_KEY=0x… npm run keystore -- <output.json> <passwordFile>");
+    process.exit(1);
+  }
+
+  const password = fs.readFileSync(passwordFile, "utf-8").replace(/\r?\n$/, "");
+  const json = await new ethers.Wallet(key).encrypt(password);
+
+  fs.writeFileSync(outPath, json, { mode: 0o600 });
+  console.log(`Keystore for ${ethers.computeAddress(key)} written to ${outPath}`);
+}
+
+main().catch((err) => {
+  console.error("Keystore creation failed:", err instanceof Error ? err.message : err);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+/**
+ * One-shot ProfitDistributor payout to CLAW holders.
+ *
+ *   npm run distribute
+ *
+ * Resumes the open payout run if a batch failed, otherwise snapshots
+ * holders and pays out pendingDistribution. Uses the same .env as the
+ * agent (RPC_URL, PROFIT_DISTRIBUTOR_ADDRESS, CLAW_TOKEN_ADDRESS,
+ * PRIVATE_KEY) and forces DRY_RUN=false unless DRY_RUN=true is passed
+ * explicitly, in which case the plan is only printed.
+ */
+if (process.env.DRY_RUN !== "true") process.env.DRY_RUN = "false";
+
+import { config } from "../src/config";
+import { distributeProfits, isPayoutConfigured } from "../src/chain/profitPayouts";
+import { reconcilePendingTransactions } from "../src/chain/txManager";
+import { closeProvider } from "../src/chain/contracts";
+import { PayoutStatus } from "../src/types";
+
+async function main(): Promise<void> {
+  if (!isPayoutConfigured()) {
+    console.error("PROFIT_DISTRIBUTOR_ADDRESS and CLAW_TOKEN_ADDRESS must be set");
+    process.exit(1);
+  }
+
+  // Settle sends a previous run left pending, so their batches are not paid twice
+  if (!config.DRY_RUN) await reconcilePendingTransactions();
+
+  const payout = await distributeProfits(true);
+  console.log(payout ? JSON.stringify(payout, null, 2) : "Nothing to distribute");
+
+  closeProvider();
+  process.exit(!payout || config.DRY_RUN || payout.status === PayoutStatus.CONFIRMED ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error("Distribution failed:", err instanceof Error ? err.message : err);
+  process.exit(1);
+});
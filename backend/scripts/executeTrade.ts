@@ -0,0 +1,50 @@
+/**
+ * One-shot live trade through the execution engine.
+ *
+ *   npm run trade -- <tokenAddress> <BUY|SELL> [size]
+ *
+ * Uses the same .env as the agent (RPC_URL, TREASURY_ADDRESS, PRIVATE_KEY)
+ * and forces DRY_RUN=false so the AgentTreasury contract is actually called.
+ */
+process.env.DRY_RUN = "false";
+
+import { executeTrade } from "../src/execution/executionEngine";
+import { closeProvider } from "../src/chain/contracts";
+import { TradeAction, TradeDecision } from "../src/types";
+
+async function main(): Promise<void> {
+  const [tokenAddress, actionArg, sizeArg] = process.argv.slice(2);
+  const action = actionArg?.toUpperCase() as TradeAction;
+
+  if (!tokenAddress || (action !== TradeAction.BUY && action !== TradeAction.SELL)) {
+    console.error("Usage: npm run trade -- <tokenAddress> <BUY|SELL> [size]");
+    process.exit(1);
+  }
+
+  const decision: TradeDecision = {
+    token: {
+      address: tokenAddress,
+      symbol: "MANUAL",
+      name: "Manual trade",
+      decimals: 18,
+      totalSupply: 0,
+      createdAt: new Date(),
+    },
+    action,
+    confidence: 1,
+    momentumScore: 100,
+    reason: "manual executeTrade script",
+    suggestedSize: sizeArg ? parseFloat(sizeArg) : 0.01,
+  };
+
+  const result = await executeTrade(decision);
+  console.log(JSON.stringify(result, null, 2));
+
+  closeProvider();
+  process.exit(result.success ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error("Trade failed:", err instanceof Error ? err.message : err);
+  process.exit(1);
+});
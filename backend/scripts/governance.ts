@@ -0,0 +1,110 @@
+/**
+ * Operator commands for the Governance contract.
+ *
+ *   npm run governance -- list
+ *   npm run governance -- show <id>
+ *   npm run governance -- propose "<description>" [<target> "<signature>" [args...]]
+ *
+ * `list` and `show` sync the local index first, then print proposals with
+ * their live tallies (and, for `show`, every voter). `propose` creates a
+ * proposal from the agent wallet: text-only, or with one call to
+ * `target`, encoded from a signature such as
+ * "updateMaxAllocation(uint256)" and its arguments. The agent needs
+ * minProposalTokens of delegated CLAW.
+ *
+ * Uses the same .env as the agent (RPC_URL, GOVERNANCE_ADDRESS,
+ * PRIVATE_KEY) and forces DRY_RUN=false unless DRY_RUN=true is passed
+ * explicitly, in which case the proposal is only printed.
+ */
+if (process.env.DRY_RUN !== "true") process.env.DRY_RUN = "false";
+
+import { ethers } from "ethers";
+import {
+  createProposal, getProposal, getProposalVoters, isGovernanceConfigured, listProposals, syncGovernance,
+} from "../src/chain/governance";
+import { closeProvider } from "../src/chain/contracts";
+import { GovernanceProposal, ProposalAction } from "../src/types";
+
+const USAGE = [
+  "Usage:",
+  "  npm run governance -- list",
+  "  npm run governance -- show <id>",
+  '  npm run governance -- propose "<description>" [<target> "<signature>" [args...]]',
+].join("\n");
+
+function formatVotes(wei: string): string {
+  return `${ethers.formatEther(wei)} CLAW`;
+}
+
+function printProposal(p: GovernanceProposal): void {
+  console.log(`#${p.id} [${p.state}] ${p.description}`);
+  console.log(`  proposer : ${p.proposer}`);
+  console.log(`  blocks   : ${p.startBlock} → ${p.endBlock}${p.eta ? ` | eta ${new Date(p.eta * 1000).toISOString()}` : ""}`);
+  console.log(
+    `  tally    : for ${formatVotes(p.forVotes)} / against ${formatVotes(p.againstVotes)} ` +
+    `(${p.voters} voter(s), quorum ${p.quorum ? formatVotes(p.quorum) : "n/a"})`,
+  );
+}
+
+/** Encode a single call from a target, a function signature and its arguments. */
+function parseAction(target: string, signature: string, args: string[]): ProposalAction {
+  if (!ethers.isAddress(target)) throw new Error(`invalid target address: ${target}`);
+  const iface = new ethers.Interface([`function ${signature}`]);
+  const fragment = iface.fragments[0] as ethers.FunctionFragment;
+  // Command-line args are strings; ethers would read "false" as truthy
+  const values = args.map((arg, i) => (fragment.inputs[i]?.type === "bool" ? arg === "true" : arg));
+  return { target: ethers.getAddress(target), value: "0", data: iface.encodeFunctionData(fragment, values) };
+}
+
+async function main(): Promise<void> {
+  if (!isGovernanceConfigured()) {
+    console.error("GOVERNANCE_ADDRESS must be set");
+    process.exit(1);
+  }
+
+  const [command, ...rest] = process.argv.slice(2);
+
+  switch (command) {
+    case "list": {
+      await syncGovernance();
+      const proposals = listProposals();
+      if (proposals.length === 0) console.log("No proposals");
+      proposals.forEach(printProposal);
+      break;
+    }
+    case "show": {
+      const id = Number(rest[0]);
+      if (!Number.isInteger(id) || id <= 0) throw new Error(USAGE);
+      await syncGovernance();
+      const proposal = getProposal(id);
+      if (!proposal) throw new Error(`proposal #${id} not found`);
+      printProposal(proposal);
+      for (const action of proposal.actions) {
+        console.log(`  action   : ${action.target} value=${action.value} data=${action.data}`);
+      }
+      for (const vote of getProposalVoters(id)) {
+        console.log(`  vote     : ${vote.voter} ${vote.support ? "FOR" : "AGAINST"} ${formatVotes(vote.weight)} (block ${vote.blockNumber})`);
+      }
+      break;
+    }
+    case "propose": {
+      const [description, target, signature, ...args] = rest;
+      if (!description || (target && !signature)) throw new Error(USAGE);
+      const actions = target ? [parseAction(target, signature, args)] : [];
+      const id = await createProposal(description, actions);
+      console.log(id === null ? "DRY_RUN — proposal not sent" : `Created proposal #${id}`);
+      break;
+    }
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+
+  closeProvider();
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error("Governance command failed:", err instanceof Error ? err.message : err);
+  process.exit(1);
+});
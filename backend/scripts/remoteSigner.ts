@@ -0,0 +1,19 @@
+/**
+ * Run the local stand-in remote signer.
+ *
+ *   REMOTE_SIGNER_KEY=0x… npm run remote-signer -- [port]
+ *
+ * Point the agent at it with SIGNER_TYPE=remote and
+ * REMOTE_SIGNER_URL=http://127.0.0.1:<port>. Development only.
+ */
+import { ethers } from "ethers";
+import { startRemoteSignerServer } from "../src/wallet/remoteSignerServer";
+
+const key = process.env.REMOTE_SIGNER_KEY;
+if (!key) {
+  console.error("ERROR: REMOTE_SIGNER_KEY must be set");
+  process.exit(1);
+}
+
+const port = parseInt(process.argv[2] ?? "8550", 10);
+startRemoteSignerServer(new ethers.Wallet(key), port);
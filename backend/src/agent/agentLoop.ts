@@ -1,37 +1,78 @@
+import * as path from "path";
 import { v4 as uuidv4 } from "uuid";
 import { config } from "../config";
 import { log, persistReasoning } from "../logger/reasoningLogger";
 import { fetchTokens } from "../indexer/tokenIndexer";
 import { DecisionEngine } from "../engine/decisionEngine";
-import { MomentumStrategy } from "../strategies/momentumStrategy";
+import { createStrategies } from "../strategies";
 import { executeTrade } from "../execution/executionEngine";
+import { isTreasuryConfigured, syncTreasuryLimits } from "../chain/treasuryLimits";
+import { reconcilePendingTransactions } from "../chain/txManager";
+import { syncTreasuryValue } from "../chain/treasuryValuation";
+import { distributeProfits, isPayoutConfigured } from "../chain/profitPayouts";
+import { getProposal, isGovernanceConfigured, syncGovernance } from "../chain/governance";
+import { isQuestAttesterConfigured, runQuestAttester } from "../chain/questAttester";
 import { broadcast, WsEventType } from "../ws/wsServer";
-import { saveDecision, saveExecution } from "../db/database";
 import {
-  ReasoningEntry, PortfolioState, TradeAction,
+  loadLatestRiskPolicy, saveDecision, saveExecution, saveRiskPolicyChange,
+} from "../db/database";
+import {
+  DEFAULT_RISK_POLICY, diffRiskPolicies, getRiskPolicy, watchRiskPolicy,
+} from "../risk/riskPolicy";
+import { persistPortfolio, restorePortfolio } from "../portfolio/portfolioStore";
+import {
+  ReasoningEntry, RiskPolicyChange, TradeAction,
   TradeDecision, TradeExecution,
 } from "../types";
 
 /**
  * Core agent loop: monitor → think → risk-gate → execute → broadcast → log.
- * Runs indefinitely at the configured poll interval.
+ * Runs indefinitely, each tick starting POLL_INTERVAL_MS after the last one
+ * finished.
  */
 export async function startAgentLoop(): Promise<void> {
-  const strategy = new MomentumStrategy();
-  const engine = new DecisionEngine([strategy]);
-
-  // In-memory portfolio state — persists across ticks
-  const portfolioState: PortfolioState = {
-    totalExposure: 0,
-    allocations: {},
-    lastTradeTimestamps: {},
+  const engine = new DecisionEngine(createStrategies());
+
+  // Risk policy — record limits that moved while the agent was down, then hot-reload
+  const recordPolicyChange = (change: RiskPolicyChange): void => {
+    saveRiskPolicyChange(change);
+    broadcast({
+      type: WsEventType.RISK_POLICY_UPDATED,
+      source: change.source,
+      changes: change.changes,
+      policy: change.policy,
+      timestamp: change.timestamp,
+    });
   };
+  const startupChanges = diffRiskPolicies(loadLatestRiskPolicy() ?? DEFAULT_RISK_POLICY, getRiskPolicy());
+  if (startupChanges.length > 0) {
+    recordPolicyChange({
+      source: path.resolve(config.RISK_POLICY_PATH),
+      changes: startupChanges,
+      policy: getRiskPolicy(),
+      timestamp: Date.now(),
+    });
+  }
+  watchRiskPolicy(config.RISK_POLICY_PATH, recordPolicyChange);
+
+  // Paper-trading ledger — restored from SQLite, snapshotted every tick
+  const ledger = restorePortfolio(config.PAPER_STARTING_CASH);
+
+  // Live transactions left pending by the last run — settle them before sending more
+  if (!config.DRY_RUN) await reconcilePendingTransactions();
 
   log.info("═══════════════════════════════════════════");
   log.info("  Claw.Fund Autonomous Agent Starting…");
   log.info(`  DRY_RUN       : ${config.DRY_RUN}`);
   log.info(`  Poll Interval : ${config.POLL_INTERVAL_MS}ms`);
   log.info(`  Wallet        : ${config.WALLET_ADDRESS}`);
+  log.info(`  Paper Cash    : $${config.PAPER_STARTING_CASH.toLocaleString()}`);
+  log.info(`  Risk Policy   : ${config.RISK_POLICY_PATH}`);
+  log.info(`  Treasury      : ${isTreasuryConfigured() ? config.TREASURY_ADDRESS : "off (no TREASURY_ADDRESS)"}`);
+  log.info(`  Payouts       : ${isPayoutConfigured() ? config.PROFIT_DISTRIBUTOR_ADDRESS : "off (no PROFIT_DISTRIBUTOR_ADDRESS / CLAW_TOKEN_ADDRESS)"}`);
+  log.info(`  Governance    : ${isGovernanceConfigured() ? config.GOVERNANCE_ADDRESS : "off (no GOVERNANCE_ADDRESS)"}`);
+  log.info(`  Quest Attester: ${isQuestAttesterConfigured() ? `${config.QUEST_MANAGER_ADDRESS}${config.QUEST_ATTEST_ONCHAIN ? "" : " (index only)"}` : "off (no QUEST_MANAGER_ADDRESS)"}`);
+  log.info(`  Quest Vouchers: ${config.QUEST_VOUCHER_PORT > 0 ? `http://${config.QUEST_VOUCHER_HOST}:${config.QUEST_VOUCHER_PORT}` : "off (no QUEST_VOUCHER_PORT)"}`);
   log.info("═══════════════════════════════════════════");
 
   const tick = async (): Promise<void> => {
@@ -42,9 +83,13 @@ export async function startAgentLoop(): Promise<void> {
       // 1. MONITOR — fetch latest market data (rolling-window enriched)
       const marketData = await fetchTokens();
       log.info(`Fetched ${marketData.length} tokens with rolling-window data`);
+      ledger.markToMarket(marketData);
+
+      // Refresh the mirrored on-chain treasury limits the risk gate reads
+      await syncTreasuryLimits(marketData.map((md) => md.token));
 
       // 2. THINK — run decision engine (strategies + risk gate)
-      const decisions = engine.evaluate(marketData, portfolioState);
+      const decisions = engine.evaluate(marketData, ledger.state());
       log.info(`Produced ${decisions.length} decisions`);
 
       // Broadcast DECISION event
@@ -57,6 +102,8 @@ export async function startAgentLoop(): Promise<void> {
           momentumScore: d.momentumScore,
           allocation: d.suggestedSize,
           reason: d.reason,
+          breakdown: d.breakdown ?? [],
+          riskChecks: d.riskChecks ?? [],
         })),
         timestamp: Date.now(),
       });
@@ -75,7 +122,17 @@ export async function startAgentLoop(): Promise<void> {
       }
 
       for (const decision of actionable) {
-        const result = await executeTrade(decision);
+        const addr = decision.token.address;
+        const quantity = ledger.quantityFor(decision);
+        const price = ledger.priceOf(addr) ?? 0;
+
+        // Refuse trades the ledger cannot fill before anything is sent
+        const rejected = ledger.check(decision.action, decision.token, quantity, price);
+        const result = rejected
+          ? { success: false, error: rejected }
+          : await executeTrade(decision);
+        if (rejected) log.warn(`[Portfolio] ${decision.token.symbol} ${decision.action} rejected | ${rejected}`);
+
         const execution: TradeExecution = {
           id: uuidv4(),
           decision,
@@ -83,23 +140,16 @@ export async function startAgentLoop(): Promise<void> {
           txHash: result.txHash ?? null,
           success: result.success,
           error: result.error,
+          swap: "swap" in result ? result.swap : undefined,
         };
         executions.push(execution);
 
-        // 4. UPDATE PORTFOLIO STATE on success
+        // 4. UPDATE PORTFOLIO LEDGER on success
         if (result.success) {
-          const addr = decision.token.address;
-          const size = decision.suggestedSize;
-
-          if (decision.action === TradeAction.BUY) {
-            portfolioState.allocations[addr] =
-              (portfolioState.allocations[addr] ?? 0) + size;
-          } else if (decision.action === TradeAction.SELL) {
-            portfolioState.allocations[addr] =
-              Math.max((portfolioState.allocations[addr] ?? 0) - size, 0);
-          }
-
-          portfolioState.lastTradeTimestamps[addr] = Date.now();
+          const fill = decision.action === TradeAction.BUY
+            ? ledger.buy(decision.token, quantity, price)
+            : ledger.sell(decision.token, quantity, price);
+          if (!fill.success) log.warn(`[Portfolio] ${decision.token.symbol} fill not recorded | ${fill.error}`);
 
           // Broadcast TRADE_EXECUTED event
           broadcast({
@@ -108,38 +158,134 @@ export async function startAgentLoop(): Promise<void> {
             token: decision.token.symbol,
             action: decision.action,
             allocation: decision.suggestedSize,
+            quantity,
+            priceUsd: price,
             confidence: decision.confidence,
             momentumScore: decision.momentumScore,
             txHash: result.txHash ?? null,
             timestamp: Date.now(),
           });
 
-          // Persist execution to SQLite
+          // Persist execution (with its fill) to SQLite
+          saveExecution(execution, fill.fill);
+        } else if (execution.txHash || execution.swap) {
+          // Failed after sending — e.g. a withdrawal whose swap was refunded
           saveExecution(execution);
         }
       }
 
       log.info(`Executed ${executions.length} trade(s)`);
 
-      // Recompute total exposure from allocations
-      portfolioState.totalExposure = Object.values(portfolioState.allocations)
-        .reduce((sum, v) => sum + v, 0);
+      // Report the treasury value on-chain when the valuation interval is due
+      const valuation = await syncTreasuryValue(marketData);
+      if (valuation) {
+        broadcast({
+          type: WsEventType.TREASURY_VALUED,
+          value: valuation.value,
+          nativeBalance: valuation.nativeBalance,
+          tokens: valuation.tokens,
+          treasuryTxHash: valuation.treasuryTxHash,
+          distributorTxHash: valuation.distributorTxHash,
+          events: valuation.events,
+          timestamp: valuation.timestamp,
+        });
+      }
 
-      const activePositions = Object.keys(portfolioState.allocations)
-        .filter((k) => portfolioState.allocations[k] > 0);
+      // Pay pending profit out to CLAW holders, resuming a run a failed batch left open
+      const payout = await distributeProfits(valuation !== null);
+      if (payout) {
+        broadcast({
+          type: WsEventType.PROFIT_PAYOUT,
+          payoutId: payout.id ?? null,
+          snapshotBlock: payout.snapshotBlock,
+          amount: payout.amount,
+          holders: payout.holders,
+          batches: payout.batches.map((b) => ({
+            index: b.index,
+            holders: b.holders.length,
+            total: b.total,
+            status: b.status,
+            txHash: b.txHash,
+            error: b.error ?? null,
+          })),
+          status: payout.status,
+          timestamp: Date.now(),
+        });
+      }
 
+      // Index new proposals, votes and state changes from the Governance contract
+      const governance = await syncGovernance();
+      if (governance) {
+        for (const proposal of governance.created) {
+          broadcast({ type: WsEventType.PROPOSAL_CREATED, proposal, timestamp: Date.now() });
+        }
+        for (const vote of governance.votes) {
+          const tally = getProposal(vote.proposalId);
+          broadcast({
+            type: WsEventType.VOTE_CAST,
+            ...vote,
+            forVotes: tally?.forVotes ?? null,
+            againstVotes: tally?.againstVotes ?? null,
+            voters: tally?.voters ?? null,
+            timestamp: Date.now(),
+          });
+        }
+        for (const change of governance.changed) {
+          broadcast({
+            type: WsEventType.PROPOSAL_STATE_CHANGED,
+            proposalId: change.proposal.id,
+            previousState: change.previousState,
+            state: change.proposal.state,
+            proposal: change.proposal,
+            timestamp: Date.now(),
+          });
+        }
+      }
+
+      // Attest users whose votes or LP balances meet an active quest's criteria
+      const attested = await runQuestAttester();
+      for (const batch of attested ?? []) {
+        broadcast({
+          type: WsEventType.QUEST_ATTESTED,
+          questId: batch.questId,
+          txHash: batch.txHash,
+          attestations: batch.attestations.map((a) => ({ user: a.user, evidence: a.evidence })),
+          timestamp: Date.now(),
+        });
+      }
+
+      const portfolio = ledger.state();
+      persistPortfolio(ledger);
       log.info(
-        `Portfolio: exposure=${(portfolioState.totalExposure * 100).toFixed(1)}%, ` +
-        `positions=${activePositions.length}`,
+        `Portfolio: equity=$${portfolio.equity.toFixed(2)}, cash=$${portfolio.cash.toFixed(2)}, ` +
+        `exposure=${(portfolio.totalExposure * 100).toFixed(1)}%, positions=${portfolio.positions.length}, ` +
+        `realized=$${portfolio.realizedPnl.toFixed(2)}, unrealized=$${portfolio.unrealizedPnl.toFixed(2)}`,
       );
 
       // Broadcast PORTFOLIO_UPDATE event
       broadcast({
         type: WsEventType.PORTFOLIO_UPDATE,
         portfolioState: {
-          totalExposure: portfolioState.totalExposure,
-          allocations: { ...portfolioState.allocations },
-          positions: activePositions.length,
+          totalExposure: portfolio.totalExposure,
+          allocations: portfolio.allocations,
+          positions: portfolio.positions.length,
+          cash: portfolio.cash,
+          equity: portfolio.equity,
+          realizedPnl: portfolio.realizedPnl,
+          unrealizedPnl: portfolio.unrealizedPnl,
+          peakEquity: portfolio.peakEquity,
+          drawdown: portfolio.drawdown,
+          dailyRealizedPnl: portfolio.dailyRealizedPnl,
+          holdings: portfolio.positions.map((p) => ({
+            token: p.token.symbol,
+            address: p.token.address,
+            quantity: p.quantity,
+            avgCost: p.avgCost,
+            priceUsd: p.priceUsd,
+            marketValue: p.marketValue,
+            unrealizedPnl: p.unrealizedPnl,
+            realizedPnl: p.realizedPnl,
+          })),
         },
         timestamp: Date.now(),
       });
@@ -160,9 +306,12 @@ export async function startAgentLoop(): Promise<void> {
     }
   };
 
-  // Initial tick
-  await tick();
-
-  // Recurring ticks
-  setInterval(tick, config.POLL_INTERVAL_MS);
+  // Never two ticks at once: a live tick waits on confirmations and fee bumps
+  // and can outlast the poll interval, and overlapping ticks would read the
+  // same ledger and send the same trades, payouts and attestations twice.
+  const loop = async (): Promise<void> => {
+    await tick();
+    setTimeout(loop, config.POLL_INTERVAL_MS);
+  };
+  await loop();
 }
@@ -0,0 +1,195 @@
+import { log } from "../logger/reasoningLogger";
+import { FillResult, IStrategy, TokenMarketData, TradeAction, TradeDecision } from "../types";
+import { DecisionEngine } from "../engine/decisionEngine";
+import { PriceHistory } from "../indexer/priceHistory";
+import { toMarketData } from "../indexer/tokenIndexer";
+import { PortfolioLedger } from "../portfolio/portfolioLedger";
+import { HistoricalSeries } from "./historyLoader";
+import { BacktestMetrics, EquityPoint, maxDrawdown, sharpeRatio } from "./metrics";
+
+/**
+ * Historical replay of the production decision pipeline.
+ *
+ * Bars from every series are merged into one timeline. At each bar time
+ * the simulated clock advances, new bars are appended to each token's
+ * PriceHistory, and the same DecisionEngine + risk gate the agent runs
+ * live is evaluated with `now` = bar time. Actionable decisions are
+ * filled at that bar's close with slippage and fees applied, sized the
+ * way the execution engine sizes live trades:
+ *
+ *   BUY  → spend suggestedSize × cash
+ *   SELL → sell  suggestedSize × position quantity (all of it for closePosition)
+ *
+ * Positions, cash and PnL are kept in the same PortfolioLedger the agent
+ * uses, so the risk gate sees marked-to-market allocations and balance
+ * checks exactly as it would live.
+ */
+
+export interface BacktestOptions {
+  initialCapital: number;
+  /** Price impact applied against the trader on every fill, in basis points. */
+  slippageBps: number;
+  /** Fee charged on every fill's notional, in basis points. */
+  feeBps: number;
+}
+
+export interface LedgerEntry {
+  timestamp: number;
+  symbol: string;
+  action: TradeAction;
+  price: number;
+  fillPrice: number;
+  quantity: number;
+  notional: number;
+  fee: number;
+  /** Realised PnL after fees — SELL fills only. */
+  realizedPnl: number | null;
+  cashAfter: number;
+  equityAfter: number;
+  reason: string;
+}
+
+export interface BacktestReport {
+  metrics: BacktestMetrics;
+  ledger: LedgerEntry[];
+  equityCurve: EquityPoint[];
+  /** Open positions at the end of the run, marked at the last close. */
+  openPositions: { symbol: string; quantity: number; avgCost: number; value: number }[];
+}
+
+const BPS = 10_000;
+
+export function runBacktest(
+  series: HistoricalSeries[],
+  strategies: IStrategy[],
+  options: BacktestOptions,
+): BacktestReport {
+  if (!(options.initialCapital > 0)) throw new Error("initialCapital must be > 0");
+  if (options.slippageBps < 0 || options.feeBps < 0) throw new Error("slippageBps and feeBps must be >= 0");
+
+  const engine = new DecisionEngine(strategies);
+  const slippage = options.slippageBps / BPS;
+  const feeRate = options.feeBps / BPS;
+
+  const histories = new Map(series.map((s) => [
+    s.token.address,
+    new PriceHistory(Math.max(s.samples.length, 2)),
+  ]));
+  const ledger = new PortfolioLedger(options.initialCapital);
+  let feesPaid = 0;
+  const ledgerEntries: LedgerEntry[] = [];
+  const equityCurve: EquityPoint[] = [];
+
+  // Merge all bars into one time-ordered stream
+  const timeline = new Map<number, { s: HistoricalSeries; i: number }[]>();
+  for (const s of series) {
+    s.samples.forEach((sample, i) => {
+      const bucket = timeline.get(sample.timestamp) ?? [];
+      bucket.push({ s, i });
+      timeline.set(sample.timestamp, bucket);
+    });
+  }
+  const times = [...timeline.keys()].sort((a, b) => a - b);
+  log.info(`[Backtest] Replaying ${times.length} bars across ${series.length} token(s)`);
+
+  for (const now of times) {
+    // 1. Advance the clock — append this bar for every token that has one
+    const marketData: TokenMarketData[] = [];
+    for (const { s, i } of timeline.get(now)!) {
+      const history = histories.get(s.token.address)!;
+      history.push(s.samples[i]);
+      marketData.push(toMarketData(s.token, history));
+    }
+    ledger.markToMarket(marketData);
+
+    // 2. Decide — production strategies + risk gate on the simulated clock
+    const decisions = engine.evaluate(marketData, ledger.state(now), now);
+
+    // 3. Fill actionable decisions at this bar's close
+    for (const d of decisions) {
+      if (d.action === TradeAction.HOLD || d.suggestedSize <= 0) continue;
+
+      const entry = d.action === TradeAction.BUY ? fillBuy(d, now) : fillSell(d, now);
+      if (entry) ledgerEntries.push(entry);
+    }
+
+    equityCurve.push({ timestamp: now, equity: ledger.equity() });
+  }
+
+  function fillBuy(d: TradeDecision, now: number): LedgerEntry | null {
+    const price = ledger.priceOf(d.token.address)!;
+    const spend = ledger.cash * Math.min(d.suggestedSize, 1);
+    if (spend <= 0) return null;
+
+    // `spend` covers notional + fee
+    const notional = spend / (1 + feeRate);
+    const fillPrice = price * (1 + slippage);
+    const quantity = notional / fillPrice;
+
+    return toEntry(d, price, ledger.buy(d.token, quantity, fillPrice, spend - notional, now));
+  }
+
+  function fillSell(d: TradeDecision, now: number): LedgerEntry | null {
+    const held = ledger.quantityOf(d.token.address);
+    if (held <= 0) return null;
+
+    const price = ledger.priceOf(d.token.address)!;
+    const quantity = d.closePosition ? held : held * Math.min(d.suggestedSize, 1);
+    const fillPrice = price * (1 - slippage);
+
+    return toEntry(d, price, ledger.sell(d.token, quantity, fillPrice, quantity * fillPrice * feeRate, now));
+  }
+
+  function toEntry(d: TradeDecision, price: number, result: FillResult): LedgerEntry | null {
+    if (!result.success) {
+      log.debug(`[Backtest] ${d.token.symbol} ${d.action} not filled | ${result.error}`);
+      return null;
+    }
+    const fill = result.fill!;
+    feesPaid += fill.fee;
+    return {
+      timestamp: fill.timestamp,
+      symbol: d.token.symbol,
+      action: d.action,
+      price,
+      fillPrice: fill.price,
+      quantity: fill.quantity,
+      notional: fill.notional,
+      fee: fill.fee,
+      realizedPnl: fill.realizedPnl,
+      cashAfter: fill.cashAfter,
+      equityAfter: ledger.equity(),
+      reason: d.reason,
+    };
+  }
+
+  // ─── Summary ───────────────────────────────────────────────────
+
+  const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : ledger.cash;
+  const closed = ledgerEntries.filter((e) => e.realizedPnl !== null);
+  const wins = closed.filter((e) => e.realizedPnl! > 0).length;
+
+  const openPositions = ledger.state().positions.map((p) => ({
+    symbol: p.token.symbol,
+    quantity: p.quantity,
+    avgCost: p.avgCost,
+    value: p.marketValue,
+  }));
+
+  return {
+    metrics: {
+      initialEquity: options.initialCapital,
+      finalEquity,
+      pnl: finalEquity - options.initialCapital,
+      returnPct: finalEquity / options.initialCapital - 1,
+      maxDrawdownPct: maxDrawdown(equityCurve),
+      sharpe: sharpeRatio(equityCurve),
+      trades: ledgerEntries.length,
+      winRate: closed.length > 0 ? wins / closed.length : 0,
+      feesPaid,
+    },
+    ledger: ledgerEntries,
+    equityCurve,
+    openPositions,
+  };
+}
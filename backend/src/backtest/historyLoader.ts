@@ -0,0 +1,136 @@
+import * as fs from "fs";
+import * as path from "path";
+import { PriceSample, Token } from "../types";
+import { parseNumeric } from "../indexer/validation";
+
+/**
+ * Historical candle loader for the backtester.
+ *
+ * Accepts either a CSV file with a header row or a JSON array of objects,
+ * one row per token per bar:
+ *
+ *   timestamp,symbol,close,volume,liquidity[,address,open,high,low]
+ *
+ * - `timestamp` is epoch ms, epoch seconds or an ISO-8601 string
+ * - `close` may be given as `price` instead
+ * - `volume` is USD traded during the bar (defaults to 0)
+ * - `liquidity` is pool liquidity in USD (defaults to `defaultLiquidity`)
+ * - `address` defaults to a synthetic `0xBACKTEST_<SYMBOL>` placeholder
+ *
+ * Rows are grouped by symbol and sorted by time; duplicate timestamps for
+ * the same token keep the last row.
+ */
+
+/** One token's bars, oldest first. */
+export interface HistoricalSeries {
+  token: Token;
+  samples: PriceSample[];
+}
+
+/** Timestamps below this are treated as unix seconds. */
+const SECONDS_CUTOFF = 1e11;
+
+export function loadHistory(filePath: string, defaultLiquidity: number): HistoricalSeries[] {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`History file not found at ${resolved}`);
+  }
+
+  const text = fs.readFileSync(resolved, "utf-8");
+  const rows = path.extname(resolved).toLowerCase() === ".json"
+    ? parseJsonRows(text, resolved)
+    : parseCsvRows(text, resolved);
+  if (rows.length === 0) throw new Error(`History file ${resolved} contains no rows`);
+
+  const bySymbol = new Map<string, { token: Token; bars: Map<number, PriceSample> }>();
+
+  rows.forEach((r, i) => {
+    const where = `${resolved} row ${i + 1}`;
+    const symbol = typeof r.symbol === "string" ? r.symbol.trim() : "";
+    if (symbol === "") throw new Error(`${where}: symbol is required`);
+
+    const priceUsd = parseNumeric(r.close ?? r.price, `${where}: close`);
+    if (priceUsd <= 0) throw new Error(`${where}: close must be > 0 (got ${priceUsd})`);
+
+    const sample: PriceSample = {
+      timestamp: parseTimestamp(r.timestamp, where),
+      priceUsd,
+      volumeUsd: isBlank(r.volume) ? 0 : parseNumeric(r.volume, `${where}: volume`),
+      liquidity: isBlank(r.liquidity) ? defaultLiquidity : parseNumeric(r.liquidity, `${where}: liquidity`),
+    };
+    if (sample.volumeUsd < 0) throw new Error(`${where}: volume must be >= 0`);
+    if (sample.liquidity < 0) throw new Error(`${where}: liquidity must be >= 0`);
+
+    let series = bySymbol.get(symbol);
+    if (!series) {
+      series = { token: toToken(symbol, r.address), bars: new Map() };
+      bySymbol.set(symbol, series);
+    }
+    series.bars.set(sample.timestamp, sample);
+  });
+
+  return [...bySymbol.values()].map(({ token, bars }) => ({
+    token,
+    samples: [...bars.values()].sort((a, b) => a.timestamp - b.timestamp),
+  }));
+}
+
+// ─── Parsing ─────────────────────────────────────────────────────
+
+type Row = Record<string, unknown>;
+
+function parseJsonRows(text: string, file: string): Row[] {
+  const raw = JSON.parse(text) as unknown;
+  if (!Array.isArray(raw)) throw new Error(`History file ${file} must be a JSON array`);
+  return raw.map((entry, i) => {
+    if (typeof entry !== "object" || entry === null) {
+      throw new Error(`${file} row ${i + 1}: not an object`);
+    }
+    return entry as Row;
+  });
+}
+
+function parseCsvRows(text: string, file: string): Row[] {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() !== "" && !l.startsWith("#"));
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+  for (const required of ["timestamp", "symbol"]) {
+    if (!header.includes(required)) throw new Error(`${file}: CSV header is missing "${required}"`);
+  }
+  if (!header.includes("close") && !header.includes("price")) {
+    throw new Error(`${file}: CSV header needs a "close" or "price" column`);
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",").map((c) => c.trim());
+    const row: Row = {};
+    header.forEach((h, i) => { row[h] = cells[i]; });
+    return row;
+  });
+}
+
+function parseTimestamp(value: unknown, where: string): number {
+  if (typeof value === "string" && value.trim() !== "" && Number.isNaN(Number(value))) {
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) throw new Error(`${where}: timestamp ${JSON.stringify(value)} is not a date`);
+    return ms;
+  }
+  const n = parseNumeric(value, `${where}: timestamp`);
+  return n < SECONDS_CUTOFF ? n * 1_000 : n;
+}
+
+function toToken(symbol: string, address: unknown): Token {
+  return {
+    address: typeof address === "string" && address !== "" ? address : `0xBACKTEST_${symbol.toUpperCase()}`,
+    symbol,
+    name: symbol,
+    decimals: 18,
+    totalSupply: 0,
+    createdAt: new Date(0),
+  };
+}
+
+function isBlank(value: unknown): boolean {
+  return value === undefined || value === null || value === "";
+}
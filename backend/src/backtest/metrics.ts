@@ -0,0 +1,65 @@
+/**
+ * Performance statistics over a backtest equity curve and trade ledger.
+ */
+
+const YEAR_MS = 365 * 24 * 60 * 60_000;
+
+export interface EquityPoint {
+  timestamp: number;
+  equity: number;
+}
+
+export interface BacktestMetrics {
+  initialEquity: number;
+  finalEquity: number;
+  pnl: number;
+  returnPct: number;
+  /** Largest peak-to-trough decline of the equity curve, as a fraction of the peak. */
+  maxDrawdownPct: number;
+  /** Annualised Sharpe ratio of per-bar returns (risk-free rate 0). */
+  sharpe: number;
+  trades: number;
+  /** Fraction of SELL fills that realised a profit after fees. */
+  winRate: number;
+  feesPaid: number;
+}
+
+export function maxDrawdown(curve: EquityPoint[]): number {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const { equity } of curve) {
+    peak = Math.max(peak, equity);
+    if (peak > 0) worst = Math.max(worst, (peak - equity) / peak);
+  }
+  return worst;
+}
+
+/**
+ * Mean / stddev of bar-to-bar returns, scaled by sqrt(bars per year)
+ * using the median bar spacing. Returns 0 when there is no variance.
+ */
+export function sharpeRatio(curve: EquityPoint[]): number {
+  if (curve.length < 3) return 0;
+
+  const returns: number[] = [];
+  const gaps: number[] = [];
+  for (let i = 1; i < curve.length; i++) {
+    const prev = curve[i - 1].equity;
+    if (prev > 0) returns.push(curve[i].equity / prev - 1);
+    gaps.push(curve[i].timestamp - curve[i - 1].timestamp);
+  }
+
+  const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
+  const variance = returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (returns.length - 1);
+  const stdev = Math.sqrt(variance);
+  const barMs = median(gaps);
+  if (stdev === 0 || barMs <= 0) return 0;
+
+  return (mean / stdev) * Math.sqrt(YEAR_MS / barMs);
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >>> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
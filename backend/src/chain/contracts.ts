@@ -0,0 +1,97 @@
+import * as fs from "fs";
+import * as path from "path";
+import { ethers } from "ethers";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+
+/**
+ * Shared chain access for the live execution path.
+ *
+ * ABIs are read at runtime from the directory populated by
+ * `contracts/scripts/deploy.js`, so the backend always speaks the
+ * interface of the contracts that were actually deployed.
+ */
+
+// ─── Provider singleton ──────────────────────────────────────────
+
+let provider: ethers.JsonRpcProvider | null = null;
+
+/** Return the shared JSON-RPC provider, creating it on first use. */
+export function getProvider(): ethers.JsonRpcProvider {
+  if (!provider) {
+    provider = new ethers.JsonRpcProvider(config.RPC_URL);
+    log.info(`[Chain] Provider connected to ${config.RPC_URL}`);
+  }
+  return provider;
+}
+
+/** Tear down the shared provider (used by one-shot scripts). */
+export function closeProvider(): void {
+  provider?.destroy();
+  provider = null;
+}
+
+// ─── ABI loading ─────────────────────────────────────────────────
+
+const abiCache = new Map<string, ethers.InterfaceAbi>();
+
+/** Load an exported contract ABI by contract name, e.g. "AgentTreasury". */
+export function loadAbi(name: string): ethers.InterfaceAbi {
+  const cached = abiCache.get(name);
+  if (cached) return cached;
+
+  const abiPath = path.resolve(config.ABI_DIR, `${name}.json`);
+  if (!fs.existsSync(abiPath)) {
+    throw new Error(`ABI for ${name} not found at ${abiPath}`);
+  }
+
+  const abi = JSON.parse(fs.readFileSync(abiPath, "utf-8")) as ethers.InterfaceAbi;
+  abiCache.set(name, abi);
+  return abi;
+}
+
+// ─── Contract handles ────────────────────────────────────────────
+
+/** AgentTreasury bound to the given runner (a signer for writes, provider for reads). */
+export function getTreasuryContract(runner?: ethers.ContractRunner): ethers.Contract {
+  if (!ethers.isAddress(config.TREASURY_ADDRESS)) {
+    throw new Error(`TREASURY_ADDRESS is not a valid address: "${config.TREASURY_ADDRESS}"`);
+  }
+  return new ethers.Contract(config.TREASURY_ADDRESS, loadAbi("AgentTreasury"), runner ?? getProvider());
+}
+
+/** ProfitDistributor bound to the given runner (a signer for writes, provider for reads). */
+export function getProfitDistributorContract(runner?: ethers.ContractRunner): ethers.Contract {
+  if (!ethers.isAddress(config.PROFIT_DISTRIBUTOR_ADDRESS)) {
+    throw new Error(`PROFIT_DISTRIBUTOR_ADDRESS is not a valid address: "${config.PROFIT_DISTRIBUTOR_ADDRESS}"`);
+  }
+  return new ethers.Contract(
+    config.PROFIT_DISTRIBUTOR_ADDRESS,
+    loadAbi("ProfitDistributor"),
+    runner ?? getProvider(),
+  );
+}
+
+/** Governance bound to the given runner (a signer for writes, provider for reads). */
+export function getGovernanceContract(runner?: ethers.ContractRunner): ethers.Contract {
+  if (!ethers.isAddress(config.GOVERNANCE_ADDRESS)) {
+    throw new Error(`GOVERNANCE_ADDRESS is not a valid address: "${config.GOVERNANCE_ADDRESS}"`);
+  }
+  return new ethers.Contract(config.GOVERNANCE_ADDRESS, loadAbi("Governance"), runner ?? getProvider());
+}
+
+/** QuestManager bound to the given runner (a signer for writes, provider for reads). */
+export function getQuestManagerContract(runner?: ethers.ContractRunner): ethers.Contract {
+  if (!ethers.isAddress(config.QUEST_MANAGER_ADDRESS)) {
+    throw new Error(`QUEST_MANAGER_ADDRESS is not a valid address: "${config.QUEST_MANAGER_ADDRESS}"`);
+  }
+  return new ethers.Contract(config.QUEST_MANAGER_ADDRESS, loadAbi("QuestManager"), runner ?? getProvider());
+}
+
+/** CLAWToken bound to the given runner (a signer for writes, provider for reads). */
+export function getClawTokenContract(runner?: ethers.ContractRunner): ethers.Contract {
+  if (!ethers.isAddress(config.CLAW_TOKEN_ADDRESS)) {
+    throw new Error(`CLAW_TOKEN_ADDRESS is not a valid address: "${config.CLAW_TOKEN_ADDRESS}"`);
+  }
+  return new ethers.Contract(config.CLAW_TOKEN_ADDRESS, loadAbi("CLAWToken"), runner ?? getProvider());
+}
@@ -0,0 +1,321 @@
+import { ethers } from "ethers";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import {
+  loadGovernanceCursor, loadGovernanceProposal, loadGovernanceProposals, loadGovernanceVotes,
+  saveGovernanceCursor, saveGovernanceProposal, saveGovernanceVote, updateGovernanceProposal,
+} from "../db/database";
+import { getSigner } from "../wallet/signer";
+import { GovernanceProposal, GovernanceVote, ProposalAction, ProposalState } from "../types";
+import { getGovernanceContract, getProvider } from "./contracts";
+import { requireConfirmed, submitTransaction } from "./txManager";
+
+/**
+ * Off-chain index of the Governance contract.
+ *
+ * Each sync reads the contract's logs from the last indexed block
+ * (GOVERNANCE_DEPLOY_BLOCK on first run) to the chain head, in chunks of
+ * LOG_BLOCK_RANGE, and folds them into SQLite:
+ *
+ *   ProposalCreated / ProposalActions  → a proposal row with its calls
+ *   VoteCast                           → a vote row, added to the tally
+ *   ProposalQueued / Executed / Canceled → the proposal's state
+ *
+ * Every handler is idempotent, so a chunk replayed after a crash before
+ * its cursor was saved changes nothing. Transitions no event marks
+ * (voting opening or closing, defeat, expiry) are caught by re-reading
+ * `state()` for every proposal not yet final.
+ *
+ * The stored proposals, tallies and voter lists are what the read API
+ * below serves — to the agent's WebSocket broadcasts, the operator CLI
+ * and quest attestations of governance participation.
+ */
+
+/** Governance.ProposalState by enum index. */
+const STATES: ProposalState[] = [
+  ProposalState.PENDING,
+  ProposalState.ACTIVE,
+  ProposalState.DEFEATED,
+  ProposalState.SUCCEEDED,
+  ProposalState.QUEUED,
+  ProposalState.EXECUTED,
+  ProposalState.CANCELED,
+  ProposalState.EXPIRED,
+];
+
+/**
+ * States a proposal never leaves. Defeat is final because each proposal
+ * keeps the quorum in force when it was created.
+ */
+const FINAL_STATES = new Set([
+  ProposalState.DEFEATED, ProposalState.EXECUTED, ProposalState.CANCELED, ProposalState.EXPIRED,
+]);
+
+/** A proposal that moved to a new state during a sync. */
+export interface ProposalStateChange {
+  proposal: GovernanceProposal;
+  previousState: ProposalState;
+}
+
+/** What a sync added to the index. */
+export interface GovernanceUpdate {
+  created: GovernanceProposal[];
+  votes: GovernanceVote[];
+  changed: ProposalStateChange[];
+  blockNumber: number;          // chain head the index now reflects
+}
+
+let syncing = false;
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/** Whether GOVERNANCE_ADDRESS points at a contract to index. */
+export function isGovernanceConfigured(): boolean {
+  return ethers.isAddress(config.GOVERNANCE_ADDRESS);
+}
+
+/**
+ * Index Governance logs up to the chain head and refresh the state of
+ * open proposals. Safe to call every tick; returns what changed, or null
+ * when nothing did. Never throws.
+ */
+export async function syncGovernance(): Promise<GovernanceUpdate | null> {
+  if (!isGovernanceConfigured() || syncing) return null;
+
+  syncing = true;
+  try {
+    const address = config.GOVERNANCE_ADDRESS;
+    const governance = getGovernanceContract();
+    const provider = getProvider();
+    // Raw call: ethers' cached block number can lag behind a vote just sent
+    const head = Number(await provider.send("eth_blockNumber", []));
+
+    const createdIds: number[] = [];
+    const votes: GovernanceVote[] = [];
+    const changed: ProposalStateChange[] = [];
+
+    let cursor = loadGovernanceCursor(address) ?? config.GOVERNANCE_DEPLOY_BLOCK - 1;
+    const range = Math.max(1, config.LOG_BLOCK_RANGE);
+    while (cursor < head) {
+      const fromBlock = cursor + 1;
+      const toBlock = Math.min(fromBlock + range - 1, head);
+      const logs = await provider.getLogs({ address, fromBlock, toBlock });
+
+      for (const entry of logs) {
+        const parsed = governance.interface.parseLog(entry);
+        if (parsed) applyEvent(parsed, entry, createdIds, votes, changed);
+      }
+      saveGovernanceCursor(address, toBlock);
+      cursor = toBlock;
+    }
+
+    await refreshOpenProposals(governance, head, changed);
+
+    const created = createdIds
+      .map((id) => loadGovernanceProposal(address, id))
+      .filter((p): p is GovernanceProposal => p !== null);
+    if (created.length === 0 && votes.length === 0 && changed.length === 0) return null;
+
+    log.info(
+      `[Governance] Indexed to block ${head}: ${created.length} new proposal(s), ` +
+      `${votes.length} vote(s), ${changed.length} state change(s)`,
+    );
+    return { created, votes, changed, blockNumber: head };
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.warn(`[Governance] Sync failed — retrying next tick: ${msg}`);
+    return null;
+  } finally {
+    syncing = false;
+  }
+}
+
+/**
+ * Create a proposal from the agent wallet: text-only without `actions`,
+ * otherwise one that makes those calls when executed. Returns the new
+ * proposal id, or null under DRY_RUN. Throws if the transaction would
+ * revert (e.g. the agent lacks delegated CLAW) or does not confirm.
+ */
+export async function createProposal(description: string, actions: ProposalAction[] = []): Promise<number | null> {
+  if (!isGovernanceConfigured()) throw new Error("GOVERNANCE_ADDRESS is not set");
+  if (description.trim() === "") throw new Error("proposal description is empty");
+
+  const governance = getGovernanceContract();
+  const data = actions.length === 0
+    ? governance.interface.encodeFunctionData("createProposal", [description])
+    : governance.interface.encodeFunctionData("propose", [
+      actions.map((a) => a.target),
+      actions.map((a) => a.value),
+      actions.map((a) => a.data),
+      description,
+    ]);
+
+  if (config.DRY_RUN) {
+    log.info(`[Governance] [DRY_RUN] Would propose "${description}" with ${actions.length} action(s)`);
+    return null;
+  }
+
+  const signer = await getSigner();
+  const outcome = await submitTransaction(signer, {
+    to: config.GOVERNANCE_ADDRESS,
+    data,
+    label: `propose "${description.length > 40 ? `${description.slice(0, 37)}...` : description}"`,
+    iface: governance.interface,
+  });
+  const receipt = requireConfirmed(outcome);
+
+  const created = receipt.logs
+    .filter((l) => l.address.toLowerCase() === config.GOVERNANCE_ADDRESS.toLowerCase())
+    .map((l) => governance.interface.parseLog(l))
+    .find((e) => e?.name === "ProposalCreated");
+  if (!created) throw new Error(`no ProposalCreated event in ${receipt.hash}`);
+
+  const id = Number(created.args.proposalId);
+  log.info(`[Governance] Proposal #${id} created by ${signer.address} with ${actions.length} action(s) | tx=${receipt.hash}`);
+  return id;
+}
+
+/** Every indexed proposal with its tally, oldest first. */
+export function listProposals(): GovernanceProposal[] {
+  return isGovernanceConfigured() ? loadGovernanceProposals(config.GOVERNANCE_ADDRESS) : [];
+}
+
+/** An indexed proposal with its tally, or null. */
+export function getProposal(proposalId: number): GovernanceProposal | null {
+  return isGovernanceConfigured() ? loadGovernanceProposal(config.GOVERNANCE_ADDRESS, proposalId) : null;
+}
+
+/** Indexed votes on a proposal, in chain order. */
+export function getProposalVoters(proposalId: number): GovernanceVote[] {
+  return isGovernanceConfigured() ? loadGovernanceVotes(config.GOVERNANCE_ADDRESS, proposalId) : [];
+}
+
+/** The indexed vote of `voter` on a proposal, or null if it has not voted (as of the last sync). */
+export function findVote(proposalId: number, voter: string): GovernanceVote | null {
+  if (!ethers.isAddress(voter)) return null;
+  const target = voter.toLowerCase();
+  return getProposalVoters(proposalId).find((v) => v.voter.toLowerCase() === target) ?? null;
+}
+
+// ─── Indexing ────────────────────────────────────────────────────
+
+function applyEvent(
+  event: ethers.LogDescription,
+  entry: ethers.Log,
+  createdIds: number[],
+  votes: GovernanceVote[],
+  changed: ProposalStateChange[],
+): void {
+  const address = config.GOVERNANCE_ADDRESS;
+  const id = Number(event.args.proposalId);
+
+  if (event.name === "ProposalCreated") {
+    if (loadGovernanceProposal(address, id)) return;
+    saveGovernanceProposal(address, {
+      id,
+      proposer: ethers.getAddress(String(event.args.proposer)),
+      description: String(event.args.description),
+      actions: [],
+      startBlock: Number(event.args.startBlock),
+      endBlock: Number(event.args.endBlock),
+      forVotes: "0",
+      againstVotes: "0",
+      voters: 0,
+      quorum: null,
+      state: ProposalState.PENDING,
+      eta: null,
+      createdTxHash: entry.transactionHash,
+      executedTxHash: null,
+      updatedAt: Date.now(),
+    });
+    createdIds.push(id);
+    return;
+  }
+
+  if (event.name === "VoteCast") {
+    const vote: GovernanceVote = {
+      proposalId: id,
+      voter: ethers.getAddress(String(event.args.voter)),
+      support: Boolean(event.args.support),
+      weight: BigInt(event.args.weight).toString(),
+      txHash: entry.transactionHash,
+      blockNumber: entry.blockNumber,
+    };
+    if (saveGovernanceVote(address, vote)) votes.push(vote);
+    return;
+  }
+
+  const proposal = loadGovernanceProposal(address, id);
+  if (!proposal) return;
+
+  switch (event.name) {
+    case "ProposalActions": {
+      // Positional: `args.values` is the Result's own values() method
+      const [, targets, values, calldatas] = event.args as unknown as [bigint, string[], bigint[], string[]];
+      proposal.actions = targets.map((target, i) => ({
+        target: ethers.getAddress(target),
+        value: BigInt(values[i]).toString(),
+        data: String(calldatas[i]),
+      }));
+      proposal.updatedAt = Date.now();
+      updateGovernanceProposal(address, proposal);
+      return;
+    }
+    case "ProposalQueued":
+      proposal.eta = Number(event.args.eta);
+      setState(proposal, ProposalState.QUEUED, changed);
+      return;
+    case "ProposalExecuted":
+      proposal.executedTxHash = entry.transactionHash;
+      setState(proposal, ProposalState.EXECUTED, changed);
+      return;
+    case "ProposalCanceled":
+      setState(proposal, ProposalState.CANCELED, changed);
+      return;
+  }
+}
+
+/**
+ * Re-read state() of every proposal not yet final, and quorumVotes() of
+ * any proposal whose quorum is not yet known (including ones first seen
+ * already final, e.g. when indexing history).
+ */
+async function refreshOpenProposals(
+  governance: ethers.Contract,
+  head: number,
+  changed: ProposalStateChange[],
+): Promise<void> {
+  const proposals = loadGovernanceProposals(config.GOVERNANCE_ADDRESS);
+
+  for (const proposal of proposals) {
+    const open = !FINAL_STATES.has(proposal.state);
+    if (!open && proposal.quorum !== null) continue;
+
+    // quorumVotes reads the supply at startBlock, which the chain only answers once it is past
+    let quorumChanged = false;
+    if (head > proposal.startBlock) {
+      const quorum = BigInt(await governance.quorumVotes(proposal.id, { blockTag: head })).toString();
+      quorumChanged = quorum !== proposal.quorum;
+      proposal.quorum = quorum;
+    }
+
+    const state = open ? STATES[Number(await governance.state(proposal.id, { blockTag: head }))] : proposal.state;
+    if (state !== proposal.state) {
+      setState(proposal, state, changed);
+    } else if (quorumChanged) {
+      proposal.updatedAt = Date.now();
+      updateGovernanceProposal(config.GOVERNANCE_ADDRESS, proposal);
+    }
+  }
+}
+
+function setState(proposal: GovernanceProposal, state: ProposalState, changed: ProposalStateChange[]): void {
+  const previousState = proposal.state;
+  proposal.state = state;
+  proposal.updatedAt = Date.now();
+  updateGovernanceProposal(config.GOVERNANCE_ADDRESS, proposal);
+  if (state !== previousState) {
+    changed.push({ proposal: { ...proposal }, previousState });
+    log.info(`[Governance] Proposal #${proposal.id} ${previousState} → ${state}`);
+  }
+}
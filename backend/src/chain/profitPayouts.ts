@@ -0,0 +1,363 @@
+import { ethers } from "ethers";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import {
+  loadOpenProfitPayout, loadTransactionsByLabel, saveProfitPayout, updatePayoutBatch, updateProfitPayout,
+} from "../db/database";
+import { getSigner } from "../wallet/signer";
+import { PayoutBatch, PayoutStatus, ProfitPayout, TxStatus } from "../types";
+import { getClawTokenContract, getProfitDistributorContract, getProvider } from "./contracts";
+import { requireConfirmed, submitTransaction } from "./txManager";
+
+/**
+ * Pro-rata payouts of ProfitDistributor profit to CLAW holders.
+ *
+ * `ProfitDistributor.distributeTo(holders, amounts)` pays whatever list
+ * the agent hands it; this module produces that list:
+ *
+ *   1. Snapshot    CLAW Transfer logs from CLAW_DEPLOY_BLOCK are folded
+ *                  into holder balances at the snapshot block, and the
+ *                  sum checked against totalSupply there.
+ *   2. Exclusions  the treasury, the distributor, QuestManager,
+ *                  Governance, the zero and dead addresses,
+ *                  PAYOUT_EXCLUDED_ADDRESSES, and contract holders that
+ *                  cannot receive MON (they would revert the whole batch).
+ *   3. Shares      pendingDistribution, capped at the distributor's
+ *                  balance not reserved for claim epochs, split by
+ *                  balance / eligible supply and rounded down; the dust
+ *                  stays pending for the next run.
+ *   4. Batches     consecutive holders packed into distributeTo calls
+ *                  whose estimated gas stays under PAYOUT_BATCH_GAS_BUDGET.
+ *
+ * The plan is stored in SQLite before anything is sent, and batches are
+ * paid in order. A failed batch leaves the run open and the next call
+ * resumes at it — after checking the transactions table, so a batch whose
+ * transaction landed before a crash is never paid twice. With DRY_RUN the
+ * plan is logged but neither stored nor sent.
+ */
+
+const DEAD_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+/** Delay before resuming a run whose batch failed. */
+const RETRY_AFTER_MS = 60_000;
+
+/** CLAW balances folded from Transfer logs through `block`, keyed by lower-case address. */
+interface HolderIndex {
+  token: string;
+  block: number;
+  balances: Map<string, bigint>;
+}
+
+/** Kept between runs, so each snapshot only reads the logs since the last one. */
+let holderIndex: HolderIndex | null = null;
+
+/** Earliest time (epoch ms) a failed run may be resumed. */
+let retryAt = 0;
+let running = false;
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/** Whether PROFIT_DISTRIBUTOR_ADDRESS and CLAW_TOKEN_ADDRESS are set. */
+export function isPayoutConfigured(): boolean {
+  return ethers.isAddress(config.PROFIT_DISTRIBUTOR_ADDRESS) && ethers.isAddress(config.CLAW_TOKEN_ADDRESS);
+}
+
+/**
+ * Resume the open payout run, or — with `checkPending`, e.g. after a
+ * valuation — plan a new one if the distributor has profit pending.
+ * Safe to call every tick; returns the run it worked on, otherwise null.
+ * Never throws.
+ */
+export async function distributeProfits(
+  checkPending: boolean,
+  now: number = Date.now(),
+): Promise<ProfitPayout | null> {
+  if (!isPayoutConfigured() || running || now < retryAt) return null;
+
+  running = true;
+  try {
+    const open = config.DRY_RUN ? null : loadOpenProfitPayout();
+    const payout = open ?? (checkPending ? await planPayout() : null);
+    if (!payout) return null;
+
+    if (!open) {
+      logPlan(payout);
+      if (config.DRY_RUN) return payout;
+      payout.id = saveProfitPayout(payout);
+      if (payout.id === undefined) throw new Error("payout plan could not be stored");
+    }
+
+    await payBatches(payout);
+    if (payout.status !== PayoutStatus.CONFIRMED) retryAt = now + RETRY_AFTER_MS;
+    return payout;
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.warn(`[Payout] Skipped — retrying in ${RETRY_AFTER_MS / 1_000}s: ${msg}`);
+    retryAt = now + RETRY_AFTER_MS;
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+// ─── Planning ────────────────────────────────────────────────────
+
+/** Snapshot holders and split the distributable amount into batches; null if there is nothing to pay. */
+async function planPayout(): Promise<ProfitPayout | null> {
+  const provider = getProvider();
+  const distributor = getProfitDistributorContract();
+  // Raw call: ethers' cached block number can predate the sync that made the profit pending
+  const snapshotBlock = Number(await provider.send("eth_blockNumber", []));
+
+  const [pending, balance, agent] = await Promise.all([
+    distributor.pendingDistribution({ blockTag: snapshotBlock }).then(BigInt),
+    distributor.availableBalance({ blockTag: snapshotBlock }).then(BigInt),
+    distributor.agent({ blockTag: snapshotBlock }).then(String),
+  ]);
+  if (pending === 0n) return null;
+  if (balance < pending) {
+    log.warn(`[Payout] Distributor has ${mon(balance)} available of ${mon(pending)} pending — paying out what it has`);
+  }
+  const amount = balance < pending ? balance : pending;
+  if (amount === 0n) return null;
+
+  const balances = await snapshotBalances(snapshotBlock);
+  const excluded = excludedAddresses();
+  for (const holder of balances.keys()) {
+    if (!excluded.has(holder) && !(await canReceive(distributor, agent, holder))) excluded.add(holder);
+  }
+
+  const eligible = [...balances]
+    .filter(([holder]) => !excluded.has(holder))
+    .sort(([a, x], [b, y]) => (x === y ? a.localeCompare(b) : x > y ? -1 : 1));
+  const eligibleSupply = eligible.reduce((sum, [, bal]) => sum + bal, 0n);
+  if (eligibleSupply === 0n) {
+    log.warn(`[Payout] No eligible CLAW holders at block ${snapshotBlock} — ${mon(amount)} stays pending`);
+    return null;
+  }
+
+  const payees = eligible
+    .map(([holder, bal]) => ({ holder: ethers.getAddress(holder), amount: (amount * bal) / eligibleSupply }))
+    .filter((p) => p.amount > 0n);
+  if (payees.length === 0) return null;
+
+  const now = Date.now();
+  return {
+    snapshotBlock,
+    amount: amount.toString(),
+    eligibleSupply: eligibleSupply.toString(),
+    holders: payees.length,
+    excluded: [...excluded].sort(),
+    batches: await planBatches(distributor, agent, payees),
+    status: PayoutStatus.PENDING,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/** CLAW balances of every holder at `snapshotBlock`, extending the cached index from its last block. */
+async function snapshotBalances(snapshotBlock: number): Promise<Map<string, bigint>> {
+  const claw = getClawTokenContract();
+  const token = config.CLAW_TOKEN_ADDRESS.toLowerCase();
+  if (!holderIndex || holderIndex.token !== token || holderIndex.block > snapshotBlock) {
+    holderIndex = { token, block: config.CLAW_DEPLOY_BLOCK - 1, balances: new Map() };
+  }
+
+  const { balances } = holderIndex;
+  const range = Math.max(1, config.LOG_BLOCK_RANGE);
+  while (holderIndex.block < snapshotBlock) {
+    const fromBlock = holderIndex.block + 1;
+    const toBlock = Math.min(fromBlock + range - 1, snapshotBlock);
+    const logs = await claw.queryFilter(claw.filters.Transfer(), fromBlock, toBlock);
+
+    for (const entry of logs) {
+      if (!("args" in entry)) continue;
+      const from = String(entry.args.from).toLowerCase();
+      const to = String(entry.args.to).toLowerCase();
+      const value = BigInt(entry.args.value);
+      if (from !== ethers.ZeroAddress) credit(balances, from, -value);
+      if (to !== ethers.ZeroAddress) credit(balances, to, value);
+    }
+    holderIndex.block = toBlock;
+  }
+
+  // Mints and burns go through the zero address, so the balances must add up to the supply
+  const supply = BigInt(await claw.totalSupply({ blockTag: snapshotBlock }));
+  const indexed = [...balances.values()].reduce((sum, bal) => sum + bal, 0n);
+  if (indexed !== supply) {
+    holderIndex = null;
+    throw new Error(
+      `indexed CLAW balances sum to ${indexed} but totalSupply is ${supply} at block ${snapshotBlock} ` +
+      `(is CLAW_DEPLOY_BLOCK=${config.CLAW_DEPLOY_BLOCK} after the deployment?)`,
+    );
+  }
+  return balances;
+}
+
+function credit(balances: Map<string, bigint>, holder: string, delta: bigint): void {
+  const next = (balances.get(holder) ?? 0n) + delta;
+  if (next === 0n) balances.delete(holder);
+  else balances.set(holder, next);
+}
+
+/**
+ * Lower-case addresses never paid: the protocol's own contracts (treasury,
+ * distributor, QuestManager reward pools, Governance), burn sinks and
+ * PAYOUT_EXCLUDED_ADDRESSES. The contracts accept MON, so canReceive
+ * would not weed them out.
+ */
+function excludedAddresses(): Set<string> {
+  const configured = config.PAYOUT_EXCLUDED_ADDRESSES.split(",").map((a) => a.trim()).filter(Boolean);
+  for (const address of configured) {
+    if (!ethers.isAddress(address)) throw new Error(`PAYOUT_EXCLUDED_ADDRESSES has an invalid address: "${address}"`);
+  }
+  return new Set(
+    [
+      config.TREASURY_ADDRESS, config.PROFIT_DISTRIBUTOR_ADDRESS, config.QUEST_MANAGER_ADDRESS, config.GOVERNANCE_ADDRESS,
+      ethers.ZeroAddress, DEAD_ADDRESS, ...configured,
+    ]
+      .filter((a) => ethers.isAddress(a))
+      .map((a) => a.toLowerCase()),
+  );
+}
+
+/** Whether a holder accepts MON from the distributor. Accounts without code always do. */
+async function canReceive(distributor: ethers.Contract, agent: string, holder: string): Promise<boolean> {
+  const provider = getProvider();
+  if ((await provider.getCode(holder)) === "0x") return true;
+  try {
+    await provider.estimateGas({
+      from: agent,
+      to: config.PROFIT_DISTRIBUTOR_ADDRESS,
+      data: distributor.interface.encodeFunctionData("distributeTo", [[holder], [1n]]),
+    });
+    return true;
+  } catch {
+    log.info(`[Payout] Excluding contract holder ${holder} — it does not accept MON`);
+    return false;
+  }
+}
+
+/** Pack payees into consecutive batches whose estimated gas fits PAYOUT_BATCH_GAS_BUDGET. */
+async function planBatches(
+  distributor: ethers.Contract,
+  agent: string,
+  payees: { holder: string; amount: bigint }[],
+): Promise<PayoutBatch[]> {
+  const budget = BigInt(config.PAYOUT_BATCH_GAS_BUDGET);
+  const batches: PayoutBatch[] = [];
+  let start = 0;
+  let size = payees.length;
+
+  while (start < payees.length) {
+    size = Math.min(size, payees.length - start);
+    for (;;) {
+      const slice = payees.slice(start, start + size);
+      const holders = slice.map((p) => p.holder);
+      const amounts = slice.map((p) => p.amount);
+      const gas = await getProvider().estimateGas({
+        from: agent,
+        to: config.PROFIT_DISTRIBUTOR_ADDRESS,
+        data: distributor.interface.encodeFunctionData("distributeTo", [holders, amounts]),
+      });
+
+      if (gas <= budget) {
+        batches.push({
+          index: batches.length,
+          holders,
+          amounts: amounts.map(String),
+          total: amounts.reduce((sum, a) => sum + a, 0n).toString(),
+          gasEstimate: gas.toString(),
+          status: PayoutStatus.PENDING,
+          txHash: null,
+          attempts: 0,
+        });
+        break;
+      }
+      if (size === 1) {
+        throw new Error(`paying ${holders[0]} alone needs ${gas} gas, over PAYOUT_BATCH_GAS_BUDGET=${budget}`);
+      }
+      // Shrink in proportion to the overshoot; the next batch starts from this size
+      size = Math.max(1, Math.min(size - 1, Math.floor((size * Number(budget)) / Number(gas))));
+    }
+    start += size;
+  }
+  return batches;
+}
+
+// ─── Paying ──────────────────────────────────────────────────────
+
+/** Pay the run's unpaid batches in order, stopping at the first that fails. */
+async function payBatches(payout: ProfitPayout): Promise<void> {
+  const signer = await getSigner();
+  const distributor = getProfitDistributorContract();
+  const agent = String(await distributor.agent());
+  if (agent.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`signer ${signer.address} is not the distributor's agent ${agent}`);
+  }
+
+  for (const batch of payout.batches) {
+    if (batch.status === PayoutStatus.CONFIRMED) continue;
+    const label = batchLabel(payout, batch);
+
+    // A transaction from an earlier attempt may have landed after its result was lost
+    const sent = loadTransactionsByLabel(label);
+    const landed = sent.find((tx) => tx.status === TxStatus.CONFIRMED);
+    if (landed) {
+      markPaid(batch, landed.hash);
+      log.info(`[Payout] ${label} already paid by ${landed.hash}`);
+      continue;
+    }
+    if (sent.some((tx) => tx.status === TxStatus.PENDING)) {
+      log.warn(`[Payout] ${label} still has a pending transaction — waiting for it to settle`);
+      return;
+    }
+
+    batch.attempts += 1;
+    try {
+      const outcome = await submitTransaction(signer, {
+        to: config.PROFIT_DISTRIBUTOR_ADDRESS,
+        data: distributor.interface.encodeFunctionData("distributeTo", [batch.holders, batch.amounts]),
+        label,
+        iface: distributor.interface,
+      });
+      batch.txHash = outcome.record.hash;
+      markPaid(batch, requireConfirmed(outcome).hash);
+      log.info(`[Payout] ${label} paid ${mon(batch.total)} to ${batch.holders.length} holder(s) | tx=${batch.txHash}`);
+    } catch (err) {
+      batch.error = err instanceof Error ? err.message : String(err);
+      updatePayoutBatch(batch);
+      log.error(`[Payout] ${label} failed (attempt ${batch.attempts}) — resuming in ${RETRY_AFTER_MS / 1_000}s: ${batch.error}`);
+      return;
+    }
+  }
+
+  payout.status = PayoutStatus.CONFIRMED;
+  payout.updatedAt = Date.now();
+  updateProfitPayout(payout);
+  log.info(`[Payout] #${payout.id} complete — ${mon(payout.amount)} paid to ${payout.holders} holder(s)`);
+}
+
+function markPaid(batch: PayoutBatch, txHash: string): void {
+  batch.status = PayoutStatus.CONFIRMED;
+  batch.txHash = txHash;
+  batch.error = undefined;
+  updatePayoutBatch(batch);
+}
+
+/** Transactions-table label of a batch; unique per run, so a resumed batch finds its earlier sends. */
+function batchLabel(payout: ProfitPayout, batch: PayoutBatch): string {
+  return `distributeTo payout #${payout.id} batch ${batch.index + 1}/${payout.batches.length}`;
+}
+
+function logPlan(p: ProfitPayout): void {
+  log.info(
+    `[Payout] ${mon(p.amount)} to ${p.holders} CLAW holder(s) at block ${p.snapshotBlock} ` +
+    `in ${p.batches.length} batch(es), ${p.excluded.length} address(es) excluded` +
+    (config.DRY_RUN ? " [DRY_RUN]" : ""),
+  );
+}
+
+function mon(wei: bigint | string): string {
+  return `${Number(ethers.formatEther(wei)).toFixed(4)} MON`;
+}
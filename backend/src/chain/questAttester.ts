@@ -0,0 +1,484 @@
+import { ethers } from "ethers";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import {
+  applyLpTransfers, loadLpHoldings, loadQuestAttestations, loadQuestCursor, loadQuests, loadTransactionsByLabel,
+  LpTransfer, saveQuest, saveQuestAttestation, saveQuestCursor, setQuestActive, setQuestRules, updateQuestAttestation,
+} from "../db/database";
+import { getSigner } from "../wallet/signer";
+import {
+  AttestationEvidence, AttestationStatus, GovernanceVote, LpHolding, Quest, QuestAttestation, QuestType, TxStatus,
+} from "../types";
+import { getProvider, getQuestManagerContract } from "./contracts";
+import { findVote, getProposal, getProposalVoters, isGovernanceConfigured, listProposals } from "./governance";
+import { requireConfirmed, submitTransaction } from "./txManager";
+
+/**
+ * Agent attestations for QuestManager quests verified off-chain.
+ *
+ * HoldTokens quests are checked by the contract at claim time; the other
+ * two types need the agent to attest each user first. Every run:
+ *
+ *   1. Quests    QuestCreated / QuestRulesSet / QuestDeactivated logs from
+ *                QUEST_DEPLOY_BLOCK are indexed into SQLite.
+ *   2. LP        QUEST_LP_TOKEN_ADDRESS Transfer logs are folded into
+ *                holder balances.
+ *   3. Evaluate  each active, unexpired quest is checked against its evidence:
+ *                  ParticipateVote   a VoteCast from the Governance index on
+ *                                    proposal `threshold` — or, when 0, on
+ *                                    any proposal from the quest's creation
+ *                                    block on; on repeatable quests, cast
+ *                                    within the current epoch
+ *                  ProvideLiquidity  an LP balance >= `threshold`, confirmed
+ *                                    with balanceOf at the current block;
+ *                                    with QUEST_LP_SKIP_CONTRACTS, holders
+ *                                    with code are skipped
+ *                and each user newly eligible in the quest's current epoch
+ *                is stored with that evidence.
+ *   4. Attest    pending users of the current epochs are sent per quest in
+ *                attestQuestBatch calls of at most QUEST_ATTEST_BATCH_SIZE
+ *                users.
+ *
+ * Evidence is stored before anything is sent and never replaced, so
+ * quest_attestations records which transaction justified every
+ * attestation. A failed batch stays PENDING and is retried after 60 s.
+ * Attesting is idempotent on-chain, so a batch resent after a lost
+ * result costs gas but changes nothing. A user is attested once per quest
+ * epoch: one-off quests have only epoch 0, while repeatable quests — where
+ * each claim uses up the attestation — are re-checked and re-attested in
+ * every new epoch, computed from chain time as QuestManager does. With
+ * DRY_RUN eligible users are logged but neither stored nor attested.
+ *
+ * With QUEST_ATTEST_ONCHAIN=false only steps 1 and 2 run: the index then
+ * backs the signed vouchers of questVouchers.ts, which check one user
+ * at a time through findQuestEvidence.
+ */
+
+/** QuestManager.QuestType by enum index. */
+const QUEST_TYPES: QuestType[] = [QuestType.HOLD_TOKENS, QuestType.PROVIDE_LIQUIDITY, QuestType.PARTICIPATE_VOTE];
+
+const LP_TOKEN_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function balanceOf(address owner) view returns (uint256)",
+];
+
+/** Delay before retrying after a failed attestQuestBatch. */
+const RETRY_AFTER_MS = 60_000;
+
+/** One attestQuestBatch call that confirmed. */
+export interface AttestationBatch {
+  questId: number;
+  txHash: string;
+  attestations: QuestAttestation[];
+}
+
+/** Earliest time (epoch ms) a failed batch may be retried. */
+let retryAt = 0;
+let running = false;
+
+/** Quests already warned about, and DRY_RUN eligibility already logged — each is logged once. */
+const warned = new Set<string>();
+
+/** LP holders found to have code, skipped with QUEST_LP_SKIP_CONTRACTS. */
+const contractHolders = new Set<string>();
+
+/** Timestamps of vote blocks, checked against repeatable quests' epoch windows. */
+const blockTimes = new Map<number, number>();
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/** Whether QUEST_MANAGER_ADDRESS points at a contract to attest for. */
+export function isQuestAttesterConfigured(): boolean {
+  return ethers.isAddress(config.QUEST_MANAGER_ADDRESS);
+}
+
+/**
+ * Index quests and LP balances, record newly eligible users and attest
+ * pending ones. Safe to call every tick; returns the batches confirmed,
+ * or null when none were. Never throws.
+ */
+export async function runQuestAttester(): Promise<AttestationBatch[] | null> {
+  if (!isQuestAttesterConfigured() || running) return null;
+
+  running = true;
+  try {
+    // Raw calls: ethers' cached block number can lag behind a vote just indexed
+    const head = Number(await getProvider().send("eth_blockNumber", []));
+    const headBlock = await getProvider().send("eth_getBlockByNumber", [ethers.toQuantity(head), false]);
+    const now = Number(headBlock.timestamp);   // quest windows run on chain time, not the wall clock
+    await syncQuests(head);
+    if (isLpConfigured()) await syncLpBalances(head);
+    if (!config.QUEST_ATTEST_ONCHAIN) return null;
+
+    const quests = loadQuests(config.QUEST_MANAGER_ADDRESS)
+      .filter((q) => q.active && q.questType !== QuestType.HOLD_TOKENS && (q.endTime === null || q.endTime >= now));
+    const eligible = await findEligible(quests, head, now);
+
+    if (config.DRY_RUN) {
+      for (const a of eligible) {
+        if (warnOnce(`dry-run:${a.questId}:${a.epoch}:${a.user}`)) {
+          log.info(`[Quest] [DRY_RUN] Would attest ${a.user} for quest #${a.questId}${epochLabel(a)}: ${a.evidence.detail}`);
+        }
+      }
+      return null;
+    }
+
+    for (const a of eligible) {
+      if (saveQuestAttestation(config.QUEST_MANAGER_ADDRESS, a)) {
+        log.info(`[Quest] ${a.user} eligible for quest #${a.questId}${epochLabel(a)}: ${a.evidence.detail} | evidence=${a.evidence.txHash}`);
+      }
+    }
+
+    if (Date.now() < retryAt) return null;
+    const batches = await attestPending(quests, now);
+    return batches.length > 0 ? batches : null;
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[Quest] Attestation run failed — retrying next tick: ${msg}`);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Evidence that `user` meets the criteria of a ProvideLiquidity or
+ * ParticipateVote quest as of block `head` (chain time `now`), from the
+ * same indexes and checks the attester uses; null if it does not, or for
+ * HoldTokens.
+ */
+export async function findQuestEvidence(
+  quest: Quest,
+  user: string,
+  head: number,
+  now: number,
+): Promise<AttestationEvidence | null> {
+  if (quest.questType === QuestType.PARTICIPATE_VOTE) {
+    if (!isGovernanceConfigured()) return null;
+    for (const proposalId of questProposalIds(quest)) {
+      const vote = findVote(proposalId, user);
+      if (vote && (await countsForQuest(quest, vote, now))) return voteEvidence(proposalId, vote);
+    }
+    return null;
+  }
+  if (quest.questType === QuestType.PROVIDE_LIQUIDITY) {
+    if (!isLpConfigured()) return null;
+    const holding = loadLpHoldings(config.QUEST_LP_TOKEN_ADDRESS).find((h) => h.holder === user.toLowerCase());
+    return holding ? lpEvidence(quest, holding, head) : null;
+  }
+  return null;
+}
+
+// ─── Indexing ────────────────────────────────────────────────────
+
+function isLpConfigured(): boolean {
+  return ethers.isAddress(config.QUEST_LP_TOKEN_ADDRESS);
+}
+
+/** Index QuestCreated / QuestRulesSet / QuestDeactivated logs up to `head`. */
+async function syncQuests(head: number): Promise<void> {
+  const address = config.QUEST_MANAGER_ADDRESS;
+  const questManager = getQuestManagerContract();
+  const range = Math.max(1, config.LOG_BLOCK_RANGE);
+
+  let cursor = loadQuestCursor(address) ?? config.QUEST_DEPLOY_BLOCK - 1;
+  while (cursor < head) {
+    const fromBlock = cursor + 1;
+    const toBlock = Math.min(fromBlock + range - 1, head);
+    const logs = await getProvider().getLogs({ address, fromBlock, toBlock });
+
+    for (const entry of logs) {
+      const event = questManager.interface.parseLog(entry);
+      if (event?.name === "QuestCreated") {
+        const quest: Quest = {
+          id: Number(event.args.questId),
+          description: String(event.args.description),
+          reward: BigInt(event.args.reward).toString(),
+          questType: QUEST_TYPES[Number(event.args.questType)],
+          threshold: BigInt(event.args.threshold).toString(),
+          active: true,
+          createdBlock: entry.blockNumber,
+          rewardToken: null,
+          startTime: null,
+          endTime: null,
+          epochDuration: 0,
+          maxCompletions: 0,
+          holdBlocks: 0,
+        };
+        if (saveQuest(address, quest)) {
+          log.info(`[Quest] Indexed quest #${quest.id} (${quest.questType}, threshold ${quest.threshold}): ${quest.description}`);
+        }
+      } else if (event?.name === "QuestRulesSet") {
+        const rewardToken = String(event.args.rewardToken);
+        setQuestRules(address, Number(event.args.questId), {
+          rewardToken: rewardToken === ethers.ZeroAddress ? null : rewardToken,
+          startTime: Number(event.args.startTime),
+          endTime: Number(event.args.endTime) === 0 ? null : Number(event.args.endTime),
+          epochDuration: Number(event.args.epochDuration),
+          maxCompletions: Number(event.args.maxCompletions),
+          holdBlocks: Number(event.args.holdBlocks),
+        });
+      } else if (event?.name === "QuestDeactivated") {
+        setQuestActive(address, Number(event.args.questId), false);
+      }
+    }
+    saveQuestCursor(address, toBlock);
+    cursor = toBlock;
+  }
+}
+
+/** Fold LP token Transfer logs up to `head` into holder balances. */
+async function syncLpBalances(head: number): Promise<void> {
+  const token = config.QUEST_LP_TOKEN_ADDRESS;
+  const lp = new ethers.Contract(token, LP_TOKEN_ABI, getProvider());
+  const range = Math.max(1, config.LOG_BLOCK_RANGE);
+
+  let cursor = loadQuestCursor(token) ?? config.QUEST_LP_DEPLOY_BLOCK - 1;
+  while (cursor < head) {
+    const fromBlock = cursor + 1;
+    const toBlock = Math.min(fromBlock + range - 1, head);
+    const logs = await lp.queryFilter(lp.filters.Transfer(), fromBlock, toBlock);
+
+    const transfers: LpTransfer[] = [];
+    for (const entry of logs) {
+      if (!("args" in entry)) continue;
+      transfers.push({
+        from: String(entry.args.from),
+        to: String(entry.args.to),
+        value: BigInt(entry.args.value).toString(),
+        txHash: entry.transactionHash,
+        blockNumber: entry.blockNumber,
+      });
+    }
+    if (!applyLpTransfers(token, transfers, toBlock)) {
+      throw new Error(`could not store LP transfers for blocks ${fromBlock}-${toBlock}`);
+    }
+    cursor = toBlock;
+  }
+}
+
+// ─── Evaluation ──────────────────────────────────────────────────
+
+/** Users newly eligible for the given quests in their current epoch at chain time `now`, with the evidence for each. */
+async function findEligible(quests: Quest[], head: number, now: number): Promise<QuestAttestation[]> {
+  const known = new Set(
+    loadQuestAttestations(config.QUEST_MANAGER_ADDRESS).map((a) => `${a.questId}:${a.epoch}:${a.user.toLowerCase()}`),
+  );
+  const eligible: QuestAttestation[] = [];
+  const add = (quest: Quest, user: string, evidence: QuestAttestation["evidence"]): void => {
+    const epoch = questEpoch(quest, now);
+    const key = `${quest.id}:${epoch}:${user.toLowerCase()}`;
+    if (known.has(key)) return;
+    known.add(key);
+    const createdAt = Date.now();
+    eligible.push({
+      questId: quest.id,
+      epoch,
+      user: user.toLowerCase(),
+      evidence,
+      status: AttestationStatus.PENDING,
+      attestTxHash: null,
+      attempts: 0,
+      createdAt,
+      updatedAt: createdAt,
+    });
+  };
+
+  for (const quest of quests) {
+    if (quest.questType === QuestType.PARTICIPATE_VOTE) {
+      if (!isGovernanceConfigured()) {
+        if (warnOnce(`quest:${quest.id}`)) log.warn(`[Quest] Skipping vote quest #${quest.id} — GOVERNANCE_ADDRESS is not set`);
+        continue;
+      }
+      for (const proposalId of questProposalIds(quest)) {
+        for (const vote of getProposalVoters(proposalId)) {
+          if (await countsForQuest(quest, vote, now)) add(quest, vote.voter, voteEvidence(proposalId, vote));
+        }
+      }
+    } else if (quest.questType === QuestType.PROVIDE_LIQUIDITY) {
+      if (!isLpConfigured()) {
+        if (warnOnce(`quest:${quest.id}`)) log.warn(`[Quest] Skipping LP quest #${quest.id} — QUEST_LP_TOKEN_ADDRESS is not set`);
+        continue;
+      }
+      for (const holding of loadLpHoldings(config.QUEST_LP_TOKEN_ADDRESS)) {
+        if (known.has(`${quest.id}:${questEpoch(quest, now)}:${holding.holder}`)) continue;
+        const evidence = await lpEvidence(quest, holding, head);
+        if (evidence) add(quest, holding.holder, evidence);
+      }
+    }
+  }
+  return eligible;
+}
+
+/** QuestManager.currentEpoch of `quest` at chain time `now`: always 0 for one-off quests. */
+function questEpoch(quest: Quest, now: number): number {
+  const start = quest.startTime ?? 0;
+  if (quest.epochDuration === 0 || now < start) return 0;
+  return Math.floor((now - start) / quest.epochDuration);
+}
+
+function epochLabel(a: QuestAttestation): string {
+  return a.epoch === 0 ? "" : ` (epoch ${a.epoch})`;
+}
+
+/** Proposals whose votes count for a vote quest: proposal `threshold`, or every indexed one when 0. */
+function questProposalIds(quest: Quest): number[] {
+  const proposalId = Number(quest.threshold);
+  if (proposalId !== 0) return getProposal(proposalId) ? [proposalId] : [];
+  return listProposals().map((p) => p.id);
+}
+
+/**
+ * Whether `vote` is evidence for `quest` in its epoch at chain time `now`.
+ * "Any proposal" quests reward votes cast after the quest, not past
+ * participation. On repeatable quests the vote must also be cast in the
+ * current epoch: each claim uses up the attestation, and one old vote
+ * must not earn a reward every epoch.
+ */
+async function countsForQuest(quest: Quest, vote: GovernanceVote, now: number): Promise<boolean> {
+  if (Number(quest.threshold) === 0 && vote.blockNumber < quest.createdBlock) return false;
+  if (quest.epochDuration === 0) return true;
+
+  const epochStart = (quest.startTime ?? 0) + questEpoch(quest, now) * quest.epochDuration;
+  const castAt = await blockTime(vote.blockNumber);
+  return castAt >= epochStart && castAt < epochStart + quest.epochDuration;
+}
+
+/** Timestamp (unix seconds) of a block, cached — a mined block's time never changes. */
+async function blockTime(blockNumber: number): Promise<number> {
+  let time = blockTimes.get(blockNumber);
+  if (time === undefined) {
+    const block = await getProvider().getBlock(blockNumber);
+    if (!block) throw new Error(`block ${blockNumber} not found`);
+    time = Number(block.timestamp);
+    blockTimes.set(blockNumber, time);
+  }
+  return time;
+}
+
+function voteEvidence(proposalId: number, vote: GovernanceVote): AttestationEvidence {
+  return {
+    kind: "VOTE",
+    txHash: vote.txHash,
+    blockNumber: vote.blockNumber,
+    detail: `voted ${vote.support ? "FOR" : "AGAINST"} proposal #${proposalId} with ${ethers.formatEther(vote.weight)} CLAW`,
+  };
+}
+
+/** Evidence for an LP holder meeting the quest threshold at `head`; null for too small a balance or a skipped contract. */
+async function lpEvidence(quest: Quest, holding: LpHolding, head: number): Promise<AttestationEvidence | null> {
+  const minimum = BigInt(quest.threshold) > 0n ? BigInt(quest.threshold) : 1n;
+  if (BigInt(holding.balance) < minimum) return null;
+  if (config.QUEST_LP_SKIP_CONTRACTS && (await isContract(holding.holder))) return null;
+
+  // The folded balance only nominates; the chain has the final word
+  const lp = new ethers.Contract(config.QUEST_LP_TOKEN_ADDRESS, LP_TOKEN_ABI, getProvider());
+  const balance = BigInt(await lp.balanceOf(holding.holder, { blockTag: head }));
+  if (balance < minimum) return null;
+  return {
+    kind: "LP_BALANCE",
+    txHash: holding.lastTxHash,
+    blockNumber: holding.lastBlock,
+    detail: `held ${ethers.formatEther(balance)} LP (threshold ${ethers.formatEther(quest.threshold)}) at block ${head}`,
+  };
+}
+
+// ─── Attesting ───────────────────────────────────────────────────
+
+/**
+ * Send pending attestations of the given quests' current epochs, stopping
+ * at the first batch that fails. Rows left from a past epoch stay PENDING:
+ * the user is judged afresh in the new one.
+ */
+async function attestPending(quests: Quest[], now: number): Promise<AttestationBatch[]> {
+  const currentEpoch = new Map(quests.map((q) => [q.id, questEpoch(q, now)]));
+  const pending = loadQuestAttestations(config.QUEST_MANAGER_ADDRESS, AttestationStatus.PENDING)
+    .filter((a) => currentEpoch.get(a.questId) === a.epoch);
+  if (pending.length === 0) return [];
+
+  const signer = await getSigner();
+  const questManager = getQuestManagerContract();
+  const agent = String(await questManager.agent());
+  if (agent.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`signer ${signer.address} is not the QuestManager agent ${agent}`);
+  }
+
+  const byQuest = new Map<number, QuestAttestation[]>();
+  for (const a of pending) byQuest.set(a.questId, [...(byQuest.get(a.questId) ?? []), a]);
+
+  const size = Math.max(1, config.QUEST_ATTEST_BATCH_SIZE);
+  const confirmed: AttestationBatch[] = [];
+  for (const [questId, attestations] of byQuest) {
+    for (let i = 0; i < attestations.length; i += size) {
+      const batch = attestations.slice(i, i + size);
+      const label = `attestQuestBatch quest #${questId} attestations #${batch[0].id}-#${batch[batch.length - 1].id}`;
+
+      // A transaction from an earlier attempt may have landed after its result was lost
+      const sent = loadTransactionsByLabel(label);
+      const landed = sent.find((tx) => tx.status === TxStatus.CONFIRMED);
+      if (landed) {
+        markAttested(batch, landed.hash);
+        confirmed.push({ questId, txHash: landed.hash, attestations: batch });
+        continue;
+      }
+      if (sent.some((tx) => tx.status === TxStatus.PENDING)) {
+        log.warn(`[Quest] ${label} still has a pending transaction — waiting for it to settle`);
+        continue;
+      }
+
+      for (const a of batch) a.attempts += 1;
+      try {
+        const outcome = await submitTransaction(signer, {
+          to: config.QUEST_MANAGER_ADDRESS,
+          data: questManager.interface.encodeFunctionData("attestQuestBatch", [questId, batch.map((a) => a.user)]),
+          label,
+          iface: questManager.interface,
+        });
+        const txHash = requireConfirmed(outcome).hash;
+        markAttested(batch, txHash);
+        confirmed.push({ questId, txHash, attestations: batch });
+        log.info(`[Quest] ${label} attested ${batch.length} user(s) | tx=${txHash}`);
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        for (const a of batch) {
+          a.error = msg;
+          a.updatedAt = Date.now();
+          updateQuestAttestation(a);
+        }
+        retryAt = Date.now() + RETRY_AFTER_MS;
+        log.error(`[Quest] ${label} failed — retrying in ${RETRY_AFTER_MS / 1_000}s: ${msg}`);
+        return confirmed;
+      }
+    }
+  }
+  return confirmed;
+}
+
+function markAttested(batch: QuestAttestation[], txHash: string): void {
+  for (const a of batch) {
+    a.status = AttestationStatus.CONFIRMED;
+    a.attestTxHash = txHash;
+    a.error = undefined;
+    a.updatedAt = Date.now();
+    updateQuestAttestation(a);
+  }
+}
+
+/**
+ * Whether an address has code. Contracts can claim quests — smart-contract
+ * wallets among them — so this only filters when QUEST_LP_SKIP_CONTRACTS
+ * asks to save the gas of attesting pools and farms.
+ */
+async function isContract(address: string): Promise<boolean> {
+  if (contractHolders.has(address)) return true;
+  if ((await getProvider().getCode(address)) === "0x") return false;
+  contractHolders.add(address);
+  return true;
+}
+
+/** True the first time `key` is seen. */
+function warnOnce(key: string): boolean {
+  if (warned.has(key)) return false;
+  warned.add(key);
+  return true;
+}
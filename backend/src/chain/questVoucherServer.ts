@@ -0,0 +1,77 @@
+import * as http from "http";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import { issueQuestVoucher, VoucherRejection } from "./questVouchers";
+
+/**
+ * HTTP endpoint issuing signed quest vouchers.
+ *
+ *   GET /quests/<questId>/voucher?user=<address>
+ *
+ *   200  { questManager, chainId, questId, epoch, user, nonce, deadline, signature, evidence }
+ *   400  malformed request, or a HoldTokens quest
+ *   403  quest closed to the user, or criteria not met
+ *   404  quest not indexed, or unknown route
+ *   503  the voucher could not be signed
+ *
+ * Errors are { error: "<message>" }. The response holds the arguments of
+ * QuestManager.verifyAndClaimQuestWithVoucher. A voucher only works for
+ * its `user`, so requests are not authenticated; CORS is open so the dApp
+ * can call the endpoint directly.
+ */
+
+const STATUS_BY_REJECTION: Record<VoucherRejection, number> = {
+  [VoucherRejection.INVALID_REQUEST]: 400,
+  [VoucherRejection.NOT_ELIGIBLE]: 403,
+  [VoucherRejection.UNKNOWN_QUEST]: 404,
+  [VoucherRejection.UNAVAILABLE]: 503,
+};
+
+const ROUTE = /^\/quests\/(\d+)\/voucher$/;
+
+/** Start the voucher endpoint on the given port (QUEST_VOUCHER_PORT by default). */
+export function startQuestVoucherServer(
+  port: number = config.QUEST_VOUCHER_PORT,
+  host: string = config.QUEST_VOUCHER_HOST,
+): http.Server {
+  const server = http.createServer((req, res) => {
+    res.setHeader("access-control-allow-origin", "*");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, { "access-control-allow-methods": "GET", "access-control-allow-headers": "content-type" }).end();
+      return;
+    }
+    if (req.method !== "GET") {
+      res.writeHead(405).end();
+      return;
+    }
+
+    const url = new URL(req.url ?? "/", "http://localhost");
+    const match = ROUTE.exec(url.pathname);
+    if (!match) {
+      reply(res, 404, { error: "not found" });
+      return;
+    }
+
+    const questId = Number(match[1]);
+    const user = url.searchParams.get("user") ?? "";
+    issueQuestVoucher(questId, user).then((result) => {
+      if (!result.success || !result.voucher) {
+        reply(res, STATUS_BY_REJECTION[result.rejection ?? VoucherRejection.UNAVAILABLE], { error: result.error });
+        return;
+      }
+      const { id: _id, createdAt: _createdAt, ...voucher } = result.voucher;
+      reply(res, 200, voucher);
+    });
+  });
+
+  server.listen(port, host, () => {
+    log.info(`[QuestVoucherServer] Issuing quest vouchers on http://${host}:${port}/quests/<id>/voucher?user=<address>`);
+  });
+
+  return server;
+}
+
+function reply(res: http.ServerResponse, status: number, payload: unknown): void {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
@@ -0,0 +1,174 @@
+import { ethers } from "ethers";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import { loadQuests, loadQuestVouchers, saveQuestVoucher } from "../db/database";
+import { getSigner } from "../wallet/signer";
+import { QuestType, QuestVoucher, TypedData } from "../types";
+import { getProvider, getQuestManagerContract } from "./contracts";
+import { findQuestEvidence, isQuestAttesterConfigured } from "./questAttester";
+
+/**
+ * Signed quest vouchers — the off-chain alternative to attestQuestBatch.
+ *
+ * Instead of a transaction per user, the agent signs an EIP-712
+ * QuestVoucher(questId, epoch, user, nonce, deadline) that the user
+ * submits with QuestManager.verifyAndClaimQuestWithVoucher. The epoch is
+ * the quest's current one (always 0 for one-off quests), so a voucher left
+ * unused cannot be redeemed in a later epoch of a repeatable quest. A request is checked
+ * before anything is signed:
+ *
+ *   quest     indexed by the attester, and not HoldTokens (the contract
+ *             checks those itself)
+ *   contract  read live: active, inside its window, under its cap, and
+ *             not yet completed by the user in the current epoch
+ *   criteria  findQuestEvidence — the vote / LP checks attestations use
+ *
+ * Nonces are random 256-bit values; the contract takes them in any order,
+ * each once. A user asking again in the same epoch gets their newest
+ * voucher back while it is unredeemed and has a minute left, so repeated
+ * requests do not pile up signatures. Every voucher is stored with its
+ * evidence in quest_vouchers. Signing broadcasts nothing, so DRY_RUN does
+ * not apply.
+ */
+
+const VOUCHER_TYPES = {
+  QuestVoucher: [
+    { name: "questId", type: "uint256" },
+    { name: "epoch", type: "uint256" },
+    { name: "user", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/** A stored voucher is handed out again only with at least this long left. */
+const MIN_REMAINING_SECONDS = 60;
+
+/** Why a voucher request was refused. */
+export const VoucherRejection = {
+  INVALID_REQUEST: "INVALID_REQUEST",   // malformed, or a HoldTokens quest
+  UNKNOWN_QUEST: "UNKNOWN_QUEST",       // not (yet) indexed
+  NOT_ELIGIBLE: "NOT_ELIGIBLE",         // quest closed, or criteria not met
+  UNAVAILABLE: "UNAVAILABLE",           // misconfigured, or the chain / signer failed
+} as const;
+
+export type VoucherRejection = (typeof VoucherRejection)[keyof typeof VoucherRejection];
+
+/** Outcome of a voucher request: the voucher, or why there is none. */
+export interface VoucherResult {
+  success: boolean;
+  voucher?: QuestVoucher;
+  rejection?: VoucherRejection;
+  error?: string;
+}
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/**
+ * Sign a voucher letting `user` claim quest `questId` once, after checking
+ * they may. Returns the voucher, or the reason it was refused. Never throws.
+ */
+export async function issueQuestVoucher(questId: number, user: string): Promise<VoucherResult> {
+  if (!isQuestAttesterConfigured()) return reject(VoucherRejection.UNAVAILABLE, "QUEST_MANAGER_ADDRESS is not set");
+  if (!Number.isInteger(questId) || questId <= 0) return reject(VoucherRejection.INVALID_REQUEST, "invalid quest id");
+  if (!ethers.isAddress(user)) return reject(VoucherRejection.INVALID_REQUEST, "invalid user address");
+  const account = ethers.getAddress(user);
+
+  try {
+    const quest = loadQuests(config.QUEST_MANAGER_ADDRESS).find((q) => q.id === questId);
+    if (!quest) return reject(VoucherRejection.UNKNOWN_QUEST, `quest #${questId} is not indexed`);
+    if (quest.questType === QuestType.HOLD_TOKENS) {
+      return reject(VoucherRejection.INVALID_REQUEST, `quest #${questId} is checked on-chain — claim it with verifyAndClaimQuest`);
+    }
+
+    // Raw calls: ethers' cached block number can lag behind a vote just indexed
+    const provider = getProvider();
+    const head = Number(await provider.send("eth_blockNumber", []));
+    const now = Number((await provider.send("eth_getBlockByNumber", [ethers.toQuantity(head), false])).timestamp);
+
+    const questManager = getQuestManagerContract();
+    const closed = await closedReason(questManager, questId, account, head, now);
+    if (closed) return reject(VoucherRejection.NOT_ELIGIBLE, closed);
+
+    const evidence = await findQuestEvidence(quest, account, head, now);
+    if (!evidence) {
+      const criteria = quest.questType === QuestType.PARTICIPATE_VOTE
+        ? (Number(quest.threshold) === 0 ? "no vote since the quest was created" : `no vote on proposal #${quest.threshold}`)
+        : `LP balance below ${ethers.formatEther(quest.threshold)}`;
+      return reject(VoucherRejection.NOT_ELIGIBLE, `${account} is not eligible for quest #${questId}: ${criteria}`);
+    }
+
+    const epoch = Number(await questManager.currentEpoch(questId, { blockTag: head }));
+    const [latest] = loadQuestVouchers(config.QUEST_MANAGER_ADDRESS, questId, account);
+    if (latest && latest.epoch === epoch && latest.deadline >= now + MIN_REMAINING_SECONDS
+      && !(await questManager.voucherNonceUsed(account, latest.nonce, { blockTag: head }))) {
+      return { success: true, voucher: { ...latest, questManager: ethers.getAddress(latest.questManager), user: account } };
+    }
+
+    const signer = await getSigner();
+    const agent = String(await questManager.agent());
+    if (agent.toLowerCase() !== signer.address.toLowerCase()) {
+      return reject(VoucherRejection.UNAVAILABLE, `signer ${signer.address} is not the QuestManager agent ${agent}`);
+    }
+
+    const voucher: QuestVoucher = {
+      questManager: ethers.getAddress(config.QUEST_MANAGER_ADDRESS),
+      chainId: Number((await provider.getNetwork()).chainId),
+      questId,
+      epoch,
+      user: account,
+      nonce: BigInt(ethers.hexlify(ethers.randomBytes(32))).toString(),
+      deadline: now + Math.max(MIN_REMAINING_SECONDS, config.QUEST_VOUCHER_TTL_SECONDS),
+      signature: "",
+      evidence,
+      createdAt: Date.now(),
+    };
+    voucher.signature = await signer.signTypedData(toTypedData(voucher));
+    if (!saveQuestVoucher(voucher)) return reject(VoucherRejection.UNAVAILABLE, "could not store the voucher");
+
+    log.info(
+      `[Quest] Voucher #${voucher.id} for ${account} on quest #${questId}: ${evidence.detail} | ` +
+      `evidence=${evidence.txHash} deadline=${new Date(voucher.deadline * 1_000).toISOString()}`,
+    );
+    return { success: true, voucher };
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[Quest] Voucher for ${account} on quest #${questId} failed: ${msg}`);
+    return reject(VoucherRejection.UNAVAILABLE, msg);
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+/** Why the contract would refuse `user`'s claim regardless of the voucher, or null. */
+async function closedReason(
+  questManager: ethers.Contract,
+  questId: number,
+  user: string,
+  head: number,
+  now: number,
+): Promise<string | null> {
+  const q = await questManager.getQuest(questId, { blockTag: head });
+  if (!q.active) return `quest #${questId} is not active`;
+  if (now < Number(q.startTime)) return `quest #${questId} has not started`;
+  if (Number(q.endTime) !== 0 && now > Number(q.endTime)) return `quest #${questId} has expired`;
+  if (Number(q.maxCompletions) !== 0 && Number(q.completions) >= Number(q.maxCompletions)) {
+    return `quest #${questId} has reached its completion cap`;
+  }
+  if (await questManager.hasCompleted(questId, user, { blockTag: head })) {
+    return `${user} already completed quest #${questId}${Number(q.epochDuration) !== 0 ? " this epoch" : ""}`;
+  }
+  return null;
+}
+
+function toTypedData(v: QuestVoucher): TypedData {
+  return {
+    domain: { name: "QuestManager", version: "1", chainId: v.chainId, verifyingContract: v.questManager },
+    types: VOUCHER_TYPES,
+    message: { questId: v.questId, epoch: v.epoch, user: v.user, nonce: v.nonce, deadline: v.deadline },
+  };
+}
+
+function reject(rejection: VoucherRejection, error: string): VoucherResult {
+  return { success: false, rejection, error };
+}
@@ -0,0 +1,238 @@
+import { ethers } from "ethers";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import { Token, TreasuryLimits, TreasuryTokenLimits } from "../types";
+import { getProvider, getTreasuryContract } from "./contracts";
+
+/**
+ * Off-chain mirror of the AgentTreasury state `executeTrade` checks:
+ * `paused()`, `allowedTokens`, `maxAllocationBps`, `totalTreasuryValue`
+ * and `tokenAllocation`, plus the native / token balances a trade draws
+ * from.
+ *
+ * Loaded in full on first sync (and every TREASURY_SYNC_INTERVAL_MS, to
+ * catch balance changes the treasury emits no event for). In between,
+ * each sync applies the treasury's own events since the last one —
+ * RiskUpdated, TokenAllowedStatusChanged, Paused / Unpaused,
+ * TreasuryValueUpdated, TradeExecuted, TradeRefunded, NativeReceived —
+ * so a governance change is picked up on the next tick. The cache is read synchronously
+ * by the risk engine; a failed sync keeps the last good copy.
+ */
+
+/** Upper bound on blocks scanned for treasury logs per sync (RPC range limits). */
+const MAX_LOG_RANGE = 1_000;
+
+const SIZE_SCALE = 1_000_000n;
+
+let limits: TreasuryLimits | null = null;
+let lastFullLoad = 0;
+const tracked = new Set<string>();
+/** Tokens whose state could not be read; retried on the next full load. */
+const unreadable = new Set<string>();
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/** The mirrored limits, or null when no treasury is configured or synced yet. */
+export function getTreasuryLimits(): TreasuryLimits | null {
+  return limits;
+}
+
+/** Whether TREASURY_ADDRESS points at a contract to mirror. */
+export function isTreasuryConfigured(): boolean {
+  return ethers.isAddress(config.TREASURY_ADDRESS);
+}
+
+/**
+ * Bring the cache up to date with the chain head, adding any of `tokens`
+ * not seen before. Safe to call every tick; never throws.
+ */
+export async function syncTreasuryLimits(tokens: Token[]): Promise<TreasuryLimits | null> {
+  if (!isTreasuryConfigured()) return null;
+
+  for (const t of tokens) {
+    if (ethers.isAddress(t.address)) tracked.add(t.address.toLowerCase());
+  }
+
+  try {
+    const treasury = getTreasuryContract();
+    const head = await getProvider().getBlockNumber();
+    const stale = Date.now() - lastFullLoad >= config.TREASURY_SYNC_INTERVAL_MS;
+
+    if (!limits || stale || head - limits.blockNumber > MAX_LOG_RANGE) {
+      unreadable.clear();
+      limits = await loadAll(treasury, head);
+      lastFullLoad = Date.now();
+      log.info(
+        `[Treasury] Limits loaded at block ${head}: maxAllocationBps=${limits.maxAllocationBps} ` +
+        `paused=${limits.paused} totalTreasuryValue=${limits.totalTreasuryValue} ` +
+        `allowed=${Object.values(limits.tokens).filter((t) => t.allowed).length}/${tracked.size}`,
+      );
+    } else if (head > limits.blockNumber) {
+      await applyEvents(treasury, limits, limits.blockNumber + 1, head);
+    }
+
+    const missing = [...tracked].filter((a) => !limits!.tokens[a] && !unreadable.has(a));
+    await readTokens(treasury, missing, limits.blockNumber, limits.tokens);
+    limits.updatedAt = Date.now();
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.warn(`[Treasury] Limit sync failed — ${limits ? `keeping limits from block ${limits.blockNumber}` : "no limits loaded"}: ${msg}`);
+  }
+  return limits;
+}
+
+/**
+ * On-chain amount for a fractional `suggestedSize` of `balance` — the
+ * same conversion the execution engine sends to `executeTrade`.
+ */
+export function sizeToAmount(balance: bigint, suggestedSize: number): bigint {
+  const sizePpm = BigInt(Math.floor(Math.min(Math.max(suggestedSize, 0), 1) * Number(SIZE_SCALE)));
+  return (balance * sizePpm) / SIZE_SCALE;
+}
+
+/**
+ * The revert `executeTrade(token, amount, isBuy)` would hit against the
+ * mirrored state, or null if it would go through. Checks run in the
+ * contract's order and reuse its require strings where it has one.
+ */
+export function predictTreasuryRevert(
+  state: TreasuryLimits,
+  tokenAddress: string,
+  isBuy: boolean,
+  suggestedSize: number,
+): string | null {
+  if (state.paused) return "Treasury: paused (EnforcedPause)";
+
+  const t = state.tokens[tokenAddress.toLowerCase()];
+  if (!t) return "Treasury: token not synced";
+  if (!t.allowed) return "Treasury: token not allowed";
+
+  const amount = sizeToAmount(isBuy ? state.nativeBalance : t.balance, suggestedSize);
+  if (amount === 0n) return "Treasury: zero amount";
+
+  let allocation: bigint;
+  if (isBuy) {
+    allocation = t.allocation + amount;
+  } else {
+    allocation = t.allocation >= amount ? t.allocation - amount : 0n;
+  }
+
+  if (state.totalTreasuryValue > 0n) {
+    const allocBps = (allocation * 10_000n) / state.totalTreasuryValue;
+    if (allocBps > BigInt(state.maxAllocationBps)) {
+      return `Treasury: allocation exceeds limit (${allocBps} bps > ${state.maxAllocationBps} bps)`;
+    }
+  }
+  return null;
+}
+
+// ─── Internals ───────────────────────────────────────────────────
+
+async function loadAll(treasury: ethers.Contract, blockTag: number): Promise<TreasuryLimits> {
+  const [maxAllocationBps, paused, totalTreasuryValue, nativeBalance] = await Promise.all([
+    treasury.maxAllocationBps({ blockTag }),
+    treasury.paused({ blockTag }),
+    treasury.totalTreasuryValue({ blockTag }),
+    treasury.nativeBalance({ blockTag }),
+  ]);
+
+  const tokens: Record<string, TreasuryTokenLimits> = {};
+  await readTokens(treasury, [...tracked], blockTag, tokens);
+
+  return {
+    maxAllocationBps: Number(maxAllocationBps),
+    paused: Boolean(paused),
+    totalTreasuryValue: BigInt(totalTreasuryValue),
+    nativeBalance: BigInt(nativeBalance),
+    tokens,
+    blockNumber: blockTag,
+    updatedAt: Date.now(),
+  };
+}
+
+/**
+ * Read per-token state into `into`. A token that cannot be read (e.g. not
+ * an ERC-20) is left out and logged once per full load, so trades on it
+ * are refused as unsynced.
+ */
+async function readTokens(
+  treasury: ethers.Contract,
+  addrs: string[],
+  blockTag: number,
+  into: Record<string, TreasuryTokenLimits>,
+): Promise<void> {
+  for (const addr of addrs) {
+    try {
+      const [allowed, allocation, balance] = await Promise.all([
+        treasury.allowedTokens(addr, { blockTag }),
+        treasury.tokenAllocation(addr, { blockTag }),
+        treasury.tokenBalance(addr, { blockTag }),
+      ]);
+      into[addr] = { allowed: Boolean(allowed), allocation: BigInt(allocation), balance: BigInt(balance) };
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      unreadable.add(addr);
+      log.warn(`[Treasury] ${addr}: token state read failed — ${msg.split("(")[0].trim()}`);
+    }
+  }
+}
+
+/** Apply the treasury's events in [fromBlock, toBlock] to the cache. */
+async function applyEvents(
+  treasury: ethers.Contract,
+  state: TreasuryLimits,
+  fromBlock: number,
+  toBlock: number,
+): Promise<void> {
+  const logs = await getProvider().getLogs({
+    address: config.TREASURY_ADDRESS,
+    fromBlock,
+    toBlock,
+  });
+
+  const touched = new Set<string>();
+  let nativeChanged = false;
+
+  for (const entry of logs) {
+    const parsed = treasury.interface.parseLog(entry);
+    if (!parsed) continue;
+
+    switch (parsed.name) {
+      case "RiskUpdated": {
+        const bps = Number(parsed.args.newMaxAllocationBps);
+        log.warn(`[Treasury] maxAllocationBps ${state.maxAllocationBps} → ${bps} (block ${entry.blockNumber})`);
+        state.maxAllocationBps = bps;
+        break;
+      }
+      case "TokenAllowedStatusChanged": {
+        const addr = String(parsed.args.token).toLowerCase();
+        const allowed = Boolean(parsed.args.allowed);
+        log.warn(`[Treasury] ${parsed.args.token} ${allowed ? "allowed" : "disallowed"} (block ${entry.blockNumber})`);
+        if (state.tokens[addr]) state.tokens[addr].allowed = allowed;
+        break;
+      }
+      case "Paused":
+      case "Unpaused":
+        state.paused = parsed.name === "Paused";
+        log.warn(`[Treasury] ${parsed.name} (block ${entry.blockNumber})`);
+        break;
+      case "TreasuryValueUpdated":
+        state.totalTreasuryValue = BigInt(parsed.args.newValue);
+        break;
+      case "TradeExecuted":
+      case "TradeRefunded":
+        touched.add(String(parsed.args.token).toLowerCase());
+        nativeChanged = true;
+        break;
+      case "NativeReceived":
+      case "NativeWithdrawnForTrade":
+        nativeChanged = true;
+        break;
+    }
+  }
+
+  // Trades move allocations and balances — re-read what they touched
+  if (nativeChanged) state.nativeBalance = BigInt(await treasury.nativeBalance({ blockTag: toBlock }));
+  await readTokens(treasury, [...touched].filter((a) => tracked.has(a)), toBlock, state.tokens);
+  state.blockNumber = toBlock;
+}
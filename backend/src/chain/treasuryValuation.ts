@@ -0,0 +1,274 @@
+import { ethers } from "ethers";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import { loadLatestValuationTime, saveTreasuryValuation } from "../db/database";
+import { getSigner } from "../wallet/signer";
+import {
+  ProfitDistributorEvent, TokenMarketData, TreasuryTokenValue, TreasuryValuation,
+} from "../types";
+import { getProfitDistributorContract, getProvider, getTreasuryContract } from "./contracts";
+import { isTreasuryConfigured } from "./treasuryLimits";
+import { requireConfirmed, submitTransaction } from "./txManager";
+
+/**
+ * Scheduled treasury valuation.
+ *
+ * AgentTreasury and ProfitDistributor cannot price the treasury
+ * themselves; both take the value the agent reports. Every
+ * TREASURY_VALUATION_INTERVAL_MS this job values the treasury in native
+ * wei — its native balance plus, for each token the treasury allows, the
+ * token balance at the indexer price (converted with NATIVE_PRICE_USD) —
+ * and pushes it to
+ *
+ *   AgentTreasury.updateTreasuryValue(value)     skipped when unchanged
+ *   ProfitDistributor.syncTreasuryValue(value)   with PROFIT_DISTRIBUTOR_ADDRESS set
+ *
+ * The distributor's TreasuryValueSynced / ProfitDistributed events are
+ * decoded from the receipt and stored with the valuation. Allowed tokens
+ * are enumerated from the treasury's TokenAllowedStatusChanged logs since
+ * TREASURY_DEPLOY_BLOCK, not from the indexer, so a held token the
+ * indexer does not track cannot drop out of the value. A held token
+ * without a usable price aborts the run: understating the treasury books
+ * a phantom loss, and the recovery a phantom profit the distributor pays
+ * out. With DRY_RUN the valuation is recorded but nothing is sent.
+ */
+
+/** Delay before retrying a valuation that failed, if shorter than the interval. */
+const RETRY_AFTER_MS = 5 * 60_000;
+
+/** Tokens ever allowed by the treasury, folded from its logs through `block`. */
+interface AllowedTokenIndex {
+  treasury: string;
+  block: number;
+  tokens: Set<string>;          // lower-case; re-checked with allowedTokens at valuation time
+}
+
+/** Kept between runs, so each valuation only reads the logs since the last one. */
+let allowedIndex: AllowedTokenIndex | null = null;
+
+/** Earliest time (epoch ms) the next valuation may run; null until read from the DB. */
+let nextRunAt: number | null = null;
+let running = false;
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/**
+ * Value the treasury and push it on-chain if a valuation is due. Safe to
+ * call every tick; returns the valuation when one ran, otherwise null.
+ * Never throws.
+ */
+export async function syncTreasuryValue(
+  marketData: TokenMarketData[],
+  now: number = Date.now(),
+): Promise<TreasuryValuation | null> {
+  if (!isTreasuryConfigured() || running) return null;
+  if (nextRunAt === null) {
+    const last = loadLatestValuationTime();
+    nextRunAt = last === null ? 0 : last + config.TREASURY_VALUATION_INTERVAL_MS;
+  }
+  if (now < nextRunAt) return null;
+
+  running = true;
+  try {
+    const valuation = await valueTreasury(marketData);
+    let pushError: string | null = null;
+    if (!config.DRY_RUN) {
+      try {
+        await pushValuation(valuation);
+      } catch (err) {
+        pushError = err instanceof Error ? err.message : String(err);
+      }
+    }
+    saveTreasuryValuation(valuation);
+    logValuation(valuation);
+
+    if (pushError) {
+      log.error(`[Valuation] Push failed — retrying in ${retryDelayMs() / 60_000}m: ${pushError}`);
+      nextRunAt = now + retryDelayMs();
+    } else {
+      nextRunAt = now + config.TREASURY_VALUATION_INTERVAL_MS;
+    }
+    return valuation;
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.warn(`[Valuation] Skipped — retrying in ${retryDelayMs() / 60_000}m: ${msg}`);
+    nextRunAt = now + retryDelayMs();
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+// ─── Internals ───────────────────────────────────────────────────
+
+/** Native balance plus every allowed token at its indexer price. */
+async function valueTreasury(marketData: TokenMarketData[]): Promise<TreasuryValuation> {
+  if (!(config.NATIVE_PRICE_USD > 0)) {
+    throw new Error(`NATIVE_PRICE_USD must be > 0 (got ${config.NATIVE_PRICE_USD})`);
+  }
+
+  const treasury = getTreasuryContract();
+  const blockTag = await getProvider().getBlockNumber();
+  const nativeBalance = BigInt(await treasury.nativeBalance({ blockTag }));
+
+  const prices = new Map<string, TokenMarketData>();
+  for (const md of marketData) {
+    if (ethers.isAddress(md.token.address)) prices.set(md.token.address.toLowerCase(), md);
+  }
+  // Indexed tokens too, in case TREASURY_DEPLOY_BLOCK is set after some were allowed
+  const candidates = new Set([...(await allowedTokensThrough(treasury, blockTag)), ...prices.keys()]);
+
+  let value = nativeBalance;
+  const tokens: TreasuryTokenValue[] = [];
+
+  for (const token of candidates) {
+    const [allowed, rawBalance] = await Promise.all([
+      treasury.allowedTokens(token, { blockTag }),
+      treasury.tokenBalance(token, { blockTag }),
+    ]);
+    const balance = BigInt(rawBalance);
+    if (!allowed || balance === 0n) continue;
+
+    const md = prices.get(token);
+    if (!md) {
+      throw new Error(`allowed token ${ethers.getAddress(token)} holds ${balance} but is not tracked by the indexer`);
+    }
+    const { address, symbol, decimals } = md.token;
+    if (!(md.priceUsd > 0)) {
+      throw new Error(`${symbol} balance ${balance} has no usable indexer price (${md.priceUsd})`);
+    }
+
+    // Native wei per whole token, then scaled by the token's decimals
+    const priceWei = toWad(md.priceUsd / config.NATIVE_PRICE_USD);
+    const tokenValue = (balance * priceWei) / 10n ** BigInt(decimals);
+    value += tokenValue;
+    tokens.push({
+      address,
+      symbol,
+      balance: balance.toString(),
+      priceUsd: md.priceUsd,
+      value: tokenValue.toString(),
+    });
+  }
+
+  return {
+    value: value.toString(),
+    nativeBalance: nativeBalance.toString(),
+    tokens,
+    treasuryTxHash: null,
+    distributorTxHash: null,
+    events: [],
+    timestamp: Date.now(),
+  };
+}
+
+/** Every token the treasury has allowed up to `block`, extending the cached index from its last block. */
+async function allowedTokensThrough(treasury: ethers.Contract, block: number): Promise<Set<string>> {
+  const address = config.TREASURY_ADDRESS.toLowerCase();
+  if (!allowedIndex || allowedIndex.treasury !== address || allowedIndex.block > block) {
+    allowedIndex = { treasury: address, block: config.TREASURY_DEPLOY_BLOCK - 1, tokens: new Set() };
+  }
+
+  const range = Math.max(1, config.LOG_BLOCK_RANGE);
+  while (allowedIndex.block < block) {
+    const fromBlock = allowedIndex.block + 1;
+    const toBlock = Math.min(fromBlock + range - 1, block);
+    const logs = await treasury.queryFilter(treasury.filters.TokenAllowedStatusChanged(), fromBlock, toBlock);
+    for (const entry of logs) {
+      if ("args" in entry && entry.args.allowed) allowedIndex.tokens.add(String(entry.args.token).toLowerCase());
+    }
+    allowedIndex.block = toBlock;
+  }
+  return allowedIndex.tokens;
+}
+
+/**
+ * `x` as an 18-decimal fixed-point integer. Not via toFixed, which
+ * switches to exponent notation from 1e21 and breaks parseEther.
+ */
+function toWad(x: number): bigint {
+  const scaled = Math.round(x * 1e18);
+  if (!Number.isFinite(scaled)) throw new Error(`price ratio ${x} is out of range`);
+  return BigInt(scaled);
+}
+
+/** Send the value to both contracts, recording tx hashes and distributor events on `valuation`. */
+async function pushValuation(valuation: TreasuryValuation): Promise<void> {
+  const signer = await getSigner();
+  const value = BigInt(valuation.value);
+
+  const treasury = getTreasuryContract();
+  if (BigInt(await treasury.totalTreasuryValue()) !== value) {
+    const receipt = requireConfirmed(await submitTransaction(signer, {
+      to: config.TREASURY_ADDRESS,
+      data: treasury.interface.encodeFunctionData("updateTreasuryValue", [value]),
+      label: "updateTreasuryValue",
+      iface: treasury.interface,
+    }));
+    valuation.treasuryTxHash = receipt.hash;
+  }
+
+  if (!ethers.isAddress(config.PROFIT_DISTRIBUTOR_ADDRESS)) return;
+
+  const distributor = getProfitDistributorContract();
+  if (BigInt(await distributor.lastSnapshotValue()) === value) return;
+
+  const receipt = requireConfirmed(await submitTransaction(signer, {
+    to: config.PROFIT_DISTRIBUTOR_ADDRESS,
+    data: distributor.interface.encodeFunctionData("syncTreasuryValue", [value]),
+    label: "syncTreasuryValue",
+    iface: distributor.interface,
+  }));
+  valuation.distributorTxHash = receipt.hash;
+  valuation.events = decodeDistributorEvents(distributor.interface, receipt);
+}
+
+function decodeDistributorEvents(
+  iface: ethers.Interface,
+  receipt: ethers.TransactionReceipt,
+): ProfitDistributorEvent[] {
+  const events: ProfitDistributorEvent[] = [];
+  for (const entry of receipt.logs) {
+    if (entry.address.toLowerCase() !== config.PROFIT_DISTRIBUTOR_ADDRESS.toLowerCase()) continue;
+
+    const parsed = iface.parseLog(entry);
+    const base = { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    if (parsed?.name === "TreasuryValueSynced") {
+      events.push({
+        ...base,
+        event: "TreasuryValueSynced",
+        previousValue: parsed.args.previousValue.toString(),
+        currentValue: parsed.args.currentValue.toString(),
+        profit: parsed.args.profit.toString(),
+        timestamp: Number(parsed.args.timestamp),
+      });
+    } else if (parsed?.name === "ProfitDistributed") {
+      events.push({
+        ...base,
+        event: "ProfitDistributed",
+        amount: parsed.args.totalAmount.toString(),
+        timestamp: Number(parsed.args.timestamp),
+      });
+    }
+  }
+  return events;
+}
+
+function logValuation(v: TreasuryValuation): void {
+  const mon = (wei: string): string => `${Number(ethers.formatEther(wei)).toFixed(4)} MON`;
+  const synced = v.events.find((e) => e.event === "TreasuryValueSynced");
+  const distributed = v.events.find((e) => e.event === "ProfitDistributed");
+
+  log.info(
+    `[Valuation] Treasury ${mon(v.value)} = native ${mon(v.nativeBalance)}` +
+    v.tokens.map((t) => ` + ${t.symbol} ${mon(t.value)}`).join("") +
+    (config.DRY_RUN ? " [DRY_RUN]" : "") +
+    (v.treasuryTxHash ? ` | treasury tx=${v.treasuryTxHash}` : "") +
+    (synced ? ` | distributor profit ${mon(synced.profit!)}` : "") +
+    (distributed ? `, ${mon(distributed.amount!)} made distributable` : ""),
+  );
+}
+
+function retryDelayMs(): number {
+  return Math.min(config.TREASURY_VALUATION_INTERVAL_MS, RETRY_AFTER_MS);
+}
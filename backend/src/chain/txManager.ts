@@ -0,0 +1,397 @@
+import { ethers } from "ethers";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import { loadPendingTransactions, saveTransaction, updateTransaction } from "../db/database";
+import { ISigner, TxRecord, TxStatus, UnsignedTransaction } from "../types";
+import { getProvider } from "./contracts";
+
+/**
+ * Transaction lifecycle manager for the live execution path.
+ *
+ * Every signed send goes through `submitTransaction`:
+ *   1. Gas is estimated first, so a call that would revert is refused
+ *      before a nonce is spent, with the contract's require string.
+ *   2. The nonce is assigned locally per sender — the higher of the last
+ *      one handed out and the chain's pending count — with sends queued
+ *      one at a time, so back-to-back transactions never collide.
+ *   3. The broadcast is recorded in the SQLite `transactions` table and
+ *      polled until it has TX_CONFIRMATIONS confirmations.
+ *   4. With no receipt after TX_STUCK_TIMEOUT_MS it is replaced at the
+ *      same nonce with fees raised TX_GAS_BUMP_PERCENT, at most
+ *      TX_MAX_REPLACEMENTS times; a receipt for any of the broadcasts counts.
+ *   5. The final status is CONFIRMED, REVERTED (reason decoded by replaying
+ *      the call at the block it failed in) or DROPPED (nonce taken by a
+ *      transaction that is not ours, or still unmined after every bump).
+ *
+ * RPC calls that fail transiently — timeouts, rate limits, 5xx, dropped
+ * connections — are retried TX_RPC_RETRIES times with exponential backoff.
+ */
+
+const RETRY_BASE_MS = 500;
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71";        // Panic(uint256)
+
+/** Next nonce to hand out, by lower-case sender address. */
+const nextNonce = new Map<string, number>();
+
+/** Tail of the send queue; nonce assignment and broadcast run one at a time. */
+let sendQueue: Promise<unknown> = Promise.resolve();
+
+/** A call to sign and send. */
+export interface TxRequest {
+  to: string;
+  data: string;
+  value?: bigint;
+  /** Short description for logs and the transactions table. */
+  label: string;
+  /** Interface whose custom errors revert data is decoded against. */
+  iface?: ethers.Interface;
+}
+
+/** Final state of a managed transaction; `receipt` is null when it was dropped. */
+export interface TxOutcome {
+  record: TxRecord;
+  receipt: ethers.TransactionReceipt | null;
+}
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/**
+ * Sign, broadcast and follow a transaction until it is confirmed,
+ * reverted or dropped. Throws only when nothing was broadcast (the call
+ * would revert, or the RPC kept failing); every later outcome is
+ * reported in the returned record.
+ */
+export async function submitTransaction(signer: ISigner, req: TxRequest): Promise<TxOutcome> {
+  const send = sendQueue.then(() => broadcastNew(signer, req));
+  sendQueue = send.catch(() => undefined);
+  const record = await send;
+  return waitForFinal(signer, record, req.iface);
+}
+
+/** The receipt of a confirmed outcome; throws with the status and reason otherwise. */
+export function requireConfirmed(outcome: TxOutcome): ethers.TransactionReceipt {
+  const { record, receipt } = outcome;
+  if (record.status !== TxStatus.CONFIRMED || !receipt) {
+    throw new Error(`${record.label} ${record.hash} ${record.status.toLowerCase()}: ${record.reason ?? "no reason"}`);
+  }
+  return receipt;
+}
+
+/**
+ * Settle transactions left PENDING by a previous run: record the ones
+ * that were mined or dropped meanwhile, and keep the nonces of the rest
+ * reserved. Called once at startup in live mode; never throws.
+ */
+export async function reconcilePendingTransactions(): Promise<void> {
+  for (const record of loadPendingTransactions()) {
+    try {
+      const receipt = await findReceipt(record);
+      if (receipt) {
+        await settle(record, receipt);
+      } else if (await minedNonceCount(record.from) > record.nonce) {
+        drop(record, "nonce used by another transaction");
+      } else {
+        const key = record.from.toLowerCase();
+        nextNonce.set(key, Math.max(nextNonce.get(key) ?? 0, record.nonce + 1));
+        log.warn(`[Tx] ${record.label} | nonce ${record.nonce} still pending from a previous run (${record.hash})`);
+      }
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.warn(`[Tx] Could not reconcile ${record.hash}: ${msg}`);
+    }
+  }
+}
+
+/**
+ * Human-readable reason from revert data: the require string, a panic
+ * code, or a custom error decoded against `iface`.
+ */
+export function decodeRevertData(data: string | null | undefined, iface?: ethers.Interface): string {
+  if (!data || data === "0x") return "reverted without a reason";
+  try {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    if (data.startsWith(ERROR_STRING_SELECTOR)) {
+      return String(coder.decode(["string"], ethers.dataSlice(data, 4))[0]);
+    }
+    if (data.startsWith(PANIC_SELECTOR)) {
+      return `panic 0x${BigInt(coder.decode(["uint256"], ethers.dataSlice(data, 4))[0]).toString(16)}`;
+    }
+    const parsed = iface?.parseError(data);
+    if (parsed) return `${parsed.name}(${parsed.args.map(String).join(", ")})`;
+  } catch {
+    // fall through to the raw selector
+  }
+  return `custom error ${data.slice(0, 10)}`;
+}
+
+// ─── Broadcast ───────────────────────────────────────────────────
+
+async function broadcastNew(signer: ISigner, req: TxRequest): Promise<TxRecord> {
+  const rpc = getProvider();
+  const value = req.value ?? 0n;
+
+  const [network, fees, gasLimit] = await Promise.all([
+    withRetry("getNetwork", () => rpc.getNetwork()),
+    currentFees(),
+    estimateGas(signer.address, req, value),
+  ]);
+
+  const tx: UnsignedTransaction = {
+    to: req.to,
+    data: req.data,
+    value: value.toString(),
+    chainId: Number(network.chainId),
+    nonce: await reserveNonce(signer.address),
+    gasLimit: ((gasLimit * 120n) / 100n).toString(), // 20 % headroom
+    ...fees,
+  };
+
+  let hash: string;
+  try {
+    hash = await signAndBroadcast(signer, tx);
+  } catch (err) {
+    if (!isNonceError(err)) throw err;
+    // Something else used the nonce — resync from the chain and try once more
+    nextNonce.delete(signer.address.toLowerCase());
+    tx.nonce = await reserveNonce(signer.address);
+    hash = await signAndBroadcast(signer, tx);
+  }
+  nextNonce.set(signer.address.toLowerCase(), tx.nonce! + 1);
+
+  const now = Date.now();
+  const record: TxRecord = {
+    label: req.label,
+    from: signer.address,
+    to: req.to,
+    data: req.data,
+    value: tx.value,
+    nonce: tx.nonce!,
+    gasLimit: tx.gasLimit!,
+    maxFeePerGas: tx.maxFeePerGas,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    gasPrice: tx.gasPrice,
+    hash,
+    hashes: [hash],
+    status: TxStatus.PENDING,
+    createdAt: now,
+    updatedAt: now,
+  };
+  record.id = saveTransaction(record);
+  log.debug(`[Tx] ${req.label} | nonce ${tx.nonce} | sent ${hash}`);
+  return record;
+}
+
+/** Gas estimate for the call; a revert is thrown with its decoded reason. */
+async function estimateGas(from: string, req: TxRequest, value: bigint): Promise<bigint> {
+  try {
+    return await withRetry("estimateGas", () =>
+      getProvider().estimateGas({ from, to: req.to, data: req.data, value }));
+  } catch (err) {
+    if (!ethers.isError(err, "CALL_EXCEPTION")) throw err;
+    throw new Error(`${req.label} would revert: ${decodeRevertData(err.data, req.iface)}`);
+  }
+}
+
+/** The next nonce for `address`, never below the chain's pending count. */
+async function reserveNonce(address: string): Promise<number> {
+  // Raw call: ethers caches identical provider calls for ~250 ms
+  const pending = Number(await withRetry("getTransactionCount", () =>
+    getProvider().send("eth_getTransactionCount", [address, "pending"])));
+  return Math.max(pending, nextNonce.get(address.toLowerCase()) ?? 0);
+}
+
+async function signAndBroadcast(signer: ISigner, tx: UnsignedTransaction): Promise<string> {
+  const raw = await signer.signTransaction(tx);
+  const hash = ethers.keccak256(raw);
+  try {
+    await withRetry("broadcastTransaction", () => getProvider().broadcastTransaction(raw));
+  } catch (err) {
+    // A retried broadcast the node already accepted is not a failure
+    if (!/already known|known transaction/i.test(errorMessage(err))) throw err;
+  }
+  return hash;
+}
+
+/** Network fees as transaction fields, EIP-1559 where the chain supports it. */
+async function currentFees(): Promise<Pick<UnsignedTransaction, "maxFeePerGas" | "maxPriorityFeePerGas" | "gasPrice">> {
+  const feeData = await withRetry("getFeeData", () => getProvider().getFeeData());
+  if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+    return {
+      maxFeePerGas: feeData.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString(),
+    };
+  }
+  return feeData.gasPrice !== null ? { gasPrice: feeData.gasPrice.toString() } : {};
+}
+
+// ─── Lifecycle ───────────────────────────────────────────────────
+
+async function waitForFinal(signer: ISigner, record: TxRecord, iface?: ethers.Interface): Promise<TxOutcome> {
+  let lastBroadcast = Date.now();
+
+  for (;;) {
+    const receipt = await findReceipt(record);
+    if (receipt) {
+      // Raw call: the provider's cached block number can trail a fresh receipt
+      const head = Number(await withRetry("getBlockNumber", () => getProvider().send("eth_blockNumber", [])));
+      if (head - receipt.blockNumber + 1 >= config.TX_CONFIRMATIONS) {
+        return { record: await settle(record, receipt, iface), receipt };
+      }
+    } else if (await minedNonceCount(record.from) > record.nonce && !(await findReceipt(record))) {
+      return { record: drop(record, "nonce used by another transaction"), receipt: null };
+    } else if (Date.now() - lastBroadcast >= config.TX_STUCK_TIMEOUT_MS) {
+      const replacements = record.hashes.length - 1;
+      if (replacements >= config.TX_MAX_REPLACEMENTS) {
+        return { record: drop(record, `not mined after ${replacements} fee bumps`), receipt: null };
+      }
+      await replace(signer, record);
+      lastBroadcast = Date.now();
+    }
+    await sleep(config.TX_POLL_INTERVAL_MS);
+  }
+}
+
+/** Receipt for whichever broadcast at this nonce was mined, if any. */
+async function findReceipt(record: TxRecord): Promise<ethers.TransactionReceipt | null> {
+  for (const hash of [...record.hashes].reverse()) {
+    const receipt = await withRetry("getTransactionReceipt", () => getProvider().getTransactionReceipt(hash));
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+async function minedNonceCount(address: string): Promise<number> {
+  return Number(await withRetry("getTransactionCount", () =>
+    getProvider().send("eth_getTransactionCount", [address, "latest"])));
+}
+
+/** Re-broadcast at the same nonce with fees raised TX_GAS_BUMP_PERCENT (or to the network's, if higher). */
+async function replace(signer: ISigner, record: TxRecord): Promise<void> {
+  const bump = (old: string | undefined, network: string | undefined): string | undefined => {
+    if (old === undefined) return network;
+    const bumped = (BigInt(old) * BigInt(100 + config.TX_GAS_BUMP_PERCENT)) / 100n;
+    return (network !== undefined && BigInt(network) > bumped ? BigInt(network) : bumped).toString();
+  };
+
+  const [network, fees] = await Promise.all([
+    withRetry("getNetwork", () => getProvider().getNetwork()),
+    currentFees(),
+  ]);
+  const tx: UnsignedTransaction = {
+    to: record.to,
+    data: record.data,
+    value: record.value,
+    chainId: Number(network.chainId),
+    nonce: record.nonce,
+    gasLimit: record.gasLimit,
+  };
+  if (record.gasPrice !== undefined) {
+    tx.gasPrice = bump(record.gasPrice, fees.gasPrice);
+  } else {
+    tx.maxFeePerGas = bump(record.maxFeePerGas, fees.maxFeePerGas);
+    tx.maxPriorityFeePerGas = bump(record.maxPriorityFeePerGas, fees.maxPriorityFeePerGas);
+  }
+
+  try {
+    const hash = await signAndBroadcast(signer, tx);
+    record.hashes.push(hash);
+    record.hash = hash;
+    record.maxFeePerGas = tx.maxFeePerGas;
+    record.maxPriorityFeePerGas = tx.maxPriorityFeePerGas;
+    record.gasPrice = tx.gasPrice;
+    record.updatedAt = Date.now();
+    updateTransaction(record);
+    log.warn(
+      `[Tx] ${record.label} | nonce ${record.nonce} stuck for ${config.TX_STUCK_TIMEOUT_MS / 1_000}s — ` +
+      `replaced with fees +${config.TX_GAS_BUMP_PERCENT}%: ${hash}`,
+    );
+  } catch (err) {
+    // "nonce too low" means a broadcast was just mined; the next poll finds its receipt
+    log.warn(`[Tx] ${record.label} | replacement of ${record.hash} not accepted: ${errorMessage(err).split(" (")[0]}`);
+  }
+}
+
+async function settle(record: TxRecord, receipt: ethers.TransactionReceipt, iface?: ethers.Interface): Promise<TxRecord> {
+  record.hash = receipt.hash;
+  record.blockNumber = receipt.blockNumber;
+  record.gasUsed = receipt.gasUsed.toString();
+  record.updatedAt = Date.now();
+
+  if (receipt.status === 1) {
+    record.status = TxStatus.CONFIRMED;
+    log.debug(`[Tx] ${record.label} | confirmed in block ${receipt.blockNumber} (${receipt.hash})`);
+  } else {
+    record.status = TxStatus.REVERTED;
+    record.reason = await replayRevert(record, receipt.blockNumber, iface);
+    log.error(`[Tx] ${record.label} | reverted in block ${receipt.blockNumber}: ${record.reason} (${receipt.hash})`);
+  }
+  updateTransaction(record);
+  return record;
+}
+
+function drop(record: TxRecord, reason: string): TxRecord {
+  record.status = TxStatus.DROPPED;
+  record.reason = reason;
+  record.updatedAt = Date.now();
+  updateTransaction(record);
+  // The nonce may now be a gap — take the next one from the chain again
+  nextNonce.delete(record.from.toLowerCase());
+  log.error(`[Tx] ${record.label} | nonce ${record.nonce} dropped: ${reason} (${record.hashes.join(", ")})`);
+  return record;
+}
+
+/** Re-run a reverted call against the state of its block to recover the reason. */
+async function replayRevert(record: TxRecord, blockTag: number, iface?: ethers.Interface): Promise<string> {
+  try {
+    await getProvider().call({
+      from: record.from,
+      to: record.to,
+      data: record.data,
+      value: BigInt(record.value),
+      blockTag,
+    });
+    return "reverted (replay succeeded — reason unavailable)";
+  } catch (err) {
+    return ethers.isError(err, "CALL_EXCEPTION")
+      ? decodeRevertData(err.data, iface)
+      : `reverted (replay failed: ${errorMessage(err)})`;
+  }
+}
+
+// ─── RPC retries ─────────────────────────────────────────────────
+
+/** Run an RPC call, retrying transient failures with exponential backoff. */
+async function withRetry<T>(what: string, fn: () => Promise<T>): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= config.TX_RPC_RETRIES || !isTransient(err)) throw err;
+      const delay = RETRY_BASE_MS * 2 ** attempt;
+      log.warn(`[Tx] ${what} failed (${errorMessage(err).split(" (")[0]}) — retry ${attempt + 1}/${config.TX_RPC_RETRIES} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+function isTransient(err: unknown): boolean {
+  if (ethers.isError(err, "NETWORK_ERROR") || ethers.isError(err, "TIMEOUT") || ethers.isError(err, "SERVER_ERROR")) {
+    return true;
+  }
+  return /timeout|timed out|rate limit|too many requests|\b(429|502|503|504)\b|econnreset|econnrefused|socket hang up/i
+    .test(errorMessage(err));
+}
+
+function isNonceError(err: unknown): boolean {
+  return ethers.isError(err, "NONCE_EXPIRED") || /nonce too low|nonce has already been used/i.test(errorMessage(err));
+}
+
+function errorMessage(err: unknown): string {
+  return err instanceof Error ? err.message : String(err);
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -26,12 +26,177 @@ export const config = {
   /** Default position size as a fraction of portfolio. */
   POSITION_SIZE: parseFloat(envOrDefault("POSITION_SIZE", "0.1")),
 
+  /** Strategies the agent runs, comma-separated: momentum, meanReversion, breakout, liquidityDrain. */
+  STRATEGIES: envOrDefault("STRATEGIES", "momentum"),
+
+  /** How DecisionEngine merges strategy signals: weightedVote | unanimous | priority | confidenceWeighted. */
+  AGGREGATION_POLICY: envOrDefault("AGGREGATION_POLICY", "weightedVote"),
+
+  /** Per-strategy weights as "Name:weight,Name:weight" (unlisted strategies weigh 1). */
+  STRATEGY_WEIGHTS: envOrDefault("STRATEGY_WEIGHTS", ""),
+
+  /** confidenceWeighted policy: minimum |net signal| (0–1) required to trade. */
+  AGGREGATION_MIN_CONFIDENCE: parseFloat(envOrDefault("AGGREGATION_MIN_CONFIDENCE", "0.25")),
+
+  /** Risk policy file (YAML or JSON); hot-reloaded while the agent runs. */
+  RISK_POLICY_PATH: envOrDefault("RISK_POLICY_PATH", "./risk-policy.yaml"),
+
+  /** Starting USD cash of the paper-trading portfolio ledger. */
+  PAPER_STARTING_CASH: parseFloat(envOrDefault("PAPER_STARTING_CASH", "10000")),
+
   /** Mock wallet address. */
   WALLET_ADDRESS: envRequiredOrDefault("WALLET_ADDRESS", "0xMOCK_WALLET_ADDRESS"),
 
   /** Mock private key (never use a real key in env without a vault). */
   PRIVATE_KEY: envRequiredOrDefault("PRIVATE_KEY", "0xMOCK_PRIVATE_KEY"),
 
+  /** Signing backend for live transactions: "privateKey" | "keystore" | "remote". */
+  SIGNER_TYPE: envOrDefault("SIGNER_TYPE", "privateKey"),
+
+  /** Encrypted JSON keystore file (SIGNER_TYPE=keystore). */
+  KEYSTORE_PATH: envOrDefault("KEYSTORE_PATH", ""),
+
+  /** File containing the keystore password (SIGNER_TYPE=keystore). */
+  KEYSTORE_PASSWORD_FILE: envOrDefault("KEYSTORE_PASSWORD_FILE", ""),
+
+  /** JSON-RPC endpoint of the remote signer (SIGNER_TYPE=remote). */
+  REMOTE_SIGNER_URL: envOrDefault("REMOTE_SIGNER_URL", "http://127.0.0.1:8550"),
+
+  /** Account to use on the remote signer; defaults to its first account. */
+  REMOTE_SIGNER_ADDRESS: envOrDefault("REMOTE_SIGNER_ADDRESS", ""),
+
+  /** Milliseconds to wait for the remote signer to answer a request. */
+  REMOTE_SIGNER_TIMEOUT_MS: parseInt(envOrDefault("REMOTE_SIGNER_TIMEOUT_MS", "10000"), 10),
+
+  /** JSON-RPC endpoint used by the live execution path. */
+  RPC_URL: envOrDefault("RPC_URL", "https://testnet-rpc.monad.xyz"),
+
+  /** Deployed AgentTreasury address (required when DRY_RUN=false). */
+  TREASURY_ADDRESS: envOrDefault("TREASURY_ADDRESS", ""),
+
+  /** Directory holding the ABIs exported by contracts/scripts/deploy.js. */
+  ABI_DIR: envOrDefault("ABI_DIR", "../contracts/abi"),
+
+  /** Uniswap-V2-style router that swaps funds withdrawn from the treasury; empty = no routing. */
+  ROUTER_ADDRESS: envOrDefault("ROUTER_ADDRESS", ""),
+
+  /** Max shortfall of the swap output below the router's quote, in basis points. */
+  SWAP_MAX_SLIPPAGE_BPS: parseInt(envOrDefault("SWAP_MAX_SLIPPAGE_BPS", "100"), 10),
+
+  /** Seconds after the latest block a swap may still execute. */
+  SWAP_DEADLINE_SECONDS: parseInt(envOrDefault("SWAP_DEADLINE_SECONDS", "120"), 10),
+
+  /** Full re-read of the mirrored AgentTreasury limits, on top of event updates. */
+  TREASURY_SYNC_INTERVAL_MS: parseInt(envOrDefault("TREASURY_SYNC_INTERVAL_MS", "300000"), 10),
+
+  /** Deployed ProfitDistributor the treasury valuation is reported to (optional). */
+  PROFIT_DISTRIBUTOR_ADDRESS: envOrDefault("PROFIT_DISTRIBUTOR_ADDRESS", ""),
+
+  /** Milliseconds between treasury valuations pushed on-chain. */
+  TREASURY_VALUATION_INTERVAL_MS: parseInt(envOrDefault("TREASURY_VALUATION_INTERVAL_MS", "3600000"), 10),
+
+  /** Block AgentTreasury was deployed in; the tokens it allows are indexed from here. */
+  TREASURY_DEPLOY_BLOCK: parseInt(envOrDefault("TREASURY_DEPLOY_BLOCK", "0"), 10),
+
+  /** USD price of native MON, to convert indexer token prices into native wei. */
+  NATIVE_PRICE_USD: parseFloat(envOrDefault("NATIVE_PRICE_USD", envOrDefault("QUOTE_PRICE_USD", "1"))),
+
+  /** Deployed CLAWToken whose holders receive ProfitDistributor payouts. */
+  CLAW_TOKEN_ADDRESS: envOrDefault("CLAW_TOKEN_ADDRESS", ""),
+
+  /** Block CLAWToken was deployed in; holder balances are indexed from here. */
+  CLAW_DEPLOY_BLOCK: parseInt(envOrDefault("CLAW_DEPLOY_BLOCK", "0"), 10),
+
+  /** Max blocks per eth_getLogs request in the log indexers (CLAW transfers, governance, quests, DEX swaps). */
+  LOG_BLOCK_RANGE: parseInt(envOrDefault("LOG_BLOCK_RANGE", "2000"), 10),
+
+  /** Extra CLAW holders left out of payouts, comma-separated (treasury, distributor, QuestManager, Governance and burn are always excluded). */
+  PAYOUT_EXCLUDED_ADDRESSES: envOrDefault("PAYOUT_EXCLUDED_ADDRESSES", ""),
+
+  /** Max estimated gas of one ProfitDistributor.distributeTo batch. */
+  PAYOUT_BATCH_GAS_BUDGET: parseInt(envOrDefault("PAYOUT_BATCH_GAS_BUDGET", "5000000"), 10),
+
+  /** Deployed Governance contract whose proposals and votes are indexed (optional). */
+  GOVERNANCE_ADDRESS: envOrDefault("GOVERNANCE_ADDRESS", ""),
+
+  /** Block Governance was deployed in; its logs are indexed from here. */
+  GOVERNANCE_DEPLOY_BLOCK: parseInt(envOrDefault("GOVERNANCE_DEPLOY_BLOCK", "0"), 10),
+
+  /** Deployed QuestManager whose vote and LP quests the agent attests (optional). */
+  QUEST_MANAGER_ADDRESS: envOrDefault("QUEST_MANAGER_ADDRESS", ""),
+
+  /** Block QuestManager was deployed in; its quests are indexed from here. */
+  QUEST_DEPLOY_BLOCK: parseInt(envOrDefault("QUEST_DEPLOY_BLOCK", "0"), 10),
+
+  /** LP token whose balances ProvideLiquidity quests are checked against (optional). */
+  QUEST_LP_TOKEN_ADDRESS: envOrDefault("QUEST_LP_TOKEN_ADDRESS", ""),
+
+  /** Block the LP token was deployed in; its holders are indexed from here. */
+  QUEST_LP_DEPLOY_BLOCK: parseInt(envOrDefault("QUEST_LP_DEPLOY_BLOCK", "0"), 10),
+
+  /**
+   * Skip LP holders with code (pools, farms) on ProvideLiquidity quests.
+   * Off by default, as it also skips smart-contract wallets, which can claim.
+   */
+  QUEST_LP_SKIP_CONTRACTS: envOrDefault("QUEST_LP_SKIP_CONTRACTS", "false") === "true",
+
+  /** Max users per QuestManager.attestQuestBatch call. */
+  QUEST_ATTEST_BATCH_SIZE: parseInt(envOrDefault("QUEST_ATTEST_BATCH_SIZE", "100"), 10),
+
+  /** Send attestQuestBatch transactions; false leaves off-chain quests to signed vouchers. */
+  QUEST_ATTEST_ONCHAIN: envOrDefault("QUEST_ATTEST_ONCHAIN", "true") === "true",
+
+  /** Port of the HTTP endpoint issuing signed quest vouchers (0 = off). */
+  QUEST_VOUCHER_PORT: parseInt(envOrDefault("QUEST_VOUCHER_PORT", "0"), 10),
+
+  /** Interface the quest voucher endpoint listens on. */
+  QUEST_VOUCHER_HOST: envOrDefault("QUEST_VOUCHER_HOST", "127.0.0.1"),
+
+  /** Seconds a signed quest voucher stays redeemable. */
+  QUEST_VOUCHER_TTL_SECONDS: parseInt(envOrDefault("QUEST_VOUCHER_TTL_SECONDS", "3600"), 10),
+
+  /** Block confirmations to wait for before a live trade counts as executed. */
+  TX_CONFIRMATIONS: parseInt(envOrDefault("TX_CONFIRMATIONS", "1"), 10),
+
+  /** Milliseconds between receipt checks for a pending transaction. */
+  TX_POLL_INTERVAL_MS: parseInt(envOrDefault("TX_POLL_INTERVAL_MS", "1000"), 10),
+
+  /** A transaction with no receipt after this long is replaced with bumped fees. */
+  TX_STUCK_TIMEOUT_MS: parseInt(envOrDefault("TX_STUCK_TIMEOUT_MS", "30000"), 10),
+
+  /** Fee increase per replacement, in percent (nodes require at least 10). */
+  TX_GAS_BUMP_PERCENT: parseInt(envOrDefault("TX_GAS_BUMP_PERCENT", "15"), 10),
+
+  /** Replacements before a transaction that still will not mine is marked dropped. */
+  TX_MAX_REPLACEMENTS: parseInt(envOrDefault("TX_MAX_REPLACEMENTS", "3"), 10),
+
+  /** Retries for an RPC call that failed transiently (timeout, rate limit, 5xx). */
+  TX_RPC_RETRIES: parseInt(envOrDefault("TX_RPC_RETRIES", "3"), 10),
+
+  /** Market data feed for the indexer: "mock" | "http" | "dex". */
+  MARKET_DATA_SOURCE: envOrDefault("MARKET_DATA_SOURCE", "mock"),
+
+  /** Tracked-token list used by the http and dex sources. */
+  TOKEN_LIST_PATH: envOrDefault("TOKEN_LIST_PATH", "./tokens.json"),
+
+  /** Base URL of the Nad.fun-style price API (MARKET_DATA_SOURCE=http). */
+  MARKET_API_URL: envOrDefault("MARKET_API_URL", ""),
+
+  /** Optional API key sent as x-api-key. */
+  MARKET_API_KEY: envOrDefault("MARKET_API_KEY", ""),
+
+  /** Per-request timeout for the price API. */
+  MARKET_API_TIMEOUT_MS: parseInt(envOrDefault("MARKET_API_TIMEOUT_MS", "5000"), 10),
+
+  /** USD price of the DEX pairs' quote asset, e.g. WMON (MARKET_DATA_SOURCE=dex). */
+  QUOTE_PRICE_USD: parseFloat(envOrDefault("QUOTE_PRICE_USD", "1")),
+
+  /** Oldest last-good value (ms) the indexer will serve when a source fails. */
+  MARKET_DATA_MAX_STALE_MS: parseInt(envOrDefault("MARKET_DATA_MAX_STALE_MS", "300000"), 10),
+
+  /** How much per-token price history (ms) the indexer keeps for lookbacks and candles. */
+  HISTORY_RETENTION_MS: parseInt(envOrDefault("HISTORY_RETENTION_MS", "7200000"), 10),
+
   /** Logging level. */
   LOG_LEVEL: envOrDefault("LOG_LEVEL", "debug") as "debug" | "info" | "warn" | "error",
 
@@ -39,13 +204,34 @@ export const config = {
   LOG_DIR: envOrDefault("LOG_DIR", "./logs"),
 } as const;
 
-export const RISK_CONFIG = {
-  /** Max fraction of portfolio allocated to a single token. */
-  maxAllocationPerToken: 0.15,
-  /** Max total portfolio exposure across all positions. */
-  maxTotalExposure: 0.6,
-  /** Minimum USD liquidity required to trade a token. */
-  minLiquidityUsd: 100_000,
-  /** Cooldown period (minutes) between trades on the same token. */
-  cooldownMinutes: 5,
-} as const;
+/** Per-strategy parameters (see src/strategies/). */
+export const STRATEGY_PARAMS = {
+  meanReversion: {
+    /** Window the mean / standard deviation are computed over. */
+    lookbackMs: parseInt(envOrDefault("MEAN_REVERSION_LOOKBACK_MS", "900000"), 10),
+    /** |z| at or beyond which the strategy trades (BUY below the mean, SELL above). */
+    entryZ: parseFloat(envOrDefault("MEAN_REVERSION_ENTRY_Z", "2.0")),
+    /** |z| at which confidence saturates at 1. */
+    zCap: parseFloat(envOrDefault("MEAN_REVERSION_Z_CAP", "4.0")),
+    /** Minimum samples in the window before any signal is emitted. */
+    minSamples: parseInt(envOrDefault("MEAN_REVERSION_MIN_SAMPLES", "10"), 10),
+  },
+  breakout: {
+    /** Window whose high / low define the range (latest sample excluded). */
+    lookbackMs: parseInt(envOrDefault("BREAKOUT_LOOKBACK_MS", "3600000"), 10),
+    /** Recent window whose volume rate must confirm the break. */
+    volumeWindowMs: parseInt(envOrDefault("BREAKOUT_VOLUME_WINDOW_MS", "300000"), 10),
+    /** Required recent / range-average volume rate. */
+    volumeMultiplier: parseFloat(envOrDefault("BREAKOUT_VOLUME_MULTIPLIER", "2.0")),
+    /** Fraction beyond the range high / low that counts as a break. */
+    buffer: parseFloat(envOrDefault("BREAKOUT_BUFFER", "0.005")),
+    /** Minimum samples in the range before any signal is emitted. */
+    minSamples: parseInt(envOrDefault("BREAKOUT_MIN_SAMPLES", "10"), 10),
+  },
+  liquidityDrain: {
+    /** Window the liquidity peak is taken over. */
+    lookbackMs: parseInt(envOrDefault("LIQUIDITY_DRAIN_LOOKBACK_MS", "300000"), 10),
+    /** Drop from that peak (fraction) that forces an exit. */
+    dropThreshold: parseFloat(envOrDefault("LIQUIDITY_DRAIN_DROP_THRESHOLD", "0.30")),
+  },
+};
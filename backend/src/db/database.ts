@@ -1,7 +1,11 @@
 import Database from "better-sqlite3";
 import path from "path";
 import { log } from "../logger/reasoningLogger";
-import { TradeDecision, TradeExecution } from "../types";
+import {
+  AttestationStatus, GovernanceProposal, GovernanceVote, LedgerFill, LedgerSnapshot, LpHolding, PayoutBatch,
+  PayoutStatus, ProfitPayout, ProposalAction, ProposalState, Quest, QuestAttestation, QuestType, QuestVoucher,
+  RiskPolicy, RiskPolicyChange, TradeDecision, TradeExecution, TreasuryValuation, TxRecord, TxStatus,
+} from "../types";
 
 // ─── Initialize SQLite ──────────────────────────────────────────
 
@@ -15,6 +19,28 @@ log.info(`[DB] SQLite database initialised at ${DB_PATH}`);
 
 // ─── Create tables ──────────────────────────────────────────────
 
+// Kept apart so migrateQuestAttestationEpochs can rebuild the table from it
+const QUEST_ATTESTATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS quest_attestations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    questManager TEXT NOT NULL,
+    questId INTEGER NOT NULL,
+    epoch INTEGER NOT NULL DEFAULT 0,
+    user TEXT NOT NULL,
+    evidenceKind TEXT NOT NULL,
+    evidenceTxHash TEXT NOT NULL,
+    evidenceBlock INTEGER NOT NULL,
+    evidenceDetail TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attestTxHash TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    createdAt INTEGER NOT NULL,
+    updatedAt INTEGER NOT NULL,
+    UNIQUE (questManager, questId, epoch, user)
+  );
+`;
+
 db.exec(`
   CREATE TABLE IF NOT EXISTS decisions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -37,20 +63,509 @@ db.exec(`
     momentumScore REAL NOT NULL,
     timestamp INTEGER NOT NULL
   );
+
+  CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cash REAL NOT NULL,
+    equity REAL NOT NULL,
+    state TEXT NOT NULL,
+    lastExecutionId INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS risk_policy_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    policy TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    label TEXT NOT NULL,
+    fromAddress TEXT NOT NULL,
+    toAddress TEXT NOT NULL,
+    data TEXT NOT NULL,
+    value TEXT NOT NULL,
+    nonce INTEGER NOT NULL,
+    gasLimit TEXT NOT NULL,
+    maxFeePerGas TEXT,
+    maxPriorityFeePerGas TEXT,
+    gasPrice TEXT,
+    hash TEXT NOT NULL,
+    hashes TEXT NOT NULL,
+    status TEXT NOT NULL,
+    reason TEXT,
+    blockNumber INTEGER,
+    gasUsed TEXT,
+    createdAt INTEGER NOT NULL,
+    updatedAt INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions (status);
+
+  CREATE TABLE IF NOT EXISTS treasury_valuations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    value TEXT NOT NULL,
+    nativeBalance TEXT NOT NULL,
+    tokens TEXT NOT NULL,
+    treasuryTxHash TEXT,
+    distributorTxHash TEXT,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS profit_distributor_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    valuationId INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    txHash TEXT NOT NULL,
+    blockNumber INTEGER NOT NULL,
+    previousValue TEXT,
+    currentValue TEXT,
+    profit TEXT,
+    amount TEXT,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS profit_payouts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    snapshotBlock INTEGER NOT NULL,
+    amount TEXT NOT NULL,
+    eligibleSupply TEXT NOT NULL,
+    holders INTEGER NOT NULL,
+    excluded TEXT NOT NULL,
+    status TEXT NOT NULL,
+    createdAt INTEGER NOT NULL,
+    updatedAt INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS profit_payout_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    payoutId INTEGER NOT NULL,
+    batchIndex INTEGER NOT NULL,
+    holders TEXT NOT NULL,
+    amounts TEXT NOT NULL,
+    total TEXT NOT NULL,
+    gasEstimate TEXT NOT NULL,
+    status TEXT NOT NULL,
+    txHash TEXT,
+    attempts INTEGER NOT NULL,
+    error TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS governance_proposals (
+    governance TEXT NOT NULL,
+    proposalId INTEGER NOT NULL,
+    proposer TEXT NOT NULL,
+    description TEXT NOT NULL,
+    actions TEXT NOT NULL,
+    startBlock INTEGER NOT NULL,
+    endBlock INTEGER NOT NULL,
+    forVotes TEXT NOT NULL,
+    againstVotes TEXT NOT NULL,
+    voters INTEGER NOT NULL,
+    quorum TEXT,
+    state TEXT NOT NULL,
+    eta INTEGER,
+    createdTxHash TEXT NOT NULL,
+    executedTxHash TEXT,
+    updatedAt INTEGER NOT NULL,
+    PRIMARY KEY (governance, proposalId)
+  );
+
+  CREATE TABLE IF NOT EXISTS governance_votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    governance TEXT NOT NULL,
+    proposalId INTEGER NOT NULL,
+    voter TEXT NOT NULL,
+    support INTEGER NOT NULL,
+    weight TEXT NOT NULL,
+    txHash TEXT NOT NULL,
+    blockNumber INTEGER NOT NULL,
+    UNIQUE (governance, proposalId, voter)
+  );
+
+  CREATE TABLE IF NOT EXISTS governance_sync (
+    governance TEXT PRIMARY KEY,
+    lastBlock INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS quests (
+    questManager TEXT NOT NULL,
+    questId INTEGER NOT NULL,
+    description TEXT NOT NULL,
+    reward TEXT NOT NULL,
+    questType TEXT NOT NULL,
+    threshold TEXT NOT NULL,
+    active INTEGER NOT NULL,
+    createdBlock INTEGER NOT NULL,
+    PRIMARY KEY (questManager, questId)
+  );
+
+  CREATE TABLE IF NOT EXISTS quest_lp_balances (
+    token TEXT NOT NULL,
+    holder TEXT NOT NULL,
+    balance TEXT NOT NULL,
+    lastTxHash TEXT NOT NULL,
+    lastBlock INTEGER NOT NULL,
+    PRIMARY KEY (token, holder)
+  );
+
+  ${QUEST_ATTESTATIONS_TABLE}
+
+  CREATE TABLE IF NOT EXISTS quest_sync (
+    source TEXT PRIMARY KEY,
+    lastBlock INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS quest_vouchers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    questManager TEXT NOT NULL,
+    chainId INTEGER NOT NULL,
+    questId INTEGER NOT NULL,
+    epoch INTEGER NOT NULL,
+    user TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    deadline INTEGER NOT NULL,
+    signature TEXT NOT NULL,
+    evidenceKind TEXT NOT NULL,
+    evidenceTxHash TEXT NOT NULL,
+    evidenceBlock INTEGER NOT NULL,
+    evidenceDetail TEXT NOT NULL,
+    createdAt INTEGER NOT NULL,
+    UNIQUE (questManager, user, nonce)
+  );
 `);
 
-log.info("[DB] Tables ready (decisions, executions)");
+// Columns added after the initial schema; older databases are migrated in place.
+// decisions.breakdown holds the per-strategy votes behind an aggregated decision;
+// the executions fill details let the portfolio ledger be replayed from history,
+// and success / error keep failed round-trips (e.g. a refunded swap) in the audit trail.
+addMissingColumns("decisions", {
+  breakdown: "TEXT",
+});
+addMissingColumns("executions", {
+  tokenAddress: "TEXT",
+  quantity: "REAL",
+  priceUsd: "REAL",
+  fee: "REAL",
+  swap: "TEXT",
+  success: "INTEGER NOT NULL DEFAULT 1",
+  error: "TEXT",
+});
+// quests rules come from QuestRulesSet, emitted since QuestManager gained windows and budgets
+// (holdBlocks since HoldTokens quests gained hold periods).
+addMissingColumns("quests", {
+  rewardToken: "TEXT",
+  startTime: "INTEGER",
+  endTime: "INTEGER",
+  epochDuration: "INTEGER NOT NULL DEFAULT 0",
+  maxCompletions: "INTEGER NOT NULL DEFAULT 0",
+  holdBlocks: "INTEGER NOT NULL DEFAULT 0",
+});
+// Vouchers signed before the epoch joined QuestVoucher get -1, so they are never handed out again.
+addMissingColumns("quest_vouchers", {
+  epoch: "INTEGER NOT NULL DEFAULT -1",
+});
+migrateQuestAttestationEpochs();
+
+log.info("[DB] Tables ready (decisions, executions, portfolio_snapshots, risk_policy_changes, transactions, treasury_valuations, profit_distributor_events, profit_payouts, profit_payout_batches, governance_proposals, governance_votes, governance_sync, quests, quest_lp_balances, quest_attestations, quest_sync, quest_vouchers)");
+
+/**
+ * quest_attestations was unique per (quest, user) until repeatable quests
+ * were attested once per epoch. SQLite cannot change a UNIQUE constraint in
+ * place, so an old table is rebuilt, its rows landing in epoch 0.
+ */
+function migrateQuestAttestationEpochs(): void {
+  const columns = (db.prepare("PRAGMA table_info(quest_attestations)").all() as { name: string }[]).map((c) => c.name);
+  if (columns.length === 0 || columns.includes("epoch")) return;
+
+  const copied = columns.join(", ");
+  db.transaction(() => {
+    db.exec("ALTER TABLE quest_attestations RENAME TO quest_attestations_old");
+    db.exec(QUEST_ATTESTATIONS_TABLE);
+    db.exec(`INSERT INTO quest_attestations (${copied}) SELECT ${copied} FROM quest_attestations_old`);
+    db.exec("DROP TABLE quest_attestations_old");
+  })();
+  log.info("[DB] Migrated quest_attestations to one attestation per user, quest and epoch");
+}
+
+function addMissingColumns(table: string, columns: Record<string, string>): void {
+  const existing = new Set(
+    (db.prepare(`PRAGMA table_info(${table})`).all() as { name: string }[]).map((c) => c.name),
+  );
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.has(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
 
 // ─── Prepared statements ────────────────────────────────────────
 
 const insertDecision = db.prepare(`
-  INSERT INTO decisions (token, action, allocation, confidence, momentumScore, reasoning, timestamp)
-  VALUES (@token, @action, @allocation, @confidence, @momentumScore, @reasoning, @timestamp)
+  INSERT INTO decisions (token, action, allocation, confidence, momentumScore, reasoning, breakdown, timestamp)
+  VALUES (@token, @action, @allocation, @confidence, @momentumScore, @reasoning, @breakdown, @timestamp)
 `);
 
 const insertExecution = db.prepare(`
-  INSERT INTO executions (token, action, txHash, allocation, confidence, momentumScore, timestamp)
-  VALUES (@token, @action, @txHash, @allocation, @confidence, @momentumScore, @timestamp)
+  INSERT INTO executions (
+    token, action, txHash, allocation, confidence, momentumScore, timestamp,
+    tokenAddress, quantity, priceUsd, fee, swap, success, error
+  )
+  VALUES (
+    @token, @action, @txHash, @allocation, @confidence, @momentumScore, @timestamp,
+    @tokenAddress, @quantity, @priceUsd, @fee, @swap, @success, @error
+  )
+`);
+
+/** Snapshots older than the newest SNAPSHOT_RETENTION rows are pruned on insert. */
+const SNAPSHOT_RETENTION = 1_000;
+
+const insertSnapshot = db.prepare(`
+  INSERT INTO portfolio_snapshots (cash, equity, state, lastExecutionId, timestamp)
+  VALUES (@cash, @equity, @state, (SELECT COALESCE(MAX(id), 0) FROM executions), @timestamp)
+`);
+
+const pruneSnapshots = db.prepare(`
+  DELETE FROM portfolio_snapshots WHERE id <= (SELECT MAX(id) FROM portfolio_snapshots) - ?
+`);
+
+const selectLatestSnapshot = db.prepare(`
+  SELECT state, lastExecutionId, timestamp FROM portfolio_snapshots ORDER BY id DESC LIMIT 1
+`);
+
+const selectExecutionsAfter = db.prepare(`
+  SELECT id, token, tokenAddress, action, quantity, priceUsd, fee, timestamp
+  FROM executions WHERE id > ? AND success = 1 ORDER BY id ASC
+`);
+
+const insertRiskPolicyChange = db.prepare(`
+  INSERT INTO risk_policy_changes (source, changes, policy, timestamp)
+  VALUES (@source, @changes, @policy, @timestamp)
+`);
+
+const selectLatestRiskPolicy = db.prepare(`
+  SELECT policy FROM risk_policy_changes ORDER BY id DESC LIMIT 1
+`);
+
+const insertTransaction = db.prepare(`
+  INSERT INTO transactions (
+    label, fromAddress, toAddress, data, value, nonce, gasLimit,
+    maxFeePerGas, maxPriorityFeePerGas, gasPrice, hash, hashes, status,
+    reason, blockNumber, gasUsed, createdAt, updatedAt
+  )
+  VALUES (
+    @label, @from, @to, @data, @value, @nonce, @gasLimit,
+    @maxFeePerGas, @maxPriorityFeePerGas, @gasPrice, @hash, @hashes, @status,
+    @reason, @blockNumber, @gasUsed, @createdAt, @updatedAt
+  )
+`);
+
+const updateTransactionRow = db.prepare(`
+  UPDATE transactions SET
+    gasLimit = @gasLimit, maxFeePerGas = @maxFeePerGas, maxPriorityFeePerGas = @maxPriorityFeePerGas,
+    gasPrice = @gasPrice, hash = @hash, hashes = @hashes, status = @status, reason = @reason,
+    blockNumber = @blockNumber, gasUsed = @gasUsed, updatedAt = @updatedAt
+  WHERE id = @id
+`);
+
+const insertTreasuryValuation = db.prepare(`
+  INSERT INTO treasury_valuations (value, nativeBalance, tokens, treasuryTxHash, distributorTxHash, timestamp)
+  VALUES (@value, @nativeBalance, @tokens, @treasuryTxHash, @distributorTxHash, @timestamp)
+`);
+
+const insertProfitDistributorEvent = db.prepare(`
+  INSERT INTO profit_distributor_events (
+    valuationId, event, txHash, blockNumber, previousValue, currentValue, profit, amount, timestamp
+  )
+  VALUES (
+    @valuationId, @event, @txHash, @blockNumber, @previousValue, @currentValue, @profit, @amount, @timestamp
+  )
+`);
+
+const selectLatestValuationTime = db.prepare(`
+  SELECT MAX(timestamp) AS timestamp FROM treasury_valuations
+`);
+
+const selectPendingTransactions = db.prepare(`
+  SELECT * FROM transactions WHERE status = ? ORDER BY id ASC
+`);
+
+const selectTransactionsByLabel = db.prepare(`
+  SELECT * FROM transactions WHERE label = ? ORDER BY id ASC
+`);
+
+const insertProfitPayout = db.prepare(`
+  INSERT INTO profit_payouts (snapshotBlock, amount, eligibleSupply, holders, excluded, status, createdAt, updatedAt)
+  VALUES (@snapshotBlock, @amount, @eligibleSupply, @holders, @excluded, @status, @createdAt, @updatedAt)
+`);
+
+const updateProfitPayoutRow = db.prepare(`
+  UPDATE profit_payouts SET status = @status, updatedAt = @updatedAt WHERE id = @id
+`);
+
+const insertPayoutBatch = db.prepare(`
+  INSERT INTO profit_payout_batches (
+    payoutId, batchIndex, holders, amounts, total, gasEstimate, status, txHash, attempts, error
+  )
+  VALUES (
+    @payoutId, @batchIndex, @holders, @amounts, @total, @gasEstimate, @status, @txHash, @attempts, @error
+  )
+`);
+
+const updatePayoutBatchRow = db.prepare(`
+  UPDATE profit_payout_batches SET status = @status, txHash = @txHash, attempts = @attempts, error = @error
+  WHERE id = @id
+`);
+
+const selectOpenProfitPayout = db.prepare(`
+  SELECT * FROM profit_payouts WHERE status = ? ORDER BY id ASC LIMIT 1
+`);
+
+const selectPayoutBatches = db.prepare(`
+  SELECT * FROM profit_payout_batches WHERE payoutId = ? ORDER BY batchIndex ASC
+`);
+
+const insertGovernanceProposal = db.prepare(`
+  INSERT OR IGNORE INTO governance_proposals (
+    governance, proposalId, proposer, description, actions, startBlock, endBlock, forVotes, againstVotes,
+    voters, quorum, state, eta, createdTxHash, executedTxHash, updatedAt
+  )
+  VALUES (
+    @governance, @proposalId, @proposer, @description, @actions, @startBlock, @endBlock, @forVotes, @againstVotes,
+    @voters, @quorum, @state, @eta, @createdTxHash, @executedTxHash, @updatedAt
+  )
+`);
+
+const updateGovernanceProposalRow = db.prepare(`
+  UPDATE governance_proposals
+  SET actions = @actions, quorum = @quorum, state = @state, eta = @eta,
+    executedTxHash = @executedTxHash, updatedAt = @updatedAt
+  WHERE governance = @governance AND proposalId = @proposalId
+`);
+
+const updateGovernanceTally = db.prepare(`
+  UPDATE governance_proposals
+  SET forVotes = @forVotes, againstVotes = @againstVotes, voters = voters + 1, updatedAt = @updatedAt
+  WHERE governance = @governance AND proposalId = @proposalId
+`);
+
+const insertGovernanceVote = db.prepare(`
+  INSERT OR IGNORE INTO governance_votes (governance, proposalId, voter, support, weight, txHash, blockNumber)
+  VALUES (@governance, @proposalId, @voter, @support, @weight, @txHash, @blockNumber)
+`);
+
+const selectGovernanceProposal = db.prepare(`
+  SELECT * FROM governance_proposals WHERE governance = ? AND proposalId = ?
+`);
+
+const selectGovernanceProposals = db.prepare(`
+  SELECT * FROM governance_proposals WHERE governance = ? ORDER BY proposalId ASC
+`);
+
+const selectGovernanceVotes = db.prepare(`
+  SELECT * FROM governance_votes WHERE governance = ? AND proposalId = ? ORDER BY blockNumber ASC, id ASC
+`);
+
+const selectGovernanceCursor = db.prepare(`
+  SELECT lastBlock FROM governance_sync WHERE governance = ?
+`);
+
+const upsertGovernanceCursor = db.prepare(`
+  INSERT INTO governance_sync (governance, lastBlock) VALUES (@governance, @lastBlock)
+  ON CONFLICT (governance) DO UPDATE SET lastBlock = excluded.lastBlock
+`);
+
+const insertQuest = db.prepare(`
+  INSERT OR IGNORE INTO quests (questManager, questId, description, reward, questType, threshold, active, createdBlock)
+  VALUES (@questManager, @questId, @description, @reward, @questType, @threshold, @active, @createdBlock)
+`);
+
+const updateQuestActive = db.prepare(`
+  UPDATE quests SET active = @active WHERE questManager = @questManager AND questId = @questId
+`);
+
+const updateQuestRules = db.prepare(`
+  UPDATE quests
+  SET rewardToken = @rewardToken, startTime = @startTime, endTime = @endTime,
+    epochDuration = @epochDuration, maxCompletions = @maxCompletions, holdBlocks = @holdBlocks
+  WHERE questManager = @questManager AND questId = @questId
+`);
+
+const selectQuests = db.prepare(`
+  SELECT * FROM quests WHERE questManager = ? ORDER BY questId ASC
+`);
+
+const selectLpBalance = db.prepare(`
+  SELECT balance FROM quest_lp_balances WHERE token = ? AND holder = ?
+`);
+
+const upsertLpBalance = db.prepare(`
+  INSERT INTO quest_lp_balances (token, holder, balance, lastTxHash, lastBlock)
+  VALUES (@token, @holder, @balance, @lastTxHash, @lastBlock)
+  ON CONFLICT (token, holder) DO UPDATE SET
+    balance = excluded.balance, lastTxHash = excluded.lastTxHash, lastBlock = excluded.lastBlock
+`);
+
+const updateLpBalance = db.prepare(`
+  UPDATE quest_lp_balances SET balance = @balance WHERE token = @token AND holder = @holder
+`);
+
+const deleteLpBalance = db.prepare(`
+  DELETE FROM quest_lp_balances WHERE token = ? AND holder = ?
+`);
+
+const selectLpBalances = db.prepare(`
+  SELECT * FROM quest_lp_balances WHERE token = ?
+`);
+
+const insertQuestAttestation = db.prepare(`
+  INSERT OR IGNORE INTO quest_attestations (
+    questManager, questId, epoch, user, evidenceKind, evidenceTxHash, evidenceBlock, evidenceDetail,
+    status, attestTxHash, attempts, error, createdAt, updatedAt
+  )
+  VALUES (
+    @questManager, @questId, @epoch, @user, @evidenceKind, @evidenceTxHash, @evidenceBlock, @evidenceDetail,
+    @status, @attestTxHash, @attempts, @error, @createdAt, @updatedAt
+  )
+`);
+
+const updateQuestAttestationRow = db.prepare(`
+  UPDATE quest_attestations
+  SET status = @status, attestTxHash = @attestTxHash, attempts = @attempts, error = @error, updatedAt = @updatedAt
+  WHERE id = @id
+`);
+
+const selectQuestAttestations = db.prepare(`
+  SELECT * FROM quest_attestations WHERE questManager = ? ORDER BY id ASC
+`);
+
+const selectQuestAttestationsByStatus = db.prepare(`
+  SELECT * FROM quest_attestations WHERE questManager = ? AND status = ? ORDER BY id ASC
+`);
+
+const insertQuestVoucher = db.prepare(`
+  INSERT INTO quest_vouchers (
+    questManager, chainId, questId, epoch, user, nonce, deadline, signature,
+    evidenceKind, evidenceTxHash, evidenceBlock, evidenceDetail, createdAt
+  )
+  VALUES (
+    @questManager, @chainId, @questId, @epoch, @user, @nonce, @deadline, @signature,
+    @evidenceKind, @evidenceTxHash, @evidenceBlock, @evidenceDetail, @createdAt
+  )
+`);
+
+const selectQuestVouchers = db.prepare(`
+  SELECT * FROM quest_vouchers WHERE questManager = ? AND questId = ? AND user = ? ORDER BY id DESC
+`);
+
+const selectQuestCursor = db.prepare(`
+  SELECT lastBlock FROM quest_sync WHERE source = ?
+`);
+
+const upsertQuestCursor = db.prepare(`
+  INSERT INTO quest_sync (source, lastBlock) VALUES (@source, @lastBlock)
+  ON CONFLICT (source) DO UPDATE SET lastBlock = excluded.lastBlock
 `);
 
 // ─── Public API ─────────────────────────────────────────────────
@@ -65,6 +580,7 @@ export function saveDecision(decision: TradeDecision): void {
       confidence: decision.confidence,
       momentumScore: decision.momentumScore,
       reasoning: decision.reason,
+      breakdown: decision.breakdown ? JSON.stringify(decision.breakdown) : null,
       timestamp: Date.now(),
     });
   } catch (err) {
@@ -73,8 +589,12 @@ export function saveDecision(decision: TradeDecision): void {
   }
 }
 
-/** Persist a single trade execution to SQLite. */
-export function saveExecution(execution: TradeExecution): void {
+/**
+ * Persist a single trade execution to SQLite, with the ledger fill it
+ * produced so the portfolio can be rebuilt from this table. A failed
+ * execution has no fill and is kept for the record only.
+ */
+export function saveExecution(execution: TradeExecution, fill?: LedgerFill): void {
   try {
     insertExecution.run({
       token: execution.decision.token.symbol,
@@ -83,10 +603,747 @@ export function saveExecution(execution: TradeExecution): void {
       allocation: execution.decision.suggestedSize,
       confidence: execution.decision.confidence,
       momentumScore: execution.decision.momentumScore,
-      timestamp: Date.now(),
+      timestamp: fill?.timestamp ?? Date.now(),
+      tokenAddress: execution.decision.token.address,
+      quantity: fill?.quantity ?? null,
+      priceUsd: fill?.price ?? null,
+      fee: fill?.fee ?? null,
+      swap: execution.swap ? JSON.stringify(execution.swap) : null,
+      success: execution.success ? 1 : 0,
+      error: execution.error ?? null,
     });
   } catch (err) {
     const msg = err instanceof Error ? err.message : String(err);
     log.error(`[DB] Failed to save execution: ${msg}`);
   }
 }
+
+// ─── Portfolio snapshots ────────────────────────────────────────
+
+/** A persisted snapshot plus the last execution row it already includes. */
+export interface StoredPortfolioSnapshot {
+  snapshot: LedgerSnapshot;
+  lastExecutionId: number;
+  timestamp: number;
+}
+
+/** An executions row as needed to replay it into the ledger. */
+export interface ExecutionFillRow {
+  id: number;
+  token: string;
+  tokenAddress: string | null;
+  action: string;
+  quantity: number | null;
+  priceUsd: number | null;
+  fee: number | null;
+  timestamp: number;
+}
+
+/**
+ * Persist the ledger state. The row records the newest executions id at
+ * write time, so executions saved after it can be replayed on restore.
+ */
+export function savePortfolioSnapshot(snapshot: LedgerSnapshot, equity: number): void {
+  try {
+    insertSnapshot.run({
+      cash: snapshot.cash,
+      equity,
+      state: JSON.stringify(snapshot),
+      timestamp: Date.now(),
+    });
+    pruneSnapshots.run(SNAPSHOT_RETENTION);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save portfolio snapshot: ${msg}`);
+  }
+}
+
+/** Most recent portfolio snapshot, or null if none has been saved (or it is unreadable). */
+export function loadLatestPortfolioSnapshot(): StoredPortfolioSnapshot | null {
+  try {
+    const row = selectLatestSnapshot.get() as
+      { state: string; lastExecutionId: number; timestamp: number } | undefined;
+    if (!row) return null;
+
+    const snapshot = JSON.parse(row.state) as LedgerSnapshot;
+    for (const h of snapshot.holdings) h.token.createdAt = new Date(h.token.createdAt);
+    return { snapshot, lastExecutionId: row.lastExecutionId, timestamp: row.timestamp };
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to load portfolio snapshot: ${msg}`);
+    return null;
+  }
+}
+
+/** Successful executions saved after the given row id, oldest first; failed ones filled nothing. */
+export function loadExecutionsAfter(id: number): ExecutionFillRow[] {
+  return selectExecutionsAfter.all(id) as ExecutionFillRow[];
+}
+
+// ─── Risk policy history ────────────────────────────────────────
+
+/** Record a risk policy change (what moved, and the full policy after it). */
+export function saveRiskPolicyChange(change: RiskPolicyChange): void {
+  try {
+    insertRiskPolicyChange.run({
+      source: change.source,
+      changes: JSON.stringify(change.changes),
+      policy: JSON.stringify(change.policy),
+      timestamp: change.timestamp,
+    });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save risk policy change: ${msg}`);
+  }
+}
+
+/** The policy recorded by the most recent change, or null if none. */
+export function loadLatestRiskPolicy(): RiskPolicy | null {
+  const row = selectLatestRiskPolicy.get() as { policy: string } | undefined;
+  return row ? (JSON.parse(row.policy) as RiskPolicy) : null;
+}
+
+// ─── Managed transactions ───────────────────────────────────────
+
+/** Record a freshly broadcast transaction. Returns its row id. */
+export function saveTransaction(tx: TxRecord): number | undefined {
+  try {
+    return Number(insertTransaction.run(transactionParams(tx)).lastInsertRowid);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save transaction ${tx.hash}: ${msg}`);
+    return undefined;
+  }
+}
+
+/** Write back a tracked transaction's fees, hashes and status. */
+export function updateTransaction(tx: TxRecord): void {
+  if (tx.id === undefined) return;
+  try {
+    updateTransactionRow.run({ ...transactionParams(tx), id: tx.id });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to update transaction ${tx.hash}: ${msg}`);
+  }
+}
+
+/** Transactions not yet confirmed, reverted or dropped, oldest first. */
+export function loadPendingTransactions(): TxRecord[] {
+  const rows = selectPendingTransactions.all(TxStatus.PENDING) as Record<string, string | number | null>[];
+  return rows.map(toTxRecord);
+}
+
+/** Every transaction sent under `label`, oldest first. */
+export function loadTransactionsByLabel(label: string): TxRecord[] {
+  const rows = selectTransactionsByLabel.all(label) as Record<string, string | number | null>[];
+  return rows.map(toTxRecord);
+}
+
+function toTxRecord(r: Record<string, string | number | null>): TxRecord {
+  return {
+    id: Number(r.id),
+    label: String(r.label),
+    from: String(r.fromAddress),
+    to: String(r.toAddress),
+    data: String(r.data),
+    value: String(r.value),
+    nonce: Number(r.nonce),
+    gasLimit: String(r.gasLimit),
+    maxFeePerGas: r.maxFeePerGas === null ? undefined : String(r.maxFeePerGas),
+    maxPriorityFeePerGas: r.maxPriorityFeePerGas === null ? undefined : String(r.maxPriorityFeePerGas),
+    gasPrice: r.gasPrice === null ? undefined : String(r.gasPrice),
+    hash: String(r.hash),
+    hashes: JSON.parse(String(r.hashes)) as string[],
+    status: r.status as TxStatus,
+    reason: r.reason === null ? undefined : String(r.reason),
+    blockNumber: r.blockNumber === null ? undefined : Number(r.blockNumber),
+    gasUsed: r.gasUsed === null ? undefined : String(r.gasUsed),
+    createdAt: Number(r.createdAt),
+    updatedAt: Number(r.updatedAt),
+  };
+}
+
+function transactionParams(tx: TxRecord): Record<string, string | number | null> {
+  return {
+    label: tx.label,
+    from: tx.from,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit,
+    maxFeePerGas: tx.maxFeePerGas ?? null,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas ?? null,
+    gasPrice: tx.gasPrice ?? null,
+    hash: tx.hash,
+    hashes: JSON.stringify(tx.hashes),
+    status: tx.status,
+    reason: tx.reason ?? null,
+    blockNumber: tx.blockNumber ?? null,
+    gasUsed: tx.gasUsed ?? null,
+    createdAt: tx.createdAt,
+    updatedAt: tx.updatedAt,
+  };
+}
+
+// ─── Treasury valuations ────────────────────────────────────────
+
+/** Record a treasury valuation and the ProfitDistributor events it produced. */
+export function saveTreasuryValuation(valuation: TreasuryValuation): void {
+  try {
+    db.transaction(() => {
+      const valuationId = insertTreasuryValuation.run({
+        value: valuation.value,
+        nativeBalance: valuation.nativeBalance,
+        tokens: JSON.stringify(valuation.tokens),
+        treasuryTxHash: valuation.treasuryTxHash,
+        distributorTxHash: valuation.distributorTxHash,
+        timestamp: valuation.timestamp,
+      }).lastInsertRowid;
+      for (const e of valuation.events) {
+        insertProfitDistributorEvent.run({
+          valuationId,
+          event: e.event,
+          txHash: e.txHash,
+          blockNumber: e.blockNumber,
+          previousValue: e.previousValue ?? null,
+          currentValue: e.currentValue ?? null,
+          profit: e.profit ?? null,
+          amount: e.amount ?? null,
+          timestamp: e.timestamp,
+        });
+      }
+    })();
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save treasury valuation: ${msg}`);
+  }
+}
+
+/** When the last treasury valuation was recorded (epoch ms), or null if never. */
+export function loadLatestValuationTime(): number | null {
+  const row = selectLatestValuationTime.get() as { timestamp: number | null };
+  return row.timestamp;
+}
+
+// ─── Profit payouts ─────────────────────────────────────────────
+
+/** Record a planned payout run with its batches, filling in their row ids. Returns the run's id. */
+export function saveProfitPayout(payout: ProfitPayout): number | undefined {
+  try {
+    return db.transaction(() => {
+      const payoutId = Number(insertProfitPayout.run({
+        snapshotBlock: payout.snapshotBlock,
+        amount: payout.amount,
+        eligibleSupply: payout.eligibleSupply,
+        holders: payout.holders,
+        excluded: JSON.stringify(payout.excluded),
+        status: payout.status,
+        createdAt: payout.createdAt,
+        updatedAt: payout.updatedAt,
+      }).lastInsertRowid);
+      for (const b of payout.batches) {
+        b.id = Number(insertPayoutBatch.run({
+          payoutId,
+          batchIndex: b.index,
+          holders: JSON.stringify(b.holders),
+          amounts: JSON.stringify(b.amounts),
+          total: b.total,
+          gasEstimate: b.gasEstimate,
+          status: b.status,
+          txHash: b.txHash,
+          attempts: b.attempts,
+          error: b.error ?? null,
+        }).lastInsertRowid);
+      }
+      return payoutId;
+    })();
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save profit payout: ${msg}`);
+    return undefined;
+  }
+}
+
+/** Write back a payout run's status. */
+export function updateProfitPayout(payout: ProfitPayout): void {
+  if (payout.id === undefined) return;
+  try {
+    updateProfitPayoutRow.run({ id: payout.id, status: payout.status, updatedAt: payout.updatedAt });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to update profit payout #${payout.id}: ${msg}`);
+  }
+}
+
+/** Write back a payout batch's status, tx hash and attempts. */
+export function updatePayoutBatch(batch: PayoutBatch): void {
+  if (batch.id === undefined) return;
+  try {
+    updatePayoutBatchRow.run({
+      id: batch.id,
+      status: batch.status,
+      txHash: batch.txHash,
+      attempts: batch.attempts,
+      error: batch.error ?? null,
+    });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to update payout batch #${batch.id}: ${msg}`);
+  }
+}
+
+/** The oldest payout run with batches still unpaid, or null. */
+export function loadOpenProfitPayout(): ProfitPayout | null {
+  const row = selectOpenProfitPayout.get(PayoutStatus.PENDING) as Record<string, string | number> | undefined;
+  if (!row) return null;
+
+  const batches = selectPayoutBatches.all(row.id) as Record<string, string | number | null>[];
+  return {
+    id: Number(row.id),
+    snapshotBlock: Number(row.snapshotBlock),
+    amount: String(row.amount),
+    eligibleSupply: String(row.eligibleSupply),
+    holders: Number(row.holders),
+    excluded: JSON.parse(String(row.excluded)) as string[],
+    batches: batches.map((b) => ({
+      id: Number(b.id),
+      index: Number(b.batchIndex),
+      holders: JSON.parse(String(b.holders)) as string[],
+      amounts: JSON.parse(String(b.amounts)) as string[],
+      total: String(b.total),
+      gasEstimate: String(b.gasEstimate),
+      status: b.status as PayoutStatus,
+      txHash: b.txHash === null ? null : String(b.txHash),
+      attempts: Number(b.attempts),
+      error: b.error === null ? undefined : String(b.error),
+    })),
+    status: row.status as PayoutStatus,
+    createdAt: Number(row.createdAt),
+    updatedAt: Number(row.updatedAt),
+  };
+}
+
+// ─── Governance ─────────────────────────────────────────────────
+// Rows are keyed by the Governance contract (lower-case address), so
+// pointing GOVERNANCE_ADDRESS at a new deployment starts a fresh index.
+
+/** Record a newly indexed proposal; a proposal already stored is left as is. */
+export function saveGovernanceProposal(governance: string, p: GovernanceProposal): void {
+  try {
+    insertGovernanceProposal.run({
+      governance: governance.toLowerCase(),
+      proposalId: p.id,
+      proposer: p.proposer,
+      description: p.description,
+      actions: JSON.stringify(p.actions),
+      startBlock: p.startBlock,
+      endBlock: p.endBlock,
+      forVotes: p.forVotes,
+      againstVotes: p.againstVotes,
+      voters: p.voters,
+      quorum: p.quorum,
+      state: p.state,
+      eta: p.eta,
+      createdTxHash: p.createdTxHash,
+      executedTxHash: p.executedTxHash,
+      updatedAt: p.updatedAt,
+    });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save governance proposal #${p.id}: ${msg}`);
+  }
+}
+
+/** Write back a proposal's actions, quorum, state, eta and execution tx. Tallies are kept by saveGovernanceVote. */
+export function updateGovernanceProposal(governance: string, p: GovernanceProposal): void {
+  try {
+    updateGovernanceProposalRow.run({
+      governance: governance.toLowerCase(),
+      proposalId: p.id,
+      actions: JSON.stringify(p.actions),
+      quorum: p.quorum,
+      state: p.state,
+      eta: p.eta,
+      executedTxHash: p.executedTxHash,
+      updatedAt: p.updatedAt,
+    });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to update governance proposal #${p.id}: ${msg}`);
+  }
+}
+
+/**
+ * Record a vote and add its weight to the proposal's tally. Returns
+ * false when the vote was already stored (the tally is then unchanged).
+ */
+export function saveGovernanceVote(governance: string, vote: GovernanceVote): boolean {
+  const key = governance.toLowerCase();
+  try {
+    return db.transaction(() => {
+      const inserted = insertGovernanceVote.run({
+        governance: key,
+        proposalId: vote.proposalId,
+        voter: vote.voter,
+        support: vote.support ? 1 : 0,
+        weight: vote.weight,
+        txHash: vote.txHash,
+        blockNumber: vote.blockNumber,
+      }).changes > 0;
+      if (!inserted) return false;
+
+      const row = selectGovernanceProposal.get(key, vote.proposalId) as Record<string, string> | undefined;
+      if (row) {
+        const weight = BigInt(vote.weight);
+        updateGovernanceTally.run({
+          governance: key,
+          proposalId: vote.proposalId,
+          forVotes: (BigInt(row.forVotes) + (vote.support ? weight : 0n)).toString(),
+          againstVotes: (BigInt(row.againstVotes) + (vote.support ? 0n : weight)).toString(),
+          updatedAt: Date.now(),
+        });
+      }
+      return true;
+    })();
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save vote of ${vote.voter} on proposal #${vote.proposalId}: ${msg}`);
+    return false;
+  }
+}
+
+/** A stored proposal, or null. */
+export function loadGovernanceProposal(governance: string, proposalId: number): GovernanceProposal | null {
+  const row = selectGovernanceProposal.get(governance.toLowerCase(), proposalId) as ProposalRow | undefined;
+  return row ? toGovernanceProposal(row) : null;
+}
+
+/** Every stored proposal of the contract, oldest first. */
+export function loadGovernanceProposals(governance: string): GovernanceProposal[] {
+  return (selectGovernanceProposals.all(governance.toLowerCase()) as ProposalRow[]).map(toGovernanceProposal);
+}
+
+/** Votes cast on a proposal, in chain order. */
+export function loadGovernanceVotes(governance: string, proposalId: number): GovernanceVote[] {
+  const rows = selectGovernanceVotes.all(governance.toLowerCase(), proposalId) as Record<string, string | number>[];
+  return rows.map((r) => ({
+    proposalId: Number(r.proposalId),
+    voter: String(r.voter),
+    support: Number(r.support) === 1,
+    weight: String(r.weight),
+    txHash: String(r.txHash),
+    blockNumber: Number(r.blockNumber),
+  }));
+}
+
+/** Last block whose Governance logs are fully indexed, or null if indexing never ran. */
+export function loadGovernanceCursor(governance: string): number | null {
+  const row = selectGovernanceCursor.get(governance.toLowerCase()) as { lastBlock: number } | undefined;
+  return row ? row.lastBlock : null;
+}
+
+/** Advance the Governance indexing cursor. */
+export function saveGovernanceCursor(governance: string, lastBlock: number): void {
+  try {
+    upsertGovernanceCursor.run({ governance: governance.toLowerCase(), lastBlock });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save governance cursor: ${msg}`);
+  }
+}
+
+type ProposalRow = Record<string, string | number | null>;
+
+function toGovernanceProposal(r: ProposalRow): GovernanceProposal {
+  return {
+    id: Number(r.proposalId),
+    proposer: String(r.proposer),
+    description: String(r.description),
+    actions: JSON.parse(String(r.actions)) as ProposalAction[],
+    startBlock: Number(r.startBlock),
+    endBlock: Number(r.endBlock),
+    forVotes: String(r.forVotes),
+    againstVotes: String(r.againstVotes),
+    voters: Number(r.voters),
+    quorum: r.quorum === null ? null : String(r.quorum),
+    state: r.state as ProposalState,
+    eta: r.eta === null ? null : Number(r.eta),
+    createdTxHash: String(r.createdTxHash),
+    executedTxHash: r.executedTxHash === null ? null : String(r.executedTxHash),
+    updatedAt: Number(r.updatedAt),
+  };
+}
+
+// ─── Quests ─────────────────────────────────────────────────────
+
+/** Record a quest from its QuestCreated event. Returns false if it was already stored. */
+export function saveQuest(questManager: string, quest: Quest): boolean {
+  try {
+    return insertQuest.run({
+      questManager: questManager.toLowerCase(),
+      questId: quest.id,
+      description: quest.description,
+      reward: quest.reward,
+      questType: quest.questType,
+      threshold: quest.threshold,
+      active: quest.active ? 1 : 0,
+      createdBlock: quest.createdBlock,
+    }).changes > 0;
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save quest #${quest.id}: ${msg}`);
+    return false;
+  }
+}
+
+/** Mark a stored quest active or deactivated. */
+export function setQuestActive(questManager: string, questId: number, active: boolean): void {
+  try {
+    updateQuestActive.run({ questManager: questManager.toLowerCase(), questId, active: active ? 1 : 0 });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to update quest #${questId}: ${msg}`);
+  }
+}
+
+/** Store a quest's window, repeat epoch, completion budget, hold period and reward token. */
+export function setQuestRules(
+  questManager: string,
+  questId: number,
+  rules: Pick<Quest, "rewardToken" | "startTime" | "endTime" | "epochDuration" | "maxCompletions" | "holdBlocks">,
+): void {
+  try {
+    updateQuestRules.run({ questManager: questManager.toLowerCase(), questId, ...rules });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to update rules of quest #${questId}: ${msg}`);
+  }
+}
+
+/** Every stored quest of the contract, oldest first. */
+export function loadQuests(questManager: string): Quest[] {
+  const rows = selectQuests.all(questManager.toLowerCase()) as Record<string, string | number | null>[];
+  return rows.map((r) => ({
+    id: Number(r.questId),
+    description: String(r.description),
+    reward: String(r.reward),
+    questType: r.questType as QuestType,
+    threshold: String(r.threshold),
+    active: Number(r.active) === 1,
+    createdBlock: Number(r.createdBlock),
+    rewardToken: r.rewardToken === null ? null : String(r.rewardToken),
+    startTime: r.startTime === null ? null : Number(r.startTime),
+    endTime: r.endTime === null ? null : Number(r.endTime),
+    epochDuration: Number(r.epochDuration),
+    maxCompletions: Number(r.maxCompletions),
+    holdBlocks: Number(r.holdBlocks),
+  }));
+}
+
+/** One LP token Transfer log, as folded into holder balances. */
+export interface LpTransfer {
+  from: string;
+  to: string;
+  value: string;                // LP token wei
+  txHash: string;
+  blockNumber: number;
+}
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Fold LP token transfers into holder balances and advance the token's
+ * cursor to `lastBlock` in one transaction: balances are running sums,
+ * so a range must never be applied twice. Returns false on failure.
+ */
+export function applyLpTransfers(token: string, transfers: LpTransfer[], lastBlock: number): boolean {
+  const key = token.toLowerCase();
+  const balanceOf = (holder: string): bigint => {
+    const row = selectLpBalance.get(key, holder) as { balance: string } | undefined;
+    return row ? BigInt(row.balance) : 0n;
+  };
+  try {
+    db.transaction(() => {
+      for (const t of transfers) {
+        const from = t.from.toLowerCase();
+        const to = t.to.toLowerCase();
+        const value = BigInt(t.value);
+        if (from !== ZERO_ADDRESS) {
+          const next = balanceOf(from) - value;
+          if (next === 0n) deleteLpBalance.run(key, from);
+          else updateLpBalance.run({ token: key, holder: from, balance: next.toString() });
+        }
+        if (to !== ZERO_ADDRESS) {
+          upsertLpBalance.run({
+            token: key,
+            holder: to,
+            balance: (balanceOf(to) + value).toString(),
+            lastTxHash: t.txHash,
+            lastBlock: t.blockNumber,
+          });
+        }
+      }
+      upsertQuestCursor.run({ source: key, lastBlock });
+    })();
+    return true;
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to apply LP transfers through block ${lastBlock}: ${msg}`);
+    return false;
+  }
+}
+
+/** Every holder with a non-zero folded LP balance. */
+export function loadLpHoldings(token: string): LpHolding[] {
+  const rows = selectLpBalances.all(token.toLowerCase()) as Record<string, string | number>[];
+  return rows.map((r) => ({
+    holder: String(r.holder),
+    balance: String(r.balance),
+    lastTxHash: String(r.lastTxHash),
+    lastBlock: Number(r.lastBlock),
+  }));
+}
+
+/**
+ * Record a user's eligibility for a quest epoch with its evidence, filling
+ * in the row id. Returns false if the user already has an attestation for
+ * the quest in that epoch (the first evidence is kept).
+ */
+export function saveQuestAttestation(questManager: string, a: QuestAttestation): boolean {
+  try {
+    const result = insertQuestAttestation.run({
+      questManager: questManager.toLowerCase(),
+      questId: a.questId,
+      epoch: a.epoch,
+      user: a.user.toLowerCase(),
+      evidenceKind: a.evidence.kind,
+      evidenceTxHash: a.evidence.txHash,
+      evidenceBlock: a.evidence.blockNumber,
+      evidenceDetail: a.evidence.detail,
+      status: a.status,
+      attestTxHash: a.attestTxHash,
+      attempts: a.attempts,
+      error: a.error ?? null,
+      createdAt: a.createdAt,
+      updatedAt: a.updatedAt,
+    });
+    if (result.changes === 0) return false;
+    a.id = Number(result.lastInsertRowid);
+    return true;
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save attestation of ${a.user} for quest #${a.questId}: ${msg}`);
+    return false;
+  }
+}
+
+/** Write back an attestation's status, attest tx, attempts and error. */
+export function updateQuestAttestation(a: QuestAttestation): void {
+  if (a.id === undefined) return;
+  try {
+    updateQuestAttestationRow.run({
+      id: a.id,
+      status: a.status,
+      attestTxHash: a.attestTxHash,
+      attempts: a.attempts,
+      error: a.error ?? null,
+      updatedAt: a.updatedAt,
+    });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to update quest attestation #${a.id}: ${msg}`);
+  }
+}
+
+/** Attestations of the contract, oldest first — only those with `status` when given. */
+export function loadQuestAttestations(questManager: string, status?: AttestationStatus): QuestAttestation[] {
+  const key = questManager.toLowerCase();
+  const rows = (status ? selectQuestAttestationsByStatus.all(key, status) : selectQuestAttestations.all(key)) as
+    Record<string, string | number | null>[];
+  return rows.map((r) => ({
+    id: Number(r.id),
+    questId: Number(r.questId),
+    epoch: Number(r.epoch),
+    user: String(r.user),
+    evidence: {
+      kind: r.evidenceKind as QuestAttestation["evidence"]["kind"],
+      txHash: String(r.evidenceTxHash),
+      blockNumber: Number(r.evidenceBlock),
+      detail: String(r.evidenceDetail),
+    },
+    status: r.status as AttestationStatus,
+    attestTxHash: r.attestTxHash === null ? null : String(r.attestTxHash),
+    attempts: Number(r.attempts),
+    error: r.error === null ? undefined : String(r.error),
+    createdAt: Number(r.createdAt),
+    updatedAt: Number(r.updatedAt),
+  }));
+}
+
+/** Record a signed quest voucher with its evidence, filling in the row id. Returns false if it could not be stored. */
+export function saveQuestVoucher(v: QuestVoucher): boolean {
+  try {
+    const result = insertQuestVoucher.run({
+      questManager: v.questManager.toLowerCase(),
+      chainId: v.chainId,
+      questId: v.questId,
+      epoch: v.epoch,
+      user: v.user.toLowerCase(),
+      nonce: v.nonce,
+      deadline: v.deadline,
+      signature: v.signature,
+      evidenceKind: v.evidence.kind,
+      evidenceTxHash: v.evidence.txHash,
+      evidenceBlock: v.evidence.blockNumber,
+      evidenceDetail: v.evidence.detail,
+      createdAt: v.createdAt,
+    });
+    v.id = Number(result.lastInsertRowid);
+    return true;
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save voucher of ${v.user} for quest #${v.questId}: ${msg}`);
+    return false;
+  }
+}
+
+/** Vouchers issued to `user` for a quest, newest first. */
+export function loadQuestVouchers(questManager: string, questId: number, user: string): QuestVoucher[] {
+  const rows = selectQuestVouchers.all(questManager.toLowerCase(), questId, user.toLowerCase()) as
+    Record<string, string | number>[];
+  return rows.map((r) => ({
+    id: Number(r.id),
+    questManager: String(r.questManager),
+    chainId: Number(r.chainId),
+    questId: Number(r.questId),
+    epoch: Number(r.epoch),
+    user: String(r.user),
+    nonce: String(r.nonce),
+    deadline: Number(r.deadline),
+    signature: String(r.signature),
+    evidence: {
+      kind: r.evidenceKind as QuestVoucher["evidence"]["kind"],
+      txHash: String(r.evidenceTxHash),
+      blockNumber: Number(r.evidenceBlock),
+      detail: String(r.evidenceDetail),
+    },
+    createdAt: Number(r.createdAt),
+  }));
+}
+
+/** Last block whose logs of `source` (QuestManager or LP token) are indexed, or null if never. */
+export function loadQuestCursor(source: string): number | null {
+  const row = selectQuestCursor.get(source.toLowerCase()) as { lastBlock: number } | undefined;
+  return row ? row.lastBlock : null;
+}
+
+/** Advance the QuestManager indexing cursor (LP cursors move with applyLpTransfers). */
+export function saveQuestCursor(source: string, lastBlock: number): void {
+  try {
+    upsertQuestCursor.run({ source: source.toLowerCase(), lastBlock });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.error(`[DB] Failed to save quest cursor: ${msg}`);
+  }
+}
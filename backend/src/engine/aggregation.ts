@@ -0,0 +1,198 @@
+import { config } from "../config";
+import { StrategyVote, TradeAction, TradeDecision } from "../types";
+
+/**
+ * Strategy signal aggregation — merges every strategy's decision for one
+ * token into a single decision.
+ *
+ *   weightedVote       — sum of weights per action wins; ties → HOLD
+ *   unanimous          — act only when every strategy agrees on BUY/SELL
+ *   priority           — first non-HOLD strategy in registration order wins
+ *   confidenceWeighted — net = Σ(weight × direction × confidence) / Σweight,
+ *                        act when |net| ≥ AGGREGATION_MIN_CONFIDENCE
+ *
+ * A `closePosition` SELL (defensive exit) overrides every policy.
+ *
+ * The aggregated decision keeps each strategy's vote in `breakdown` and
+ * summarises them in `reason`. A single vote passes through unchanged.
+ */
+
+export const AggregationPolicy = {
+  WEIGHTED_VOTE: "weightedVote",
+  UNANIMOUS: "unanimous",
+  PRIORITY: "priority",
+  CONFIDENCE_WEIGHTED: "confidenceWeighted",
+} as const;
+
+export type AggregationPolicy = (typeof AggregationPolicy)[keyof typeof AggregationPolicy];
+
+/** Validate a policy name (e.g. from AGGREGATION_POLICY). */
+export function parseAggregationPolicy(value: string): AggregationPolicy {
+  const policies = Object.values(AggregationPolicy) as string[];
+  if (!policies.includes(value)) {
+    throw new Error(`Unknown AGGREGATION_POLICY "${value}" (expected ${policies.join(" | ")})`);
+  }
+  return value as AggregationPolicy;
+}
+
+/** Parse "Name:weight,Name:weight" (STRATEGY_WEIGHTS). */
+export function parseStrategyWeights(spec: string): Record<string, number> {
+  const weights: Record<string, number> = {};
+  for (const part of spec.split(",").map((p) => p.trim()).filter(Boolean)) {
+    const [name, raw] = part.split(":").map((p) => p.trim());
+    const weight = Number(raw);
+    if (!name || raw === undefined || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid STRATEGY_WEIGHTS entry "${part}" (expected Name:weight with weight >= 0)`);
+    }
+    weights[name] = weight;
+  }
+  return weights;
+}
+
+/** Merge one token's votes (in strategy registration order) into a single decision. */
+export function aggregate(
+  policy: AggregationPolicy,
+  votes: { vote: StrategyVote; decision: TradeDecision }[],
+): TradeDecision {
+  if (votes.length === 0) throw new Error("aggregate() needs at least one vote");
+  const breakdown = votes.map((v) => v.vote);
+
+  if (votes.length === 1) return { ...votes[0].decision, breakdown };
+
+  const exit = votes.find((v) => v.decision.closePosition && v.decision.action === TradeAction.SELL);
+  const outcome: Outcome = exit
+    ? {
+      action: TradeAction.SELL,
+      confidence: exit.decision.confidence,
+      suggestedSize: exit.decision.suggestedSize,
+      summary: `forced exit by ${exit.vote.strategy}`,
+    }
+    : resolve(policy, breakdown);
+  const totalWeight = sum(breakdown.map((v) => v.weight));
+  const momentumScore = totalWeight > 0
+    ? sum(breakdown.map((v) => v.momentumScore * v.weight)) / totalWeight
+    : sum(breakdown.map((v) => v.momentumScore)) / breakdown.length;
+
+  return {
+    token: votes[0].decision.token,
+    action: outcome.action,
+    confidence: outcome.confidence,
+    momentumScore,
+    suggestedSize: outcome.action === TradeAction.HOLD ? 0 : outcome.suggestedSize,
+    closePosition: exit ? true : undefined,
+    reason: `[${policy} → ${outcome.action} | ${outcome.summary}] ` +
+      breakdown.map((v) =>
+        `${v.strategy}(w=${v.weight}) ${v.action} conf=${v.confidence.toFixed(2)}: ${v.reason}`,
+      ).join(" // "),
+    breakdown,
+  };
+}
+
+// ─── Policies ────────────────────────────────────────────────────
+
+interface Outcome {
+  action: TradeAction;
+  confidence: number;
+  suggestedSize: number;
+  summary: string;
+}
+
+function resolve(policy: AggregationPolicy, votes: StrategyVote[]): Outcome {
+  switch (policy) {
+    case AggregationPolicy.WEIGHTED_VOTE:
+      return weightedVote(votes);
+    case AggregationPolicy.UNANIMOUS:
+      return unanimous(votes);
+    case AggregationPolicy.PRIORITY:
+      return priority(votes);
+    case AggregationPolicy.CONFIDENCE_WEIGHTED:
+      return confidenceWeighted(votes);
+  }
+}
+
+function weightedVote(votes: StrategyVote[]): Outcome {
+  const tally = {
+    [TradeAction.BUY]: 0,
+    [TradeAction.SELL]: 0,
+    [TradeAction.HOLD]: 0,
+  };
+  for (const v of votes) tally[v.action] += v.weight;
+
+  const summary = `BUY ${tally.BUY.toFixed(2)}, SELL ${tally.SELL.toFixed(2)}, HOLD ${tally.HOLD.toFixed(2)}`;
+  const best = Math.max(tally.BUY, tally.SELL, tally.HOLD);
+  const leaders = (Object.keys(tally) as TradeAction[]).filter((a) => tally[a] === best);
+
+  if (best === 0 || leaders.length > 1) {
+    const holds = weightedMean(votes.filter((v) => v.action === TradeAction.HOLD));
+    return { ...holds, action: TradeAction.HOLD, summary: `${summary} (tie)` };
+  }
+  const action = leaders[0];
+  return { ...weightedMean(votes.filter((v) => v.action === action)), action, summary };
+}
+
+function unanimous(votes: StrategyVote[]): Outcome {
+  const action = votes[0].action;
+  const agreed = action !== TradeAction.HOLD && votes.every((v) => v.action === action);
+  if (!agreed) {
+    return { action: TradeAction.HOLD, confidence: 0, suggestedSize: 0, summary: "no consensus" };
+  }
+  // Most conservative of the agreeing strategies
+  return {
+    action,
+    confidence: Math.min(...votes.map((v) => v.confidence)),
+    suggestedSize: Math.min(...votes.map((v) => v.suggestedSize)),
+    summary: `all ${votes.length} agree`,
+  };
+}
+
+function priority(votes: StrategyVote[]): Outcome {
+  const first = votes.find((v) => v.action !== TradeAction.HOLD);
+  if (!first) {
+    return { action: TradeAction.HOLD, confidence: votes[0].confidence, suggestedSize: 0, summary: "all HOLD" };
+  }
+  return {
+    action: first.action,
+    confidence: first.confidence,
+    suggestedSize: first.suggestedSize,
+    summary: `first signal from ${first.strategy}`,
+  };
+}
+
+function confidenceWeighted(votes: StrategyVote[]): Outcome {
+  const totalWeight = sum(votes.map((v) => v.weight));
+  const net = totalWeight > 0
+    ? sum(votes.map((v) => v.weight * direction(v.action) * v.confidence)) / totalWeight
+    : 0;
+  const summary = `net=${net.toFixed(3)} (min ${config.AGGREGATION_MIN_CONFIDENCE})`;
+
+  if (Math.abs(net) < config.AGGREGATION_MIN_CONFIDENCE || net === 0) {
+    return { action: TradeAction.HOLD, confidence: Math.abs(net), suggestedSize: 0, summary };
+  }
+  const action = net > 0 ? TradeAction.BUY : TradeAction.SELL;
+  return {
+    action,
+    confidence: Math.abs(net),
+    suggestedSize: config.POSITION_SIZE * Math.abs(net),
+    summary,
+  };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+function direction(action: TradeAction): number {
+  return action === TradeAction.BUY ? 1 : action === TradeAction.SELL ? -1 : 0;
+}
+
+/** Weight-averaged confidence and size of a group of votes (zeros when empty). */
+function weightedMean(votes: StrategyVote[]): { confidence: number; suggestedSize: number } {
+  const w = sum(votes.map((v) => v.weight));
+  if (w === 0) return { confidence: 0, suggestedSize: 0 };
+  return {
+    confidence: sum(votes.map((v) => v.confidence * v.weight)) / w,
+    suggestedSize: sum(votes.map((v) => v.suggestedSize * v.weight)) / w,
+  };
+}
+
+function sum(values: number[]): number {
+  return values.reduce((s, v) => s + v, 0);
+}
@@ -1,30 +1,54 @@
+import { config } from "../config";
 import { log } from "../logger/reasoningLogger";
 import {
   TokenMarketData, TradeAction, TradeDecision,
-  IStrategy, PortfolioState,
+  IStrategy, PortfolioState, StrategyVote,
 } from "../types";
 import { evaluateRisk } from "../risk/riskEngine";
+import {
+  aggregate, AggregationPolicy,
+  parseAggregationPolicy, parseStrategyWeights,
+} from "./aggregation";
 
 /**
- * DecisionEngine orchestrates strategy evaluation and risk gating.
- * Execution is handled downstream by the ExecutionEngine.
+ * DecisionEngine orchestrates strategy evaluation, signal aggregation
+ * and risk gating. Execution is handled downstream by the ExecutionEngine.
  */
 export class DecisionEngine {
   private readonly strategies: IStrategy[];
+  private readonly policy: AggregationPolicy;
+  private readonly weights: Record<string, number>;
 
-  constructor(strategies: IStrategy[]) {
+  constructor(
+    strategies: IStrategy[],
+    policy: string = config.AGGREGATION_POLICY,
+    weights: Record<string, number> = parseStrategyWeights(config.STRATEGY_WEIGHTS),
+  ) {
     this.strategies = strategies;
-    log.info(`DecisionEngine initialised with ${strategies.length} strategy(ies)`);
+    this.policy = parseAggregationPolicy(policy);
+    this.weights = weights;
+    log.info(
+      `DecisionEngine initialised with ${strategies.length} strategy(ies) | ` +
+      `aggregation=${this.policy} | weights=${strategies.map((s) => `${s.name}:${this.weightOf(s)}`).join(",")}`,
+    );
   }
 
   /**
-   * Run all strategies against the provided market data, then gate
-   * each actionable decision through the risk engine.
-   * Decisions that fail risk checks are downgraded to HOLD.
+   * Run all strategies against the provided market data, merge their
+   * signals into one decision per token using the aggregation policy,
+   * then gate each actionable decision through the risk engine.
+   * Decisions that fail risk checks are downgraded to HOLD; BUYs may
+   * come back with a volatility-scaled size. Every risk check run is
+   * attached as `riskChecks`.
+   * `now` is the evaluation time (simulated when backtesting).
    */
-  evaluate(tokens: TokenMarketData[], portfolioState: PortfolioState): TradeDecision[] {
+  evaluate(
+    tokens: TokenMarketData[],
+    portfolioState: PortfolioState,
+    now: number = Date.now(),
+  ): TradeDecision[] {
     const tokenByAddress = new Map(tokens.map((t) => [t.token.address, t]));
-    const allDecisions: TradeDecision[] = [];
+    const votesByToken = new Map<string, { vote: StrategyVote; decision: TradeDecision }[]>();
 
     for (const strategy of this.strategies) {
       log.debug(`Running strategy: ${strategy.name}`);
@@ -35,31 +59,64 @@ export class DecisionEngine {
           `[${strategy.name}] ${d.token.symbol} → ${d.action} | ` +
           `score=${d.momentumScore.toFixed(1)} conf=${d.confidence.toFixed(2)} | ${d.reason}`,
         );
-      }
 
-      // Risk-gate each non-HOLD decision
-      const gated = decisions.map((d) => {
-        if (d.action === TradeAction.HOLD) return d;
+        const votes = votesByToken.get(d.token.address) ?? [];
+        votes.push({
+          decision: d,
+          vote: {
+            strategy: strategy.name,
+            weight: this.weightOf(strategy),
+            action: d.action,
+            confidence: d.confidence,
+            momentumScore: d.momentumScore,
+            suggestedSize: d.suggestedSize,
+            reason: d.reason,
+          },
+        });
+        votesByToken.set(d.token.address, votes);
+      }
+    }
 
-        const md = tokenByAddress.get(d.token.address);
-        if (!md) return d;
+    // One decision per token, then risk-gate each non-HOLD decision
+    return [...votesByToken.values()].map((votes) => {
+      const d = aggregate(this.policy, votes);
+      if (votes.length > 1) {
+        log.info(`[Aggregate] ${d.token.symbol} → ${d.action} | ${d.reason.slice(0, d.reason.indexOf("]") + 1)}`);
+      }
+      if (d.action === TradeAction.HOLD) return d;
 
-        const riskResult = evaluateRisk(md, d, portfolioState);
-        if (!riskResult.pass) {
-          log.info(`[RiskGate] ${d.token.symbol} ${d.action} → HOLD | ${riskResult.reason}`);
-          return {
-            ...d,
-            action: TradeAction.HOLD,
-            suggestedSize: 0,
-            reason: `${d.reason} || RISK BLOCKED: ${riskResult.reason}`,
-          };
-        }
-        return d;
-      });
+      const md = tokenByAddress.get(d.token.address);
+      if (!md) return d;
 
-      allDecisions.push(...gated);
-    }
+      const riskResult = evaluateRisk(md, d, portfolioState, now);
+      if (!riskResult.pass) {
+        log.info(`[RiskGate] ${d.token.symbol} ${d.action} → HOLD | ${riskResult.reason}`);
+        return {
+          ...d,
+          action: TradeAction.HOLD,
+          suggestedSize: 0,
+          reason: `${d.reason} || RISK BLOCKED: ${riskResult.reason}`,
+          riskChecks: riskResult.checks,
+        };
+      }
+      if (riskResult.suggestedSize !== d.suggestedSize) {
+        log.info(
+          `[RiskGate] ${d.token.symbol} ${d.action} size ` +
+          `${(d.suggestedSize * 100).toFixed(1)}% → ${(riskResult.suggestedSize * 100).toFixed(1)}% (volatility)`,
+        );
+        return {
+          ...d,
+          suggestedSize: riskResult.suggestedSize,
+          reason: `${d.reason} || RISK SCALED: size ${(d.suggestedSize * 100).toFixed(1)}% → ` +
+            `${(riskResult.suggestedSize * 100).toFixed(1)}%`,
+          riskChecks: riskResult.checks,
+        };
+      }
+      return { ...d, riskChecks: riskResult.checks };
+    });
+  }
 
-    return allDecisions;
+  private weightOf(strategy: IStrategy): number {
+    return this.weights[strategy.name] ?? 1;
   }
 }
@@ -1,16 +1,27 @@
+import { ethers } from "ethers";
 import { config } from "../config";
 import { log } from "../logger/reasoningLogger";
-import { TradeAction, TradeDecision, ExecutionResult } from "../types";
+import { getTreasuryContract } from "../chain/contracts";
+import { sizeToAmount } from "../chain/treasuryLimits";
+import { requireConfirmed, submitTransaction } from "../chain/txManager";
+import { isRouterConfigured, quoteSwap, swapToTreasury } from "./swapRouter";
+import { getSigner } from "../wallet/signer";
+import { TradeAction, TradeDecision, ExecutionResult, TradeExecutedEvent } from "../types";
 
 /**
- * Execution Engine (V1 — mock).
+ * Execution Engine.
  *
  * Responsible for the final step of the pipeline: turning a TradeDecision
- * into an on-chain transaction. In this mock version it simulates gas
- * estimation, generates a fake txHash, and returns success.
+ * into an on-chain transaction.
  *
- * Replace internals with real RPC / signer calls when blockchain
- * integration is ready. The interface stays the same.
+ * DRY_RUN=true  → simulates gas estimation and returns a fake txHash.
+ * DRY_RUN=false → calls AgentTreasury.executeTrade(token, amount, isBuy)
+ *                 signed by the configured ISigner backend and sent
+ *                 through the tx manager (nonces, fee bumps, retries),
+ *                 then decodes the TradeExecuted event. With ROUTER_ADDRESS set, the
+ *                 withdrawn funds are then swapped on the router with the
+ *                 proceeds paid back to the treasury (see swapRouter.ts);
+ *                 the whole round-trip is one ExecutionResult.
  */
 export async function executeTrade(decision: TradeDecision): Promise<ExecutionResult> {
   const { token, action, suggestedSize, confidence, momentumScore } = decision;
@@ -37,24 +48,78 @@ export async function executeTrade(decision: TradeDecision): Promise<ExecutionRe
     return { success: true, txHash, gasEstimate };
   }
 
-  // Live execution path (mock for now)
+  // Live execution path — AgentTreasury.executeTrade
   try {
-    const gasEstimate = simulateGas();
-    const txHash = mockTxHash();
+    const signer = await getSigner();
+    const treasury = getTreasuryContract();
+    const isBuy = action === TradeAction.BUY;
+
+    if (!ethers.isAddress(token.address)) {
+      throw new Error(`token address ${token.address} is not an on-chain address`);
+    }
+
+    const amount = await resolveTradeAmount(treasury, token.address, isBuy, suggestedSize);
+    if (amount === 0n) {
+      throw new Error(`resolved trade amount is zero (size=${suggestedSize.toFixed(4)})`);
+    }
+
+    // Quote before withdrawing, so an unroutable trade never leaves the treasury
+    const quote = isRouterConfigured() ? await quoteSwap(token.address, isBuy, amount) : null;
+    if (!quote) {
+      log.warn(`EXECUTION | ${action} ${token.symbol} | no ROUTER_ADDRESS — withdrawn funds stay in the agent wallet`);
+    }
+
+    const data = treasury.interface.encodeFunctionData("executeTrade", [token.address, amount, isBuy]);
+    const receipt = requireConfirmed(await submitTransaction(signer, {
+      to: config.TREASURY_ADDRESS,
+      data,
+      label: `executeTrade ${action} ${token.symbol}`,
+      iface: treasury.interface,
+    }));
 
-    // Simulate broadcast latency
-    await new Promise((resolve) => setTimeout(resolve, 20 + Math.random() * 60));
+    const tradeEvent = decodeTradeExecuted(treasury.interface, receipt);
+    if (!tradeEvent) {
+      throw new Error(`TradeExecuted event missing from receipt ${receipt.hash}`);
+    }
+
+    const gasUsed = Number(receipt.gasUsed);
+    const gasEstimate = Number(ethers.formatEther(receipt.gasUsed * receipt.gasPrice));
+
+    const swap = quote ? await swapToTreasury(signer, quote) : undefined;
+    if (swap && swap.amountOut === null) {
+      return {
+        success: false,
+        txHash: receipt.hash,
+        gasEstimate,
+        gasUsed,
+        blockNumber: receipt.blockNumber,
+        tradeEvent,
+        swap,
+        error: `swap failed after withdrawal: ${swap.error}`,
+      };
+    }
 
     log.info(
       `EXECUTION | ${action} ${token.symbol} | ` +
       `size=${suggestedSize.toFixed(4)} | ` +
+      `amount=${tradeEvent.amount} | ` +
       `conf=${confidence.toFixed(2)} | ` +
       `momentum=${momentumScore.toFixed(1)} | ` +
-      `gas=${gasEstimate.toFixed(4)} | ` +
-      `tx=${txHash}`,
+      `gas=${gasUsed} (${gasEstimate.toFixed(6)}) | ` +
+      `block=${receipt.blockNumber} | ` +
+      `tx=${receipt.hash}` +
+      (swap ? ` | swapOut=${swap.amountOut} swapTx=${swap.swapTxHash}` : ""),
     );
 
-    return { success: true, txHash, gasEstimate };
+    return {
+      success: true,
+      txHash: receipt.hash,
+      gasEstimate,
+      gasUsed,
+      blockNumber: receipt.blockNumber,
+      tradeEvent,
+      swap,
+    };
   } catch (err) {
     const error = err instanceof Error ? err.message : String(err);
     log.error(`EXECUTION FAILED | ${action} ${token.symbol} | ${error}`);
@@ -62,6 +127,47 @@ export async function executeTrade(decision: TradeDecision): Promise<ExecutionRe
   }
 }
 
+// ─── Live helpers ────────────────────────────────────────────────
+
+/**
+ * Convert a fractional `suggestedSize` into an on-chain amount.
+ * BUY spends that fraction of the treasury's native balance;
+ * SELL releases that fraction of the treasury's token balance.
+ */
+async function resolveTradeAmount(
+  treasury: ethers.Contract,
+  tokenAddress: string,
+  isBuy: boolean,
+  suggestedSize: number,
+): Promise<bigint> {
+  const balance: bigint = isBuy
+    ? await treasury.nativeBalance()
+    : await treasury.tokenBalance(tokenAddress);
+
+  return sizeToAmount(balance, suggestedSize);
+}
+
+/** Find and decode the treasury's TradeExecuted log in a receipt. */
+function decodeTradeExecuted(
+  iface: ethers.Interface,
+  receipt: ethers.TransactionReceipt,
+): TradeExecutedEvent | null {
+  for (const entry of receipt.logs) {
+    if (entry.address.toLowerCase() !== config.TREASURY_ADDRESS.toLowerCase()) continue;
+
+    const parsed = iface.parseLog(entry);
+    if (parsed?.name !== "TradeExecuted") continue;
+
+    return {
+      token: parsed.args.token,
+      amount: parsed.args.amount.toString(),
+      isBuy: parsed.args.isBuy,
+      timestamp: Number(parsed.args.timestamp),
+    };
+  }
+  return null;
+}
+
 // ─── Mock helpers ────────────────────────────────────────────────
 
 /** Simulate gas estimate between 0.001 and 0.005. */
@@ -0,0 +1,221 @@
+import { ethers } from "ethers";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import { getProvider, getTreasuryContract } from "../chain/contracts";
+import { requireConfirmed, submitTransaction } from "../chain/txManager";
+import { ISigner, SwapRecord } from "../types";
+
+/**
+ * DEX leg of a live trade.
+ *
+ * `AgentTreasury.executeTrade` only releases funds to the agent wallet:
+ * native MON on a BUY, the token on a SELL. This module swaps them on a
+ * Uniswap-V2-style router (ROUTER_ADDRESS) and has the router pay the
+ * proceeds straight back to the treasury:
+ *
+ *   BUY   swapExactETHForTokens(minOut, [WETH, token], treasury, deadline)
+ *   SELL  approve + swapExactTokensForETH(amount, minOut, [token, WETH], treasury, deadline)
+ *
+ * The quote is taken before the withdrawal, so a token the router cannot
+ * price never leaves the treasury. `minOut` is the quote less
+ * SWAP_MAX_SLIPPAGE_BPS and the deadline is SWAP_DEADLINE_SECONDS past
+ * the latest block. If the swap fails the withdrawn funds are sent back
+ * to the treasury, so nothing is left sitting in the agent wallet. A BUY
+ * is refunded through `refundTrade`, which takes the MON back off the
+ * token's allocation; a plain transfer would leave the allocation counting
+ * a position the treasury never took.
+ */
+
+const ROUTER_ABI = [
+  "function WETH() view returns (address)",
+  "function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)",
+  "function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable returns (uint256[] amounts)",
+  "function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)",
+];
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+];
+
+const erc20 = new ethers.Interface(ERC20_ABI);
+const routerInterface = new ethers.Interface(ROUTER_ABI);
+
+let wrappedNative: string | null = null;
+
+/** A priced swap, ready to execute once the treasury has released `amountIn`. */
+export interface SwapQuote {
+  router: string;
+  tokenAddress: string;
+  isBuy: boolean;
+  path: string[];
+  amountIn: bigint;
+  quotedOut: bigint;
+  minOut: bigint;
+}
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/** Whether ROUTER_ADDRESS is set, i.e. withdrawals should be swapped. */
+export function isRouterConfigured(): boolean {
+  return config.ROUTER_ADDRESS !== "";
+}
+
+/** Quote `amountIn` on the router and derive the slippage floor. Throws if the router cannot price it. */
+export async function quoteSwap(tokenAddress: string, isBuy: boolean, amountIn: bigint): Promise<SwapQuote> {
+  const slippageBps = config.SWAP_MAX_SLIPPAGE_BPS;
+  if (!(slippageBps >= 0 && slippageBps <= 10_000)) {
+    throw new Error(`SWAP_MAX_SLIPPAGE_BPS must be 0–10000 (got ${slippageBps})`);
+  }
+
+  const router = getRouterContract();
+  const weth = await getWrappedNative(router);
+  const path = isBuy ? [weth, tokenAddress] : [tokenAddress, weth];
+
+  const amounts: bigint[] = await router.getAmountsOut(amountIn, path);
+  const quotedOut = amounts[amounts.length - 1];
+  if (quotedOut === 0n) throw new Error(`router quotes zero output for ${amountIn}`);
+
+  return {
+    router: config.ROUTER_ADDRESS,
+    tokenAddress,
+    isBuy,
+    path,
+    amountIn,
+    quotedOut,
+    minOut: (quotedOut * BigInt(10_000 - slippageBps)) / 10_000n,
+  };
+}
+
+/**
+ * Execute a quoted swap with the treasury as recipient. Never throws:
+ * on failure the withdrawn funds are returned to the treasury and the
+ * record carries `amountOut: null` and the error.
+ */
+export async function swapToTreasury(signer: ISigner, quote: SwapQuote): Promise<SwapRecord> {
+  const record: SwapRecord = {
+    router: quote.router,
+    path: quote.path,
+    amountIn: quote.amountIn.toString(),
+    quotedOut: quote.quotedOut.toString(),
+    minOut: quote.minOut.toString(),
+    amountOut: null,
+    deadline: 0,
+    swapTxHash: null,
+  };
+
+  try {
+    const latest = await getProvider().getBlock("latest");
+    record.deadline = (latest?.timestamp ?? Math.floor(Date.now() / 1_000)) + config.SWAP_DEADLINE_SECONDS;
+
+    let data: string;
+    let value = 0n;
+
+    if (quote.isBuy) {
+      data = routerInterface.encodeFunctionData("swapExactETHForTokens", [
+        quote.minOut, quote.path, config.TREASURY_ADDRESS, record.deadline,
+      ]);
+      value = quote.amountIn;
+    } else {
+      record.approveTxHash = await ensureAllowance(signer, quote);
+      data = routerInterface.encodeFunctionData("swapExactTokensForETH", [
+        quote.amountIn, quote.minOut, quote.path, config.TREASURY_ADDRESS, record.deadline,
+      ]);
+    }
+
+    const outcome = await submitTransaction(signer, {
+      to: quote.router, data, value, label: "router swap", iface: routerInterface,
+    });
+    record.swapTxHash = outcome.record.hash;
+    const receipt = requireConfirmed(outcome);
+
+    const amountOut = proceedsToTreasury(quote, receipt);
+    record.amountOut = amountOut.toString();
+    log.info(
+      `SWAP | ${quote.isBuy ? "BUY" : "SELL"} ${quote.tokenAddress} | in=${quote.amountIn} ` +
+      `out=${amountOut} (quote ${quote.quotedOut}, min ${quote.minOut}) | tx=${receipt.hash}`,
+    );
+    return record;
+  } catch (err) {
+    record.error = err instanceof Error ? err.message : String(err);
+    log.error(`SWAP FAILED | ${quote.tokenAddress} | ${record.error} — returning funds to treasury`);
+    await refund(signer, quote, record);
+    return record;
+  }
+}
+
+// ─── Internals ───────────────────────────────────────────────────
+
+function getRouterContract(): ethers.Contract {
+  if (!ethers.isAddress(config.ROUTER_ADDRESS)) {
+    throw new Error(`ROUTER_ADDRESS is not a valid address: "${config.ROUTER_ADDRESS}"`);
+  }
+  return new ethers.Contract(config.ROUTER_ADDRESS, ROUTER_ABI, getProvider());
+}
+
+async function getWrappedNative(router: ethers.Contract): Promise<string> {
+  if (!wrappedNative) wrappedNative = String(await router.WETH());
+  return wrappedNative;
+}
+
+/** Approve the router for the sell amount if the current allowance is short. */
+async function ensureAllowance(signer: ISigner, quote: SwapQuote): Promise<string | undefined> {
+  const token = new ethers.Contract(quote.tokenAddress, ERC20_ABI, getProvider());
+  const allowance: bigint = await token.allowance(signer.address, quote.router);
+  if (allowance >= quote.amountIn) return undefined;
+
+  const data = erc20.encodeFunctionData("approve", [quote.router, quote.amountIn]);
+  return requireConfirmed(await submitTransaction(signer, { to: quote.tokenAddress, data, label: "router approve" })).hash;
+}
+
+/**
+ * What the treasury received in the swap receipt: token Transfer logs to
+ * the treasury on a BUY, the treasury's NativeReceived log on a SELL.
+ */
+function proceedsToTreasury(quote: SwapQuote, receipt: ethers.TransactionReceipt): bigint {
+  const treasuryAddr = config.TREASURY_ADDRESS.toLowerCase();
+  let total = 0n;
+
+  for (const entry of receipt.logs) {
+    const source = entry.address.toLowerCase();
+    if (quote.isBuy && source === quote.tokenAddress.toLowerCase()) {
+      const parsed = erc20.parseLog(entry);
+      if (parsed?.name === "Transfer" && String(parsed.args.to).toLowerCase() === treasuryAddr) {
+        total += BigInt(parsed.args.value);
+      }
+    } else if (!quote.isBuy && source === treasuryAddr) {
+      const parsed = getTreasuryContract().interface.parseLog(entry);
+      if (parsed?.name === "NativeReceived") total += BigInt(parsed.args.amount);
+    }
+  }
+  return total;
+}
+
+/** Send the withdrawn funds back to the treasury after a failed swap. */
+async function refund(signer: ISigner, quote: SwapQuote, record: SwapRecord): Promise<void> {
+  try {
+    const treasury = getTreasuryContract().interface;
+    const receipt = requireConfirmed(await submitTransaction(signer, quote.isBuy
+      ? {
+        to: config.TREASURY_ADDRESS,
+        data: treasury.encodeFunctionData("refundTrade", [quote.tokenAddress]),
+        value: quote.amountIn,
+        label: "swap refund",
+        iface: treasury,
+      }
+      : {
+        to: quote.tokenAddress,
+        data: erc20.encodeFunctionData("transfer", [config.TREASURY_ADDRESS, quote.amountIn]),
+        label: "swap refund",
+      }));
+    record.refundTxHash = receipt.hash;
+    log.warn(`SWAP REFUND | ${quote.amountIn} returned to treasury | tx=${receipt.hash}`);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    const stale = quote.isBuy ? `, and its tokenAllocation still counts ${quote.amountIn}` : "";
+    record.error = `${record.error}; refund failed — ${quote.amountIn} left in agent wallet${stale}: ${msg}`;
+    log.error(`SWAP REFUND FAILED | ${quote.tokenAddress} | ${quote.amountIn} left in agent wallet${stale} | ${msg}`);
+  }
+}
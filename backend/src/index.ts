@@ -1,5 +1,7 @@
 import { startAgentLoop } from "./agent/agentLoop";
 import { startWsServer } from "./ws/wsServer";
+import { startQuestVoucherServer } from "./chain/questVoucherServer";
+import { config } from "./config";
 import { log } from "./logger/reasoningLogger";
 
 async function main(): Promise<void> {
@@ -7,6 +9,9 @@ async function main(): Promise<void> {
     // Start WebSocket server for real-time frontend updates
     startWsServer(8080);
 
+    // Signed quest vouchers for the dApp, when enabled
+    if (config.QUEST_VOUCHER_PORT > 0) startQuestVoucherServer();
+
     await startAgentLoop();
   } catch (err) {
     const msg = err instanceof Error ? err.message : String(err);
@@ -0,0 +1,150 @@
+import { Candle, MarketHistory, PriceSample } from "../types";
+
+/** Standard lookbacks used by strategies. */
+export const Lookback = {
+  M1: 60_000,
+  M5: 5 * 60_000,
+  M15: 15 * 60_000,
+  H1: 60 * 60_000,
+} as const;
+
+/**
+ * Fixed-capacity ring buffer of timestamped samples for one token.
+ *
+ * Samples must arrive in increasing timestamp order; a sample that is not
+ * newer than the latest one is ignored so a source that repeats its last
+ * reading cannot double-count volume. Once full, the oldest sample is
+ * overwritten. All lookups are by time, not by slot, so results stay
+ * correct whatever the poll interval is.
+ */
+export class PriceHistory implements MarketHistory {
+  private readonly buffer: (PriceSample | undefined)[];
+  private head = 0;           // index of the next write
+  private count = 0;
+
+  constructor(private readonly capacity: number) {
+    if (!Number.isInteger(capacity) || capacity < 2) {
+      throw new Error(`PriceHistory capacity must be an integer >= 2 (got ${capacity})`);
+    }
+    this.buffer = new Array(capacity);
+  }
+
+  get length(): number {
+    return this.count;
+  }
+
+  /** Append a sample. Returns false when it was ignored as stale / out of order. */
+  push(sample: PriceSample): boolean {
+    const last = this.latest();
+    if (last && sample.timestamp <= last.timestamp) return false;
+
+    this.buffer[this.head] = sample;
+    this.head = (this.head + 1) % this.capacity;
+    this.count = Math.min(this.count + 1, this.capacity);
+    return true;
+  }
+
+  latest(): PriceSample | undefined {
+    return this.count === 0 ? undefined : this.at(this.count - 1);
+  }
+
+  spanMs(): number {
+    if (this.count < 2) return 0;
+    return this.at(this.count - 1).timestamp - this.at(0).timestamp;
+  }
+
+  priceAt(lookbackMs: number): number | undefined {
+    return this.sampleAt(lookbackMs)?.priceUsd;
+  }
+
+  liquidityAt(lookbackMs: number): number | undefined {
+    return this.sampleAt(lookbackMs)?.liquidity;
+  }
+
+  volumeOver(windowMs: number): number {
+    return this.samples(windowMs).reduce((sum, s) => sum + s.volumeUsd, 0);
+  }
+
+  samples(windowMs?: number): PriceSample[] {
+    if (this.count === 0) return [];
+
+    const start = windowMs === undefined
+      ? 0
+      : this.firstAfter(this.at(this.count - 1).timestamp - windowMs);
+
+    const out: PriceSample[] = [];
+    for (let i = start; i < this.count; i++) out.push(this.at(i));
+    return out;
+  }
+
+  candles(intervalMs: number, count: number): Candle[] {
+    if (this.count === 0 || intervalMs <= 0 || count <= 0) return [];
+
+    const lastStart = alignDown(this.at(this.count - 1).timestamp, intervalMs);
+    const firstStart = lastStart - (count - 1) * intervalMs;
+
+    const candles: Candle[] = [];
+    let current: Candle | null = null;
+
+    for (const s of this.samples(lastStart + intervalMs - firstStart)) {
+      const start = alignDown(s.timestamp, intervalMs);
+      if (start < firstStart) continue;
+
+      // Carry the previous close through empty buckets
+      while (current && current.start + intervalMs < start) {
+        candles.push(current);
+        current = flatCandle(current.start + intervalMs, current.close);
+      }
+
+      if (current && current.start === start) {
+        current.high = Math.max(current.high, s.priceUsd);
+        current.low = Math.min(current.low, s.priceUsd);
+        current.close = s.priceUsd;
+        current.volume += s.volumeUsd;
+      } else {
+        if (current) candles.push(current);
+        current = { start, open: s.priceUsd, high: s.priceUsd, low: s.priceUsd, close: s.priceUsd, volume: s.volumeUsd };
+      }
+    }
+    if (current) candles.push(current);
+
+    return candles;
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────
+
+  /** Logical index 0 = oldest sample. */
+  private at(i: number): PriceSample {
+    const start = (this.head - this.count + this.capacity) % this.capacity;
+    return this.buffer[(start + i) % this.capacity]!;
+  }
+
+  /** Latest sample at or before `lookbackMs` ago, else the oldest sample. */
+  private sampleAt(lookbackMs: number): PriceSample | undefined {
+    if (this.count === 0) return undefined;
+
+    const target = this.at(this.count - 1).timestamp - lookbackMs;
+    const idx = this.firstAfter(target) - 1;
+    return this.at(Math.max(idx, 0));
+  }
+
+  /** Index of the first sample with timestamp > t (binary search). */
+  private firstAfter(t: number): number {
+    let lo = 0;
+    let hi = this.count;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this.at(mid).timestamp > t) hi = mid;
+      else lo = mid + 1;
+    }
+    return lo;
+  }
+}
+
+function alignDown(t: number, intervalMs: number): number {
+  return Math.floor(t / intervalMs) * intervalMs;
+}
+
+function flatCandle(start: number, price: number): Candle {
+  return { start, open: price, high: price, low: price, close: price, volume: 0 };
+}
@@ -0,0 +1,140 @@
+import { ethers } from "ethers";
+import { MarketDataSource, MarketSnapshot, Token } from "../../types";
+import { config } from "../../config";
+import { log } from "../../logger/reasoningLogger";
+import { getProvider } from "../../chain/contracts";
+import { TrackedToken } from "../validation";
+
+/**
+ * On-chain DEX adapter — reads Uniswap-V2-style pair reserves over RPC.
+ *
+ *   price     = (reserveQuote / reserveToken) × QUOTE_PRICE_USD
+ *   liquidity = 2 × reserveQuote × QUOTE_PRICE_USD
+ *   volume    = Σ quote-side Swap amounts since the previous fetch, read
+ *               LOG_BLOCK_RANGE blocks at a time so a long gap is not cut short
+ *
+ * The quote asset is whichever side of the pair is not the tracked token
+ * (typically WMON); its USD price comes from config.
+ */
+
+const PAIR_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+];
+
+const ERC20_ABI = ["function decimals() view returns (uint8)"];
+
+interface PairInfo {
+  pair: ethers.Contract;
+  tokenIsToken0: boolean;
+  quoteDecimals: number;
+  lastBlock: number | null;
+}
+
+export class DexPoolMarketDataSource implements MarketDataSource {
+  public readonly name = "dex";
+  public readonly tokens: Token[];
+
+  private readonly tracked: TrackedToken[];
+  private readonly pairs = new Map<string, PairInfo>();
+
+  constructor(tracked: TrackedToken[], private readonly quotePriceUsd: number) {
+    const missing = tracked.filter((t) => !t.pair).map((t) => t.token.symbol);
+    if (missing.length > 0) {
+      throw new Error(`MARKET_DATA_SOURCE=dex requires a pair address for: ${missing.join(", ")}`);
+    }
+    if (!(quotePriceUsd > 0)) throw new Error("MARKET_DATA_SOURCE=dex requires QUOTE_PRICE_USD > 0");
+
+    this.tracked = tracked;
+    this.tokens = tracked.map((t) => t.token);
+  }
+
+  async fetchSnapshots(): Promise<MarketSnapshot[]> {
+    const blockNumber = await getProvider().getBlockNumber();
+    const results: MarketSnapshot[] = [];
+
+    for (const t of this.tracked) {
+      try {
+        results.push(await this.readPair(t, blockNumber));
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`[DexSource] ${t.token.symbol}: pair ${t.pair} read failed — ${msg}`);
+      }
+    }
+    return results;
+  }
+
+  private async readPair(t: TrackedToken, blockNumber: number): Promise<MarketSnapshot> {
+    const info = await this.pairInfo(t);
+    const [reserve0, reserve1] = await info.pair.getReserves({ blockTag: blockNumber });
+
+    const tokenReserve = toUnits(info.tokenIsToken0 ? reserve0 : reserve1, t.token.decimals);
+    const quoteReserve = toUnits(info.tokenIsToken0 ? reserve1 : reserve0, info.quoteDecimals);
+    if (tokenReserve === 0) throw new Error("pair has no token reserve");
+
+    const volumeQuote = await this.swapVolume(info, blockNumber);
+
+    return {
+      token: t.token,
+      priceUsd: (quoteReserve / tokenReserve) * this.quotePriceUsd,
+      volumeUsd: volumeQuote * this.quotePriceUsd,
+      liquidity: 2 * quoteReserve * this.quotePriceUsd,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Sum quote-side Swap amounts in (lastBlock, blockNumber], paging through
+   * the gap. First call seeds lastBlock; a failed page leaves it, so the
+   * whole gap is read again on the next fetch.
+   */
+  private async swapVolume(info: PairInfo, blockNumber: number): Promise<number> {
+    if (info.lastBlock === null || info.lastBlock >= blockNumber) {
+      info.lastBlock = blockNumber;
+      return 0;
+    }
+
+    const range = Math.max(1, config.LOG_BLOCK_RANGE);
+    let total = 0n;
+    for (let fromBlock = info.lastBlock + 1; fromBlock <= blockNumber; fromBlock += range) {
+      const toBlock = Math.min(fromBlock + range - 1, blockNumber);
+      const logs = await info.pair.queryFilter(info.pair.filters.Swap(), fromBlock, toBlock);
+      for (const entry of logs) {
+        if (!("args" in entry)) continue;
+        const { amount0In, amount1In, amount0Out, amount1Out } = entry.args;
+        total += info.tokenIsToken0 ? amount1In + amount1Out : amount0In + amount0Out;
+      }
+    }
+    info.lastBlock = blockNumber;
+    return toUnits(total, info.quoteDecimals);
+  }
+
+  private async pairInfo(t: TrackedToken): Promise<PairInfo> {
+    const cached = this.pairs.get(t.token.address);
+    if (cached) return cached;
+
+    const pair = new ethers.Contract(t.pair!, PAIR_ABI, getProvider());
+    const [token0, token1]: [string, string] = await Promise.all([pair.token0(), pair.token1()]);
+
+    const tokenIsToken0 = token0.toLowerCase() === t.token.address.toLowerCase();
+    if (!tokenIsToken0 && token1.toLowerCase() !== t.token.address.toLowerCase()) {
+      throw new Error(`pair does not contain ${t.token.address}`);
+    }
+
+    const quote = new ethers.Contract(tokenIsToken0 ? token1 : token0, ERC20_ABI, getProvider());
+    const info: PairInfo = {
+      pair,
+      tokenIsToken0,
+      quoteDecimals: Number(await quote.decimals()),
+      lastBlock: null,
+    };
+    this.pairs.set(t.token.address, info);
+    return info;
+  }
+}
+
+function toUnits(value: bigint, decimals: number): number {
+  return Number(ethers.formatUnits(value, decimals));
+}
@@ -0,0 +1,81 @@
+import { MarketDataSource, MarketSnapshot, Token } from "../../types";
+import { log } from "../../logger/reasoningLogger";
+import { parseNumeric, TrackedToken } from "../validation";
+
+/**
+ * Nad.fun-style HTTP price API adapter.
+ *
+ * Request:
+ *   GET {baseUrl}/tokens?addresses=0xA,0xB&since=<epoch ms of previous fetch>
+ *   x-api-key: <apiKey>            (only when configured)
+ *
+ * Expected response (numbers may be JSON numbers or numeric strings):
+ *   { "data": [ { "address": "0x…", "price_usd": "0.42", "volume_usd": "2100",
+ *                 "liquidity_usd": "420000", "updated_at": 1707123456 } ] }
+ *
+ * `volume_usd` is volume traded since `since`; `updated_at` is unix seconds.
+ * Malformed rows are dropped so the indexer falls back for those tokens.
+ */
+export class HttpMarketDataSource implements MarketDataSource {
+  public readonly name = "http";
+  public readonly tokens: Token[];
+
+  private readonly tokenByAddress: Map<string, Token>;
+  private lastFetchMs: number | null = null;
+
+  constructor(
+    tracked: TrackedToken[],
+    private readonly baseUrl: string,
+    private readonly apiKey: string,
+    private readonly timeoutMs: number,
+  ) {
+    if (!baseUrl) throw new Error("MARKET_DATA_SOURCE=http requires MARKET_API_URL");
+    this.tokens = tracked.map((t) => t.token);
+    this.tokenByAddress = new Map(this.tokens.map((t) => [t.address.toLowerCase(), t]));
+  }
+
+  async fetchSnapshots(): Promise<MarketSnapshot[]> {
+    const url = new URL(`${this.baseUrl.replace(/\/$/, "")}/tokens`);
+    url.searchParams.set("addresses", this.tokens.map((t) => t.address).join(","));
+    if (this.lastFetchMs !== null) url.searchParams.set("since", String(this.lastFetchMs));
+
+    const requestedAt = Date.now();
+    const res = await fetch(url, {
+      headers: this.apiKey ? { "x-api-key": this.apiKey } : {},
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status} from ${url.origin}${url.pathname}`);
+    }
+
+    const body = (await res.json()) as { data?: unknown };
+    if (!Array.isArray(body?.data)) {
+      throw new Error("response is missing a `data` array");
+    }
+
+    this.lastFetchMs = requestedAt;
+    return body.data.flatMap((row) => this.parseRow(row));
+  }
+
+  private parseRow(row: unknown): MarketSnapshot[] {
+    try {
+      if (typeof row !== "object" || row === null) throw new Error("row is not an object");
+      const r = row as Record<string, unknown>;
+
+      const token = typeof r.address === "string" ? this.tokenByAddress.get(r.address.toLowerCase()) : undefined;
+      if (!token) throw new Error(`unknown or missing address ${JSON.stringify(r.address)}`);
+
+      return [{
+        token,
+        priceUsd: parseNumeric(r.price_usd, "price_usd"),
+        volumeUsd: parseNumeric(r.volume_usd, "volume_usd"),
+        liquidity: parseNumeric(r.liquidity_usd, "liquidity_usd"),
+        timestamp: parseNumeric(r.updated_at, "updated_at") * 1_000,
+      }];
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.warn(`[HttpSource] Dropping malformed row: ${msg}`);
+      return [];
+    }
+  }
+}
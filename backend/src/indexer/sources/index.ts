@@ -0,0 +1,35 @@
+import { config } from "../../config";
+import { MarketDataSource } from "../../types";
+import { loadTokenList } from "../validation";
+import { MockMarketDataSource } from "./mockSource";
+import { HttpMarketDataSource } from "./httpSource";
+import { DexPoolMarketDataSource } from "./dexPoolSource";
+
+export const MarketDataSourceType = {
+  MOCK: "mock",
+  HTTP: "http",
+  DEX: "dex",
+} as const;
+
+export type MarketDataSourceType = (typeof MarketDataSourceType)[keyof typeof MarketDataSourceType];
+
+/** Build the market data source selected by `MARKET_DATA_SOURCE`. */
+export function createMarketDataSource(type: string = config.MARKET_DATA_SOURCE): MarketDataSource {
+  switch (type) {
+    case MarketDataSourceType.MOCK:
+      return new MockMarketDataSource();
+    case MarketDataSourceType.HTTP:
+      return new HttpMarketDataSource(
+        loadTokenList(config.TOKEN_LIST_PATH),
+        config.MARKET_API_URL,
+        config.MARKET_API_KEY,
+        config.MARKET_API_TIMEOUT_MS,
+      );
+    case MarketDataSourceType.DEX:
+      return new DexPoolMarketDataSource(loadTokenList(config.TOKEN_LIST_PATH), config.QUOTE_PRICE_USD);
+    default:
+      throw new Error(
+        `Unknown MARKET_DATA_SOURCE "${type}" (expected ${Object.values(MarketDataSourceType).join(" | ")})`,
+      );
+  }
+}
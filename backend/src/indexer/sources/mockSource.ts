@@ -0,0 +1,93 @@
+import { MarketDataSource, MarketSnapshot, Token } from "../../types";
+
+/**
+ * Mock Nad.fun market feed.
+ *
+ * Each fetch produces a random-walk price around the previous one and
+ * jittered volume / liquidity around fixed bases. Useful for dry runs
+ * and demos — no network access required.
+ */
+
+// ─── Deterministic helpers ───────────────────────────────────────
+
+function jitter(base: number, pct: number): number {
+  return base * (1 + (Math.random() - 0.5) * pct);
+}
+
+function clampPositive(n: number): number {
+  return Math.max(n, 0);
+}
+
+// ─── Static token definitions ────────────────────────────────────
+
+const TOKEN_DEFS: { token: Token; basePrice: number; baseVolume: number; baseLiquidity: number }[] = [
+  {
+    token: {
+      address: "0xNAD_TOKEN_ALPHA",
+      symbol: "ALPHA",
+      name: "Alpha Token",
+      decimals: 18,
+      totalSupply: 1_000_000,
+      createdAt: new Date("2025-12-01"),
+    },
+    basePrice: 0.42,
+    baseVolume: 2_100,
+    baseLiquidity: 420_000,
+  },
+  {
+    token: {
+      address: "0xNAD_TOKEN_BETA",
+      symbol: "BETA",
+      name: "Beta Token",
+      decimals: 18,
+      totalSupply: 5_000_000,
+      createdAt: new Date("2026-01-15"),
+    },
+    basePrice: 0.087,
+    baseVolume: 970,
+    baseLiquidity: 435_000,
+  },
+  {
+    token: {
+      address: "0xNAD_TOKEN_GAMMA",
+      symbol: "GAMMA",
+      name: "Gamma Token",
+      decimals: 18,
+      totalSupply: 10_000_000,
+      createdAt: new Date("2026-02-01"),
+    },
+    basePrice: 0.015,
+    baseVolume: 210,
+    baseLiquidity: 150_000,
+  },
+];
+
+// ─── Source ──────────────────────────────────────────────────────
+
+export class MockMarketDataSource implements MarketDataSource {
+  public readonly name = "mock";
+  public readonly tokens: Token[] = TOKEN_DEFS.map((d) => d.token);
+
+  private readonly lastPrice = new Map<string, number>();
+
+  async fetchSnapshots(): Promise<MarketSnapshot[]> {
+    // Simulate network latency
+    await new Promise((resolve) => setTimeout(resolve, 30 + Math.random() * 70));
+
+    const now = Date.now();
+
+    return TOKEN_DEFS.map((def) => {
+      const prev = this.lastPrice.get(def.token.address) ?? def.basePrice;
+      const priceUsd = clampPositive(jitter(prev, 0.10));
+      this.lastPrice.set(def.token.address, priceUsd);
+
+      return {
+        token: def.token,
+        priceUsd,
+        volumeUsd: clampPositive(jitter(def.baseVolume, 0.40)),
+        liquidity: clampPositive(jitter(def.baseLiquidity, 0.08)),
+        timestamp: now,
+      };
+    });
+  }
+}
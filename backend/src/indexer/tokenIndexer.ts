@@ -1,159 +1,141 @@
-import { Token, TokenMarketData } from "../types";
+import { config } from "../config";
+import { MarketDataSource, MarketHistory, MarketSnapshot, Token, TokenMarketData } from "../types";
 import { log } from "../logger/reasoningLogger";
+import { createMarketDataSource } from "./sources";
+import { validateSnapshot } from "./validation";
+import { Lookback, PriceHistory } from "./priceHistory";
 
 /**
- * Mock Nad.fun token data fetcher with in-memory rolling cache.
+ * Token indexer with per-token time-indexed history.
  *
  * Each tick the indexer:
- *   1. Generates a new spot price (random walk around base).
- *   2. Shifts the previous 1 m price → 5 m slot; current → 1 m slot.
- *   3. Generates mock volume / liquidity with the same shift logic.
+ *   1. Pulls one snapshot per token from the active MarketDataSource
+ *      (mock / http / dex, chosen by MARKET_DATA_SOURCE).
+ *   2. Validates each snapshot against the schema.
+ *   3. Appends it to the token's PriceHistory ring buffer and derives the
+ *      TokenMarketData fields by time (price 1m / 5m ago, volume summed
+ *      over the trailing 1m / 5m), whatever POLL_INTERVAL_MS is.
  *
- * Replace the random generators with real API calls when ready.
- * No external database — everything lives in `cacheByAddress`.
+ * When the source fails or a snapshot is invalid, the token's last good
+ * value is served (with its original updatedAt) until it is older than
+ * MARKET_DATA_MAX_STALE_MS, after which the token is dropped from the tick.
  */
 
-// ─── Deterministic helpers ───────────────────────────────────────
+// ─── In-memory history ───────────────────────────────────────────
 
-function jitter(base: number, pct: number): number {
-  return base * (1 + (Math.random() - 0.5) * pct);
-}
+/** Enough slots to hold HISTORY_RETENTION_MS of samples at the poll interval. */
+const HISTORY_CAPACITY = Math.max(
+  Math.ceil(config.HISTORY_RETENTION_MS / Math.max(config.POLL_INTERVAL_MS, 1)) + 2,
+  16,
+);
 
-function clampPositive(n: number): number {
-  return Math.max(n, 0);
-}
+const historyByAddress = new Map<string, PriceHistory>();
 
-// ─── Static token definitions ────────────────────────────────────
-
-const TOKEN_DEFS: { token: Token; basePrice: number; baseVolume: number; baseLiquidity: number }[] = [
-  {
-    token: {
-      address: "0xNAD_TOKEN_ALPHA",
-      symbol: "ALPHA",
-      name: "Alpha Token",
-      decimals: 18,
-      totalSupply: 1_000_000,
-      createdAt: new Date("2025-12-01"),
-    },
-    basePrice: 0.42,
-    baseVolume: 2_100,
-    baseLiquidity: 420_000,
-  },
-  {
-    token: {
-      address: "0xNAD_TOKEN_BETA",
-      symbol: "BETA",
-      name: "Beta Token",
-      decimals: 18,
-      totalSupply: 5_000_000,
-      createdAt: new Date("2026-01-15"),
-    },
-    basePrice: 0.087,
-    baseVolume: 970,
-    baseLiquidity: 435_000,
-  },
-  {
-    token: {
-      address: "0xNAD_TOKEN_GAMMA",
-      symbol: "GAMMA",
-      name: "Gamma Token",
-      decimals: 18,
-      totalSupply: 10_000_000,
-      createdAt: new Date("2026-02-01"),
-    },
-    basePrice: 0.015,
-    baseVolume: 210,
-    baseLiquidity: 150_000,
-  },
-];
-
-// ─── In-memory rolling cache ─────────────────────────────────────
-
-interface CacheEntry {
-  priceUsd: number;
-  price1mAgo: number;
-  price5mAgo: number;
-  volume1m: number;
-  volume5m: number;
-  liquidity: number;
-  previousLiquidity: number;
+function historyFor(addr: string): PriceHistory {
+  let history = historyByAddress.get(addr);
+  if (!history) {
+    history = new PriceHistory(HISTORY_CAPACITY);
+    historyByAddress.set(addr, history);
+  }
+  return history;
 }
 
-const cacheByAddress = new Map<string, CacheEntry>();
+/** Derive the fixed rolling-window fields from history, anchored at its latest sample. */
+export function toMarketData(token: Token, history: PriceHistory): TokenMarketData {
+  const latest = history.latest()!;
+  const samples = history.samples();
+  const previous = samples.length > 1 ? samples[samples.length - 2] : latest;
 
-function initCacheEntry(basePrice: number, baseVolume: number, baseLiquidity: number): CacheEntry {
   return {
-    priceUsd: basePrice,
-    price1mAgo: basePrice,
-    price5mAgo: basePrice,
-    volume1m: baseVolume,
-    volume5m: baseVolume,
-    liquidity: baseLiquidity,
-    previousLiquidity: baseLiquidity,
+    token,
+    priceUsd: latest.priceUsd,
+    price1mAgo: history.priceAt(Lookback.M1)!,
+    price5mAgo: history.priceAt(Lookback.M5)!,
+    volume1m: history.volumeOver(Lookback.M1),
+    volume5m: history.volumeOver(Lookback.M5),
+    liquidity: latest.liquidity,
+    previousLiquidity: previous.liquidity,
+    updatedAt: latest.timestamp,
+    history,
   };
 }
 
-function advanceCache(
-  entry: CacheEntry,
-  basePrice: number,
-  baseVolume: number,
-  baseLiquidity: number,
-): CacheEntry {
-  // Shift rolling windows: current → 1m, 1m → 5m
-  const newPrice = clampPositive(jitter(entry.priceUsd, 0.10));
-  const newVolume = clampPositive(jitter(baseVolume, 0.40));
-  const newLiquidity = clampPositive(jitter(baseLiquidity, 0.08));
+// ─── Active source ───────────────────────────────────────────────
 
-  return {
-    price5mAgo: entry.price1mAgo,
-    price1mAgo: entry.priceUsd,
-    priceUsd: newPrice,
-    volume5m: entry.volume1m,
-    volume1m: newVolume,
-    previousLiquidity: entry.liquidity,
-    liquidity: newLiquidity,
-  };
+let source: MarketDataSource | null = null;
+
+function activeSource(): MarketDataSource {
+  if (!source) {
+    source = createMarketDataSource();
+    log.info(`[TokenIndexer] Using ${source.name} market data source (${source.tokens.length} tokens)`);
+  }
+  return source;
 }
 
 // ─── Public API ──────────────────────────────────────────────────
 
+/** Read-only history for a tracked token (undefined until its first sample). */
+export function getHistory(address: string): MarketHistory | undefined {
+  return historyByAddress.get(address);
+}
+
 /**
  * Fetch enriched market data for all tracked tokens.
- * Each call advances the rolling cache by one tick.
+ * Each call appends at most one new sample per token to its history.
  */
 export async function fetchTokens(): Promise<TokenMarketData[]> {
-  log.debug(`[TokenIndexer] Fetching ${TOKEN_DEFS.length} tokens…`);
-
-  // Simulate network latency
-  await new Promise((resolve) => setTimeout(resolve, 30 + Math.random() * 70));
+  const src = activeSource();
+  log.debug(`[TokenIndexer] Fetching ${src.tokens.length} tokens from ${src.name}…`);
+
+  let snapshots: MarketSnapshot[] = [];
+  try {
+    snapshots = await src.fetchSnapshots();
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.warn(`[TokenIndexer] ${src.name} source failed: ${msg} — serving last good values`);
+  }
 
+  const snapByAddress = new Map(snapshots.map((s) => [s.token.address.toLowerCase(), s]));
   const now = Date.now();
   const results: TokenMarketData[] = [];
 
-  for (const def of TOKEN_DEFS) {
-    const addr = def.token.address;
+  for (const token of src.tokens) {
+    const history = historyFor(token.address);
+    const snap = snapByAddress.get(token.address.toLowerCase());
+    const errors = snap ? validateSnapshot(snap) : ["no snapshot returned"];
+
+    if (snap && errors.length === 0) {
+      history.push({
+        timestamp: snap.timestamp,
+        priceUsd: snap.priceUsd,
+        volumeUsd: snap.volumeUsd,
+        liquidity: snap.liquidity,
+      });
+      results.push(toMarketData(token, history));
+      continue;
+    }
+
+    // Fallback — serve the last good value while it is fresh enough
+    const last = history.latest();
+    if (!last) {
+      log.warn(`[TokenIndexer] ${token.symbol}: ${errors.join("; ")} — no previous value, skipping`);
+      continue;
+    }
 
-    // Initialise on first tick
-    if (!cacheByAddress.has(addr)) {
-      cacheByAddress.set(addr, initCacheEntry(def.basePrice, def.baseVolume, def.baseLiquidity));
+    const ageMs = now - last.timestamp;
+    if (ageMs > config.MARKET_DATA_MAX_STALE_MS) {
+      log.warn(
+        `[TokenIndexer] ${token.symbol}: ${errors.join("; ")} — last good value is ` +
+        `${Math.round(ageMs / 1_000)}s old, skipping`,
+      );
+      continue;
     }
 
-    // Advance the cache
-    const prev = cacheByAddress.get(addr)!;
-    const next = advanceCache(prev, def.basePrice, def.baseVolume, def.baseLiquidity);
-    cacheByAddress.set(addr, next);
-
-    results.push({
-      token: def.token,
-      priceUsd: next.priceUsd,
-      price1mAgo: next.price1mAgo,
-      price5mAgo: next.price5mAgo,
-      volume1m: next.volume1m,
-      volume5m: next.volume5m,
-      liquidity: next.liquidity,
-      previousLiquidity: next.previousLiquidity,
-      updatedAt: now,
-    });
+    log.warn(
+      `[TokenIndexer] ${token.symbol}: ${errors.join("; ")} — using last good value ` +
+      `from ${Math.round(ageMs / 1_000)}s ago`,
+    );
+    results.push(toMarketData(token, history));
   }
 
   log.debug(
@@ -0,0 +1,90 @@
+import * as fs from "fs";
+import * as path from "path";
+import { ethers } from "ethers";
+import { MarketSnapshot, Token } from "../types";
+
+/**
+ * Schema checks for everything that enters the indexer from outside:
+ * the tracked-token list on disk and each snapshot a source returns.
+ */
+
+// ─── Snapshots ───────────────────────────────────────────────────
+
+/** Return every schema violation in a snapshot (empty array = valid). */
+export function validateSnapshot(s: MarketSnapshot): string[] {
+  const errors: string[] = [];
+
+  if (!isFiniteNumber(s.priceUsd) || s.priceUsd <= 0) errors.push(`priceUsd must be > 0 (got ${s.priceUsd})`);
+  if (!isFiniteNumber(s.volumeUsd) || s.volumeUsd < 0) errors.push(`volumeUsd must be >= 0 (got ${s.volumeUsd})`);
+  if (!isFiniteNumber(s.liquidity) || s.liquidity < 0) errors.push(`liquidity must be >= 0 (got ${s.liquidity})`);
+  if (!isFiniteNumber(s.timestamp) || s.timestamp <= 0) errors.push(`timestamp must be epoch ms (got ${s.timestamp})`);
+  else if (s.timestamp > Date.now() + 60_000) errors.push(`timestamp ${s.timestamp} is in the future`);
+
+  return errors;
+}
+
+/** Parse a JSON number or numeric string; throws with the field name on failure. */
+export function parseNumeric(value: unknown, field: string): number {
+  const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (!isFiniteNumber(n)) {
+    throw new Error(`${field} is not numeric (got ${JSON.stringify(value)})`);
+  }
+  return n;
+}
+
+function isFiniteNumber(n: unknown): n is number {
+  return typeof n === "number" && Number.isFinite(n);
+}
+
+// ─── Tracked-token list ──────────────────────────────────────────
+
+/** A token the live sources should track, with its DEX pair when known. */
+export interface TrackedToken {
+  token: Token;
+  pair?: string;
+}
+
+/**
+ * Load and validate the tracked-token list (see tokens.example.json).
+ * Throws on the first malformed entry so misconfiguration fails at startup.
+ */
+export function loadTokenList(filePath: string): TrackedToken[] {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Token list not found at ${resolved}`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(resolved, "utf-8")) as unknown;
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error(`Token list ${resolved} must be a non-empty JSON array`);
+  }
+
+  return raw.map((entry, i) => {
+    const where = `${resolved}[${i}]`;
+    if (typeof entry !== "object" || entry === null) throw new Error(`${where} is not an object`);
+    const e = entry as Record<string, unknown>;
+
+    if (typeof e.address !== "string" || !ethers.isAddress(e.address)) {
+      throw new Error(`${where}.address is not a valid address`);
+    }
+    if (typeof e.symbol !== "string" || e.symbol === "") throw new Error(`${where}.symbol is required`);
+    if (e.pair !== undefined && (typeof e.pair !== "string" || !ethers.isAddress(e.pair))) {
+      throw new Error(`${where}.pair is not a valid address`);
+    }
+
+    const createdAt = new Date(typeof e.createdAt === "string" ? e.createdAt : 0);
+    if (Number.isNaN(createdAt.getTime())) throw new Error(`${where}.createdAt is not a date`);
+
+    return {
+      token: {
+        address: ethers.getAddress(e.address),
+        symbol: e.symbol,
+        name: typeof e.name === "string" ? e.name : e.symbol,
+        decimals: e.decimals === undefined ? 18 : parseNumeric(e.decimals, `${where}.decimals`),
+        totalSupply: e.totalSupply === undefined ? 0 : parseNumeric(e.totalSupply, `${where}.totalSupply`),
+        createdAt,
+      },
+      pair: e.pair !== undefined ? ethers.getAddress(e.pair as string) : undefined,
+    };
+  });
+}
@@ -0,0 +1,266 @@
+import {
+  FillResult, LedgerFill, LedgerSnapshot, PortfolioState, PositionState,
+  Token, TokenMarketData, TradeAction, TradeDecision,
+} from "../types";
+
+/**
+ * Paper-trading portfolio ledger.
+ *
+ * Tracks USD cash and, per token, quantity held, average cost (fees
+ * included) and realised PnL. Open positions are marked to the latest
+ * indexer `priceUsd` passed to `markToMarket()`, from which equity,
+ * unrealised PnL and the allocation fractions the risk engine reads
+ * are derived.
+ *
+ * It also keeps the equity high-water mark and the realised PnL of the
+ * current UTC day, which feed the drawdown and daily-loss risk rules.
+ *
+ * Fills that would overdraw cash or sell more than is held are rejected
+ * with `{ success: false, error }` and leave the ledger untouched.
+ */
+
+/** Relative tolerance for float rounding when a fill uses the whole balance. */
+const EPSILON = 1e-9;
+
+/** UTC calendar day of a timestamp, e.g. "2025-01-31". */
+function utcDay(timestamp: number): string {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+interface Holding {
+  token: Token;
+  quantity: number;
+  avgCost: number;
+  realizedPnl: number;
+}
+
+export class PortfolioLedger {
+  private cashUsd: number;
+  private realizedTotal = 0;
+  private readonly holdings = new Map<string, Holding>();
+  private readonly marks = new Map<string, number>();
+  private readonly lastTradeTimestamps: Record<string, number> = {};
+  private peakEquity: number;
+  private dailyRealized = { day: "", pnl: 0 };
+
+  constructor(initialCash: number) {
+    if (!(initialCash >= 0)) throw new Error(`PortfolioLedger initial cash must be >= 0 (got ${initialCash})`);
+    this.cashUsd = initialCash;
+    this.peakEquity = initialCash;
+  }
+
+  /** Rebuild a ledger from a persisted snapshot. */
+  static fromSnapshot(snapshot: LedgerSnapshot): PortfolioLedger {
+    const ledger = new PortfolioLedger(snapshot.cash);
+    ledger.realizedTotal = snapshot.realizedPnl;
+    for (const h of snapshot.holdings) {
+      if (h.quantity > 0) ledger.holdings.set(h.token.address, { ...h });
+    }
+    for (const [addr, price] of Object.entries(snapshot.marks)) ledger.marks.set(addr, price);
+    Object.assign(ledger.lastTradeTimestamps, snapshot.lastTradeTimestamps);
+    ledger.peakEquity = Math.max(snapshot.peakEquity ?? 0, ledger.equity());
+    if (snapshot.dailyRealized) ledger.dailyRealized = { ...snapshot.dailyRealized };
+    return ledger;
+  }
+
+  get cash(): number {
+    return this.cashUsd;
+  }
+
+  /** Record the latest price for each token (positions are valued at these). */
+  markToMarket(marketData: TokenMarketData[]): void {
+    for (const md of marketData) this.marks.set(md.token.address, md.priceUsd);
+    this.updatePeak();
+  }
+
+  /** Latest mark for a token, if any. */
+  priceOf(address: string): number | undefined {
+    return this.marks.get(address);
+  }
+
+  /** Quantity currently held (0 when flat). */
+  quantityOf(address: string): number {
+    return this.holdings.get(address)?.quantity ?? 0;
+  }
+
+  equity(): number {
+    let total = this.cashUsd;
+    for (const h of this.holdings.values()) total += h.quantity * this.markFor(h);
+    return total;
+  }
+
+  /**
+   * Token quantity a strategy decision translates to at the current mark:
+   * `suggestedSize` is a fraction of equity, and a `closePosition` SELL
+   * is the whole holding. Returns 0 when the token has no mark yet.
+   */
+  quantityFor(decision: TradeDecision): number {
+    if (decision.closePosition && decision.action === TradeAction.SELL) {
+      return this.quantityOf(decision.token.address);
+    }
+    const price = this.marks.get(decision.token.address);
+    if (!price || price <= 0) return 0;
+    return (decision.suggestedSize * this.equity()) / price;
+  }
+
+  /**
+   * Why a fill would be rejected, or null if it can be applied.
+   * Lets callers refuse a trade before sending it on-chain.
+   */
+  check(action: TradeAction, token: Token, quantity: number, price: number, fee = 0): string | null {
+    if (!(quantity > 0) || !Number.isFinite(quantity)) return `Portfolio: ${token.symbol} quantity must be > 0 (got ${quantity})`;
+    if (!(price > 0) || !Number.isFinite(price)) return `Portfolio: ${token.symbol} price must be > 0 (got ${price})`;
+    if (!(fee >= 0) || !Number.isFinite(fee)) return `Portfolio: ${token.symbol} fee must be >= 0 (got ${fee})`;
+
+    if (action === TradeAction.BUY) {
+      const cost = quantity * price + fee;
+      if (cost > this.cashUsd * (1 + EPSILON)) {
+        return `Portfolio: BUY ${token.symbol} costs $${cost.toFixed(2)} but cash is $${this.cashUsd.toFixed(2)}`;
+      }
+      return null;
+    }
+
+    if (action === TradeAction.SELL) {
+      const held = this.quantityOf(token.address);
+      if (quantity > held * (1 + EPSILON)) {
+        return `Portfolio: SELL ${quantity.toFixed(6)} ${token.symbol} exceeds position of ${held.toFixed(6)}`;
+      }
+      return null;
+    }
+
+    return `Portfolio: ${action} is not a fill`;
+  }
+
+  /** Buy `quantity` at `price`, paying `fee` on top. */
+  buy(token: Token, quantity: number, price: number, fee = 0, timestamp = Date.now()): FillResult {
+    const error = this.check(TradeAction.BUY, token, quantity, price, fee);
+    if (error) return { success: false, error };
+
+    const cost = quantity * price + fee;
+    const h = this.holdingFor(token);
+    h.avgCost = (h.avgCost * h.quantity + cost) / (h.quantity + quantity);
+    h.quantity += quantity;
+    this.cashUsd = Math.max(this.cashUsd - cost, 0);
+
+    return { success: true, fill: this.record(token, TradeAction.BUY, quantity, price, fee, null, timestamp) };
+  }
+
+  /** Sell `quantity` at `price`, paying `fee` out of the proceeds. */
+  sell(token: Token, quantity: number, price: number, fee = 0, timestamp = Date.now()): FillResult {
+    const error = this.check(TradeAction.SELL, token, quantity, price, fee);
+    if (error) return { success: false, error };
+
+    const h = this.holdings.get(token.address)!;
+    const held = h.quantity;
+    const qty = Math.min(quantity, held);
+    const proceeds = qty * price - fee;
+    const realizedPnl = proceeds - qty * h.avgCost;
+
+    h.quantity -= qty;
+    h.realizedPnl += realizedPnl;
+    this.realizedTotal += realizedPnl;
+    this.cashUsd += proceeds;
+    if (h.quantity <= held * EPSILON) this.holdings.delete(token.address);
+
+    const day = utcDay(timestamp);
+    if (this.dailyRealized.day !== day) this.dailyRealized = { day, pnl: 0 };
+    this.dailyRealized.pnl += realizedPnl;
+
+    return { success: true, fill: this.record(token, TradeAction.SELL, qty, price, fee, realizedPnl, timestamp) };
+  }
+
+  /**
+   * Snapshot for the risk engine, WebSocket broadcasts and persistence.
+   * `now` picks the day `dailyRealizedPnl` covers (simulated when backtesting).
+   */
+  state(now: number = Date.now()): PortfolioState {
+    const equity = this.equity();
+    const positions: PositionState[] = [];
+    const allocations: Record<string, number> = {};
+    let unrealizedPnl = 0;
+
+    for (const h of this.holdings.values()) {
+      const priceUsd = this.markFor(h);
+      const marketValue = h.quantity * priceUsd;
+      const unrealized = marketValue - h.quantity * h.avgCost;
+
+      positions.push({
+        token: h.token,
+        quantity: h.quantity,
+        avgCost: h.avgCost,
+        priceUsd,
+        marketValue,
+        unrealizedPnl: unrealized,
+        realizedPnl: h.realizedPnl,
+      });
+      allocations[h.token.address] = equity > 0 ? marketValue / equity : 0;
+      unrealizedPnl += unrealized;
+    }
+
+    return {
+      totalExposure: Object.values(allocations).reduce((sum, v) => sum + v, 0),
+      allocations,
+      lastTradeTimestamps: { ...this.lastTradeTimestamps },
+      cash: this.cashUsd,
+      equity,
+      realizedPnl: this.realizedTotal,
+      unrealizedPnl,
+      positions,
+      peakEquity: this.peakEquity,
+      drawdown: this.peakEquity > 0 ? Math.max(this.peakEquity - equity, 0) / this.peakEquity : 0,
+      dailyRealizedPnl: this.dailyRealized.day === utcDay(now) ? this.dailyRealized.pnl : 0,
+    };
+  }
+
+  /** Serialisable copy of the full ledger state (see fromSnapshot). */
+  snapshot(): LedgerSnapshot {
+    return {
+      cash: this.cashUsd,
+      realizedPnl: this.realizedTotal,
+      holdings: [...this.holdings.values()].map((h) => ({ ...h })),
+      marks: Object.fromEntries(this.marks),
+      lastTradeTimestamps: { ...this.lastTradeTimestamps },
+      peakEquity: this.peakEquity,
+      dailyRealized: { ...this.dailyRealized },
+    };
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────
+
+  private holdingFor(token: Token): Holding {
+    let h = this.holdings.get(token.address);
+    if (!h) {
+      h = { token, quantity: 0, avgCost: 0, realizedPnl: 0 };
+      this.holdings.set(token.address, h);
+    }
+    return h;
+  }
+
+  /** Unmarked positions are valued at cost. */
+  private markFor(h: Holding): number {
+    return this.marks.get(h.token.address) ?? h.avgCost;
+  }
+
+  private updatePeak(): void {
+    this.peakEquity = Math.max(this.peakEquity, this.equity());
+  }
+
+  private record(
+    token: Token, action: TradeAction, quantity: number, price: number,
+    fee: number, realizedPnl: number | null, timestamp: number,
+  ): LedgerFill {
+    this.lastTradeTimestamps[token.address] = timestamp;
+    this.updatePeak();
+    return {
+      token,
+      action,
+      quantity,
+      price,
+      notional: quantity * price,
+      fee,
+      realizedPnl,
+      cashAfter: this.cashUsd,
+      timestamp,
+    };
+  }
+}
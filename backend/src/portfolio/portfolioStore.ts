@@ -0,0 +1,75 @@
+import { log } from "../logger/reasoningLogger";
+import { Token, TradeAction } from "../types";
+import {
+  ExecutionFillRow, loadExecutionsAfter,
+  loadLatestPortfolioSnapshot, savePortfolioSnapshot,
+} from "../db/database";
+import { PortfolioLedger } from "./portfolioLedger";
+
+/**
+ * Persistence for the portfolio ledger across agent restarts.
+ *
+ * On startup the latest snapshot is loaded and every execution saved
+ * after it is replayed on top, so fills that landed between the last
+ * snapshot and a crash are not lost. With no snapshot at all the ledger
+ * is rebuilt from `initialCash` plus the full executions history.
+ */
+
+/** Restore the ledger from SQLite, reconciling against the executions table. */
+export function restorePortfolio(initialCash: number): PortfolioLedger {
+  const stored = loadLatestPortfolioSnapshot();
+  const ledger = stored ? PortfolioLedger.fromSnapshot(stored.snapshot) : new PortfolioLedger(initialCash);
+
+  const rows = loadExecutionsAfter(stored?.lastExecutionId ?? 0);
+  let replayed = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const error = replay(ledger, row);
+    if (error) {
+      skipped++;
+      log.warn(`[Portfolio] Execution #${row.id} (${row.token} ${row.action}) not replayed | ${error}`);
+    } else {
+      replayed++;
+    }
+  }
+
+  const state = ledger.state();
+  log.info(
+    `[Portfolio] Restored from ${stored ? `snapshot @ ${new Date(stored.timestamp).toISOString()}` : "executions history"}` +
+    ` | replayed=${replayed} skipped=${skipped}` +
+    ` | cash=$${state.cash.toFixed(2)} positions=${state.positions.length} exposure=${(state.totalExposure * 100).toFixed(1)}%`,
+  );
+  return ledger;
+}
+
+/** Persist the current ledger state as the latest snapshot. */
+export function persistPortfolio(ledger: PortfolioLedger): void {
+  savePortfolioSnapshot(ledger.snapshot(), ledger.equity());
+}
+
+// ─── Internals ───────────────────────────────────────────────────
+
+/** Apply one executions row to the ledger. Returns why it could not be, or null. */
+function replay(ledger: PortfolioLedger, row: ExecutionFillRow): string | null {
+  if (!row.tokenAddress || row.quantity === null || row.priceUsd === null) {
+    return "row has no fill details (saved before fills were recorded)";
+  }
+
+  const token: Token = {
+    address: row.tokenAddress,
+    symbol: row.token,
+    name: row.token,
+    decimals: 18,
+    totalSupply: 0,
+    createdAt: new Date(0),
+  };
+
+  const result = row.action === TradeAction.BUY
+    ? ledger.buy(token, row.quantity, row.priceUsd, row.fee ?? 0, row.timestamp)
+    : row.action === TradeAction.SELL
+      ? ledger.sell(token, row.quantity, row.priceUsd, row.fee ?? 0, row.timestamp)
+      : { success: false, error: `unknown action ${row.action}` };
+
+  return result.success ? null : result.error ?? "fill rejected";
+}
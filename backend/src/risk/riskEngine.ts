@@ -1,71 +1,233 @@
-import { RISK_CONFIG } from "../config";
+import { ethers } from "ethers";
 import { log } from "../logger/reasoningLogger";
-import { TokenMarketData, TradeDecision, PortfolioState, RiskResult } from "../types";
+import { getTreasuryLimits, predictTreasuryRevert } from "../chain/treasuryLimits";
+import {
+  PortfolioState, RiskCheck, RiskPolicy, RiskResult,
+  TokenMarketData, TradeAction, TradeDecision,
+} from "../types";
+import { getRiskPolicy } from "./riskPolicy";
 
 /**
  * Deterministic risk gate.
  *
- * Evaluates a proposed trade decision against four hard rules:
- *   1. Per-token allocation cap
- *   2. Total portfolio exposure cap
- *   3. Minimum liquidity floor
- *   4. Per-token cooldown timer
+ * Evaluates a proposed trade decision against nine rules, in order:
+ *   1. Drawdown circuit breaker        (BUY only)
+ *   2. Daily realised-loss limit       (all trades except closePosition exits)
+ *   3. Volatility sizing               (BUY only — scales the size, never blocks)
+ *   4. Per-token allocation cap        (BUY only)
+ *   5. Total portfolio exposure cap    (BUY only)
+ *   6. Minimum liquidity floor         (BUY only)
+ *   7. Per-token cooldown timer        (skipped for closePosition exits)
+ *   8. Balance — BUY needs the cash, SELL needs the position
+ *   9. On-chain AgentTreasury limits   (when a treasury is mirrored)
  *
- * Returns { pass: true } if all rules pass, or { pass: false, reason }
- * with the first violated rule.
+ * Rules that limit risk taken on never block reducing a position, so a
+ * defensive exit from a draining pool is not stopped by the liquidity
+ * floor. Rules 4–9 see the volatility-scaled size. Limits, and whether
+ * each rule is enabled, come from the hot-reloaded risk policy (see
+ * riskPolicy.ts). With a treasury mirrored (see chain/treasuryLimits.ts)
+ * the allocation cap is also held to the on-chain `maxAllocationBps`, and
+ * rule 9 refuses anything `executeTrade` would revert on.
+ *
+ * Every rule is evaluated and reported in `checks`, so the reasoning log
+ * shows the full picture rather than the first failure. `now` defaults
+ * to the wall clock and is overridden by the backtester's simulated clock.
  */
 export function evaluateRisk(
   token: TokenMarketData,
   decision: TradeDecision,
   portfolioState: PortfolioState,
+  now: number = Date.now(),
 ): RiskResult {
   const addr = token.token.address;
   const symbol = token.token.symbol;
-  const alloc = decision.suggestedSize;
+  const isBuy = decision.action === TradeAction.BUY;
+  const isExit = decision.action === TradeAction.SELL && decision.closePosition === true;
+  const policy = getRiskPolicy();
+  const treasury = getTreasuryLimits();
+  const checks: RiskCheck[] = [];
+
+  const check = (rule: keyof RiskPolicy, pass: boolean, detail: string): void => {
+    checks.push({ rule, pass, detail });
+    if (!pass) log.warn(`[RISK] ${symbol}: ${detail}`);
+  };
+  const skip = (rule: keyof RiskPolicy, detail: string): void => {
+    checks.push({ rule, pass: true, detail });
+  };
+
+  // Rule 1 — drawdown circuit breaker
+  const { maxDrawdown } = policy.drawdownBreaker;
+  if (!policy.drawdownBreaker.enabled) skip("drawdownBreaker", "disabled");
+  else if (!isBuy) skip("drawdownBreaker", `n/a (${decision.action})`);
+  else {
+    const dd = portfolioState.drawdown;
+    check(
+      "drawdownBreaker",
+      dd < maxDrawdown,
+      `drawdown ${pct(dd)} from peak $${portfolioState.peakEquity.toFixed(2)} ` +
+      `${dd < maxDrawdown ? "<" : "≥"} breaker ${pct(maxDrawdown)}`,
+    );
+  }
 
-  // Rule 1 — per-token allocation cap
-  if (alloc > RISK_CONFIG.maxAllocationPerToken) {
-    const reason =
-      `[RISK] ${symbol}: allocation ${(alloc * 100).toFixed(1)}% > ` +
-      `max ${(RISK_CONFIG.maxAllocationPerToken * 100).toFixed(0)}% per token`;
-    log.warn(reason);
-    return { pass: false, reason };
+  // Rule 2 — daily realised-loss limit
+  const { maxDailyLossUsd } = policy.dailyLossLimit;
+  if (!policy.dailyLossLimit.enabled) skip("dailyLossLimit", "disabled");
+  else if (isExit) skip("dailyLossLimit", "n/a (closePosition exit)");
+  else {
+    const loss = -portfolioState.dailyRealizedPnl;
+    check(
+      "dailyLossLimit",
+      loss < maxDailyLossUsd,
+      `realised today $${portfolioState.dailyRealizedPnl.toFixed(2)} ` +
+      `${loss < maxDailyLossUsd ? "within" : "hits"} daily loss limit -$${maxDailyLossUsd.toLocaleString()}`,
+    );
   }
 
-  // Rule 2 — total portfolio exposure cap
+  // Rule 3 — volatility sizing
+  let alloc = decision.suggestedSize;
+  const vs = policy.volatilitySizing;
+  if (!vs.enabled) skip("volatilitySizing", "disabled");
+  else if (!isBuy) skip("volatilitySizing", `n/a (${decision.action})`);
+  else {
+    const vol = recentVolatility(token, vs.lookbackMinutes * 60_000);
+    if (vol === null) {
+      skip("volatilitySizing", `n/a (fewer than 2 samples in ${vs.lookbackMinutes}m)`);
+    } else {
+      const scale = Math.min(1, Math.max(vs.minScale, vs.targetVolatility / vol));
+      const scaled = alloc * scale;
+      checks.push({
+        rule: "volatilitySizing",
+        pass: true,
+        detail: scale < 1
+          ? `σ ${pct(vol)} > target ${pct(vs.targetVolatility)} → size ${pct(alloc)} × ${scale.toFixed(2)} = ${pct(scaled)}`
+          : `σ ${pct(vol)} ≤ target ${pct(vs.targetVolatility)} → size unchanged`,
+      });
+      alloc = scaled;
+    }
+  }
+
+  // Rule 4 — per-token allocation cap (never looser than the treasury's)
+  const onChainCap = treasury ? treasury.maxAllocationBps / 10_000 : Infinity;
+  const maxAllocationPerToken = Math.min(policy.allocationCap.maxAllocationPerToken, onChainCap);
+  const capSource = maxAllocationPerToken < policy.allocationCap.maxAllocationPerToken ? " (on-chain maxAllocationBps)" : "";
+  if (!policy.allocationCap.enabled) skip("allocationCap", "disabled");
+  else if (!isBuy) skip("allocationCap", `n/a (${decision.action})`);
+  else {
+    check(
+      "allocationCap",
+      alloc <= maxAllocationPerToken,
+      `allocation ${pct(alloc)} ${alloc <= maxAllocationPerToken ? "≤" : ">"} ` +
+      `max ${(maxAllocationPerToken * 100).toFixed(0)}% per token${capSource}`,
+    );
+  }
+
+  // Rule 5 — total portfolio exposure cap
   const projectedExposure = portfolioState.totalExposure + alloc;
-  if (projectedExposure > RISK_CONFIG.maxTotalExposure) {
-    const reason =
-      `[RISK] ${symbol}: projected exposure ${(projectedExposure * 100).toFixed(1)}% > ` +
-      `max ${(RISK_CONFIG.maxTotalExposure * 100).toFixed(0)}%`;
-    log.warn(reason);
-    return { pass: false, reason };
+  const { maxTotalExposure } = policy.exposureCap;
+  if (!policy.exposureCap.enabled) skip("exposureCap", "disabled");
+  else if (!isBuy) skip("exposureCap", `n/a (${decision.action})`);
+  else {
+    check(
+      "exposureCap",
+      projectedExposure <= maxTotalExposure,
+      `projected exposure ${pct(projectedExposure)} ${projectedExposure <= maxTotalExposure ? "≤" : ">"} ` +
+      `max ${(maxTotalExposure * 100).toFixed(0)}%`,
+    );
   }
 
-  // Rule 3 — minimum liquidity floor
-  if (token.liquidity < RISK_CONFIG.minLiquidityUsd) {
-    const reason =
-      `[RISK] ${symbol}: liquidity $${token.liquidity.toFixed(0)} < ` +
-      `min $${RISK_CONFIG.minLiquidityUsd.toLocaleString()}`;
-    log.warn(reason);
-    return { pass: false, reason };
+  // Rule 6 — minimum liquidity floor
+  const { minLiquidityUsd } = policy.liquidityFloor;
+  if (!policy.liquidityFloor.enabled) skip("liquidityFloor", "disabled");
+  else if (!isBuy) skip("liquidityFloor", `n/a (${decision.action})`);
+  else {
+    check(
+      "liquidityFloor",
+      token.liquidity >= minLiquidityUsd,
+      `liquidity $${token.liquidity.toFixed(0)} ${token.liquidity >= minLiquidityUsd ? "≥" : "<"} ` +
+      `min $${minLiquidityUsd.toLocaleString()}`,
+    );
   }
 
-  // Rule 4 — cooldown timer
+  // Rule 7 — cooldown timer
   const lastTrade = portfolioState.lastTradeTimestamps[addr];
-  if (lastTrade !== undefined) {
-    const elapsedMs = Date.now() - lastTrade;
-    const cooldownMs = RISK_CONFIG.cooldownMinutes * 60_000;
-    if (elapsedMs < cooldownMs) {
-      const remainingSec = Math.ceil((cooldownMs - elapsedMs) / 1_000);
-      const reason =
-        `[RISK] ${symbol}: cooldown active — ${remainingSec}s remaining ` +
-        `(min ${RISK_CONFIG.cooldownMinutes}m between trades)`;
-      log.warn(reason);
-      return { pass: false, reason };
-    }
+  const { cooldownMinutes } = policy.cooldown;
+  if (!policy.cooldown.enabled) skip("cooldown", "disabled");
+  else if (isExit) skip("cooldown", "n/a (closePosition exit)");
+  else if (lastTrade === undefined) skip("cooldown", "no previous trade");
+  else {
+    const elapsedMs = now - lastTrade;
+    const cooldownMs = cooldownMinutes * 60_000;
+    const remainingSec = Math.ceil((cooldownMs - elapsedMs) / 1_000);
+    check(
+      "cooldown",
+      elapsedMs >= cooldownMs,
+      elapsedMs >= cooldownMs
+        ? `last trade ${Math.floor(elapsedMs / 60_000)}m ago (min ${cooldownMinutes}m between trades)`
+        : `cooldown active — ${remainingSec}s remaining (min ${cooldownMinutes}m between trades)`,
+    );
+  }
+
+  // Rule 8 — balance (portfolio ledger numbers, marked to market)
+  if (!policy.balance.enabled) skip("balance", "disabled");
+  else if (isBuy) {
+    const cost = alloc * portfolioState.equity;
+    check(
+      "balance",
+      cost <= portfolioState.cash,
+      `BUY needs $${cost.toFixed(2)}, cash is $${portfolioState.cash.toFixed(2)}`,
+    );
+  } else {
+    const held = portfolioState.allocations[addr] ?? 0;
+    const pass = decision.closePosition ? held > 0 : alloc <= held;
+    check(
+      "balance",
+      pass,
+      `SELL ${decision.closePosition ? "all" : pct(alloc)} ${pass ? "within" : "exceeds"} position of ${pct(held)}`,
+    );
+  }
+
+  // Rule 9 — on-chain AgentTreasury limits
+  if (!policy.treasuryLimits.enabled) skip("treasuryLimits", "disabled");
+  else if (!treasury) skip("treasuryLimits", "n/a (no treasury mirrored)");
+  else if (!ethers.isAddress(addr)) skip("treasuryLimits", "n/a (not an on-chain token)");
+  else {
+    const revert = predictTreasuryRevert(treasury, addr, isBuy, alloc);
+    check(
+      "treasuryLimits",
+      revert === null,
+      revert === null
+        ? `executeTrade within on-chain limits (block ${treasury.blockNumber})`
+        : `executeTrade would revert: ${revert} (block ${treasury.blockNumber})`,
+    );
   }
 
-  log.debug(`[RISK] ${symbol}: all checks passed (alloc=${(alloc * 100).toFixed(1)}%)`);
-  return { pass: true };
+  const failed = checks.filter((c) => !c.pass);
+  if (failed.length > 0) {
+    return {
+      pass: false,
+      reason: failed.map((c) => `[RISK] ${symbol}: ${c.detail}`).join("; "),
+      checks,
+      suggestedSize: alloc,
+    };
+  }
+
+  log.debug(`[RISK] ${symbol}: all ${checks.length} checks passed (alloc=${pct(alloc)})`);
+  return { pass: true, checks, suggestedSize: alloc };
+}
+
+/**
+ * Relative price volatility over the lookback: standard deviation of the
+ * sampled prices divided by their mean. Null with fewer than two samples.
+ */
+function recentVolatility(token: TokenMarketData, lookbackMs: number): number | null {
+  const prices = token.history.samples(lookbackMs).map((s) => s.priceUsd);
+  if (prices.length < 2) return null;
+  const mean = prices.reduce((s, p) => s + p, 0) / prices.length;
+  if (mean <= 0) return null;
+  const stdev = Math.sqrt(prices.reduce((s, p) => s + (p - mean) ** 2, 0) / (prices.length - 1));
+  return stdev / mean;
+}
+
+function pct(n: number): string {
+  return `${(n * 100).toFixed(1)}%`;
 }
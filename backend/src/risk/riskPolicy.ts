@@ -0,0 +1,220 @@
+import * as fs from "fs";
+import * as path from "path";
+import YAML from "yaml";
+import { config } from "../config";
+import { log } from "../logger/reasoningLogger";
+import { RiskPolicy, RiskPolicyChange, RiskPolicyFieldChange } from "../types";
+
+/**
+ * Risk policy — the rules `evaluateRisk` applies and their limits, read
+ * from a YAML or JSON file (RISK_POLICY_PATH, see risk-policy.example.yaml).
+ *
+ * Every rule block is optional; omitted rules and fields keep their
+ * defaults. Unknown rules or fields and out-of-range values fail
+ * validation, so a typo can never silently loosen a limit.
+ *
+ * While the agent runs the file is polled for changes. A valid edit
+ * replaces the active policy and is reported to subscribers; an invalid
+ * edit (or a deleted file) is logged and the previous policy stays.
+ */
+
+export const DEFAULT_RISK_POLICY: RiskPolicy = {
+  allocationCap: { enabled: true, maxAllocationPerToken: 0.15 },
+  exposureCap: { enabled: true, maxTotalExposure: 0.6 },
+  liquidityFloor: { enabled: true, minLiquidityUsd: 100_000 },
+  cooldown: { enabled: true, cooldownMinutes: 5 },
+  balance: { enabled: true },
+  drawdownBreaker: { enabled: true, maxDrawdown: 0.2 },
+  dailyLossLimit: { enabled: true, maxDailyLossUsd: 500 },
+  volatilitySizing: { enabled: true, lookbackMinutes: 15, targetVolatility: 0.02, minScale: 0.25 },
+  treasuryLimits: { enabled: true },
+};
+
+/** Numeric bounds per field; `enabled` is always a boolean. */
+interface FieldSpec {
+  min: number;
+  max?: number;
+  exclusiveMin?: boolean;
+}
+
+const SCHEMA: { [R in keyof RiskPolicy]: Record<string, FieldSpec> } = {
+  allocationCap: { maxAllocationPerToken: { min: 0, max: 1, exclusiveMin: true } },
+  exposureCap: { maxTotalExposure: { min: 0, max: 1, exclusiveMin: true } },
+  liquidityFloor: { minLiquidityUsd: { min: 0 } },
+  cooldown: { cooldownMinutes: { min: 0 } },
+  balance: {},
+  drawdownBreaker: { maxDrawdown: { min: 0, max: 1, exclusiveMin: true } },
+  dailyLossLimit: { maxDailyLossUsd: { min: 0, exclusiveMin: true } },
+  volatilitySizing: {
+    lookbackMinutes: { min: 0, exclusiveMin: true },
+    targetVolatility: { min: 0, exclusiveMin: true },
+    minScale: { min: 0, max: 1, exclusiveMin: true },
+  },
+  treasuryLimits: {},
+};
+
+/** How often the policy file is polled for changes. */
+const WATCH_INTERVAL_MS = 1_000;
+
+let active: RiskPolicy | null = null;
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/** The policy currently in force (loaded from RISK_POLICY_PATH on first use). */
+export function getRiskPolicy(): RiskPolicy {
+  if (!active) active = loadRiskPolicy(config.RISK_POLICY_PATH) ?? clone(DEFAULT_RISK_POLICY);
+  return active;
+}
+
+/**
+ * Read and validate a policy file. Returns null when the file does not
+ * exist; throws with every validation error when it is malformed.
+ */
+export function loadRiskPolicy(filePath: string): RiskPolicy | null {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    log.warn(`[RiskPolicy] ${resolved} not found — using built-in defaults`);
+    return null;
+  }
+
+  const text = fs.readFileSync(resolved, "utf-8");
+  const raw: unknown = path.extname(resolved).toLowerCase() === ".json" ? JSON.parse(text) : YAML.parse(text);
+  return validateRiskPolicy(raw, resolved);
+}
+
+/** Validate a parsed policy document and merge it over the defaults. */
+export function validateRiskPolicy(raw: unknown, source: string): RiskPolicy {
+  const policy = clone(DEFAULT_RISK_POLICY);
+  const errors: string[] = [];
+
+  if (raw !== null && raw !== undefined) {
+    if (typeof raw !== "object" || Array.isArray(raw)) {
+      throw new Error(`Risk policy ${source} must be a mapping of rule → settings`);
+    }
+    const doc = raw as Record<string, unknown>;
+    const rules = (doc.rules ?? {}) as Record<string, unknown>;
+
+    for (const key of Object.keys(doc)) {
+      if (key !== "rules" && key !== "version") errors.push(`unknown top-level key "${key}"`);
+    }
+    if (typeof rules !== "object" || rules === null || Array.isArray(rules)) {
+      errors.push("`rules` must be a mapping");
+    } else {
+      for (const [rule, settings] of Object.entries(rules)) {
+        validateRule(policy, rule, settings, errors);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid risk policy ${source}: ${errors.join("; ")}`);
+  }
+  return policy;
+}
+
+/** Field-by-field differences between two policies. */
+export function diffRiskPolicies(from: RiskPolicy, to: RiskPolicy): RiskPolicyFieldChange[] {
+  const changes: RiskPolicyFieldChange[] = [];
+  for (const rule of Object.keys(to) as (keyof RiskPolicy)[]) {
+    const before = from[rule] as Record<string, unknown>;
+    const after = to[rule] as Record<string, unknown>;
+    for (const field of Object.keys(after)) {
+      if (before?.[field] !== after[field]) {
+        changes.push({ field: `${rule}.${field}`, from: before?.[field], to: after[field] });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Start polling the policy file. `onChange` fires after each reload that
+ * moved at least one limit. Returns a function that stops watching.
+ */
+export function watchRiskPolicy(
+  filePath: string,
+  onChange: (change: RiskPolicyChange) => void,
+): () => void {
+  const resolved = path.resolve(filePath);
+  getRiskPolicy();
+
+  const listener = (curr: fs.Stats, prev: fs.Stats): void => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    if (curr.mtimeMs === 0) {
+      log.warn(`[RiskPolicy] ${resolved} was removed — keeping the current policy`);
+      return;
+    }
+
+    let next: RiskPolicy | null;
+    try {
+      next = loadRiskPolicy(resolved);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.error(`[RiskPolicy] Reload rejected, keeping the current policy — ${msg}`);
+      return;
+    }
+    if (!next) return;
+
+    const changes = diffRiskPolicies(getRiskPolicy(), next);
+    if (changes.length === 0) return;
+
+    active = next;
+    log.warn(
+      `[RiskPolicy] Reloaded ${resolved}: ` +
+      changes.map((c) => `${c.field} ${String(c.from)} → ${String(c.to)}`).join(", "),
+    );
+    onChange({ source: resolved, changes, policy: clone(next), timestamp: Date.now() });
+  };
+
+  fs.watchFile(resolved, { interval: WATCH_INTERVAL_MS }, listener);
+  log.info(`[RiskPolicy] Watching ${resolved} for changes`);
+  return () => fs.unwatchFile(resolved, listener);
+}
+
+// ─── Internals ───────────────────────────────────────────────────
+
+function validateRule(policy: RiskPolicy, rule: string, settings: unknown, errors: string[]): void {
+  if (!(rule in SCHEMA)) {
+    errors.push(`unknown rule "${rule}" (expected ${Object.keys(SCHEMA).join(", ")})`);
+    return;
+  }
+  if (typeof settings !== "object" || settings === null || Array.isArray(settings)) {
+    errors.push(`rules.${rule} must be a mapping`);
+    return;
+  }
+
+  const spec = SCHEMA[rule as keyof RiskPolicy];
+  const target = policy[rule as keyof RiskPolicy] as Record<string, unknown>;
+
+  for (const [field, value] of Object.entries(settings)) {
+    const where = `rules.${rule}.${field}`;
+
+    if (field === "enabled") {
+      if (typeof value !== "boolean") errors.push(`${where} must be true or false`);
+      else target.enabled = value;
+      continue;
+    }
+
+    const bounds = spec[field];
+    if (!bounds) {
+      errors.push(`unknown field ${where}`);
+      continue;
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`${where} must be a number (got ${JSON.stringify(value)})`);
+      continue;
+    }
+    const belowMin = bounds.exclusiveMin ? value <= bounds.min : value < bounds.min;
+    if (belowMin || (bounds.max !== undefined && value > bounds.max)) {
+      const lower = `${bounds.exclusiveMin ? ">" : ">="} ${bounds.min}`;
+      const upper = bounds.max !== undefined ? ` and <= ${bounds.max}` : "";
+      errors.push(`${where} must be ${lower}${upper} (got ${value})`);
+      continue;
+    }
+    target[field] = value;
+  }
+}
+
+function clone(policy: RiskPolicy): RiskPolicy {
+  return JSON.parse(JSON.stringify(policy)) as RiskPolicy;
+}
@@ -0,0 +1,96 @@
+import { IStrategy, TokenMarketData, TradeAction, TradeDecision } from "../types";
+import { config, STRATEGY_PARAMS } from "../config";
+import { log } from "../logger/reasoningLogger";
+
+export interface BreakoutParams {
+  lookbackMs: number;
+  volumeWindowMs: number;
+  volumeMultiplier: number;
+  buffer: number;
+  minSamples: number;
+}
+
+/**
+ * Range breakout strategy with volume confirmation.
+ *
+ * The range is the high / low of the trailing `lookbackMs` of history,
+ * excluding the latest sample. Volume is confirmed when the volume rate
+ * over the last `volumeWindowMs` is at least `volumeMultiplier` × the
+ * average rate over the range:
+ *
+ *   price > high × (1 + buffer) and volume confirmed → BUY
+ *   price < low  × (1 - buffer) and volume confirmed → SELL
+ *   else                                             → HOLD
+ *
+ * confidence = clamp(volumeRatio / (2 × volumeMultiplier), 0.5, 1) on a
+ * break; the 0–100 score is the price's position within the range.
+ */
+export class BreakoutStrategy implements IStrategy {
+  public readonly name = "BreakoutStrategy";
+
+  constructor(private readonly params: BreakoutParams = STRATEGY_PARAMS.breakout) {}
+
+  evaluate(tokens: TokenMarketData[]): TradeDecision[] {
+    return tokens.map((md) => this.score(md));
+  }
+
+  private score(md: TokenMarketData): TradeDecision {
+    const { token, priceUsd, history } = md;
+    const { lookbackMs, volumeWindowMs, volumeMultiplier, buffer, minSamples } = this.params;
+
+    const window = history.samples(lookbackMs);
+    const range = window.slice(0, -1);
+    if (range.length < minSamples) {
+      return hold(md, `insufficient history (${range.length}/${minSamples} samples in ${lookbackMs / 60_000}m)`);
+    }
+
+    const high = Math.max(...range.map((s) => s.priceUsd));
+    const low = Math.min(...range.map((s) => s.priceUsd));
+
+    // Volume rate: recent window vs the whole range (per ms, so windows of any length compare)
+    const spanMs = Math.max(window[window.length - 1].timestamp - window[0].timestamp, 1);
+    const avgRate = history.volumeOver(lookbackMs) / spanMs;
+    const recentRate = history.volumeOver(volumeWindowMs) / Math.min(volumeWindowMs, spanMs);
+    const volumeRatio = avgRate > 0 ? recentRate / avgRate : 0;
+    const volumeOk = volumeRatio >= volumeMultiplier;
+
+    let action: TradeAction = TradeAction.HOLD;
+    if (volumeOk && priceUsd > high * (1 + buffer)) action = TradeAction.BUY;
+    else if (volumeOk && priceUsd < low * (1 - buffer)) action = TradeAction.SELL;
+
+    const confidence = action === TradeAction.HOLD
+      ? 0
+      : clamp(volumeRatio / (2 * volumeMultiplier), 0.5, 1);
+    const score = high > low ? clamp(((priceUsd - low) / (high - low)) * 100, 0, 100) : 50;
+
+    const reasoning =
+      `range $${low.toPrecision(6)}–$${high.toPrecision(6)} (${lookbackMs / 60_000}m) | ` +
+      `price $${priceUsd.toPrecision(6)} | vol ${volumeRatio.toFixed(2)}x ` +
+      `(need ${volumeMultiplier}x${volumeOk ? " ✓" : ""}) → ${action}`;
+    log.debug(`[${this.name}] ${token.symbol}: ${reasoning}`);
+
+    return {
+      token,
+      action,
+      confidence,
+      momentumScore: score,
+      reason: reasoning,
+      suggestedSize: action === TradeAction.HOLD ? 0 : config.POSITION_SIZE * confidence,
+    };
+  }
+}
+
+function hold(md: TokenMarketData, reason: string): TradeDecision {
+  return {
+    token: md.token,
+    action: TradeAction.HOLD,
+    confidence: 0,
+    momentumScore: 50,
+    reason: `${reason} → HOLD`,
+    suggestedSize: 0,
+  };
+}
+
+function clamp(v: number, min: number, max: number): number {
+  return Math.max(min, Math.min(max, v));
+}
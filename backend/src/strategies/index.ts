@@ -0,0 +1,43 @@
+import { config } from "../config";
+import { IStrategy } from "../types";
+import { MomentumStrategy } from "./momentumStrategy";
+import { MeanReversionStrategy } from "./meanReversionStrategy";
+import { BreakoutStrategy } from "./breakoutStrategy";
+import { LiquidityDrainStrategy } from "./liquidityDrainStrategy";
+
+export const StrategyType = {
+  MOMENTUM: "momentum",
+  MEAN_REVERSION: "meanReversion",
+  BREAKOUT: "breakout",
+  LIQUIDITY_DRAIN: "liquidityDrain",
+} as const;
+
+export type StrategyType = (typeof StrategyType)[keyof typeof StrategyType];
+
+function createStrategy(type: string): IStrategy {
+  switch (type) {
+    case StrategyType.MOMENTUM:
+      return new MomentumStrategy();
+    case StrategyType.MEAN_REVERSION:
+      return new MeanReversionStrategy();
+    case StrategyType.BREAKOUT:
+      return new BreakoutStrategy();
+    case StrategyType.LIQUIDITY_DRAIN:
+      return new LiquidityDrainStrategy();
+    default:
+      throw new Error(
+        `Unknown strategy "${type}" in STRATEGIES (expected ${Object.values(StrategyType).join(" | ")})`,
+      );
+  }
+}
+
+/**
+ * Build the strategies listed in `STRATEGIES` (comma-separated), in order.
+ * Order matters for the `priority` aggregation policy.
+ */
+export function createStrategies(spec: string = config.STRATEGIES): IStrategy[] {
+  const types = spec.split(",").map((s) => s.trim()).filter(Boolean);
+  if (types.length === 0) throw new Error("STRATEGIES must list at least one strategy");
+  if (new Set(types).size !== types.length) throw new Error(`STRATEGIES lists a strategy twice: ${spec}`);
+  return types.map(createStrategy);
+}
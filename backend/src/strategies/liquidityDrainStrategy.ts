@@ -0,0 +1,57 @@
+import { IStrategy, TokenMarketData, TradeAction, TradeDecision } from "../types";
+import { STRATEGY_PARAMS } from "../config";
+import { log } from "../logger/reasoningLogger";
+
+export interface LiquidityDrainParams {
+  lookbackMs: number;
+  dropThreshold: number;
+}
+
+/**
+ * Defensive exit on liquidity drains (the rug-pull pattern).
+ *
+ *   drop = (peakLiquidity - liquidity) / peakLiquidity
+ *
+ * where the peak is taken over the trailing `lookbackMs`. When
+ * drop ≥ `dropThreshold` the strategy emits a SELL with
+ * `closePosition: true` — exit the entire holding — which overrides
+ * every other strategy during aggregation.
+ *
+ * Tokens that are not draining get no decision at all, so the strategy
+ * never dilutes other strategies' votes with HOLDs.
+ */
+export class LiquidityDrainStrategy implements IStrategy {
+  public readonly name = "LiquidityDrainStrategy";
+
+  constructor(private readonly params: LiquidityDrainParams = STRATEGY_PARAMS.liquidityDrain) {}
+
+  evaluate(tokens: TokenMarketData[]): TradeDecision[] {
+    return tokens.flatMap((md) => this.check(md));
+  }
+
+  private check(md: TokenMarketData): TradeDecision[] {
+    const { token, liquidity, history } = md;
+    const { lookbackMs, dropThreshold } = this.params;
+
+    const peak = Math.max(liquidity, ...history.samples(lookbackMs).map((s) => s.liquidity));
+    if (peak <= 0) return [];
+
+    const drop = (peak - liquidity) / peak;
+    if (drop < dropThreshold) return [];
+
+    const reasoning =
+      `liquidity $${liquidity.toFixed(0)} is ${(drop * 100).toFixed(1)}% below ` +
+      `${lookbackMs / 60_000}m peak $${peak.toFixed(0)} (threshold ${(dropThreshold * 100).toFixed(0)}%) → SELL ALL`;
+    log.warn(`[${this.name}] ${token.symbol}: ${reasoning}`);
+
+    return [{
+      token,
+      action: TradeAction.SELL,
+      confidence: 1,
+      momentumScore: 0,
+      reason: reasoning,
+      suggestedSize: 1,
+      closePosition: true,
+    }];
+  }
+}
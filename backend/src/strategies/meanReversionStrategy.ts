@@ -0,0 +1,84 @@
+import { IStrategy, TokenMarketData, TradeAction, TradeDecision } from "../types";
+import { config, STRATEGY_PARAMS } from "../config";
+import { log } from "../logger/reasoningLogger";
+
+export interface MeanReversionParams {
+  lookbackMs: number;
+  entryZ: number;
+  zCap: number;
+  minSamples: number;
+}
+
+/**
+ * Mean-reversion strategy on price z-scores.
+ *
+ * Over the trailing `lookbackMs` of the token's history:
+ *
+ *   z = (price - mean) / stddev
+ *
+ * Decision rules:
+ *   z ≤ -entryZ → BUY   (stretched below the mean)
+ *   z ≥ +entryZ → SELL  (stretched above the mean)
+ *   else        → HOLD
+ *
+ * confidence = min(|z| / zCap, 1); the 0–100 score maps z = +zCap → 0,
+ * z = 0 → 50, z = -zCap → 100 so higher still means "more bullish".
+ * Emits HOLD until the window holds at least `minSamples` samples.
+ */
+export class MeanReversionStrategy implements IStrategy {
+  public readonly name = "MeanReversionStrategy";
+
+  constructor(private readonly params: MeanReversionParams = STRATEGY_PARAMS.meanReversion) {}
+
+  evaluate(tokens: TokenMarketData[]): TradeDecision[] {
+    return tokens.map((md) => this.score(md));
+  }
+
+  private score(md: TokenMarketData): TradeDecision {
+    const { token, priceUsd, history } = md;
+    const { lookbackMs, entryZ, zCap, minSamples } = this.params;
+
+    const prices = history.samples(lookbackMs).map((s) => s.priceUsd);
+    if (prices.length < minSamples) {
+      return hold(md, `insufficient history (${prices.length}/${minSamples} samples in ${lookbackMs / 60_000}m)`);
+    }
+
+    const mean = prices.reduce((s, p) => s + p, 0) / prices.length;
+    const stdev = Math.sqrt(prices.reduce((s, p) => s + (p - mean) ** 2, 0) / (prices.length - 1));
+    if (stdev < 1e-12) return hold(md, "flat price window (stddev 0)");
+
+    const z = (priceUsd - mean) / stdev;
+    const action = z <= -entryZ ? TradeAction.BUY : z >= entryZ ? TradeAction.SELL : TradeAction.HOLD;
+    const confidence = Math.min(Math.abs(z) / zCap, 1);
+    const score = clamp(50 - (z / zCap) * 50, 0, 100);
+
+    const reasoning =
+      `z=${z.toFixed(2)} (mean $${mean.toPrecision(6)}, σ $${stdev.toPrecision(4)}, ` +
+      `${prices.length} samples / ${lookbackMs / 60_000}m) | entry ±${entryZ} → ${action}`;
+    log.debug(`[${this.name}] ${token.symbol}: ${reasoning}`);
+
+    return {
+      token,
+      action,
+      confidence,
+      momentumScore: score,
+      reason: reasoning,
+      suggestedSize: action === TradeAction.HOLD ? 0 : config.POSITION_SIZE * confidence,
+    };
+  }
+}
+
+function hold(md: TokenMarketData, reason: string): TradeDecision {
+  return {
+    token: md.token,
+    action: TradeAction.HOLD,
+    confidence: 0,
+    momentumScore: 50,
+    reason: `${reason} → HOLD`,
+    suggestedSize: 0,
+  };
+}
+
+function clamp(v: number, min: number, max: number): number {
+  return Math.max(min, Math.min(max, v));
+}
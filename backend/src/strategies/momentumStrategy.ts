@@ -1,6 +1,7 @@
 import { IStrategy, TokenMarketData, TradeAction, TradeDecision, MomentumResult } from "../types";
 import { config } from "../config";
 import { log } from "../logger/reasoningLogger";
+import { Lookback } from "../indexer/priceHistory";
 
 // ─── Scoring weights (must sum to 100) ───────────────────────────
 const W_PRICE    = 40;
@@ -11,9 +12,15 @@ const W_LIQUIDITY = 30;
 const BUY_THRESHOLD  = 75;
 const SELL_THRESHOLD = 40;
 
+// ─── Lookback windows (time-based, read from the token's history) ─
+const PRICE_LOOKBACK_MS     = Lookback.M5;
+const VOLUME_SHORT_MS       = Lookback.M1;
+const VOLUME_LONG_MS        = Lookback.M5;
+const LIQUIDITY_LOOKBACK_MS = Lookback.M1;
+
 // ─── Normalisation caps (raw metric → 0-1) ──────────────────────
 const PRICE_CAP    = 0.30;   // 30 % price move → saturates at 1.0
-const VOLUME_CAP   = 5.0;    // volume1m / volume5m ratio cap
+const VOLUME_CAP   = 5.0;    // short-window / long-window volume rate cap
 const LIQUIDITY_CAP = 0.20;  // 20 % liquidity delta → saturates at 1.0
 
 /**
@@ -22,9 +29,12 @@ const LIQUIDITY_CAP = 0.20;  // 20 % liquidity delta → saturates at 1.0
  * For each token computes three normalised metrics and blends them
  * into a single 0–100 momentumScore:
  *
- *   priceChange5m   = (price - price5mAgo) / price5mAgo
- *   volumeSpikeRatio = volume1m / volume5m
- *   liquidityDelta   = (liquidity - previousLiquidity) / previousLiquidity
+ *   priceChange5m    = (price - price5mAgo) / price5mAgo
+ *   volumeSpikeRatio = (volume1m / 1m) / (volume5m / 5m)   — 1m rate vs 5m average rate
+ *   liquidityDelta   = (liquidity - liquidity1mAgo) / liquidity1mAgo
+ *
+ * All lookbacks are read by time from `md.history`, so results do not
+ * depend on POLL_INTERVAL_MS.
  *
  *   momentumScore = priceNorm * 40 + volumeNorm * 30 + liquidityNorm * 30
  *
@@ -43,12 +53,17 @@ export class MomentumStrategy implements IStrategy {
   // ─── Core scoring ────────────────────────────────────────────
 
   private score(md: TokenMarketData): TradeDecision {
-    const { token, priceUsd, price5mAgo, volume1m, volume5m, liquidity, previousLiquidity } = md;
+    const { token, priceUsd, liquidity, history } = md;
+
+    const price5mAgo     = history.priceAt(PRICE_LOOKBACK_MS) ?? priceUsd;
+    const liquidity1mAgo = history.liquidityAt(LIQUIDITY_LOOKBACK_MS) ?? liquidity;
+    const volumeRateShort = history.volumeOver(VOLUME_SHORT_MS) / VOLUME_SHORT_MS;
+    const volumeRateLong  = history.volumeOver(VOLUME_LONG_MS) / VOLUME_LONG_MS;
 
     // 1. Raw metrics (safe-divide to avoid NaN / Infinity)
     const priceChange5m    = safeDelta(priceUsd, price5mAgo);
-    const volumeSpikeRatio = safeRatio(volume1m, volume5m);
-    const liquidityDelta   = safeDelta(liquidity, previousLiquidity);
+    const volumeSpikeRatio = safeRatio(volumeRateShort, volumeRateLong);
+    const liquidityDelta   = safeDelta(liquidity, liquidity1mAgo);
 
     // 2. Normalise each into 0–1
     const priceNorm     = normalise(priceChange5m, PRICE_CAP);
@@ -66,7 +81,7 @@ export class MomentumStrategy implements IStrategy {
     const reasoning =
       `priceΔ5m=${(priceChange5m * 100).toFixed(2)}% (norm ${priceNorm.toFixed(3)}) | ` +
       `volSpike=${volumeSpikeRatio.toFixed(2)}x (norm ${volumeNorm.toFixed(3)}) | ` +
-      `liqΔ=${(liquidityDelta * 100).toFixed(2)}% (norm ${liquidityNorm.toFixed(3)}) | ` +
+      `liqΔ1m=${(liquidityDelta * 100).toFixed(2)}% (norm ${liquidityNorm.toFixed(3)}) | ` +
       `score=${momentumScore.toFixed(1)} → ${result.action}`;
 
     log.debug(`[${this.name}] ${token.symbol}: ${reasoning}`);
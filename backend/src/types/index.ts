@@ -22,6 +22,65 @@ export interface TokenMarketData {
   liquidity: number;
   previousLiquidity: number;
   updatedAt: number;          // epoch ms
+  history: MarketHistory;     // time-indexed samples behind the fields above
+}
+
+/** One timestamped observation stored in a token's history. */
+export interface PriceSample {
+  timestamp: number;          // epoch ms
+  priceUsd: number;
+  volumeUsd: number;          // traded since the previous sample
+  liquidity: number;
+}
+
+/** OHLC candle aggregated from history samples. */
+export interface Candle {
+  start: number;              // epoch ms, aligned to the interval
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+}
+
+/**
+ * Read-only, time-indexed view over a token's recent samples.
+ * Lookbacks are measured back from the latest sample's timestamp.
+ */
+export interface MarketHistory {
+  readonly length: number;
+  latest(): PriceSample | undefined;
+  /** Time covered between the oldest and latest sample. */
+  spanMs(): number;
+  /** Price as of `lookbackMs` before the latest sample (oldest sample if history is shorter). */
+  priceAt(lookbackMs: number): number | undefined;
+  /** Liquidity as of `lookbackMs` before the latest sample. */
+  liquidityAt(lookbackMs: number): number | undefined;
+  /** Summed volume of samples inside the trailing window. */
+  volumeOver(windowMs: number): number;
+  /** Samples inside the trailing window, oldest first (all samples if omitted). */
+  samples(windowMs?: number): PriceSample[];
+  /** Up to `count` most recent candles of `intervalMs`, oldest first. */
+  candles(intervalMs: number, count: number): Candle[];
+}
+
+// ─── Market Data Sources ──────────────────────────────────────────
+
+/** Single raw reading for one token, produced by a MarketDataSource. */
+export interface MarketSnapshot {
+  token: Token;
+  priceUsd: number;
+  volumeUsd: number;          // traded since the previous reading
+  liquidity: number;          // USD
+  timestamp: number;          // epoch ms the source observed the values
+}
+
+/** Pluggable market data feed — the indexer builds rolling windows on top. */
+export interface MarketDataSource {
+  name: string;
+  /** Tokens this source is expected to report on every fetch. */
+  tokens: Token[];
+  fetchSnapshots(): Promise<MarketSnapshot[]>;
 }
 
 // ─── Trade Enums & Decisions ──────────────────────────────────────
@@ -48,6 +107,20 @@ export interface TradeDecision {
   momentumScore: number;      // 0–100
   reason: string;
   suggestedSize: number;      // fraction of portfolio (0–1)
+  closePosition?: boolean;    // SELL the entire holding (defensive exits)
+  breakdown?: StrategyVote[]; // per-strategy inputs when aggregated by DecisionEngine
+  riskChecks?: RiskCheck[];   // every risk rule evaluated, set by DecisionEngine
+}
+
+/** One strategy's contribution to an aggregated decision. */
+export interface StrategyVote {
+  strategy: string;
+  weight: number;
+  action: TradeAction;
+  confidence: number;
+  momentumScore: number;
+  suggestedSize: number;
+  reason: string;
 }
 
 // ─── Execution ────────────────────────────────────────────────────
@@ -57,9 +130,75 @@ export interface ExecutionResult {
   success: boolean;
   txHash?: string;
   gasEstimate?: number;
+  gasUsed?: number;           // gas units consumed (live path only)
+  blockNumber?: number;
+  tradeEvent?: TradeExecutedEvent;
+  swap?: SwapRecord;          // DEX leg after the treasury withdrawal (live path with a router)
   error?: string;
 }
 
+/**
+ * Router swap that follows a treasury withdrawal: BUY swaps the native
+ * withdrawn for the token, SELL the token for native, with the proceeds
+ * sent straight back to the treasury. Amounts are stringified bigints.
+ */
+export interface SwapRecord {
+  router: string;
+  path: string[];
+  amountIn: string;
+  quotedOut: string;
+  minOut: string;               // quotedOut less SWAP_MAX_SLIPPAGE_BPS
+  amountOut: string | null;     // null when the swap did not complete
+  deadline: number;             // unix seconds
+  approveTxHash?: string;       // SELL allowance top-up
+  swapTxHash: string | null;
+  refundTxHash?: string;        // withdrawn funds returned after a failed swap
+  error?: string;
+}
+
+// ─── Managed Transactions ─────────────────────────────────────────
+
+export enum TxStatus {
+  PENDING = "PENDING",
+  CONFIRMED = "CONFIRMED",
+  REVERTED = "REVERTED",
+  DROPPED = "DROPPED",
+}
+
+/**
+ * A transaction tracked by the tx manager: one sender nonce, possibly
+ * broadcast several times with bumped fees. Big numbers are decimal strings.
+ */
+export interface TxRecord {
+  id?: number;                  // transactions row id
+  label: string;                // what the transaction does, e.g. "executeTrade BUY CLAW"
+  from: string;
+  to: string;
+  data: string;
+  value: string;
+  nonce: number;
+  gasLimit: string;
+  maxFeePerGas?: string;
+  maxPriorityFeePerGas?: string;
+  gasPrice?: string;            // legacy networks only
+  hash: string;                 // latest broadcast, or the one that was mined
+  hashes: string[];             // every broadcast at this nonce, oldest first
+  status: TxStatus;
+  reason?: string;              // decoded revert reason, or why it was dropped
+  blockNumber?: number;
+  gasUsed?: string;
+  createdAt: number;            // epoch ms
+  updatedAt: number;
+}
+
+/** Decoded AgentTreasury `TradeExecuted` event. */
+export interface TradeExecutedEvent {
+  token: string;
+  amount: string;             // wei / token units, stringified bigint
+  isBuy: boolean;
+  timestamp: number;          // block timestamp (seconds)
+}
+
 export interface TradeExecution {
   id: string;
   decision: TradeDecision;
@@ -67,6 +206,7 @@ export interface TradeExecution {
   txHash: string | null;
   success: boolean;
   error?: string;
+  swap?: SwapRecord;
 }
 
 // ─── Reasoning Log ────────────────────────────────────────────────
@@ -82,17 +222,170 @@ export interface ReasoningEntry {
 
 // ─── Portfolio & Risk ────────────────────────────────────────────
 
-/** In-memory portfolio state passed into the risk engine each tick. */
+/** One open position, marked to the latest indexer price. */
+export interface PositionState {
+  token: Token;
+  quantity: number;
+  avgCost: number;              // USD per token, fees included
+  priceUsd: number;             // latest mark (avgCost until first mark)
+  marketValue: number;
+  unrealizedPnl: number;
+  realizedPnl: number;          // realised on this token so far
+}
+
+/**
+ * Portfolio snapshot passed into the risk engine each tick.
+ * Built by PortfolioLedger; allocations are marked value / equity.
+ */
 export interface PortfolioState {
   totalExposure: number;
   allocations: Record<string, number>;
   lastTradeTimestamps: Record<string, number>;
+  cash: number;
+  equity: number;
+  realizedPnl: number;
+  unrealizedPnl: number;
+  positions: PositionState[];
+  peakEquity: number;           // high-water mark of equity
+  drawdown: number;             // (peakEquity - equity) / peakEquity
+  dailyRealizedPnl: number;     // realised since 00:00 UTC of the evaluation day
+}
+
+/** A trade applied to the portfolio ledger. */
+export interface LedgerFill {
+  token: Token;
+  action: TradeAction;
+  quantity: number;
+  price: number;
+  notional: number;
+  fee: number;
+  realizedPnl: number | null;   // SELL fills only
+  cashAfter: number;
+  timestamp: number;
+}
+
+/** Serialisable ledger state, persisted as a portfolio snapshot. */
+export interface LedgerSnapshot {
+  cash: number;
+  realizedPnl: number;
+  holdings: { token: Token; quantity: number; avgCost: number; realizedPnl: number }[];
+  marks: Record<string, number>;
+  lastTradeTimestamps: Record<string, number>;
+  peakEquity?: number;                              // absent in snapshots older than the drawdown rule
+  dailyRealized?: { day: string; pnl: number };     // UTC day (YYYY-MM-DD)
+}
+
+/** Result of applying a trade to the ledger. */
+export interface FillResult {
+  success: boolean;
+  fill?: LedgerFill;
+  error?: string;
+}
+
+/**
+ * Risk rules and their limits, loaded from the risk policy file.
+ * A disabled rule is skipped by the risk engine.
+ */
+export interface RiskPolicy {
+  allocationCap: { enabled: boolean; maxAllocationPerToken: number };
+  exposureCap: { enabled: boolean; maxTotalExposure: number };
+  liquidityFloor: { enabled: boolean; minLiquidityUsd: number };
+  cooldown: { enabled: boolean; cooldownMinutes: number };
+  balance: { enabled: boolean };
+  drawdownBreaker: { enabled: boolean; maxDrawdown: number };
+  dailyLossLimit: { enabled: boolean; maxDailyLossUsd: number };
+  volatilitySizing: { enabled: boolean; lookbackMinutes: number; targetVolatility: number; minScale: number };
+  treasuryLimits: { enabled: boolean };
+}
+
+/** One field that moved between two risk policies. */
+export interface RiskPolicyFieldChange {
+  field: string;                // "rule.field", e.g. "cooldown.cooldownMinutes"
+  from: unknown;
+  to: unknown;
 }
 
-/** Result of a single risk evaluation. */
+/** A risk policy (re)load that changed at least one limit. */
+export interface RiskPolicyChange {
+  source: string;               // policy file path, or "defaults"
+  changes: RiskPolicyFieldChange[];
+  policy: RiskPolicy;
+  timestamp: number;
+}
+
+/** Per-token AgentTreasury state mirrored off-chain. */
+export interface TreasuryTokenLimits {
+  allowed: boolean;             // allowedTokens(token)
+  allocation: bigint;           // tokenAllocation(token)
+  balance: bigint;              // treasury's ERC-20 balance
+}
+
+/**
+ * AgentTreasury state that decides whether `executeTrade` reverts,
+ * cached so the risk engine can refuse such trades before sending them.
+ */
+export interface TreasuryLimits {
+  maxAllocationBps: number;
+  paused: boolean;
+  totalTreasuryValue: bigint;
+  nativeBalance: bigint;
+  tokens: Record<string, TreasuryTokenLimits>;  // keyed by lower-case address
+  blockNumber: number;          // chain head the cache reflects
+  updatedAt: number;
+}
+
+/** One allowed token's contribution to a treasury valuation. */
+export interface TreasuryTokenValue {
+  address: string;
+  symbol: string;
+  balance: string;              // treasury's token balance (smallest units)
+  priceUsd: number;             // indexer price the balance was valued at
+  value: string;                // native wei
+}
+
+/** A ProfitDistributor event emitted by a valuation push. Amounts in native wei. */
+export interface ProfitDistributorEvent {
+  event: "TreasuryValueSynced" | "ProfitDistributed";
+  txHash: string;
+  blockNumber: number;
+  previousValue?: string;       // TreasuryValueSynced
+  currentValue?: string;        // TreasuryValueSynced
+  profit?: string;              // TreasuryValueSynced
+  amount?: string;              // ProfitDistributed
+  timestamp: number;            // block timestamp, unix seconds
+}
+
+/**
+ * Treasury value (native balance plus each allowed token at the indexer
+ * price) and what was pushed on-chain for it. Amounts are native wei.
+ */
+export interface TreasuryValuation {
+  value: string;
+  nativeBalance: string;
+  tokens: TreasuryTokenValue[];
+  treasuryTxHash: string | null;      // AgentTreasury.updateTreasuryValue, null if unchanged / dry run
+  distributorTxHash: string | null;   // ProfitDistributor.syncTreasuryValue, null if skipped
+  events: ProfitDistributorEvent[];
+  timestamp: number;                  // epoch ms
+}
+
+/** Outcome of one risk rule for one decision. */
+export interface RiskCheck {
+  rule: keyof RiskPolicy;
+  pass: boolean;
+  detail: string;               // "disabled" / "n/a" when the rule did not apply
+}
+
+/**
+ * Result of a single risk evaluation. `checks` lists every rule in
+ * order; `reason` joins the failed ones. `suggestedSize` is the size
+ * after volatility scaling (equal to the decision's when not scaled).
+ */
 export interface RiskResult {
   pass: boolean;
   reason?: string;
+  checks: RiskCheck[];
+  suggestedSize: number;
 }
 
 // ─── Interfaces ───────────────────────────────────────────────────
@@ -103,14 +396,190 @@ export interface IStrategy {
   evaluate(tokens: TokenMarketData[]): TradeDecision[];
 }
 
-/** Signer interface — abstracts wallet signing. */
+/** Signer interface — abstracts wallet signing. Returns the raw signed tx, or the EIP-712 signature. */
 export interface ISigner {
   address: string;
   signTransaction(tx: UnsignedTransaction): Promise<string>;
+  signTypedData(data: TypedData): Promise<string>;
 }
 
+/** Fully populated transaction handed to an ISigner. Big numbers are decimal strings. */
 export interface UnsignedTransaction {
   to: string;
   value: string;
   data: string;
+  chainId?: number;
+  nonce?: number;
+  gasLimit?: string;
+  gasPrice?: string;              // legacy networks only
+  maxFeePerGas?: string;
+  maxPriorityFeePerGas?: string;
+}
+
+/** EIP-712 typed data handed to an ISigner; `types` excludes EIP712Domain. Big numbers are decimal strings. */
+export interface TypedData {
+  domain: { name: string; version: string; chainId: number; verifyingContract: string };
+  types: Record<string, { name: string; type: string }[]>;
+  message: Record<string, string | number>;
+}
+
+/** Lifecycle of a ProfitDistributor payout run and of each of its batches. */
+export enum PayoutStatus {
+  PENDING = "PENDING",          // not yet paid; a batch that failed is retried
+  CONFIRMED = "CONFIRMED",      // paid on-chain (a run: every batch paid)
+}
+
+/** One ProfitDistributor.distributeTo call of a payout run. */
+export interface PayoutBatch {
+  id?: number;                  // profit_payout_batches row id
+  index: number;                // position in the run, paid in order
+  holders: string[];
+  amounts: string[];            // native wei, aligned with holders
+  total: string;                // native wei
+  gasEstimate: string;          // estimated at planning time
+  status: PayoutStatus;
+  txHash: string | null;
+  attempts: number;
+  error?: string;               // last failed attempt
+}
+
+/**
+ * Pro-rata payout of ProfitDistributor.pendingDistribution to the CLAW
+ * holders at `snapshotBlock`, split into batches under the gas budget.
+ */
+export interface ProfitPayout {
+  id?: number;                  // profit_payouts row id
+  snapshotBlock: number;
+  amount: string;               // native wei split across holders
+  eligibleSupply: string;       // CLAW held by eligible holders at the snapshot
+  holders: number;              // holders paid a non-zero amount
+  excluded: string[];           // lower-case addresses left out
+  batches: PayoutBatch[];
+  status: PayoutStatus;
+  createdAt: number;            // epoch ms
+  updatedAt: number;            // epoch ms
+}
+
+/** Lifecycle of a Governance proposal, in the order of Governance.ProposalState. */
+export enum ProposalState {
+  PENDING = "PENDING",          // created, voting opens next block
+  ACTIVE = "ACTIVE",            // voting open until endBlock
+  DEFEATED = "DEFEATED",        // FOR did not beat AGAINST or missed its snapshotted quorum
+  SUCCEEDED = "SUCCEEDED",      // passed, waiting to be queued
+  QUEUED = "QUEUED",            // in the timelock until eta
+  EXECUTED = "EXECUTED",
+  CANCELED = "CANCELED",        // by the proposer or guardian
+  EXPIRED = "EXPIRED",          // not queued in time, or not executed within the grace period
+}
+
+/** One call a proposal makes when executed. */
+export interface ProposalAction {
+  target: string;
+  value: string;                // native wei
+  data: string;                 // calldata
+}
+
+/** A Governance proposal as indexed from its events, with live tallies. Votes in CLAW wei. */
+export interface GovernanceProposal {
+  id: number;                   // on-chain proposal id
+  proposer: string;
+  description: string;
+  actions: ProposalAction[];    // empty for text-only proposals
+  startBlock: number;           // voting weight snapshot
+  endBlock: number;
+  forVotes: string;
+  againstVotes: string;
+  voters: number;
+  quorum: string | null;        // FOR votes needed; null until voting opens
+  state: ProposalState;
+  eta: number | null;           // unix seconds the proposal may execute from, once queued
+  createdTxHash: string;
+  executedTxHash: string | null;
+  updatedAt: number;            // epoch ms
+}
+
+/** A VoteCast on a Governance proposal. */
+export interface GovernanceVote {
+  proposalId: number;
+  voter: string;
+  support: boolean;             // true = FOR
+  weight: string;               // delegated CLAW wei at the proposal's start block
+  txHash: string;
+  blockNumber: number;
+}
+
+/** Verification type of a QuestManager quest, in the order of QuestManager.QuestType. */
+export enum QuestType {
+  HOLD_TOKENS = "HOLD_TOKENS",              // checked on-chain at claim time, over holdBlocks if set
+  PROVIDE_LIQUIDITY = "PROVIDE_LIQUIDITY",  // agent attests LP balance >= threshold
+  PARTICIPATE_VOTE = "PARTICIPATE_VOTE",    // agent attests a vote on proposal `threshold` (0 = any)
+}
+
+/** A QuestManager quest as indexed from its events. */
+export interface Quest {
+  id: number;                   // on-chain quest id
+  description: string;
+  reward: string;               // wei of rewardToken (native MON when null)
+  questType: QuestType;
+  threshold: string;            // min CLAW / min LP tokens (wei) or proposal id, by questType
+  active: boolean;
+  createdBlock: number;
+  rewardToken: string | null;   // ERC-20 the reward is paid in, null = native MON
+  startTime: number | null;     // unix seconds claims open; null until QuestRulesSet is indexed
+  endTime: number | null;       // unix seconds claims close, null = never
+  epochDuration: number;        // seconds per repeat, 0 = once per user
+  maxCompletions: number;       // 0 = unlimited
+  holdBlocks: number;           // HoldTokens: blocks the CLAW must have been held, 0 = at claim only
+}
+
+/** An LP token holder's balance folded from Transfer logs. */
+export interface LpHolding {
+  holder: string;               // lower-case
+  balance: string;              // LP token wei
+  lastTxHash: string;           // latest transfer that credited the holder
+  lastBlock: number;
+}
+
+/** On-chain fact that made a user eligible for an attested quest. */
+export interface AttestationEvidence {
+  kind: "VOTE" | "LP_BALANCE";
+  txHash: string;               // the VoteCast, or the LP transfer that reached the threshold
+  blockNumber: number;
+  detail: string;               // human-readable summary for audits
+}
+
+/** Lifecycle of a quest attestation. */
+export enum AttestationStatus {
+  PENDING = "PENDING",          // eligible, attestQuestBatch not yet confirmed
+  CONFIRMED = "CONFIRMED",
+}
+
+/** The agent's attestation of one user for one quest epoch, with the evidence behind it. */
+export interface QuestAttestation {
+  id?: number;                  // quest_attestations row id
+  questId: number;
+  epoch: number;                // QuestManager.currentEpoch when eligible; always 0 for one-off quests
+  user: string;
+  evidence: AttestationEvidence;
+  status: AttestationStatus;
+  attestTxHash: string | null;
+  attempts: number;
+  error?: string;
+  createdAt: number;            // epoch ms
+  updatedAt: number;            // epoch ms
+}
+
+/** An agent-signed voucher a user redeems with QuestManager.verifyAndClaimQuestWithVoucher. */
+export interface QuestVoucher {
+  id?: number;                  // quest_vouchers row id
+  questManager: string;         // verifyingContract of the signature
+  chainId: number;
+  questId: number;
+  epoch: number;                // quest epoch it was issued in, the only one it can be redeemed in
+  user: string;                 // the only address that can redeem it
+  nonce: string;                // uint256, decimal; random, each usable once
+  deadline: number;             // unix seconds, chain time
+  signature: string;
+  evidence: AttestationEvidence;
+  createdAt: number;            // epoch ms
 }
@@ -0,0 +1,134 @@
+import { ethers } from "ethers";
+import { ISigner, TypedData, UnsignedTransaction } from "../types";
+import { log } from "../logger/reasoningLogger";
+
+/**
+ * Signer that delegates to an external JSON-RPC signing service
+ * (Clef, Web3Signer, an HSM gateway, or `scripts/remoteSigner.ts`).
+ *
+ * Protocol:
+ *   eth_accounts         → [address, …]       (used when no address is configured)
+ *   eth_signTransaction  → "0x<raw signed tx>" or { raw: "0x…" }
+ *   eth_signTypedData_v4 → "0x<signature>"    (params: [address, JSON typed data])
+ *
+ * Transaction fields are sent as hex quantities, as in eth_sendTransaction.
+ * A request the service does not answer within `timeoutMs` fails, so an
+ * unresponsive signer cannot stall the agent loop.
+ */
+export class RemoteSigner implements ISigner {
+  public readonly address: string;
+  private readonly url: string;
+  private readonly timeoutMs: number;
+  private requestId = 0;
+
+  private constructor(url: string, address: string, timeoutMs: number) {
+    this.url = url;
+    this.address = address;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /** Connect to the signer service and resolve the signing address. */
+  static async connect(url: string, address?: string, timeoutMs = 10_000): Promise<RemoteSigner> {
+    const probe = new RemoteSigner(url, ethers.ZeroAddress, timeoutMs);
+    const accounts = await probe.call<string[]>("eth_accounts", []);
+
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+      throw new Error(`Remote signer at ${url} exposes no accounts`);
+    }
+
+    let selected = accounts[0];
+    if (address) {
+      const match = accounts.find((a) => a.toLowerCase() === address.toLowerCase());
+      if (!match) throw new Error(`Remote signer at ${url} does not hold ${address}`);
+      selected = match;
+    }
+
+    log.info(`[RemoteSigner] Connected to ${url} as ${selected}`);
+    return new RemoteSigner(url, ethers.getAddress(selected), timeoutMs);
+  }
+
+  async signTransaction(tx: UnsignedTransaction): Promise<string> {
+    const result = await this.call<string | { raw: string }>("eth_signTransaction", [toRpcTransaction(this.address, tx)]);
+    const raw = typeof result === "string" ? result : result?.raw;
+
+    if (typeof raw !== "string" || !ethers.isHexString(raw)) {
+      throw new Error("Remote signer returned no raw transaction");
+    }
+
+    // Never broadcast something signed by a different key than we asked for
+    const signer = ethers.Transaction.from(raw).from;
+    if (signer?.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Remote signer signed as ${signer}, expected ${this.address}`);
+    }
+
+    log.debug(`[RemoteSigner] Signed tx → to: ${tx.to}, nonce: ${tx.nonce ?? "?"}`);
+    return raw;
+  }
+
+  async signTypedData(data: TypedData): Promise<string> {
+    const payload = ethers.TypedDataEncoder.getPayload(data.domain, data.types, data.message);
+    const signature = await this.call<string>("eth_signTypedData_v4", [this.address, JSON.stringify(payload)]);
+
+    if (typeof signature !== "string" || !ethers.isHexString(signature)) {
+      throw new Error("Remote signer returned no signature");
+    }
+
+    // Same guard as for transactions: the signature must recover to our address
+    const signer = ethers.verifyTypedData(data.domain, data.types, data.message, signature);
+    if (signer.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Remote signer signed as ${signer}, expected ${this.address}`);
+    }
+
+    log.debug(`[RemoteSigner] Signed typed data → ${data.domain.name} at ${data.domain.verifyingContract}`);
+    return signature;
+  }
+
+  // ─── JSON-RPC transport ────────────────────────────────────────
+
+  private async call<T>(method: string, params: unknown[]): Promise<T> {
+    // One deadline for the whole exchange: it also aborts reading the body
+    const signal = AbortSignal.timeout(this.timeoutMs);
+    let body: { result?: T; error?: { code: number; message: string } };
+    try {
+      const res = await fetch(this.url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ jsonrpc: "2.0", id: ++this.requestId, method, params }),
+        signal,
+      });
+
+      if (!res.ok) {
+        throw new Error(`Remote signer HTTP ${res.status} on ${method}`);
+      }
+
+      body = (await res.json()) as typeof body;
+    } catch (err) {
+      if (signal.aborted) throw new Error(`Remote signer timed out after ${this.timeoutMs}ms on ${method}`);
+      throw err;
+    }
+
+    if (body.error) {
+      throw new Error(`Remote signer ${method} failed: ${body.error.message} (${body.error.code})`);
+    }
+    return body.result as T;
+  }
+}
+
+/** Map our transaction shape onto JSON-RPC hex quantities. */
+function toRpcTransaction(from: string, tx: UnsignedTransaction): Record<string, string> {
+  const out: Record<string, string> = {
+    from,
+    to: tx.to,
+    value: ethers.toQuantity(BigInt(tx.value)),
+    data: tx.data,
+  };
+  if (tx.chainId !== undefined) out.chainId = ethers.toQuantity(tx.chainId);
+  if (tx.nonce !== undefined) out.nonce = ethers.toQuantity(tx.nonce);
+  if (tx.gasLimit !== undefined) out.gas = ethers.toQuantity(BigInt(tx.gasLimit));
+  if (tx.gasPrice !== undefined) out.gasPrice = ethers.toQuantity(BigInt(tx.gasPrice));
+  if (tx.maxFeePerGas !== undefined) out.maxFeePerGas = ethers.toQuantity(BigInt(tx.maxFeePerGas));
+  if (tx.maxPriorityFeePerGas !== undefined) {
+    out.maxPriorityFeePerGas = ethers.toQuantity(BigInt(tx.maxPriorityFeePerGas));
+  }
+  return out;
+}
@@ -0,0 +1,137 @@
+import * as http from "http";
+import { ethers } from "ethers";
+import { log } from "../logger/reasoningLogger";
+
+/**
+ * Local stand-in for a remote signing service.
+ *
+ * Speaks the same minimal JSON-RPC protocol that RemoteSigner expects
+ * (eth_accounts, eth_signTransaction, eth_signTypedData_v4) so SIGNER_TYPE=remote can be
+ * exercised offline. Holds a single key in memory — development only.
+ */
+
+interface JsonRpcRequest {
+  jsonrpc: "2.0";
+  id: number | string | null;
+  method: string;
+  params?: unknown[];
+}
+
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class RpcError extends Error {
+  constructor(public readonly code: number, message: string) {
+    super(message);
+  }
+}
+
+/** Start the stand-in signer on the given port. */
+export function startRemoteSignerServer(
+  wallet: ethers.Wallet | ethers.HDNodeWallet,
+  port: number = 8550,
+  host: string = "127.0.0.1",
+): http.Server {
+  const server = http.createServer((req, res) => {
+    if (req.method !== "POST") {
+      res.writeHead(405).end();
+      return;
+    }
+
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      let id: JsonRpcRequest["id"] = null;
+      try {
+        let request: JsonRpcRequest;
+        try {
+          request = JSON.parse(body);
+        } catch {
+          throw new RpcError(PARSE_ERROR, "Parse error");
+        }
+        id = request.id ?? null;
+
+        const result = await handle(wallet, request);
+        reply(res, { jsonrpc: "2.0", id, result });
+      } catch (err) {
+        const code = err instanceof RpcError ? err.code : INTERNAL_ERROR;
+        const message = err instanceof Error ? err.message : String(err);
+        log.warn(`[RemoteSignerServer] ${message}`);
+        reply(res, { jsonrpc: "2.0", id, error: { code, message } });
+      }
+    });
+  });
+
+  server.listen(port, host, () => {
+    log.info(`[RemoteSignerServer] Signing as ${wallet.address} on http://${host}:${port}`);
+  });
+
+  return server;
+}
+
+async function handle(
+  wallet: ethers.Wallet | ethers.HDNodeWallet,
+  request: JsonRpcRequest,
+): Promise<unknown> {
+  switch (request.method) {
+    case "eth_accounts":
+      return [wallet.address];
+
+    case "eth_signTransaction": {
+      const tx = request.params?.[0] as Record<string, string> | undefined;
+      if (!tx || typeof tx !== "object") {
+        throw new RpcError(INVALID_PARAMS, "expected a transaction object");
+      }
+      if (tx.from && tx.from.toLowerCase() !== wallet.address.toLowerCase()) {
+        throw new RpcError(INVALID_PARAMS, `unknown account ${tx.from}`);
+      }
+
+      const raw = await wallet.signTransaction({
+        to: tx.to,
+        value: tx.value,
+        data: tx.data,
+        chainId: tx.chainId,
+        nonce: tx.nonce !== undefined ? Number(tx.nonce) : undefined,
+        gasLimit: tx.gas,
+        gasPrice: tx.gasPrice,
+        maxFeePerGas: tx.maxFeePerGas,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+      });
+      log.info(`[RemoteSignerServer] Signed tx → to: ${tx.to}, nonce: ${tx.nonce}`);
+      return raw;
+    }
+
+    case "eth_signTypedData_v4": {
+      const [from, json] = (request.params ?? []) as [string?, string?];
+      if (typeof from !== "string" || from.toLowerCase() !== wallet.address.toLowerCase()) {
+        throw new RpcError(INVALID_PARAMS, `unknown account ${from}`);
+      }
+
+      let payload: { domain: ethers.TypedDataDomain; types: Record<string, ethers.TypedDataField[]>; message: Record<string, unknown> };
+      try {
+        payload = typeof json === "string" ? JSON.parse(json) : json;
+      } catch {
+        throw new RpcError(INVALID_PARAMS, "expected typed data JSON");
+      }
+      if (!payload?.domain || !payload.types || !payload.message) {
+        throw new RpcError(INVALID_PARAMS, "expected typed data JSON");
+      }
+
+      // ethers derives the domain type itself and rejects it among the struct types
+      const { EIP712Domain: _domain, ...types } = payload.types;
+      const signature = await wallet.signTypedData(payload.domain, types, payload.message);
+      log.info(`[RemoteSignerServer] Signed typed data → ${payload.domain.name} at ${payload.domain.verifyingContract}`);
+      return signature;
+    }
+
+    default:
+      throw new RpcError(METHOD_NOT_FOUND, `method ${request.method} not supported`);
+  }
+}
+
+function reply(res: http.ServerResponse, payload: unknown): void {
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
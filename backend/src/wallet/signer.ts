@@ -1,23 +1,68 @@
 import { config } from "../config";
-import { ISigner, UnsignedTransaction } from "../types";
+import { ISigner } from "../types";
 import { log } from "../logger/reasoningLogger";
+import { fromKeystore, fromPrivateKey } from "./walletSigner";
+import { RemoteSigner } from "./remoteSigner";
 
 /**
- * Mock signer — simulates wallet signing without touching any chain.
- * Replace this implementation with a real signer (e.g. ethers.Wallet)
- * when blockchain integration is ready.
+ * Signer factory — picks the signing backend from `SIGNER_TYPE`:
+ *
+ *   privateKey → ethers Wallet from PRIVATE_KEY
+ *   keystore   → encrypted JSON keystore at KEYSTORE_PATH,
+ *                unlocked with the password in KEYSTORE_PASSWORD_FILE
+ *   remote     → JSON-RPC eth_signTransaction service at REMOTE_SIGNER_URL
+ *
+ * The signer is created once and shared for the lifetime of the process.
  */
-export class MockSigner implements ISigner {
-  public readonly address: string;
 
-  constructor() {
-    this.address = config.WALLET_ADDRESS;
-    log.debug(`MockSigner initialised with address ${this.address}`);
+export const SignerType = {
+  PRIVATE_KEY: "privateKey",
+  KEYSTORE: "keystore",
+  REMOTE: "remote",
+} as const;
+
+export type SignerType = (typeof SignerType)[keyof typeof SignerType];
+
+let signerPromise: Promise<ISigner> | null = null;
+
+/** Return the configured signer, initialising it on first call. */
+export function getSigner(): Promise<ISigner> {
+  if (!signerPromise) {
+    signerPromise = createSigner(config.SIGNER_TYPE).catch((err) => {
+      // Allow a retry on the next call instead of caching the failure
+      signerPromise = null;
+      throw err;
+    });
   }
+  return signerPromise;
+}
+
+async function createSigner(type: string): Promise<ISigner> {
+  let signer: ISigner;
 
-  async signTransaction(tx: UnsignedTransaction): Promise<string> {
-    const mockHash = `0xmock_${Date.now().toString(16)}_${Math.random().toString(16).slice(2, 10)}`;
-    log.info(`[MockSigner] Signed tx → to: ${tx.to}, value: ${tx.value}, hash: ${mockHash}`);
-    return mockHash;
+  switch (type) {
+    case SignerType.PRIVATE_KEY:
+      signer = fromPrivateKey(config.PRIVATE_KEY);
+      break;
+    case SignerType.KEYSTORE:
+      if (!config.KEYSTORE_PATH || !config.KEYSTORE_PASSWORD_FILE) {
+        throw new Error("SIGNER_TYPE=keystore requires KEYSTORE_PATH and KEYSTORE_PASSWORD_FILE");
+      }
+      signer = await fromKeystore(config.KEYSTORE_PATH, config.KEYSTORE_PASSWORD_FILE);
+      break;
+    case SignerType.REMOTE:
+      signer = await RemoteSigner.connect(
+        config.REMOTE_SIGNER_URL,
+        config.REMOTE_SIGNER_ADDRESS || undefined,
+        config.REMOTE_SIGNER_TIMEOUT_MS,
+      );
+      break;
+    default:
+      throw new Error(
+        `Unknown SIGNER_TYPE "${type}" (expected ${Object.values(SignerType).join(" | ")})`,
+      );
   }
+
+  log.info(`[Signer] ${type} signer ready for ${signer.address}`);
+  return signer;
 }
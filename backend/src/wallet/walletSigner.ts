@@ -0,0 +1,75 @@
+import * as fs from "fs";
+import * as path from "path";
+import { ethers } from "ethers";
+import { ISigner, TypedData, UnsignedTransaction } from "../types";
+import { log } from "../logger/reasoningLogger";
+
+/**
+ * In-process signer backed by an ethers wallet.
+ * Used by both the raw private-key and the encrypted-keystore backends —
+ * they only differ in how the key material is obtained.
+ */
+export class WalletSigner implements ISigner {
+  public readonly address: string;
+  private readonly wallet: ethers.Wallet | ethers.HDNodeWallet;
+
+  constructor(wallet: ethers.Wallet | ethers.HDNodeWallet) {
+    this.wallet = wallet;
+    this.address = wallet.address;
+  }
+
+  async signTransaction(tx: UnsignedTransaction): Promise<string> {
+    const signed = await this.wallet.signTransaction(toTransactionRequest(tx));
+    log.debug(`[WalletSigner] Signed tx → to: ${tx.to}, nonce: ${tx.nonce ?? "?"}`);
+    return signed;
+  }
+
+  async signTypedData(data: TypedData): Promise<string> {
+    const signature = await this.wallet.signTypedData(data.domain, data.types, data.message);
+    log.debug(`[WalletSigner] Signed typed data → ${data.domain.name} at ${data.domain.verifyingContract}`);
+    return signature;
+  }
+}
+
+/** Build a signer from a raw hex private key. */
+export function fromPrivateKey(privateKey: string): WalletSigner {
+  try {
+    return new WalletSigner(new ethers.Wallet(privateKey));
+  } catch {
+    throw new Error("PRIVATE_KEY is not a valid 32-byte hex private key");
+  }
+}
+
+/**
+ * Build a signer from an encrypted JSON keystore (geth / ethers format).
+ * The password is read from a separate file so it never sits in the env.
+ */
+export async function fromKeystore(keystorePath: string, passwordFile: string): Promise<WalletSigner> {
+  const ksPath = path.resolve(keystorePath);
+  const pwPath = path.resolve(passwordFile);
+
+  if (!fs.existsSync(ksPath)) throw new Error(`Keystore not found at ${ksPath}`);
+  if (!fs.existsSync(pwPath)) throw new Error(`Keystore password file not found at ${pwPath}`);
+
+  const json = fs.readFileSync(ksPath, "utf-8");
+  const password = fs.readFileSync(pwPath, "utf-8").replace(/\r?\n$/, "");
+
+  log.info(`[WalletSigner] Decrypting keystore ${ksPath}…`);
+  const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+  return new WalletSigner(wallet);
+}
+
+/** Map our transaction shape onto an ethers TransactionRequest. */
+function toTransactionRequest(tx: UnsignedTransaction): ethers.TransactionRequest {
+  return {
+    to: tx.to,
+    value: BigInt(tx.value),
+    data: tx.data,
+    chainId: tx.chainId,
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit !== undefined ? BigInt(tx.gasLimit) : undefined,
+    gasPrice: tx.gasPrice !== undefined ? BigInt(tx.gasPrice) : undefined,
+    maxFeePerGas: tx.maxFeePerGas !== undefined ? BigInt(tx.maxFeePerGas) : undefined,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas !== undefined ? BigInt(tx.maxPriorityFeePerGas) : undefined,
+  };
+}
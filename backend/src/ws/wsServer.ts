@@ -7,6 +7,13 @@ export const WsEventType = {
   DECISION: "DECISION",
   TRADE_EXECUTED: "TRADE_EXECUTED",
   PORTFOLIO_UPDATE: "PORTFOLIO_UPDATE",
+  RISK_POLICY_UPDATED: "RISK_POLICY_UPDATED",
+  TREASURY_VALUED: "TREASURY_VALUED",
+  PROFIT_PAYOUT: "PROFIT_PAYOUT",
+  PROPOSAL_CREATED: "PROPOSAL_CREATED",
+  VOTE_CAST: "VOTE_CAST",
+  PROPOSAL_STATE_CHANGED: "PROPOSAL_STATE_CHANGED",
+  QUEST_ATTESTED: "QUEST_ATTESTED",
 } as const;
 
 export type WsEventType = (typeof WsEventType)[keyof typeof WsEventType];
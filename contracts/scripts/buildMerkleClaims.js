@@ -0,0 +1,48 @@
+/**
+ * Build a ProfitDistributor claim epoch from an allocation file.
+ *
+ *   node scripts/buildMerkleClaims.js <allocations.json> [claims.json]
+ *
+ * <allocations.json> maps holder address → amount in native wei:
+ *   { "0xabc…": "1000000000000000000", … }
+ *
+ * Writes { root, total, claims: { holder: { amount, proof } } } to
+ * [claims.json] (default: claims-<root prefix>.json) and prints the
+ * `publishMerkleRoot(root, total)` arguments for the agent.
+ */
+const fs = require("fs");
+const path = require("path");
+const { buildMerkleTree, verifyProof } = require("./lib/merkleTree");
+
+function main() {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    console.error("Usage: node scripts/buildMerkleClaims.js <allocations.json> [claims.json]");
+    process.exit(1);
+  }
+
+  const allocations = JSON.parse(fs.readFileSync(input, "utf-8"));
+  const tree = buildMerkleTree(
+    Object.entries(allocations).map(([account, amount]) => ({ account, amount }))
+  );
+
+  for (const [account, { amount, proof }] of Object.entries(tree.claims)) {
+    if (!verifyProof(tree.root, account, amount, proof)) throw new Error(`proof for ${account} does not verify`);
+  }
+
+  const outputPath = output ?? path.join(process.cwd(), `claims-${tree.root.slice(2, 10)}.json`);
+  fs.writeFileSync(outputPath, JSON.stringify(tree, null, 2));
+
+  console.log(`Holders : ${Object.keys(tree.claims).length}`);
+  console.log(`Root    : ${tree.root}`);
+  console.log(`Total   : ${tree.total} wei`);
+  console.log(`Claims  : ${outputPath}`);
+  console.log(`\nAgent call: publishMerkleRoot(${tree.root}, ${tree.total})`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("Failed:", err.message);
+  process.exit(1);
+}
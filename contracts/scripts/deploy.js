@@ -19,6 +19,10 @@ async function main() {
   const clawTokenAddr = await clawToken.getAddress();
   console.log("CLAWToken deployed to:", clawTokenAddr);
 
+  // Voting power is checkpointed; the deployer self-delegates so it can propose and vote
+  await (await clawToken.delegate(deployer.address)).wait();
+  console.log("Deployer CLAW votes self-delegated");
+
   // ──────────────────── 2. Deploy AgentTreasury ────────────────
   console.log("\n--- Deploying AgentTreasury ---");
   const AgentTreasury = await hre.ethers.getContractFactory("AgentTreasury");
@@ -33,11 +37,16 @@ async function main() {
   const Governance = await hre.ethers.getContractFactory("Governance");
   const VOTING_PERIOD = 7200; // ~1 day at 12s blocks
   const MIN_PROPOSAL_TOKENS = hre.ethers.parseEther("100"); // 100 CLAW
+  const QUORUM_BPS = 400; // 4% of supply
+  const TIMELOCK_DELAY = 2 * 24 * 60 * 60; // 2 days
   const governance = await Governance.deploy(
     clawTokenAddr,
     treasuryAddr,
     VOTING_PERIOD,
-    MIN_PROPOSAL_TOKENS
+    MIN_PROPOSAL_TOKENS,
+    QUORUM_BPS,
+    TIMELOCK_DELAY,
+    deployer.address // guardian (can cancel proposals)
   );
   await governance.waitForDeployment();
   const governanceAddr = await governance.getAddress();
@@ -100,6 +109,9 @@ async function main() {
         address: governanceAddr,
         votingPeriod: VOTING_PERIOD,
         minProposalTokens: MIN_PROPOSAL_TOKENS.toString(),
+        quorumBps: QUORUM_BPS,
+        timelockDelay: TIMELOCK_DELAY,
+        guardian: deployer.address,
       },
       ProfitDistributor: {
         address: profitDistributorAddr,
@@ -148,7 +160,7 @@ async function main() {
   console.log("\n⚠️  Next Steps:");
   console.log("1. Fund the AgentTreasury with native MON tokens");
   console.log("2. Transfer $CLAW tokens to AgentTreasury as needed");
-  console.log("3. Use Governance contract to whitelist trading tokens via setTokenAllowed()");
+  console.log("3. Whitelist trading tokens with a Governance proposal: propose([treasury], [0], [setTokenAllowed calldata], ...)");
   console.log("4. Fund ProfitDistributor and QuestManager with native MON for rewards");
   console.log("5. Verify contracts on the block explorer");
 }
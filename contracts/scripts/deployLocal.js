@@ -0,0 +1,158 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deploy a trade-ready AgentTreasury to a local Hardhat node so the
+ * backend's live execution path can be exercised end to end.
+ *
+ *   npx hardhat node
+ *   npx hardhat run scripts/deployLocal.js --network localhost
+ *
+ * Signer #0 deploys and holds CLAW, signer #1 is the agent. The treasury's
+ * governance role is handed to a Governance contract with a short voting
+ * period and timelock, the deployer self-delegates its CLAW votes, and CLAW
+ * is whitelisted through a full propose → vote → queue → execute round.
+ * The treasury is funded with native MON and CLAW. A MockUniswapV2Router
+ * quoting 1000 CLAW per MON is deployed and stocked so the backend can
+ * route swaps after each treasury withdrawal, a ProfitDistributor
+ * (1 MON threshold, 50% distributed) receives the agent's valuations, and
+ * a QuestManager funded with 10 MON lets the agent attest quests.
+ */
+async function main() {
+  const [deployer, agent] = await hre.ethers.getSigners();
+  console.log("Deployer:", deployer.address);
+  console.log("Agent:", agent.address);
+
+  // ──────────────────── 1. Deploy contracts ────────────────────
+  const CLAWToken = await hre.ethers.getContractFactory("CLAWToken");
+  const clawToken = await CLAWToken.deploy(1_000_000);
+  await clawToken.waitForDeployment();
+  const clawTokenAddr = await clawToken.getAddress();
+  console.log("CLAWToken deployed to:", clawTokenAddr);
+
+  const AgentTreasury = await hre.ethers.getContractFactory("AgentTreasury");
+  const MAX_ALLOC_BPS = 2000; // 20%
+  const treasury = await AgentTreasury.deploy(agent.address, deployer.address, MAX_ALLOC_BPS);
+  await treasury.waitForDeployment();
+  const treasuryAddr = await treasury.getAddress();
+  console.log("AgentTreasury deployed to:", treasuryAddr);
+
+  const Governance = await hre.ethers.getContractFactory("Governance");
+  const VOTING_PERIOD = 5; // blocks, mined instantly below
+  const TIMELOCK_DELAY = 60; // seconds, skipped instantly below
+  const governance = await Governance.deploy(
+    clawTokenAddr,
+    treasuryAddr,
+    VOTING_PERIOD,
+    hre.ethers.parseEther("100"),
+    400, // 4% quorum
+    TIMELOCK_DELAY,
+    deployer.address // guardian
+  );
+  await governance.waitForDeployment();
+  const governanceAddr = await governance.getAddress();
+  console.log("Governance deployed to:", governanceAddr);
+
+  const MockUniswapV2Router = await hre.ethers.getContractFactory("MockUniswapV2Router");
+  const router = await MockUniswapV2Router.deploy();
+  await router.waitForDeployment();
+  const routerAddr = await router.getAddress();
+  console.log("MockUniswapV2Router deployed to:", routerAddr);
+
+  const ProfitDistributor = await hre.ethers.getContractFactory("ProfitDistributor");
+  const PROFIT_THRESHOLD = hre.ethers.parseEther("1"); // 1 MON
+  const DISTRIBUTION_BPS = 5000; // 50%
+  const distributor = await ProfitDistributor.deploy(
+    clawTokenAddr,
+    agent.address,
+    deployer.address,
+    treasuryAddr,
+    PROFIT_THRESHOLD,
+    DISTRIBUTION_BPS
+  );
+  await distributor.waitForDeployment();
+  const distributorAddr = await distributor.getAddress();
+  console.log("ProfitDistributor deployed to:", distributorAddr);
+
+  const QuestManager = await hre.ethers.getContractFactory("QuestManager");
+  const questManager = await QuestManager.deploy(clawTokenAddr, agent.address, deployer.address);
+  await questManager.waitForDeployment();
+  const questManagerAddr = await questManager.getAddress();
+  console.log("QuestManager deployed to:", questManagerAddr);
+
+  // ──────────────────── 2. Govern: whitelist CLAW ──────────────
+  await (await treasury.updateGovernance(governanceAddr)).wait();
+  console.log("AgentTreasury governance handed to Governance");
+  await (await clawToken.delegate(deployer.address)).wait();
+
+  const whitelistCall = treasury.interface.encodeFunctionData("setTokenAllowed", [clawTokenAddr, true]);
+  await (await governance.propose([treasuryAddr], [0], [whitelistCall], "Whitelist CLAW for trading")).wait();
+  const proposalId = await governance.proposalCount();
+  await (await governance.vote(proposalId, true)).wait();
+  await hre.network.provider.send("hardhat_mine", [hre.ethers.toQuantity(VOTING_PERIOD + 1)]);
+  await (await governance.queue(proposalId)).wait();
+  await hre.network.provider.send("evm_increaseTime", [TIMELOCK_DELAY]);
+  await (await governance.executeProposal(proposalId)).wait();
+  if (!(await treasury.allowedTokens(clawTokenAddr))) throw new Error("CLAW whitelist proposal did not take effect");
+  console.log(`Proposal #${proposalId} executed: CLAW whitelisted`);
+
+  // ──────────────────── 3. Fund ────────────────────────────────
+  await (await deployer.sendTransaction({ to: treasuryAddr, value: hre.ethers.parseEther("100") })).wait();
+  await (await clawToken.transfer(treasuryAddr, hre.ethers.parseEther("100000"))).wait();
+  console.log("Treasury funded with 100 MON + 100000 CLAW");
+
+  const ROUTER_RATE = hre.ethers.parseEther("1000"); // CLAW per MON
+  await (await router.setRate(clawTokenAddr, ROUTER_RATE)).wait();
+  await (await deployer.sendTransaction({ to: routerAddr, value: hre.ethers.parseEther("100") })).wait();
+  await (await clawToken.transfer(routerAddr, hre.ethers.parseEther("200000"))).wait();
+  console.log("Router stocked with 100 MON + 200000 CLAW at 1000 CLAW/MON");
+  await (await deployer.sendTransaction({ to: questManagerAddr, value: hre.ethers.parseEther("10") })).wait();
+  console.log("QuestManager funded with 10 MON for rewards");
+
+  // ──────────────────── 4. Export deployment info ──────────────
+  const deployment = {
+    network: hre.network.name,
+    deployer: deployer.address,
+    agent: agent.address,
+    timestamp: new Date().toISOString(),
+    contracts: {
+      CLAWToken: { address: clawTokenAddr },
+      AgentTreasury: { address: treasuryAddr, maxAllocationBps: MAX_ALLOC_BPS },
+      Governance: { address: governanceAddr, votingPeriod: VOTING_PERIOD, timelockDelay: TIMELOCK_DELAY },
+      MockUniswapV2Router: { address: routerAddr, clawPerMon: "1000" },
+      ProfitDistributor: {
+        address: distributorAddr,
+        profitThreshold: PROFIT_THRESHOLD.toString(),
+        distributionBps: DISTRIBUTION_BPS,
+      },
+      QuestManager: { address: questManagerAddr },
+    },
+  };
+
+  const outputDir = path.join(__dirname, "..", "deployments");
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  const outputPath = path.join(outputDir, `${hre.network.name}-deployment.json`);
+  fs.writeFileSync(outputPath, JSON.stringify(deployment, null, 2));
+  console.log(`\nDeployment info saved to: ${outputPath}`);
+
+  console.log("\nBackend .env for live execution against this node:");
+  console.log("  DRY_RUN=false");
+  console.log(`  RPC_URL=${hre.network.config.url ?? "http://127.0.0.1:8545"}`);
+  console.log(`  TREASURY_ADDRESS=${treasuryAddr}`);
+  console.log(`  ROUTER_ADDRESS=${routerAddr}`);
+  console.log(`  PROFIT_DISTRIBUTOR_ADDRESS=${distributorAddr}`);
+  console.log(`  CLAW_TOKEN_ADDRESS=${clawTokenAddr}`);
+  console.log(`  GOVERNANCE_ADDRESS=${governanceAddr}`);
+  console.log(`  QUEST_MANAGER_ADDRESS=${questManagerAddr}`);
+  console.log("  PRIVATE_KEY=<private key of Hardhat account #1>");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
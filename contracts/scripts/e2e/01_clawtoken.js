@@ -71,6 +71,15 @@ async function run(clawToken, deployer) {
   await assertReverts("transfer from zero-balance address reverts", async () => {
     await clawToken.connect(noBalWallet).transfer(deployer.address, 1n);
   });
+
+  // 8. Self-delegation activates voting power (Governance relies on it)
+  await assert("delegate to self activates votes", async () => {
+    const tx = await clawToken.delegate(deployer.address);
+    await waitTx(tx);
+    const votes = await clawToken.getVotes(deployer.address);
+    const bal = await clawToken.balanceOf(deployer.address);
+    if (votes !== bal) throw new Error(`Votes ${votes} != balance ${bal}`);
+  });
 }
 
 module.exports = { run };
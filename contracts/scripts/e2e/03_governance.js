@@ -1,7 +1,10 @@
 const hre = require("hardhat");
-const { header, info, assert, assertReverts, summary, waitTx } = require("./helpers");
+const { header, info, assert, assertReverts, summary, waitTx, waitForBlock, waitForTimestamp } = require("./helpers");
 
-async function run(governance, clawToken, deployer) {
+// Governance.ProposalState
+const State = { Pending: 0, Active: 1, Defeated: 2, Succeeded: 3, Queued: 4, Executed: 5, Canceled: 6, Expired: 7 };
+
+async function run(governance, clawToken, deployer, treasury) {
   header("E2E: Governance");
   const govAddr = await governance.getAddress();
   info(`Contract: ${govAddr}`);
@@ -18,6 +21,17 @@ async function run(governance, clawToken, deployer) {
     if (vp !== 100n) throw new Error(`VotingPeriod ${vp} != 100`);
   });
 
+  await assert("quorum 4%, timelock 30s, guardian is deployer", async () => {
+    const [quorum, delay, guardian] = await Promise.all([
+      governance.quorumBps(),
+      governance.timelockDelay(),
+      governance.guardian(),
+    ]);
+    if (quorum !== 400n) throw new Error(`Quorum ${quorum} != 400`);
+    if (delay !== 30n) throw new Error(`Timelock ${delay} != 30`);
+    if (guardian !== deployer.address) throw new Error(`Guardian mismatch: ${guardian}`);
+  });
+
   // 2. Create proposal (deployer has CLAW)
   let proposalId;
   await assert("create proposal 'Increase risk to 30%'", async () => {
@@ -37,8 +51,10 @@ async function run(governance, clawToken, deployer) {
     if (p.forVotes !== 0n) throw new Error("forVotes should be 0");
   });
 
-  // 4. Voting is active
+  // 4. Voting is active once the proposal's start block has passed
   await assert("isVotingActive returns true", async () => {
+    const p = await governance.getProposal(proposalId);
+    await waitForBlock(Number(p.startBlock) + 1);
     const active = await governance.isVotingActive(proposalId);
     if (!active) throw new Error("Voting should be active");
   });
@@ -91,7 +107,104 @@ async function run(governance, clawToken, deployer) {
     if (count < 1n) throw new Error(`proposalCount ${count} < 1`);
   });
 
-  info("NOTE: executeProposal requires waiting 100 blocks — skipped in e2e to save time/gas");
+  // 13. Full propose → vote → execute against the treasury
+  const treasuryAddr = await treasury.getAddress();
+  await assert("treasury governance is the Governance contract", async () => {
+    const gov = await treasury.governance();
+    if (gov !== govAddr) throw new Error(`Governance mismatch: ${gov}`);
+  });
+
+  let actionProposalId;
+  await assert("propose updateMaxAllocation(3000) on treasury", async () => {
+    const data = treasury.interface.encodeFunctionData("updateMaxAllocation", [3000]);
+    const tx = await governance.propose([treasuryAddr], [0], [data], "Raise risk to 30%");
+    const receipt = await waitTx(tx);
+    const event = receipt.logs.find(l => l.fragment && l.fragment.name === "ProposalActions");
+    if (!event) throw new Error("ProposalActions event not emitted");
+    actionProposalId = event.args[0];
+    info(`  Proposal ID: ${actionProposalId}`);
+  });
+
+  await assert("getActions returns the treasury call", async () => {
+    const [targets] = await governance.getActions(actionProposalId);
+    if (targets.length !== 1 || targets[0] !== treasuryAddr) throw new Error(`Targets mismatch: ${targets}`);
+  });
+
+  await assert("deployer votes FOR action proposal", async () => {
+    await waitTx(await governance.vote(actionProposalId, true));
+  });
+
+  await assert("state is Active during voting", async () => {
+    const s = await governance.state(actionProposalId);
+    if (Number(s) !== State.Active) throw new Error(`State ${s} != Active`);
+  });
+
+  await assertReverts("queue reverts before voting ends", async () => {
+    await governance.queue(actionProposalId);
+  });
+
+  await assert("wait for voting period to end", async () => {
+    const p = await governance.getProposal(actionProposalId);
+    info(`  Waiting for block ${p.endBlock + 1n}...`);
+    await waitForBlock(Number(p.endBlock) + 1);
+  });
+
+  await assert("state is Succeeded (quorum met)", async () => {
+    const s = await governance.state(actionProposalId);
+    if (Number(s) !== State.Succeeded) throw new Error(`State ${s} != Succeeded`);
+  });
+
+  await assert("queue starts the timelock", async () => {
+    const receipt = await waitTx(await governance.queue(actionProposalId));
+    const event = receipt.logs.find(l => l.fragment && l.fragment.name === "ProposalQueued");
+    if (!event) throw new Error("ProposalQueued event not emitted");
+    const s = await governance.state(actionProposalId);
+    if (Number(s) !== State.Queued) throw new Error(`State ${s} != Queued`);
+  });
+
+  await assertReverts("executeProposal reverts before timelock elapses", async () => {
+    await governance.executeProposal(actionProposalId);
+  });
+
+  await assert("wait for timelock", async () => {
+    const p = await governance.getProposal(actionProposalId);
+    info(`  Waiting until ${new Date(Number(p.eta) * 1000).toISOString()}...`);
+    await waitForTimestamp(Number(p.eta));
+  });
+
+  await assert("executeProposal applies updateMaxAllocation", async () => {
+    const tx = await governance.executeProposal(actionProposalId);
+    const receipt = await waitTx(tx);
+    const event = receipt.logs.find(l => l.fragment && l.fragment.name === "ProposalExecuted");
+    if (!event) throw new Error("ProposalExecuted event not emitted");
+    const bps = await treasury.maxAllocationBps();
+    if (bps !== 3000n) throw new Error(`MaxAlloc ${bps} != 3000`);
+  });
+
+  await assertReverts("executed proposal cannot run again", async () => {
+    await governance.executeProposal(actionProposalId);
+  });
+
+  await assert("state is Executed", async () => {
+    const s = await governance.state(actionProposalId);
+    if (Number(s) !== State.Executed) throw new Error(`State ${s} != Executed`);
+  });
+
+  // 14. Cancellation
+  let cancelProposalId;
+  await assert("proposer cancels a new proposal", async () => {
+    const receipt = await waitTx(await governance.createProposal("To be canceled"));
+    cancelProposalId = receipt.logs.find(l => l.fragment && l.fragment.name === "ProposalCreated").args[0];
+    const cancelReceipt = await waitTx(await governance.cancel(cancelProposalId));
+    const event = cancelReceipt.logs.find(l => l.fragment && l.fragment.name === "ProposalCanceled");
+    if (!event) throw new Error("ProposalCanceled event not emitted");
+    const s = await governance.state(cancelProposalId);
+    if (Number(s) !== State.Canceled) throw new Error(`State ${s} != Canceled`);
+  });
+
+  await assertReverts("vote on canceled proposal reverts", async () => {
+    await governance.vote(cancelProposalId, true);
+  });
 }
 
 module.exports = { run };
@@ -1,5 +1,5 @@
 const hre = require("hardhat");
-const { header, info, assert, assertReverts, summary, waitTx } = require("./helpers");
+const { header, info, assert, assertReverts, summary, waitTx, waitForTimestamp } = require("./helpers");
 
 async function run(questManager, clawToken, deployer) {
   header("E2E: QuestManager");
@@ -99,6 +99,16 @@ async function run(questManager, clawToken, deployer) {
     if (!attested) throw new Error("Not attested");
   });
 
+  await assert("agent batch-attests users for LP quest", async () => {
+    const users = [hre.ethers.Wallet.createRandom().address, hre.ethers.Wallet.createRandom().address];
+    const receipt = await waitTx(await questManager.attestQuestBatch(lpQuestId, users));
+    const events = receipt.logs.filter(l => l.fragment && l.fragment.name === "QuestAttested");
+    if (events.length !== users.length) throw new Error(`Expected ${users.length} QuestAttested events, got ${events.length}`);
+    for (const user of users) {
+      if (!(await questManager.isAttested(lpQuestId, user))) throw new Error(`${user} not attested`);
+    }
+  });
+
   await assert("deployer claims attested LP quest", async () => {
     const tx = await questManager.verifyAndClaimQuest(lpQuestId);
     const receipt = await waitTx(tx);
@@ -151,6 +161,154 @@ async function run(questManager, clawToken, deployer) {
     const count = await questManager.questCount();
     if (count < 3n) throw new Error(`questCount ${count} < 3`);
   });
+
+  // 15. Repeatable CLAW-reward quest with a start time and a 2-completion budget
+  const EPOCH = 30; // seconds
+  const clawReward = hre.ethers.parseEther("1");
+  const latestTimestamp = async () => Number((await hre.ethers.provider.getBlock("latest")).timestamp);
+  let optionsQuestId, optionsStart;
+  await assert("agent creates repeatable CLAW-reward quest with options", async () => {
+    await waitTx(await clawToken.transfer(qmAddr, hre.ethers.parseEther("10")));
+    optionsStart = (await latestTimestamp()) + 15;
+    const tx = await questManager.createQuestWithOptions("Hold 1 CLAW every epoch", clawReward, 0, hre.ethers.parseEther("1"), {
+      rewardToken: await clawToken.getAddress(),
+      startTime: optionsStart,
+      endTime: optionsStart + 3600,
+      epochDuration: EPOCH,
+      maxCompletions: 2,
+      holdBlocks: 0,
+    });
+    const receipt = await waitTx(tx);
+    const event = receipt.logs.find(l => l.fragment && l.fragment.name === "QuestRulesSet");
+    if (!event) throw new Error("QuestRulesSet event not emitted");
+    optionsQuestId = event.args[0];
+    info(`  Options Quest ID: ${optionsQuestId}`);
+  });
+
+  await assertReverts("claim before start time reverts", async () => {
+    await questManager.verifyAndClaimQuest(optionsQuestId);
+  });
+
+  await assert("claim after start pays the CLAW reward", async () => {
+    await waitForTimestamp(optionsStart);
+    const before = await clawToken.balanceOf(deployer.address);
+    await waitTx(await questManager.verifyAndClaimQuest(optionsQuestId));
+    const gained = (await clawToken.balanceOf(deployer.address)) - before;
+    if (gained !== clawReward) throw new Error(`Expected ${clawReward} CLAW, got ${gained}`);
+  });
+
+  await assertReverts("second claim in the same epoch reverts", async () => {
+    await questManager.verifyAndClaimQuest(optionsQuestId);
+  });
+
+  await assert("claim repeats in the next epoch", async () => {
+    await waitForTimestamp(optionsStart + EPOCH);
+    await waitTx(await questManager.verifyAndClaimQuest(optionsQuestId));
+    const q = await questManager.getQuest(optionsQuestId);
+    if (q.completions !== 2n) throw new Error(`Expected 2 completions, got ${q.completions}`);
+  });
+
+  await assertReverts("claim past the completion budget reverts", async () => {
+    await waitForTimestamp(optionsStart + 2 * EPOCH);
+    await questManager.verifyAndClaimQuest(optionsQuestId);
+  });
+
+  // 16. Expired quest
+  let expiringQuestId, expiresAt;
+  await assert("agent creates quest with an end time", async () => {
+    expiresAt = (await latestTimestamp()) + 15;
+    const tx = await questManager.createQuestWithOptions("Short-lived quest", 0, 0, 1n, {
+      rewardToken: hre.ethers.ZeroAddress,
+      startTime: 0,
+      endTime: expiresAt,
+      epochDuration: 0,
+      maxCompletions: 0,
+      holdBlocks: 0,
+    });
+    const receipt = await waitTx(tx);
+    expiringQuestId = receipt.logs.find(l => l.fragment && l.fragment.name === "QuestCreated").args[0];
+  });
+
+  await assertReverts("claim after end time reverts", async () => {
+    await waitForTimestamp(expiresAt + 1);
+    await questManager.verifyAndClaimQuest(expiringQuestId);
+  });
+
+  // 17. Signed voucher instead of an on-chain attestation
+  let voteQuestId, voucher;
+  const signVoucher = async (signer, nonce) => {
+    const domain = {
+      name: "QuestManager",
+      version: "1",
+      chainId: (await hre.ethers.provider.getNetwork()).chainId,
+      verifyingContract: qmAddr,
+    };
+    const types = {
+      QuestVoucher: [
+        { name: "questId", type: "uint256" },
+        { name: "epoch", type: "uint256" },
+        { name: "user", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const deadline = (await latestTimestamp()) + 600;
+    const signature = await signer.signTypedData(domain, types, { questId: voteQuestId, epoch: 0, user: deployer.address, nonce, deadline });
+    return { nonce, deadline, signature };
+  };
+
+  await assert("agent creates ParticipateVote quest", async () => {
+    const receipt = await waitTx(await questManager.createQuest("Vote on any proposal", hre.ethers.parseEther("0.001"), 2, 0));
+    voteQuestId = receipt.logs.find(l => l.fragment && l.fragment.name === "QuestCreated").args[0];
+    info(`  Vote Quest ID: ${voteQuestId}`);
+  });
+
+  await assertReverts("voucher signed by a non-agent reverts", async () => {
+    const forged = await signVoucher(hre.ethers.Wallet.createRandom(), 1n);
+    await questManager.verifyAndClaimQuestWithVoucher(voteQuestId, 0, forged.nonce, forged.deadline, forged.signature);
+  });
+
+  await assert("deployer claims vote quest with an agent-signed voucher", async () => {
+    voucher = await signVoucher(deployer, BigInt(hre.ethers.hexlify(hre.ethers.randomBytes(32))));
+    const receipt = await waitTx(
+      await questManager.verifyAndClaimQuestWithVoucher(voteQuestId, 0, voucher.nonce, voucher.deadline, voucher.signature)
+    );
+    if (!receipt.logs.find(l => l.fragment && l.fragment.name === "VoucherRedeemed")) throw new Error("VoucherRedeemed event not emitted");
+    if (await questManager.isAttested(voteQuestId, deployer.address)) throw new Error("Voucher claim left an attestation");
+    if (!(await questManager.voucherNonceUsed(deployer.address, voucher.nonce))) throw new Error("Nonce not marked used");
+  });
+
+  await assertReverts("replayed voucher reverts", async () => {
+    await questManager.verifyAndClaimQuestWithVoucher(voteQuestId, 0, voucher.nonce, voucher.deadline, voucher.signature);
+  });
+
+  // 18. Hold period: the CLAW balance must have stayed above threshold for holdBlocks
+  const HOLD_BLOCKS = 20;
+  let holdQuestWithPeriodId;
+  await assert(`agent creates HoldTokens quest with a ${HOLD_BLOCKS}-block hold period`, async () => {
+    const tx = await questManager.createQuestWithOptions("Hold 100 CLAW for 20 blocks", 0, 0, hre.ethers.parseEther("100"), {
+      rewardToken: hre.ethers.ZeroAddress,
+      startTime: 0,
+      endTime: 0,
+      epochDuration: 0,
+      maxCompletions: 0,
+      holdBlocks: HOLD_BLOCKS,
+    });
+    const receipt = await waitTx(tx);
+    holdQuestWithPeriodId = receipt.logs.find(l => l.fragment && l.fragment.name === "QuestCreated").args[0];
+  });
+
+  await assertReverts("fresh holder's claim reverts within the hold period", async () => {
+    const fresh = hre.ethers.Wallet.createRandom().connect(hre.ethers.provider);
+    await waitTx(await deployer.sendTransaction({ to: fresh.address, value: hre.ethers.parseEther("0.01") }));
+    await waitTx(await clawToken.transfer(fresh.address, hre.ethers.parseEther("100")));
+    await questManager.connect(fresh).verifyAndClaimQuest(holdQuestWithPeriodId);
+  });
+
+  await assert("long-time holder claims hold-period quest", async () => {
+    const receipt = await waitTx(await questManager.verifyAndClaimQuest(holdQuestWithPeriodId));
+    if (!receipt.logs.find(l => l.fragment && l.fragment.name === "QuestCompleted")) throw new Error("QuestCompleted event not emitted");
+  });
 }
 
 module.exports = { run };
@@ -54,4 +54,44 @@ async function waitTx(tx) {
   return receipt;
 }
 
-module.exports = { header, info, assert, assertReverts, summary, waitTx };
+/**
+ * Wait until the chain is past `blockNumber`. Local networks mine the gap
+ * instantly; live networks are polled.
+ */
+async function waitForBlock(blockNumber) {
+  const provider = hre.ethers.provider;
+  const current = await provider.getBlockNumber();
+  if (current >= blockNumber) return;
+
+  if (hre.network.name === "hardhat" || hre.network.name === "localhost") {
+    await provider.send("hardhat_mine", [hre.ethers.toQuantity(blockNumber - current)]);
+    return;
+  }
+  while (Number(await provider.send("eth_blockNumber", [])) < blockNumber) {
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+  }
+}
+
+/**
+ * Wait until the latest block's timestamp reaches `timestamp` (seconds).
+ * Local networks jump the clock; live networks are polled.
+ */
+async function waitForTimestamp(timestamp) {
+  const provider = hre.ethers.provider;
+  const latest = await provider.send("eth_getBlockByNumber", ["latest", false]);
+  const now = Number(latest.timestamp);
+  if (now >= timestamp) return;
+
+  if (hre.network.name === "hardhat" || hre.network.name === "localhost") {
+    await provider.send("evm_increaseTime", [timestamp - now]);
+    await provider.send("evm_mine", []);
+    return;
+  }
+  for (;;) {
+    const block = await provider.send("eth_getBlockByNumber", ["latest", false]);
+    if (Number(block.timestamp) >= timestamp) return;
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+  }
+}
+
+module.exports = { header, info, assert, assertReverts, summary, waitTx, waitForBlock, waitForTimestamp };
@@ -23,7 +23,8 @@ async function main() {
 
   // ═══════════════════════════════════════════════════════
   // Deploy fresh contract instances for e2e testing
-  // Deployer acts as BOTH agent AND governance for full control
+  // Deployer acts as BOTH agent AND governance for full control; the
+  // treasury is handed to Governance before the governance suite runs
   // ═══════════════════════════════════════════════════════
   header("Deploying fresh test contracts...");
 
@@ -41,14 +42,17 @@ async function main() {
   await treasury.waitForDeployment();
   info(`AgentTreasury: ${await treasury.getAddress()}`);
 
-  // 3. Governance (voting period = 100 blocks for faster testing)
+  // 3. Governance (voting period = 100 blocks, 30s timelock for faster testing)
   info("Deploying Governance...");
   const Governance = await hre.ethers.getContractFactory("Governance");
   const governance = await Governance.deploy(
     await clawToken.getAddress(),
     await treasury.getAddress(),
     100, // 100 blocks voting period
-    hre.ethers.parseEther("100") // min 100 CLAW to propose
+    hre.ethers.parseEther("100"), // min 100 CLAW to propose
+    400, // 4% quorum
+    30, // 30s timelock
+    deployer.address // guardian
   );
   await governance.waitForDeployment();
   info(`Governance: ${await governance.getAddress()}`);
@@ -86,7 +90,9 @@ async function main() {
 
   await clawTokenE2E.run(clawToken, deployer);
   await treasuryE2E.run(treasury, clawToken, deployer, deployer.address);
-  await governanceE2E.run(governance, clawToken, deployer);
+  info("Handing AgentTreasury governance to the Governance contract...");
+  await (await treasury.updateGovernance(await governance.getAddress())).wait();
+  await governanceE2E.run(governance, clawToken, deployer, treasury);
   await profitDistE2E.run(profitDistributor, clawToken, deployer);
   await questMgrE2E.run(questManager, clawToken, deployer);
 
@@ -0,0 +1,81 @@
+const { ethers } = require("ethers");
+
+/**
+ * Merkle tree builder / proof generator for ProfitDistributor claim epochs.
+ *
+ * Leaves match the contract's `claim`:
+ *   keccak256(bytes.concat(keccak256(abi.encode(holder, amount))))
+ * and pairs are hashed in sorted order, as OpenZeppelin's MerkleProof
+ * expects. Leaves are sorted before building, so the same allocation
+ * always yields the same root.
+ */
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/** Leaf hash of one (holder, amount) allocation. */
+function hashLeaf(account, amount) {
+  return ethers.keccak256(ethers.keccak256(coder.encode(["address", "uint256"], [account, amount])));
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build the tree for a list of `{ account, amount }` allocations.
+ * Returns the root, the total committed and, per checksummed account,
+ * its amount (as a decimal string) and proof.
+ */
+function buildMerkleTree(entries) {
+  if (entries.length === 0) throw new Error("merkle tree needs at least one allocation");
+
+  const seen = new Set();
+  const leaves = entries.map(({ account, amount }) => {
+    const holder = ethers.getAddress(account);
+    const value = BigInt(amount);
+    if (seen.has(holder)) throw new Error(`duplicate allocation for ${holder}`);
+    if (value <= 0n) throw new Error(`allocation for ${holder} must be positive`);
+    seen.add(holder);
+    return { account: holder, amount: value, hash: hashLeaf(holder, value) };
+  });
+  leaves.sort((a, b) => (BigInt(a.hash) < BigInt(b.hash) ? -1 : 1));
+
+  // layers[0] = leaves, layers[n] = [root]; an odd node is carried up unchanged
+  const layers = [leaves.map((l) => l.hash)];
+  while (layers[layers.length - 1].length > 1) {
+    const level = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    layers.push(next);
+  }
+
+  const claims = {};
+  leaves.forEach((leaf, index) => {
+    claims[leaf.account] = { amount: leaf.amount.toString(), proof: proofAt(layers, index) };
+  });
+
+  return {
+    root: layers[layers.length - 1][0],
+    total: leaves.reduce((sum, l) => sum + l.amount, 0n).toString(),
+    claims,
+  };
+}
+
+function proofAt(layers, index) {
+  const proof = [];
+  for (let level = 0; level < layers.length - 1; level++) {
+    const sibling = index ^ 1;
+    if (sibling < layers[level].length) proof.push(layers[level][sibling]);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+/** Check a proof the way the contract does. */
+function verifyProof(root, account, amount, proof) {
+  return proof.reduce((hash, sibling) => hashPair(hash, sibling), hashLeaf(account, amount)) === root;
+}
+
+module.exports = { hashLeaf, buildMerkleTree, verifyProof };
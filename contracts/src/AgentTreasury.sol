@@ -49,6 +49,7 @@ contract AgentTreasury is ReentrancyGuard, Pausable {
     event TreasuryValueUpdated(uint256 newValue, uint256 timestamp);
     event NativeReceived(address indexed sender, uint256 amount);
     event NativeWithdrawnForTrade(address indexed to, uint256 amount);
+    event TradeRefunded(address indexed token, uint256 amount, uint256 timestamp);
 
     // ──────────────────────────── Modifiers ────────────────────────
 
@@ -137,6 +138,22 @@ contract AgentTreasury is ReentrancyGuard, Pausable {
         emit TradeExecuted(token, amount, isBuy, block.timestamp);
     }
 
+    /**
+     * @notice Agent returns native MON withdrawn by a BUY whose swap failed,
+     *         taking it back off the token's allocation. Allowed while paused,
+     *         so a pause never strands refunds in the agent wallet.
+     * @param token  ERC-20 address the failed BUY was for.
+     */
+    function refundTrade(address token) external payable onlyAgent nonReentrant {
+        require(msg.value > 0, "Treasury: zero amount");
+        if (tokenAllocation[token] >= msg.value) {
+            tokenAllocation[token] -= msg.value;
+        } else {
+            tokenAllocation[token] = 0;
+        }
+        emit TradeRefunded(token, msg.value, block.timestamp);
+    }
+
     /**
      * @notice Agent reports the latest total treasury valuation (from off-chain oracle).
      */
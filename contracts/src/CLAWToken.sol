@@ -4,16 +4,26 @@ pragma solidity ^0.8.24;
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 
 /**
  * @title CLAWToken
  * @notice ERC20 token for the CLAW.FUND ecosystem.
  *         Fixed supply minted entirely to deployer at construction.
+ *         Voting power is checkpointed per block (ERC20Votes): holders
+ *         delegate — to themselves or another address — to activate it, and
+ *         Governance reads it as of each proposal's start block.
+ *         Balances are checkpointed per block as well, independent of
+ *         delegation, so QuestManager can check how long CLAW was held.
  */
-contract CLAWToken is ERC20, ERC20Burnable, ERC20Permit {
+contract CLAWToken is ERC20, ERC20Burnable, ERC20Permit, ERC20Votes {
+    using Checkpoints for Checkpoints.Trace208;
 
     uint8 private constant _DECIMALS = 18;
 
+    mapping(address => Checkpoints.Trace208) private _balanceCheckpoints;
+
     /**
      * @param initialSupply Total token supply (in whole tokens, scaled by 10**18 internally).
      */
@@ -28,4 +38,35 @@ contract CLAWToken is ERC20, ERC20Burnable, ERC20Permit {
     function decimals() public pure override returns (uint8) {
         return _DECIMALS;
     }
+
+    // ──────────────────────── Balance History ─────────────────────
+
+    /// @notice Balance of `account` at the end of block `timepoint`, which must be in the past.
+    function getPastBalance(address account, uint256 timepoint) external view returns (uint256) {
+        uint48 currentTimepoint = clock();
+        if (timepoint >= currentTimepoint) revert ERC5805FutureLookup(timepoint, currentTimepoint);
+        return _balanceCheckpoints[account].upperLookupRecent(SafeCast.toUint48(timepoint));
+    }
+
+    /// @notice Number of balance checkpoints of `account`.
+    function numBalanceCheckpoints(address account) external view returns (uint32) {
+        return SafeCast.toUint32(_balanceCheckpoints[account].length());
+    }
+
+    /// @notice The `pos`-th balance checkpoint of `account`.
+    function balanceCheckpoints(address account, uint32 pos) external view returns (Checkpoints.Checkpoint208 memory) {
+        return _balanceCheckpoints[account].at(pos);
+    }
+
+    // ──────────────────────── Overrides ───────────────────────────
+
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Votes) {
+        super._update(from, to, value);
+        if (from != address(0)) _balanceCheckpoints[from].push(clock(), SafeCast.toUint208(balanceOf(from)));
+        if (to != address(0)) _balanceCheckpoints[to].push(clock(), SafeCast.toUint208(balanceOf(to)));
+    }
+
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
 }
@@ -2,17 +2,44 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
 
 /**
  * @title Governance
  * @notice Simple token-weighted governance for CLAW.FUND.
  *         $CLAW holders create proposals, vote, and execute strategy changes.
+ *         Voting weight is the voter's delegated CLAW votes at the proposal's
+ *         start block, so tokens moved after a proposal opens cannot vote twice.
+ *         A proposal may carry a list of calls (target, value, calldata) that
+ *         run atomically when it passes — e.g. AgentTreasury.setTokenAllowed,
+ *         updateMaxAllocation or pause, with this contract as the treasury's
+ *         governance. Text-only proposals just record the decision.
+ *
+ *         Lifecycle: Pending → Active → Defeated | Succeeded → Queued → Executed.
+ *         A proposal succeeds with more FOR than AGAINST votes and FOR votes of
+ *         at least the quorum — `quorumBps` as of its creation, applied to the
+ *         CLAW supply at its start block — so later quorum changes never flip a
+ *         closed vote. It must be queued within QUEUE_PERIOD blocks of voting
+ *         ending and can execute from `timelockDelay` after queueing until
+ *         GRACE_PERIOD after that; otherwise it is Expired. The proposer or
+ *         the guardian can cancel it at any point before execution.
  */
 contract Governance is ReentrancyGuard {
 
     // ──────────────────────────── Types ────────────────────────────
 
+    enum ProposalState {
+        Pending,
+        Active,
+        Defeated,
+        Succeeded,
+        Queued,
+        Executed,
+        Canceled,
+        Expired
+    }
+
     struct Proposal {
         uint256 id;
         address proposer;
@@ -21,21 +48,42 @@ contract Governance is ReentrancyGuard {
         uint256 endBlock;
         uint256 forVotes;
         uint256 againstVotes;
+        uint256 eta; // earliest execution timestamp, 0 until queued
         bool executed;
+        bool canceled;
+        uint256 quorumBps; // quorum in force when the proposal was created
+    }
+
+    struct Action {
+        address target;
+        uint256 value;
+        bytes data;
     }
 
     // ──────────────────────────── State ────────────────────────────
 
-    IERC20 public clawToken;
+    uint256 public constant MAX_ACTIONS = 10;
+    uint256 public constant MAX_TIMELOCK_DELAY = 30 days;
+    /// @notice Blocks after voting ends within which a succeeded proposal must be queued (~1 week at 12s blocks).
+    uint256 public constant QUEUE_PERIOD = 50_400;
+    /// @notice Time after `eta` during which a queued proposal can still execute.
+    uint256 public constant GRACE_PERIOD = 14 days;
+
+    IVotes public clawToken;
     address public treasury;
 
     uint256 public proposalCount;
     uint256 public votingPeriod; // in blocks
-    uint256 public minProposalTokens; // minimum $CLAW to create a proposal
+    uint256 public minProposalTokens; // minimum delegated $CLAW votes to create a proposal
+    uint256 public quorumBps; // FOR votes needed, in bps of CLAW supply at the start block
+    uint256 public timelockDelay; // seconds between queueing and execution
+    address public guardian; // may cancel any proposal before execution
 
     mapping(uint256 => Proposal) public proposals;
     /// @notice proposalId => voter => hasVoted
     mapping(uint256 => mapping(address => bool)) public hasVoted;
+    /// @notice proposalId => calls made on execution
+    mapping(uint256 => Action[]) private _actions;
 
     // ──────────────────────────── Events ───────────────────────────
 
@@ -47,6 +95,13 @@ contract Governance is ReentrancyGuard {
         uint256 endBlock
     );
 
+    event ProposalActions(
+        uint256 indexed proposalId,
+        address[] targets,
+        uint256[] values,
+        bytes[] calldatas
+    );
+
     event VoteCast(
         uint256 indexed proposalId,
         address indexed voter,
@@ -54,52 +109,109 @@ contract Governance is ReentrancyGuard {
         uint256 weight
     );
 
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
     event ProposalExecuted(uint256 indexed proposalId);
+    event ProposalCanceled(uint256 indexed proposalId, address indexed canceledBy);
 
     event VotingPeriodUpdated(uint256 newPeriod);
     event MinProposalTokensUpdated(uint256 newMin);
     event TreasuryUpdated(address indexed newTreasury);
+    event QuorumUpdated(uint256 newQuorumBps);
+    event TimelockDelayUpdated(uint256 newDelay);
+    event GuardianUpdated(address indexed previousGuardian, address indexed newGuardian);
 
     // ──────────────────────────── Modifiers ────────────────────────
 
+    /// @dev The treasury, or this contract executing a passed proposal.
     modifier onlyTreasury() {
-        require(msg.sender == treasury, "Governance: caller is not treasury");
+        require(msg.sender == treasury || msg.sender == address(this), "Governance: caller is not treasury");
         _;
     }
 
     // ──────────────────────────── Constructor ──────────────────────
 
     /**
-     * @param _clawToken         Address of the $CLAW ERC-20 token.
+     * @param _clawToken         Address of the $CLAW token (ERC20Votes).
      * @param _treasury          Address of the AgentTreasury contract.
      * @param _votingPeriod      Number of blocks a proposal is open for voting.
-     * @param _minProposalTokens Minimum $CLAW balance required to create a proposal.
+     * @param _minProposalTokens Minimum delegated $CLAW votes required to create a proposal.
+     * @param _quorumBps         FOR votes required, in bps of CLAW supply (e.g. 400 = 4%).
+     * @param _timelockDelay     Seconds a succeeded proposal waits in the queue before execution.
+     * @param _guardian          Address that may cancel proposals (zero to disable).
      */
     constructor(
         address _clawToken,
         address _treasury,
         uint256 _votingPeriod,
-        uint256 _minProposalTokens
+        uint256 _minProposalTokens,
+        uint256 _quorumBps,
+        uint256 _timelockDelay,
+        address _guardian
     ) {
         require(_clawToken != address(0), "Governance: zero token");
         require(_treasury != address(0), "Governance: zero treasury");
         require(_votingPeriod > 0, "Governance: zero voting period");
+        require(_quorumBps <= 10000, "Governance: quorum > 100%");
+        require(_timelockDelay <= MAX_TIMELOCK_DELAY, "Governance: delay too long");
 
-        clawToken = IERC20(_clawToken);
+        clawToken = IVotes(_clawToken);
         treasury = _treasury;
         votingPeriod = _votingPeriod;
         minProposalTokens = _minProposalTokens;
+        quorumBps = _quorumBps;
+        timelockDelay = _timelockDelay;
+        guardian = _guardian;
     }
 
+    /// @notice Funds the `value` of proposal actions.
+    receive() external payable {}
+
     // ──────────────────────── Core Functions ──────────────────────
 
     /**
-     * @notice Create a new governance proposal.
+     * @notice Create a text-only governance proposal.
      * @param _description Human-readable description of the proposal.
      */
     function createProposal(string calldata _description) external returns (uint256) {
+        return _createProposal(_description);
+    }
+
+    /**
+     * @notice Create a proposal that makes the given calls when executed.
+     * @param _targets     Contracts to call.
+     * @param _values      Native MON sent with each call, paid from this contract's balance.
+     * @param _calldatas   Encoded calls, e.g. AgentTreasury.updateMaxAllocation(3000).
+     * @param _description Human-readable description of the proposal.
+     */
+    function propose(
+        address[] calldata _targets,
+        uint256[] calldata _values,
+        bytes[] calldata _calldatas,
+        string calldata _description
+    ) external returns (uint256) {
+        require(_targets.length > 0, "Governance: no actions");
+        require(_targets.length <= MAX_ACTIONS, "Governance: too many actions");
         require(
-            clawToken.balanceOf(msg.sender) >= minProposalTokens,
+            _targets.length == _values.length && _targets.length == _calldatas.length,
+            "Governance: length mismatch"
+        );
+
+        uint256 pid = _createProposal(_description);
+
+        Action[] storage actions = _actions[pid];
+        for (uint256 i = 0; i < _targets.length; i++) {
+            require(_targets[i] != address(0), "Governance: zero target");
+            actions.push(Action({target: _targets[i], value: _values[i], data: _calldatas[i]}));
+        }
+
+        emit ProposalActions(pid, _targets, _values, _calldatas);
+        return pid;
+    }
+
+    function _createProposal(string calldata _description) internal returns (uint256) {
+        // Previous block, so votes delegated in this transaction's block don't count
+        require(
+            clawToken.getPastVotes(msg.sender, block.number - 1) >= minProposalTokens,
             "Governance: insufficient CLAW to propose"
         );
 
@@ -114,7 +226,10 @@ contract Governance is ReentrancyGuard {
             endBlock: block.number + votingPeriod,
             forVotes: 0,
             againstVotes: 0,
-            executed: false
+            eta: 0,
+            executed: false,
+            canceled: false,
+            quorumBps: quorumBps
         });
 
         emit ProposalCreated(pid, msg.sender, _description, block.number, block.number + votingPeriod);
@@ -122,17 +237,20 @@ contract Governance is ReentrancyGuard {
     }
 
     /**
-     * @notice Cast a token-weighted vote on an active proposal.
+     * @notice Cast a vote weighted by the caller's delegated CLAW at the
+     *         proposal's start block. Voting opens the block after creation.
      * @param _proposalId ID of the proposal.
      * @param _support    True = for, False = against.
      */
     function vote(uint256 _proposalId, bool _support) external {
         Proposal storage p = proposals[_proposalId];
         require(p.id != 0, "Governance: proposal does not exist");
+        require(!p.canceled, "Governance: proposal canceled");
+        require(block.number > p.startBlock, "Governance: voting not started");
         require(block.number <= p.endBlock, "Governance: voting ended");
         require(!hasVoted[_proposalId][msg.sender], "Governance: already voted");
 
-        uint256 weight = clawToken.balanceOf(msg.sender);
+        uint256 weight = clawToken.getPastVotes(msg.sender, p.startBlock);
         require(weight > 0, "Governance: no voting power");
 
         hasVoted[_proposalId][msg.sender] = true;
@@ -147,23 +265,64 @@ contract Governance is ReentrancyGuard {
     }
 
     /**
-     * @notice Mark a proposal as executed after voting ends and quorum passes.
-     *         Actual parameter changes are triggered via the treasury/governance
-     *         admin flow — this records the on-chain decision.
+     * @notice Queue a succeeded proposal, starting its timelock. Callable by anyone.
+     * @param _proposalId ID of the proposal to queue.
+     */
+    function queue(uint256 _proposalId) external {
+        ProposalState s = state(_proposalId);
+        require(s != ProposalState.Pending && s != ProposalState.Active, "Governance: voting not ended");
+        require(s != ProposalState.Defeated, "Governance: proposal rejected");
+        require(s == ProposalState.Succeeded, "Governance: proposal not succeeded");
+
+        uint256 eta = block.timestamp + timelockDelay;
+        proposals[_proposalId].eta = eta;
+        emit ProposalQueued(_proposalId, eta);
+    }
+
+    /**
+     * @notice Execute a queued proposal once its timelock has passed. Its calls
+     *         run in order; if any reverts, the whole execution reverts with
+     *         that call's reason and the proposal stays queued.
      * @param _proposalId ID of the proposal to execute.
      */
     function executeProposal(uint256 _proposalId) external nonReentrant {
+        ProposalState s = state(_proposalId);
+        require(s != ProposalState.Executed, "Governance: already executed");
+        require(s == ProposalState.Queued, "Governance: proposal not queued");
+
         Proposal storage p = proposals[_proposalId];
-        require(p.id != 0, "Governance: proposal does not exist");
-        require(block.number > p.endBlock, "Governance: voting not ended");
-        require(!p.executed, "Governance: already executed");
-        require(p.forVotes > p.againstVotes, "Governance: proposal rejected");
+        require(block.timestamp >= p.eta, "Governance: timelock not elapsed");
 
         p.executed = true;
+
+        Action[] storage actions = _actions[_proposalId];
+        for (uint256 i = 0; i < actions.length; i++) {
+            (bool success, bytes memory returndata) = actions[i].target.call{value: actions[i].value}(actions[i].data);
+            Address.verifyCallResult(success, returndata);
+        }
+
         emit ProposalExecuted(_proposalId);
     }
 
-    // ──────────────────── Admin (via Treasury) ────────────────────
+    /**
+     * @notice Cancel a proposal before it executes. Only the proposer or the guardian.
+     * @param _proposalId ID of the proposal to cancel.
+     */
+    function cancel(uint256 _proposalId) external {
+        ProposalState s = state(_proposalId);
+        require(
+            s != ProposalState.Executed && s != ProposalState.Canceled && s != ProposalState.Expired,
+            "Governance: proposal closed"
+        );
+
+        Proposal storage p = proposals[_proposalId];
+        require(msg.sender == p.proposer || msg.sender == guardian, "Governance: not proposer or guardian");
+
+        p.canceled = true;
+        emit ProposalCanceled(_proposalId, msg.sender);
+    }
+
+    // ──────────── Admin (via Treasury or executed proposal) ────────────
 
     function updateVotingPeriod(uint256 _newPeriod) external onlyTreasury {
         require(_newPeriod > 0, "Governance: zero period");
@@ -182,8 +341,52 @@ contract Governance is ReentrancyGuard {
         emit TreasuryUpdated(_newTreasury);
     }
 
+    function updateQuorum(uint256 _newQuorumBps) external onlyTreasury {
+        require(_newQuorumBps <= 10000, "Governance: quorum > 100%");
+        quorumBps = _newQuorumBps;
+        emit QuorumUpdated(_newQuorumBps);
+    }
+
+    function updateTimelockDelay(uint256 _newDelay) external onlyTreasury {
+        require(_newDelay <= MAX_TIMELOCK_DELAY, "Governance: delay too long");
+        timelockDelay = _newDelay;
+        emit TimelockDelayUpdated(_newDelay);
+    }
+
+    /// @notice Set the guardian; zero removes guardian cancellation.
+    function updateGuardian(address _newGuardian) external onlyTreasury {
+        emit GuardianUpdated(guardian, _newGuardian);
+        guardian = _newGuardian;
+    }
+
     // ──────────────────────────── Views ────────────────────────────
 
+    /**
+     * @notice Current lifecycle state of a proposal. Voting opens the block
+     *         after creation, so a proposal is Pending in its own block.
+     */
+    function state(uint256 _proposalId) public view returns (ProposalState) {
+        Proposal storage p = proposals[_proposalId];
+        require(p.id != 0, "Governance: proposal does not exist");
+
+        if (p.canceled) return ProposalState.Canceled;
+        if (p.executed) return ProposalState.Executed;
+        if (block.number <= p.startBlock) return ProposalState.Pending;
+        if (block.number <= p.endBlock) return ProposalState.Active;
+        if (p.forVotes <= p.againstVotes || p.forVotes < quorumVotes(_proposalId)) return ProposalState.Defeated;
+        if (p.eta == 0) {
+            return block.number > p.endBlock + QUEUE_PERIOD ? ProposalState.Expired : ProposalState.Succeeded;
+        }
+        if (block.timestamp > p.eta + GRACE_PERIOD) return ProposalState.Expired;
+        return ProposalState.Queued;
+    }
+
+    /// @notice FOR votes a proposal needs: its snapshotted `quorumBps` of the CLAW supply at its start block.
+    function quorumVotes(uint256 _proposalId) public view returns (uint256) {
+        Proposal storage p = proposals[_proposalId];
+        return (clawToken.getPastTotalSupply(p.startBlock) * p.quorumBps) / 10000;
+    }
+
     function getProposal(uint256 _proposalId)
         external
         view
@@ -192,8 +395,25 @@ contract Governance is ReentrancyGuard {
         return proposals[_proposalId];
     }
 
+    /// @notice Calls a proposal makes when executed (empty for text-only proposals).
+    function getActions(uint256 _proposalId)
+        external
+        view
+        returns (address[] memory targets, uint256[] memory values, bytes[] memory calldatas)
+    {
+        Action[] storage actions = _actions[_proposalId];
+        targets = new address[](actions.length);
+        values = new uint256[](actions.length);
+        calldatas = new bytes[](actions.length);
+        for (uint256 i = 0; i < actions.length; i++) {
+            targets[i] = actions[i].target;
+            values[i] = actions[i].value;
+            calldatas[i] = actions[i].data;
+        }
+    }
+
+    /// @notice Whether votes can be cast on the proposal now, i.e. it is Active; false for unknown ids.
     function isVotingActive(uint256 _proposalId) external view returns (bool) {
-        Proposal storage p = proposals[_proposalId];
-        return (p.id != 0 && block.number <= p.endBlock && !p.executed);
+        return proposals[_proposalId].id != 0 && state(_proposalId) == ProposalState.Active;
     }
 }
@@ -5,12 +5,19 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title ProfitDistributor
  * @notice Distributes treasury profits to $CLAW holders.
  *         The agent periodically syncs the current treasury value.
  *         When profit exceeds the threshold, a distribution is triggered.
+ *
+ *         Pending profit is paid out either pushed (`distributeTo`) or
+ *         pulled: the agent publishes a Merkle root of (holder, amount)
+ *         per claim epoch, holders `claim` with a proof, and whatever is
+ *         unclaimed when the epoch expires rolls back into
+ *         `pendingDistribution`.
  */
 contract ProfitDistributor is ReentrancyGuard, Pausable {
     using SafeERC20 for IERC20;
@@ -31,6 +38,26 @@ contract ProfitDistributor is ReentrancyGuard, Pausable {
     /// @notice Accumulated distributable native balance held by this contract.
     uint256 public pendingDistribution;
 
+    struct ClaimEpoch {
+        bytes32 merkleRoot;
+        uint256 total;       // native wei committed to the epoch
+        uint256 claimed;
+        uint256 expiresAt;   // claims are accepted before this timestamp
+        bool rolledOver;
+    }
+
+    /// @notice Seconds a claim epoch stays claimable after it is published.
+    uint256 public claimPeriod = 30 days;
+
+    /// @notice Number of claim epochs published; epoch ids are 0..claimEpochCount-1.
+    uint256 public claimEpochCount;
+
+    /// @notice Native balance owed to unclaimed, unexpired epochs — not spendable by `distributeTo`.
+    uint256 public reservedForClaims;
+
+    mapping(uint256 => ClaimEpoch) public claimEpochs;
+    mapping(uint256 => mapping(address => bool)) public hasClaimed;
+
     // ──────────────────────────── Events ───────────────────────────
 
     event TreasuryValueSynced(
@@ -51,10 +78,26 @@ contract ProfitDistributor is ReentrancyGuard, Pausable {
         uint256 timestamp
     );
 
+    event MerkleRootPublished(
+        uint256 indexed epoch,
+        bytes32 merkleRoot,
+        uint256 total,
+        uint256 expiresAt
+    );
+
+    event MerkleClaimed(
+        uint256 indexed epoch,
+        address indexed holder,
+        uint256 amount
+    );
+
+    event ClaimEpochRolledOver(uint256 indexed epoch, uint256 unclaimed);
+
     event ProfitThresholdUpdated(uint256 newThreshold);
     event DistributionBpsUpdated(uint256 newBps);
     event AgentUpdated(address indexed newAgent);
     event GovernanceUpdated(address indexed newGovernance);
+    event ClaimPeriodUpdated(uint256 newPeriod);
 
     // ──────────────────────────── Modifiers ────────────────────────
 
@@ -154,7 +197,7 @@ contract ProfitDistributor is ReentrancyGuard, Pausable {
         for (uint256 i; i < amounts.length; i++) {
             total += amounts[i];
         }
-        require(total <= address(this).balance, "ProfitDist: insufficient balance");
+        require(total <= address(this).balance - reservedForClaims, "ProfitDist: insufficient balance");
 
         for (uint256 i; i < holders.length; i++) {
             if (amounts[i] > 0) {
@@ -171,6 +214,93 @@ contract ProfitDistributor is ReentrancyGuard, Pausable {
         }
     }
 
+    /**
+     * @notice Open a claim epoch for `total` of the pending distribution.
+     *         Leaves are keccak256(bytes.concat(keccak256(abi.encode(holder, amount)))),
+     *         pairs hashed in sorted order (OpenZeppelin MerkleProof).
+     * @param merkleRoot Root of the (holder, amount) tree.
+     * @param total      Sum of the amounts in the tree, in native wei.
+     * @return epoch     Id of the new claim epoch.
+     */
+    function publishMerkleRoot(bytes32 merkleRoot, uint256 total)
+        external
+        onlyAgent
+        whenNotPaused
+        returns (uint256 epoch)
+    {
+        require(merkleRoot != bytes32(0), "ProfitDist: zero root");
+        require(total > 0, "ProfitDist: zero total");
+        require(total <= pendingDistribution, "ProfitDist: exceeds pending");
+        require(total <= address(this).balance - reservedForClaims, "ProfitDist: insufficient balance");
+
+        pendingDistribution -= total;
+        reservedForClaims += total;
+
+        epoch = claimEpochCount++;
+        uint256 expiresAt = block.timestamp + claimPeriod;
+        claimEpochs[epoch] = ClaimEpoch({
+            merkleRoot: merkleRoot,
+            total: total,
+            claimed: 0,
+            expiresAt: expiresAt,
+            rolledOver: false
+        });
+
+        emit MerkleRootPublished(epoch, merkleRoot, total, expiresAt);
+    }
+
+    /**
+     * @notice Roll an expired epoch's unclaimed funds back into `pendingDistribution`.
+     *         Callable by anyone once the epoch has expired.
+     * @param epoch Claim epoch id.
+     */
+    function rollOverExpired(uint256 epoch) external whenNotPaused {
+        ClaimEpoch storage e = claimEpochs[epoch];
+        require(e.merkleRoot != bytes32(0), "ProfitDist: unknown epoch");
+        require(block.timestamp >= e.expiresAt, "ProfitDist: epoch not expired");
+        require(!e.rolledOver, "ProfitDist: already rolled over");
+
+        uint256 unclaimed = e.total - e.claimed;
+        e.rolledOver = true;
+        reservedForClaims -= unclaimed;
+        pendingDistribution += unclaimed;
+
+        emit ClaimEpochRolledOver(epoch, unclaimed);
+    }
+
+    // ──────────────────────── Holder Functions ─────────────────────
+
+    /**
+     * @notice Claim the caller's share of a claim epoch.
+     * @param epoch  Claim epoch id.
+     * @param amount Amount in the caller's leaf, in native wei.
+     * @param proof  Merkle proof of (msg.sender, amount) against the epoch root.
+     */
+    function claim(uint256 epoch, uint256 amount, bytes32[] calldata proof)
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        ClaimEpoch storage e = claimEpochs[epoch];
+        require(e.merkleRoot != bytes32(0), "ProfitDist: unknown epoch");
+        require(block.timestamp < e.expiresAt, "ProfitDist: epoch expired");
+        require(!hasClaimed[epoch][msg.sender], "ProfitDist: already claimed");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, amount))));
+        require(MerkleProof.verifyCalldata(proof, e.merkleRoot, leaf), "ProfitDist: invalid proof");
+        // A root whose leaves sum to more than its total must not spend other epochs' reserves
+        require(e.claimed + amount <= e.total, "ProfitDist: exceeds epoch total");
+
+        hasClaimed[epoch][msg.sender] = true;
+        e.claimed += amount;
+        reservedForClaims -= amount;
+
+        (bool sent, ) = msg.sender.call{value: amount}("");
+        require(sent, "ProfitDist: transfer failed");
+
+        emit MerkleClaimed(epoch, msg.sender, amount);
+    }
+
     // ────────────────────── Governance Functions ───────────────────
 
     function updateProfitThreshold(uint256 _newThreshold) external onlyGovernance {
@@ -184,6 +314,12 @@ contract ProfitDistributor is ReentrancyGuard, Pausable {
         emit DistributionBpsUpdated(_newBps);
     }
 
+    function updateClaimPeriod(uint256 _newPeriod) external onlyGovernance {
+        require(_newPeriod > 0, "ProfitDist: zero claim period");
+        claimPeriod = _newPeriod;
+        emit ClaimPeriodUpdated(_newPeriod);
+    }
+
     function updateAgent(address _newAgent) external onlyGovernance {
         require(_newAgent != address(0), "ProfitDist: zero agent");
         agent = _newAgent;
@@ -209,4 +345,9 @@ contract ProfitDistributor is ReentrancyGuard, Pausable {
     function contractBalance() external view returns (uint256) {
         return address(this).balance;
     }
+
+    /// @notice Native balance not owed to open claim epochs.
+    function availableBalance() external view returns (uint256) {
+        return address(this).balance - reservedForClaims;
+    }
 }
@@ -5,32 +5,62 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./CLAWToken.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 /**
  * @title QuestManager
- * @notice Minimal V1 quest system for CLAW.FUND.
+ * @notice Quest system for CLAW.FUND.
  *         Agent creates quests; users complete them and claim rewards.
+ *         A quest can be limited to a time window and a completion budget,
+ *         repeat once per epoch, and pay in native MON or an ERC-20.
+ *         HoldTokens quests can require the CLAW to have been held for a
+ *         number of blocks, read from the token's balance checkpoints, so a
+ *         balance borrowed for the claim does not qualify.
+ *         Off-chain criteria are proven by an agent attestation, sent
+ *         on-chain or signed as an EIP-712 voucher the user redeems.
  */
-contract QuestManager is ReentrancyGuard, Pausable {
+contract QuestManager is ReentrancyGuard, Pausable, EIP712 {
     using SafeERC20 for IERC20;
 
     // ──────────────────────────── Types ────────────────────────────
 
     enum QuestType {
-        HoldTokens,      // Must hold >= threshold $CLAW
-        ProvideLiquidity, // Must have LP tokens (verified off-chain, agent attests)
-        ParticipateVote   // Must have voted in governance (verified off-chain)
+        HoldTokens,      // Must hold >= threshold $CLAW (for holdBlocks, if set)
+        ProvideLiquidity, // Must hold >= threshold LP tokens (verified off-chain, agent attests)
+        ParticipateVote   // Must have voted on proposal `threshold`, or any if 0 (verified off-chain)
     }
 
     struct Quest {
         uint256 id;
         string description;
-        uint256 reward;        // in native wei
+        uint256 reward;        // in rewardToken units (native wei when rewardToken is zero)
         bool active;
         QuestType questType;
-        uint256 threshold;     // e.g. min $CLAW for HoldTokens quest
+        uint256 threshold;     // min $CLAW / min LP tokens / proposal id, by questType
+        address rewardToken;   // address(0) = native MON
+        uint64 startTime;      // claims open (creation time if none given)
+        uint64 endTime;        // claims close after this, 0 = never
+        uint64 epochDuration;  // seconds per repeat, 0 = once per user
+        uint32 maxCompletions; // 0 = unlimited
+        uint32 completions;
+        uint64 holdBlocks;     // HoldTokens: blocks the CLAW must have been held, 0 = at claim only
     }
 
+    /// @notice Optional rules for createQuestWithOptions; all-zero gives createQuest's defaults.
+    struct QuestOptions {
+        address rewardToken;
+        uint64 startTime;
+        uint64 endTime;
+        uint64 epochDuration;
+        uint32 maxCompletions;
+        uint64 holdBlocks;
+    }
+
+    bytes32 public constant QUEST_VOUCHER_TYPEHASH =
+        keccak256("QuestVoucher(uint256 questId,uint256 epoch,address user,uint256 nonce,uint256 deadline)");
+
     // ──────────────────────────── State ────────────────────────────
 
     IERC20 public clawToken;
@@ -39,8 +69,12 @@ contract QuestManager is ReentrancyGuard, Pausable {
 
     uint256 public questCount;
     mapping(uint256 => Quest) public quests;
-    /// @notice questId => user => completed
+    /// @notice questId => user => completed at least once
     mapping(uint256 => mapping(address => bool)) public questCompleted;
+    /// @dev questId => user => epoch of the last completion + 1 (0 = never)
+    mapping(uint256 => mapping(address => uint256)) private _completedEpoch;
+    /// @notice user => voucher nonce => redeemed; nonces are unordered, each usable once
+    mapping(address => mapping(uint256 => bool)) public voucherNonceUsed;
 
     // ──────────────────────────── Events ───────────────────────────
 
@@ -59,7 +93,19 @@ contract QuestManager is ReentrancyGuard, Pausable {
         uint256 timestamp
     );
 
+    event QuestRulesSet(
+        uint256 indexed questId,
+        address rewardToken,
+        uint64 startTime,
+        uint64 endTime,
+        uint64 epochDuration,
+        uint32 maxCompletions,
+        uint64 holdBlocks
+    );
+
     event QuestDeactivated(uint256 indexed questId);
+    event QuestAttested(uint256 indexed questId, address indexed user);
+    event VoucherRedeemed(uint256 indexed questId, address indexed user, uint256 nonce);
     event AgentUpdated(address indexed newAgent);
     event GovernanceUpdated(address indexed newGovernance);
 
@@ -86,7 +132,7 @@ contract QuestManager is ReentrancyGuard, Pausable {
         address _clawToken,
         address _agent,
         address _governance
-    ) {
+    ) EIP712("QuestManager", "1") {
         require(_clawToken != address(0), "QuestMgr: zero token");
         require(_agent != address(0), "QuestMgr: zero agent");
         require(_governance != address(0), "QuestMgr: zero governance");
@@ -104,7 +150,8 @@ contract QuestManager is ReentrancyGuard, Pausable {
     // ──────────────────────── Agent Functions ──────────────────────
 
     /**
-     * @notice Create a new quest.
+     * @notice Create a new quest paying native MON, open from now until
+     *         deactivated, once per user, with no completion cap.
      * @param _description  Human-readable description.
      * @param _reward       Reward in native wei.
      * @param _questType    Type of verification.
@@ -116,6 +163,40 @@ contract QuestManager is ReentrancyGuard, Pausable {
         QuestType _questType,
         uint256 _threshold
     ) external onlyAgent returns (uint256) {
+        QuestOptions memory defaults;
+        return _createQuest(_description, _reward, _questType, _threshold, defaults);
+    }
+
+    /**
+     * @notice Create a quest with a claim window, completion budget,
+     *         per-epoch repeats and/or an ERC-20 reward.
+     * @param _reward   Reward in wei of `_options.rewardToken` (native if zero).
+     * @param _options  Zero fields keep createQuest's defaults.
+     */
+    function createQuestWithOptions(
+        string calldata _description,
+        uint256 _reward,
+        QuestType _questType,
+        uint256 _threshold,
+        QuestOptions calldata _options
+    ) external onlyAgent returns (uint256) {
+        return _createQuest(_description, _reward, _questType, _threshold, _options);
+    }
+
+    function _createQuest(
+        string calldata _description,
+        uint256 _reward,
+        QuestType _questType,
+        uint256 _threshold,
+        QuestOptions memory _options
+    ) internal returns (uint256) {
+        uint64 start = _options.startTime == 0 ? uint64(block.timestamp) : _options.startTime;
+        require(_options.endTime == 0 || _options.endTime > start, "QuestMgr: invalid window");
+        require(
+            _options.holdBlocks == 0 || _questType == QuestType.HoldTokens,
+            "QuestMgr: hold period needs HoldTokens"
+        );
+
         questCount++;
         uint256 qid = questCount;
 
@@ -125,10 +206,26 @@ contract QuestManager is ReentrancyGuard, Pausable {
             reward: _reward,
             active: true,
             questType: _questType,
-            threshold: _threshold
+            threshold: _threshold,
+            rewardToken: _options.rewardToken,
+            startTime: start,
+            endTime: _options.endTime,
+            epochDuration: _options.epochDuration,
+            maxCompletions: _options.maxCompletions,
+            completions: 0,
+            holdBlocks: _options.holdBlocks
         });
 
         emit QuestCreated(qid, _description, _reward, _questType, _threshold);
+        emit QuestRulesSet(
+            qid,
+            _options.rewardToken,
+            start,
+            _options.endTime,
+            _options.epochDuration,
+            _options.maxCompletions,
+            _options.holdBlocks
+        );
         return qid;
     }
 
@@ -142,8 +239,11 @@ contract QuestManager is ReentrancyGuard, Pausable {
 
     /**
      * @notice User verifies and claims a quest reward.
-     *         For HoldTokens: on-chain check of $CLAW balance.
-     *         For other types: agent must pre-attest via attestQuest().
+     *         For HoldTokens: on-chain check of $CLAW balance, now and over
+     *         the last holdBlocks blocks.
+     *         For other types: agent must pre-attest via attestQuest() in
+     *         the current epoch; on repeatable quests each claim uses up the
+     *         attestation, and one left unclaimed lapses with its epoch.
      * @param _questId Quest ID to verify and claim.
      */
     function verifyAndClaimQuest(uint256 _questId)
@@ -151,32 +251,119 @@ contract QuestManager is ReentrancyGuard, Pausable {
         whenNotPaused
         nonReentrant
     {
-        Quest storage q = quests[_questId];
-        require(q.id != 0, "QuestMgr: quest does not exist");
-        require(q.active, "QuestMgr: quest not active");
-        require(!questCompleted[_questId][msg.sender], "QuestMgr: already completed");
+        Quest storage q = _claimableQuest(_questId);
 
         // On-chain verification for HoldTokens
         if (q.questType == QuestType.HoldTokens) {
-            require(
-                clawToken.balanceOf(msg.sender) >= q.threshold,
-                "QuestMgr: insufficient CLAW balance"
-            );
+            _requireClawBalance(q);
         } else {
             // For LP and Vote quests, agent must have pre-attested
             require(
-                _attestations[_questId][msg.sender],
+                _attestedEpoch[_questId][msg.sender] == _epochOf(q) + 1,
                 "QuestMgr: not attested by agent"
             );
+            if (q.epochDuration != 0) _attestedEpoch[_questId][msg.sender] = 0;
         }
 
+        _complete(q, _questId);
+    }
+
+    /**
+     * @notice Claim a quest with an agent-signed EIP-712 voucher instead of
+     *         an on-chain attestation. The voucher is bound to msg.sender
+     *         and to the quest epoch it was issued in, valid until
+     *         `_deadline` and redeemable once. Vouchers signed by a previous
+     *         agent stop working when the agent is updated. HoldTokens
+     *         quests still check the $CLAW balance.
+     * @param _questId    Quest ID to verify and claim.
+     * @param _epoch      Quest epoch the voucher is for (0 for one-off quests).
+     * @param _nonce      Voucher nonce chosen by the agent.
+     * @param _deadline   Last timestamp the voucher is valid.
+     * @param _signature  Agent signature over QuestVoucher(questId, epoch, user, nonce, deadline).
+     */
+    function verifyAndClaimQuestWithVoucher(
+        uint256 _questId,
+        uint256 _epoch,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external whenNotPaused nonReentrant {
+        Quest storage q = _claimableQuest(_questId);
+        require(_epoch == _epochOf(q), "QuestMgr: voucher for another epoch");
+        require(block.timestamp <= _deadline, "QuestMgr: voucher expired");
+        require(!voucherNonceUsed[msg.sender][_nonce], "QuestMgr: voucher already used");
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(QUEST_VOUCHER_TYPEHASH, _questId, _epoch, msg.sender, _nonce, _deadline))
+        );
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, _signature);
+        require(err == ECDSA.RecoverError.NoError && signer == agent, "QuestMgr: invalid voucher signature");
+
+        voucherNonceUsed[msg.sender][_nonce] = true;
+        emit VoucherRedeemed(_questId, msg.sender, _nonce);
+
+        if (q.questType == QuestType.HoldTokens) _requireClawBalance(q);
+        _complete(q, _questId);
+    }
+
+    /// @dev The quest, if msg.sender may claim it now (window, cap, epoch).
+    function _claimableQuest(uint256 _questId) internal view returns (Quest storage q) {
+        q = quests[_questId];
+        require(q.id != 0, "QuestMgr: quest does not exist");
+        require(q.active, "QuestMgr: quest not active");
+        require(block.timestamp >= q.startTime, "QuestMgr: quest not started");
+        require(q.endTime == 0 || block.timestamp <= q.endTime, "QuestMgr: quest expired");
+        require(q.maxCompletions == 0 || q.completions < q.maxCompletions, "QuestMgr: completion cap reached");
+        require(_completedEpoch[_questId][msg.sender] != _epochOf(q) + 1, "QuestMgr: already completed");
+    }
+
+    function _requireClawBalance(Quest storage q) internal view {
+        require(
+            clawToken.balanceOf(msg.sender) >= q.threshold,
+            "QuestMgr: insufficient CLAW balance"
+        );
+        if (q.holdBlocks != 0) {
+            require(
+                block.number > q.holdBlocks
+                    && _minBalanceSince(msg.sender, block.number - q.holdBlocks) >= q.threshold,
+                "QuestMgr: CLAW not held long enough"
+            );
+        }
+    }
+
+    /**
+     * @dev Lowest CLAW balance of `account` from block `fromBlock` up to now:
+     *      its balance at `fromBlock`, then every checkpoint written since.
+     *      Balances rather than votes, which also count CLAW other holders
+     *      delegated to the account.
+     */
+    function _minBalanceSince(address account, uint256 fromBlock) internal view returns (uint256 minBalance) {
+        CLAWToken claw = CLAWToken(address(clawToken));
+        minBalance = claw.getPastBalance(account, fromBlock);
+        for (uint32 i = claw.numBalanceCheckpoints(account); i > 0 && minBalance != 0; i--) {
+            Checkpoints.Checkpoint208 memory cp = claw.balanceCheckpoints(account, i - 1);
+            if (cp._key <= fromBlock) break;
+            if (cp._value < minBalance) minBalance = cp._value;
+        }
+    }
+
+    /// @dev Record msg.sender's completion and pay the reward.
+    function _complete(Quest storage q, uint256 _questId) internal {
+        q.completions++;
+        _completedEpoch[_questId][msg.sender] = _epochOf(q) + 1;
         questCompleted[_questId][msg.sender] = true;
 
-        // Pay reward in native MON
+        // Pay reward in native MON or the quest's ERC-20
         if (q.reward > 0) {
-            require(address(this).balance >= q.reward, "QuestMgr: insufficient reward funds");
-            (bool sent, ) = msg.sender.call{value: q.reward}("");
-            require(sent, "QuestMgr: reward transfer failed");
+            if (q.rewardToken == address(0)) {
+                require(address(this).balance >= q.reward, "QuestMgr: insufficient reward funds");
+                (bool sent, ) = msg.sender.call{value: q.reward}("");
+                require(sent, "QuestMgr: reward transfer failed");
+            } else {
+                IERC20 token = IERC20(q.rewardToken);
+                require(token.balanceOf(address(this)) >= q.reward, "QuestMgr: insufficient reward funds");
+                token.safeTransfer(msg.sender, q.reward);
+            }
         }
 
         emit QuestCompleted(msg.sender, _questId, q.reward, block.timestamp);
@@ -184,16 +371,37 @@ contract QuestManager is ReentrancyGuard, Pausable {
 
     // ──────────────────── Agent Attestation ───────────────────────
 
-    /// @notice Agent attests that a user has met off-chain quest criteria.
-    mapping(uint256 => mapping(address => bool)) private _attestations;
+    /// @dev questId => user => epoch the agent attested the user in + 1 (0 = not attested).
+    ///      An attestation only counts in its own epoch, so an unclaimed one
+    ///      cannot be redeemed in a later epoch of a repeatable quest.
+    mapping(uint256 => mapping(address => uint256)) private _attestedEpoch;
 
+    /// @notice Agent attests that a user has met off-chain quest criteria in the current epoch.
     function attestQuest(uint256 _questId, address _user) external onlyAgent {
         require(quests[_questId].id != 0, "QuestMgr: quest does not exist");
-        _attestations[_questId][_user] = true;
+        _attest(_questId, _user);
+    }
+
+    /// @notice Attest several users for one quest in a single transaction.
+    function attestQuestBatch(uint256 _questId, address[] calldata _users) external onlyAgent {
+        require(quests[_questId].id != 0, "QuestMgr: quest does not exist");
+        require(_users.length > 0, "QuestMgr: no users");
+        for (uint256 i = 0; i < _users.length; i++) {
+            _attest(_questId, _users[i]);
+        }
     }
 
+    /// @notice Whether `_user` holds an attestation for the quest's current epoch.
     function isAttested(uint256 _questId, address _user) external view returns (bool) {
-        return _attestations[_questId][_user];
+        Quest storage q = quests[_questId];
+        if (q.id == 0) return false;
+        return _attestedEpoch[_questId][_user] == _epochOf(q) + 1;
+    }
+
+    function _attest(uint256 _questId, address _user) internal {
+        require(_user != address(0), "QuestMgr: zero user");
+        _attestedEpoch[_questId][_user] = _epochOf(quests[_questId]) + 1;
+        emit QuestAttested(_questId, _user);
     }
 
     // ────────────────────── Governance Functions ───────────────────
@@ -224,8 +432,28 @@ contract QuestManager is ReentrancyGuard, Pausable {
         return quests[_questId];
     }
 
+    /// @notice Whether `_user` completed the quest in its current epoch (ever, for one-off quests).
     function hasCompleted(uint256 _questId, address _user) external view returns (bool) {
-        return questCompleted[_questId][_user];
+        Quest storage q = quests[_questId];
+        if (q.id == 0) return false;
+        return _completedEpoch[_questId][_user] == _epochOf(q) + 1;
+    }
+
+    /// @notice Current repeat epoch of a quest; always 0 for one-off quests.
+    function currentEpoch(uint256 _questId) external view returns (uint256) {
+        Quest storage q = quests[_questId];
+        require(q.id != 0, "QuestMgr: quest does not exist");
+        return _epochOf(q);
+    }
+
+    function _epochOf(Quest storage q) internal view returns (uint256) {
+        if (q.epochDuration == 0 || block.timestamp < q.startTime) return 0;
+        return (block.timestamp - q.startTime) / q.epochDuration;
+    }
+
+    /// @notice EIP-712 domain separator vouchers are signed under.
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
     }
 
     function contractBalance() external view returns (uint256) {
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+
+interface IQuestClaim {
+    function verifyAndClaimQuest(uint256 questId) external;
+}
+
+/**
+ * @title MockFlashHolder
+ * @notice Test-only borrower that holds CLAW for a single transaction:
+ *         pulls it from a lender's allowance, self-delegates, claims a
+ *         HoldTokens quest and hands the CLAW straight back — the flash
+ *         hold that HoldTokens hold periods exist to reject.
+ */
+contract MockFlashHolder {
+    /// @notice Receives the native quest reward.
+    receive() external payable {}
+
+    function flashClaim(
+        ERC20Votes claw,
+        IQuestClaim questManager,
+        uint256 questId,
+        address lender,
+        uint256 amount
+    ) external {
+        require(claw.transferFrom(lender, address(this), amount), "FlashHolder: borrow failed");
+        claw.delegate(address(this));
+        questManager.verifyAndClaimQuest(questId);
+        require(claw.transfer(lender, amount), "FlashHolder: repay failed");
+    }
+}
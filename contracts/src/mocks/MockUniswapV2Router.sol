@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title MockUniswapV2Router
+ * @notice Test-only stand-in for a Uniswap-V2-style router, for exercising
+ *         the backend's swap routing on a local Hardhat node.
+ *         Swaps native <-> ERC-20 at a fixed owner-set rate minus a 0.3% fee,
+ *         paid out of the router's own inventory. Function signatures and
+ *         revert strings match UniswapV2Router02 for the calls the agent makes.
+ *         The router's own address stands in for WETH in swap paths.
+ */
+contract MockUniswapV2Router {
+    using SafeERC20 for IERC20;
+
+    // ──────────────────────────── State ────────────────────────────
+
+    address public immutable WETH;
+    address public owner;
+
+    /// @notice Swap fee in basis points, taken from the input amount.
+    uint256 public constant FEE_BPS = 30;
+
+    /// @notice Token units paid per 1e18 native wei, per token.
+    mapping(address => uint256) public rate;
+
+    // ──────────────────────────── Events ───────────────────────────
+
+    event RateSet(address indexed token, uint256 tokensPerNative);
+    event Swap(
+        address indexed sender,
+        address indexed tokenIn,
+        address indexed tokenOut,
+        uint256 amountIn,
+        uint256 amountOut,
+        address to
+    );
+
+    // ──────────────────────────── Modifiers ────────────────────────
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Router: caller is not owner");
+        _;
+    }
+
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "UniswapV2Router: EXPIRED");
+        _;
+    }
+
+    // ──────────────────────────── Constructor ──────────────────────
+
+    constructor() {
+        WETH = address(this);
+        owner = msg.sender;
+    }
+
+    /// @notice Native liquidity for token -> native swaps.
+    receive() external payable {}
+
+    // ──────────────────────────── Admin ────────────────────────────
+
+    function setRate(address token, uint256 tokensPerNative) external onlyOwner {
+        rate[token] = tokensPerNative;
+        emit RateSet(token, tokensPerNative);
+    }
+
+    // ──────────────────────────── Quotes ───────────────────────────
+
+    /**
+     * @notice Output amounts for a two-hop path [WETH, token] or [token, WETH].
+     */
+    function getAmountsOut(uint256 amountIn, address[] calldata path)
+        public
+        view
+        returns (uint256[] memory amounts)
+    {
+        require(path.length == 2, "UniswapV2Library: INVALID_PATH");
+        require(amountIn > 0, "UniswapV2Library: INSUFFICIENT_INPUT_AMOUNT");
+
+        amounts = new uint256[](2);
+        amounts[0] = amountIn;
+        uint256 netIn = (amountIn * (10000 - FEE_BPS)) / 10000;
+
+        if (path[0] == WETH) {
+            uint256 r = rate[path[1]];
+            require(r > 0, "UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+            amounts[1] = (netIn * r) / 1e18;
+        } else if (path[1] == WETH) {
+            uint256 r = rate[path[0]];
+            require(r > 0, "UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+            amounts[1] = (netIn * 1e18) / r;
+        } else {
+            revert("UniswapV2Library: INVALID_PATH");
+        }
+    }
+
+    // ──────────────────────────── Swaps ────────────────────────────
+
+    function swapExactETHForTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) returns (uint256[] memory amounts) {
+        require(path.length == 2 && path[0] == WETH, "UniswapV2Router: INVALID_PATH");
+        amounts = getAmountsOut(msg.value, path);
+        require(amounts[1] >= amountOutMin, "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+
+        IERC20(path[1]).safeTransfer(to, amounts[1]);
+        emit Swap(msg.sender, WETH, path[1], msg.value, amounts[1], to);
+    }
+
+    function swapExactTokensForETH(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256[] memory amounts) {
+        require(path.length == 2 && path[1] == WETH, "UniswapV2Router: INVALID_PATH");
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[1] >= amountOutMin, "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        (bool sent, ) = to.call{value: amounts[1]}("");
+        require(sent, "TransferHelper: ETH_TRANSFER_FAILED");
+        emit Swap(msg.sender, path[0], WETH, amountIn, amounts[1], to);
+    }
+}
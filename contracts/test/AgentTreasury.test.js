@@ -148,6 +148,52 @@ describe("AgentTreasury", function () {
     });
   });
 
+  describe("Refund Trade", function () {
+    it("should take a refunded buy back off the allocation", async function () {
+      const tokenAddr = await token.getAddress();
+      const amount = ethers.parseEther("1");
+      await treasury.connect(agent).executeTrade(tokenAddr, amount, true);
+      expect(await treasury.tokenAllocation(tokenAddr)).to.equal(amount);
+
+      const before = await ethers.provider.getBalance(await treasury.getAddress());
+      await expect(treasury.connect(agent).refundTrade(tokenAddr, { value: amount }))
+        .to.emit(treasury, "TradeRefunded");
+      expect(await treasury.tokenAllocation(tokenAddr)).to.equal(0);
+      expect(await ethers.provider.getBalance(await treasury.getAddress())).to.equal(before + amount);
+
+      // The freed allocation can be used again
+      await treasury.connect(agent).executeTrade(tokenAddr, ethers.parseEther("2"), true);
+    });
+
+    it("should floor the allocation at zero", async function () {
+      const tokenAddr = await token.getAddress();
+      await treasury.connect(agent).executeTrade(tokenAddr, ethers.parseEther("0.5"), true);
+      await treasury.connect(agent).refundTrade(tokenAddr, { value: ethers.parseEther("1") });
+      expect(await treasury.tokenAllocation(tokenAddr)).to.equal(0);
+    });
+
+    it("should allow refunds while paused", async function () {
+      const tokenAddr = await token.getAddress();
+      const amount = ethers.parseEther("0.5");
+      await treasury.connect(agent).executeTrade(tokenAddr, amount, true);
+      await treasury.connect(governance).pause();
+      await treasury.connect(agent).refundTrade(tokenAddr, { value: amount });
+      expect(await treasury.tokenAllocation(tokenAddr)).to.equal(0);
+    });
+
+    it("should allow only agent to refund", async function () {
+      await expect(
+        treasury.connect(attacker).refundTrade(await token.getAddress(), { value: 1n })
+      ).to.be.revertedWith("Treasury: caller is not agent");
+    });
+
+    it("should revert refund with zero amount", async function () {
+      await expect(
+        treasury.connect(agent).refundTrade(await token.getAddress())
+      ).to.be.revertedWith("Treasury: zero amount");
+    });
+  });
+
   describe("Pause", function () {
     it("should block trades when paused", async function () {
       await treasury.connect(governance).pause();
@@ -62,6 +62,56 @@ describe("CLAWToken", function () {
     });
   });
 
+  describe("Voting Power", function () {
+    it("should have no votes until delegated", async function () {
+      expect(await token.getVotes(deployer.address)).to.equal(0);
+      await token.delegate(deployer.address);
+      expect(await token.getVotes(deployer.address)).to.equal(TOTAL_WEI);
+    });
+
+    it("should move votes with transfers between delegates", async function () {
+      const amount = ethers.parseEther("1000");
+      await token.delegate(deployer.address);
+      await token.connect(user1).delegate(user1.address);
+      await token.transfer(user1.address, amount);
+
+      expect(await token.getVotes(user1.address)).to.equal(amount);
+      expect(await token.getVotes(deployer.address)).to.equal(TOTAL_WEI - amount);
+    });
+
+    it("should checkpoint past votes per block", async function () {
+      await token.delegate(user2.address);
+      const delegatedAt = await ethers.provider.getBlockNumber();
+      await token.transfer(user1.address, ethers.parseEther("1000"));
+
+      expect(await token.getPastVotes(user2.address, delegatedAt)).to.equal(TOTAL_WEI);
+      expect(await token.getVotes(user2.address)).to.equal(TOTAL_WEI - ethers.parseEther("1000"));
+    });
+  });
+
+  describe("Balance History", function () {
+    it("should checkpoint past balances per block, without delegation", async function () {
+      const amount = ethers.parseEther("1000");
+      await token.transfer(user1.address, amount);
+      const receivedAt = await ethers.provider.getBlockNumber();
+      await token.connect(user1).transfer(user2.address, amount / 2n);
+
+      expect(await token.getPastBalance(user1.address, receivedAt - 1)).to.equal(0);
+      expect(await token.getPastBalance(user1.address, receivedAt)).to.equal(amount);
+      expect(await token.numBalanceCheckpoints(user1.address)).to.equal(2);
+      const [key, value] = await token.balanceCheckpoints(user1.address, 1);
+      expect(key).to.equal(receivedAt + 1);
+      expect(value).to.equal(amount / 2n);
+    });
+
+    it("should reject a lookup of the current block", async function () {
+      const now = await ethers.provider.getBlockNumber();
+      await expect(token.getPastBalance(user1.address, now + 1)).to.be.revertedWithCustomError(
+        token, "ERC5805FutureLookup"
+      );
+    });
+  });
+
   describe("Burn", function () {
     it("should allow holders to burn their tokens", async function () {
       const burnAmount = ethers.parseEther("100");
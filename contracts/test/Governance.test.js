@@ -1,17 +1,22 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Governance", function () {
   let token, governance, treasury;
-  let deployer, agent, govAdmin, voter1, voter2, attacker;
+  let deployer, agent, govAdmin, voter1, voter2, attacker, guardian;
 
   const INITIAL_SUPPLY = 1_000_000n;
   const VOTING_PERIOD = 100; // 100 blocks
   const MIN_PROPOSAL_TOKENS = ethers.parseEther("100");
+  const QUORUM_BPS = 100; // 1% of supply = 10000 CLAW
+  const TIMELOCK_DELAY = 3600; // 1 hour
+
+  // ProposalState enum
+  const State = { Pending: 0, Active: 1, Defeated: 2, Succeeded: 3, Queued: 4, Executed: 5, Canceled: 6, Expired: 7 };
 
   beforeEach(async function () {
-    [deployer, agent, govAdmin, voter1, voter2, attacker] = await ethers.getSigners();
+    [deployer, agent, govAdmin, voter1, voter2, attacker, guardian] = await ethers.getSigners();
 
     // Deploy CLAW token
     const CLAWToken = await ethers.getContractFactory("CLAWToken");
@@ -29,13 +34,18 @@ describe("Governance", function () {
       await token.getAddress(),
       await treasury.getAddress(),
       VOTING_PERIOD,
-      MIN_PROPOSAL_TOKENS
+      MIN_PROPOSAL_TOKENS,
+      QUORUM_BPS,
+      TIMELOCK_DELAY,
+      guardian.address
     );
     await governance.waitForDeployment();
 
-    // Distribute tokens to voters
+    // Distribute tokens to voters; votes count once delegated
     await token.transfer(voter1.address, ethers.parseEther("10000"));
     await token.transfer(voter2.address, ethers.parseEther("5000"));
+    await token.connect(voter1).delegate(voter1.address);
+    await token.connect(voter2).delegate(voter2.address);
   });
 
   describe("Deployment", function () {
@@ -44,21 +54,41 @@ describe("Governance", function () {
       expect(await governance.treasury()).to.equal(await treasury.getAddress());
       expect(await governance.votingPeriod()).to.equal(VOTING_PERIOD);
       expect(await governance.minProposalTokens()).to.equal(MIN_PROPOSAL_TOKENS);
+      expect(await governance.quorumBps()).to.equal(QUORUM_BPS);
+      expect(await governance.timelockDelay()).to.equal(TIMELOCK_DELAY);
+      expect(await governance.guardian()).to.equal(guardian.address);
     });
 
     it("should reject zero token address", async function () {
       const Governance = await ethers.getContractFactory("Governance");
       await expect(
-        Governance.deploy(ethers.ZeroAddress, await treasury.getAddress(), VOTING_PERIOD, MIN_PROPOSAL_TOKENS)
+        Governance.deploy(
+          ethers.ZeroAddress, await treasury.getAddress(), VOTING_PERIOD, MIN_PROPOSAL_TOKENS,
+          QUORUM_BPS, TIMELOCK_DELAY, guardian.address
+        )
       ).to.be.revertedWith("Governance: zero token");
     });
 
     it("should reject zero voting period", async function () {
       const Governance = await ethers.getContractFactory("Governance");
       await expect(
-        Governance.deploy(await token.getAddress(), await treasury.getAddress(), 0, MIN_PROPOSAL_TOKENS)
+        Governance.deploy(
+          await token.getAddress(), await treasury.getAddress(), 0, MIN_PROPOSAL_TOKENS,
+          QUORUM_BPS, TIMELOCK_DELAY, guardian.address
+        )
       ).to.be.revertedWith("Governance: zero voting period");
     });
+
+    it("should reject quorum above 100% and an overlong timelock", async function () {
+      const Governance = await ethers.getContractFactory("Governance");
+      const args = [await token.getAddress(), await treasury.getAddress(), VOTING_PERIOD, MIN_PROPOSAL_TOKENS];
+      await expect(
+        Governance.deploy(...args, 10001, TIMELOCK_DELAY, guardian.address)
+      ).to.be.revertedWith("Governance: quorum > 100%");
+      await expect(
+        Governance.deploy(...args, QUORUM_BPS, 31 * 24 * 3600, guardian.address)
+      ).to.be.revertedWith("Governance: delay too long");
+    });
   });
 
   describe("Proposals", function () {
@@ -120,15 +150,82 @@ describe("Governance", function () {
     });
 
     it("should report voting as active during period", async function () {
+      await mine(1);
+      expect(await governance.state(1)).to.equal(State.Active);
       expect(await governance.isVotingActive(1)).to.be.true;
     });
 
+    it("should report voting as inactive while the proposal is pending", async function () {
+      expect(await governance.state(1)).to.equal(State.Pending);
+      expect(await governance.isVotingActive(1)).to.be.false;
+    });
+
+    it("should report voting as inactive for an unknown proposal", async function () {
+      expect(await governance.isVotingActive(99)).to.be.false;
+    });
+
     it("should report voting as inactive after period", async function () {
       await mine(VOTING_PERIOD + 1);
       expect(await governance.isVotingActive(1)).to.be.false;
     });
   });
 
+  describe("Snapshot Voting", function () {
+    it("should not count undelegated tokens", async function () {
+      await token.transfer(attacker.address, ethers.parseEther("1000"));
+      await governance.connect(voter1).createProposal("Test proposal");
+      await expect(
+        governance.connect(attacker).vote(1, true)
+      ).to.be.revertedWith("Governance: no voting power");
+    });
+
+    it("should block transfer-and-revote with the same tokens", async function () {
+      await token.connect(attacker).delegate(attacker.address);
+      await governance.connect(voter1).createProposal("Test proposal");
+      await governance.connect(voter1).vote(1, true);
+
+      // Move the tokens that already voted and try again from another wallet
+      await token.connect(voter1).transfer(attacker.address, ethers.parseEther("10000"));
+      expect(await token.getVotes(attacker.address)).to.equal(ethers.parseEther("10000"));
+      await expect(
+        governance.connect(attacker).vote(1, true)
+      ).to.be.revertedWith("Governance: no voting power");
+
+      const p = await governance.getProposal(1);
+      expect(p.forVotes).to.equal(ethers.parseEther("10000"));
+    });
+
+    it("should ignore delegation changes after the start block", async function () {
+      await governance.connect(voter1).createProposal("Test proposal");
+      await token.connect(voter2).delegate(voter1.address);
+
+      await governance.connect(voter1).vote(1, true);
+      await governance.connect(voter2).vote(1, false);
+
+      const p = await governance.getProposal(1);
+      expect(p.forVotes).to.equal(ethers.parseEther("10000"));
+      expect(p.againstVotes).to.equal(ethers.parseEther("5000"));
+    });
+
+    it("should keep start-block weight after tokens leave the voter", async function () {
+      await governance.connect(voter1).createProposal("Test proposal");
+      await token.connect(voter2).transfer(voter1.address, ethers.parseEther("5000"));
+
+      await governance.connect(voter2).vote(1, false);
+      expect((await governance.getProposal(1)).againstVotes).to.equal(ethers.parseEther("5000"));
+    });
+
+    it("should require delegated votes to propose", async function () {
+      await token.transfer(attacker.address, ethers.parseEther("1000"));
+      await expect(
+        governance.connect(attacker).createProposal("Undelegated")
+      ).to.be.revertedWith("Governance: insufficient CLAW to propose");
+
+      await token.connect(attacker).delegate(attacker.address);
+      await expect(governance.connect(attacker).createProposal("Delegated")).to.emit(governance, "ProposalCreated");
+    });
+  });
+
   describe("Execution", function () {
     beforeEach(async function () {
       await governance.connect(voter1).createProposal("Approved proposal");
@@ -136,34 +233,56 @@ describe("Governance", function () {
       await governance.connect(voter2).vote(1, false);
     });
 
-    it("should execute a passed proposal after voting ends", async function () {
+    it("should queue and execute a passed proposal after the timelock", async function () {
       await mine(VOTING_PERIOD + 1);
+      await expect(governance.queue(1)).to.emit(governance, "ProposalQueued");
+      await time.increase(TIMELOCK_DELAY);
       const tx = await governance.executeProposal(1);
       await expect(tx).to.emit(governance, "ProposalExecuted").withArgs(1);
+      expect(await governance.state(1)).to.equal(State.Executed);
     });
 
-    it("should reject execution before voting ends", async function () {
+    it("should reject queueing before voting ends", async function () {
       await expect(
-        governance.executeProposal(1)
+        governance.queue(1)
       ).to.be.revertedWith("Governance: voting not ended");
     });
 
+    it("should reject execution of a proposal that was not queued", async function () {
+      await mine(VOTING_PERIOD + 1);
+      await expect(
+        governance.executeProposal(1)
+      ).to.be.revertedWith("Governance: proposal not queued");
+    });
+
+    it("should reject execution before the timelock elapses", async function () {
+      await mine(VOTING_PERIOD + 1);
+      await governance.queue(1);
+      await time.increase(TIMELOCK_DELAY / 2);
+      await expect(
+        governance.executeProposal(1)
+      ).to.be.revertedWith("Governance: timelock not elapsed");
+    });
+
     it("should reject execution of rejected proposal", async function () {
-      // Create proposal where against > for
+      // Give attacker delegated votes before the snapshot, then create a
+      // proposal where against > for
+      await token.transfer(attacker.address, ethers.parseEther("10000"));
+      await token.connect(attacker).delegate(attacker.address);
       await governance.connect(voter1).createProposal("Bad proposal");
       await governance.connect(voter2).vote(2, true); // 5000
-      // Transfer more to attacker to vote against
-      await token.transfer(attacker.address, ethers.parseEther("10000"));
       await governance.connect(attacker).vote(2, false); // 10000
 
       await mine(VOTING_PERIOD + 1);
       await expect(
-        governance.executeProposal(2)
+        governance.queue(2)
       ).to.be.revertedWith("Governance: proposal rejected");
     });
 
     it("should reject double execution", async function () {
       await mine(VOTING_PERIOD + 1);
+      await governance.queue(1);
+      await time.increase(TIMELOCK_DELAY);
       await governance.executeProposal(1);
       await expect(
         governance.executeProposal(1)
@@ -171,6 +290,304 @@ describe("Governance", function () {
     });
   });
 
+  describe("Executable Proposals", function () {
+    let treasuryAddr, tokenAddr;
+
+    beforeEach(async function () {
+      treasuryAddr = await treasury.getAddress();
+      tokenAddr = await token.getAddress();
+      // Hand the treasury's governance role to the Governance contract
+      await treasury.connect(govAdmin).updateGovernance(await governance.getAddress());
+    });
+
+    async function passProposal(targets, values, calldatas, description) {
+      await governance.connect(voter1).propose(targets, values, calldatas, description);
+      const pid = await governance.proposalCount();
+      await governance.connect(voter1).vote(pid, true);
+      await mine(VOTING_PERIOD + 1);
+      await governance.queue(pid);
+      await time.increase(TIMELOCK_DELAY);
+      return pid;
+    }
+
+    it("should store and emit the proposal's actions", async function () {
+      const data = treasury.interface.encodeFunctionData("setTokenAllowed", [tokenAddr, true]);
+      const tx = governance.connect(voter1).propose([treasuryAddr], [0], [data], "Whitelist CLAW");
+      await expect(tx).to.emit(governance, "ProposalCreated");
+      await expect(tx).to.emit(governance, "ProposalActions").withArgs(1, [treasuryAddr], [0], [data]);
+
+      const [targets, values, calldatas] = await governance.getActions(1);
+      expect(targets).to.deep.equal([treasuryAddr]);
+      expect(values).to.deep.equal([0n]);
+      expect(calldatas).to.deep.equal([data]);
+    });
+
+    it("should change treasury parameters through propose → vote → execute", async function () {
+      const pid = await passProposal(
+        [treasuryAddr, treasuryAddr],
+        [0, 0],
+        [
+          treasury.interface.encodeFunctionData("setTokenAllowed", [tokenAddr, true]),
+          treasury.interface.encodeFunctionData("updateMaxAllocation", [3000]),
+        ],
+        "Whitelist CLAW and raise risk to 30%"
+      );
+
+      await expect(governance.executeProposal(pid))
+        .to.emit(treasury, "TokenAllowedStatusChanged").withArgs(tokenAddr, true)
+        .and.to.emit(treasury, "RiskUpdated")
+        .and.to.emit(governance, "ProposalExecuted").withArgs(pid);
+      expect(await treasury.allowedTokens(tokenAddr)).to.equal(true);
+      expect(await treasury.maxAllocationBps()).to.equal(3000);
+    });
+
+    it("should pause the treasury via proposal", async function () {
+      const pid = await passProposal(
+        [treasuryAddr], [0], [treasury.interface.encodeFunctionData("pause")], "Emergency pause"
+      );
+      await governance.executeProposal(pid);
+      expect(await treasury.paused()).to.equal(true);
+    });
+
+    it("should revert atomically with the failing call's reason", async function () {
+      const pid = await passProposal(
+        [treasuryAddr, treasuryAddr],
+        [0, 0],
+        [
+          treasury.interface.encodeFunctionData("setTokenAllowed", [tokenAddr, true]),
+          treasury.interface.encodeFunctionData("updateMaxAllocation", [10001]),
+        ],
+        "Invalid risk"
+      );
+
+      await expect(governance.executeProposal(pid)).to.be.revertedWith("Treasury: bps > 100%");
+      expect(await treasury.allowedTokens(tokenAddr)).to.equal(false);
+      expect(await governance.state(pid)).to.equal(State.Queued);
+    });
+
+    it("should send value from the governance balance", async function () {
+      await voter1.sendTransaction({ to: await governance.getAddress(), value: ethers.parseEther("1") });
+      const pid = await passProposal([treasuryAddr], [ethers.parseEther("1")], ["0x"], "Fund treasury");
+
+      await expect(governance.executeProposal(pid)).to.changeEtherBalance(treasury, ethers.parseEther("1"));
+    });
+
+    it("should reject treasury calls from anyone but governance", async function () {
+      await expect(
+        treasury.connect(govAdmin).setTokenAllowed(tokenAddr, true)
+      ).to.be.revertedWith("Treasury: caller is not governance");
+    });
+
+    it("should reject mismatched or empty action arrays", async function () {
+      await expect(
+        governance.connect(voter1).propose([treasuryAddr], [], ["0x"], "Bad")
+      ).to.be.revertedWith("Governance: length mismatch");
+      await expect(
+        governance.connect(voter1).propose([], [], [], "Empty")
+      ).to.be.revertedWith("Governance: no actions");
+      await expect(
+        governance.connect(voter1).propose([ethers.ZeroAddress], [0], ["0x"], "Zero")
+      ).to.be.revertedWith("Governance: zero target");
+    });
+
+    it("should reject more than MAX_ACTIONS actions", async function () {
+      const n = Number(await governance.MAX_ACTIONS()) + 1;
+      await expect(
+        governance.connect(voter1).propose(Array(n).fill(treasuryAddr), Array(n).fill(0), Array(n).fill("0x"), "Too many")
+      ).to.be.revertedWith("Governance: too many actions");
+    });
+  });
+
+  describe("Proposal State & Quorum", function () {
+    it("should move through Pending, Active, Succeeded, Queued and Executed", async function () {
+      await governance.connect(voter1).createProposal("Lifecycle");
+      expect(await governance.state(1)).to.equal(State.Pending);
+
+      await governance.connect(voter1).vote(1, true);
+      expect(await governance.state(1)).to.equal(State.Active);
+
+      await mine(VOTING_PERIOD);
+      expect(await governance.state(1)).to.equal(State.Succeeded);
+
+      await governance.queue(1);
+      expect(await governance.state(1)).to.equal(State.Queued);
+
+      await time.increase(TIMELOCK_DELAY);
+      await governance.executeProposal(1);
+      expect(await governance.state(1)).to.equal(State.Executed);
+    });
+
+    it("should defeat a proposal whose FOR votes miss quorum", async function () {
+      await governance.connect(voter1).createProposal("Low turnout");
+      await governance.connect(voter2).vote(1, true); // 5000 < 10000 quorum
+      await mine(VOTING_PERIOD + 1);
+
+      expect(await governance.quorumVotes(1)).to.equal(ethers.parseEther("10000"));
+      expect(await governance.state(1)).to.equal(State.Defeated);
+      await expect(governance.queue(1)).to.be.revertedWith("Governance: proposal rejected");
+    });
+
+    it("should defeat a tied proposal", async function () {
+      await token.transfer(attacker.address, ethers.parseEther("10000"));
+      await token.connect(attacker).delegate(attacker.address);
+      await governance.connect(voter1).createProposal("Tie");
+      await governance.connect(voter1).vote(1, true);
+      await governance.connect(attacker).vote(1, false);
+      await mine(VOTING_PERIOD + 1);
+
+      expect(await governance.state(1)).to.equal(State.Defeated);
+    });
+
+    it("should reject queueing twice", async function () {
+      await governance.connect(voter1).createProposal("Queue once");
+      await governance.connect(voter1).vote(1, true);
+      await mine(VOTING_PERIOD + 1);
+      await governance.queue(1);
+
+      await expect(governance.queue(1)).to.be.revertedWith("Governance: proposal not succeeded");
+    });
+
+    it("should expire a succeeded proposal that is not queued within QUEUE_PERIOD", async function () {
+      await governance.connect(voter1).createProposal("Forgotten");
+      await governance.connect(voter1).vote(1, true);
+      const { endBlock } = await governance.getProposal(1);
+      const lastQueueBlock = Number(endBlock + (await governance.QUEUE_PERIOD()));
+      await mine(lastQueueBlock - (await ethers.provider.getBlockNumber()));
+      expect(await governance.state(1)).to.equal(State.Succeeded);
+
+      await mine(1);
+      expect(await governance.state(1)).to.equal(State.Expired);
+      await expect(governance.queue(1)).to.be.revertedWith("Governance: proposal not succeeded");
+    });
+
+    it("should expire a queued proposal not executed within GRACE_PERIOD", async function () {
+      await governance.connect(voter1).createProposal("Stale");
+      await governance.connect(voter1).vote(1, true);
+      await mine(VOTING_PERIOD + 1);
+      await governance.queue(1);
+
+      const eta = (await governance.getProposal(1)).eta;
+      await time.increaseTo(eta + (await governance.GRACE_PERIOD()) + 1n);
+      expect(await governance.state(1)).to.equal(State.Expired);
+      await expect(governance.executeProposal(1)).to.be.revertedWith("Governance: proposal not queued");
+      await expect(governance.connect(guardian).cancel(1)).to.be.revertedWith("Governance: proposal closed");
+    });
+
+    it("should revert state() for a non-existent proposal", async function () {
+      await expect(governance.state(999)).to.be.revertedWith("Governance: proposal does not exist");
+    });
+  });
+
+  describe("Cancellation", function () {
+    beforeEach(async function () {
+      await governance.connect(voter1).createProposal("Cancelable");
+    });
+
+    it("should let the proposer cancel an active proposal", async function () {
+      await expect(governance.connect(voter1).cancel(1))
+        .to.emit(governance, "ProposalCanceled").withArgs(1, voter1.address);
+      expect(await governance.state(1)).to.equal(State.Canceled);
+      expect(await governance.isVotingActive(1)).to.be.false;
+      await expect(governance.connect(voter2).vote(1, true)).to.be.revertedWith("Governance: proposal canceled");
+    });
+
+    it("should let the guardian cancel a queued proposal", async function () {
+      await governance.connect(voter1).vote(1, true);
+      await mine(VOTING_PERIOD + 1);
+      await governance.queue(1);
+
+      await governance.connect(guardian).cancel(1);
+      await time.increase(TIMELOCK_DELAY);
+      await expect(governance.executeProposal(1)).to.be.revertedWith("Governance: proposal not queued");
+    });
+
+    it("should reject cancellation by anyone else", async function () {
+      await expect(
+        governance.connect(voter2).cancel(1)
+      ).to.be.revertedWith("Governance: not proposer or guardian");
+    });
+
+    it("should reject cancelling an executed or canceled proposal", async function () {
+      await governance.connect(voter1).vote(1, true);
+      await mine(VOTING_PERIOD + 1);
+      await governance.queue(1);
+      await time.increase(TIMELOCK_DELAY);
+      await governance.executeProposal(1);
+      await expect(governance.connect(voter1).cancel(1)).to.be.revertedWith("Governance: proposal closed");
+
+      await governance.connect(voter1).createProposal("Second");
+      await governance.connect(guardian).cancel(2);
+      await expect(governance.connect(voter1).cancel(2)).to.be.revertedWith("Governance: proposal closed");
+    });
+  });
+
+  describe("Admin", function () {
+    it("should update quorum, timelock and guardian through an executed proposal", async function () {
+      const govAddr = await governance.getAddress();
+      await governance.connect(voter1).propose(
+        [govAddr, govAddr, govAddr],
+        [0, 0, 0],
+        [
+          governance.interface.encodeFunctionData("updateQuorum", [400]),
+          governance.interface.encodeFunctionData("updateTimelockDelay", [7200]),
+          governance.interface.encodeFunctionData("updateGuardian", [ethers.ZeroAddress]),
+        ],
+        "Tighten governance"
+      );
+      await governance.connect(voter1).vote(1, true);
+      await mine(VOTING_PERIOD + 1);
+      await governance.queue(1);
+      await time.increase(TIMELOCK_DELAY);
+
+      await expect(governance.executeProposal(1))
+        .to.emit(governance, "QuorumUpdated").withArgs(400)
+        .and.to.emit(governance, "TimelockDelayUpdated").withArgs(7200)
+        .and.to.emit(governance, "GuardianUpdated").withArgs(guardian.address, ethers.ZeroAddress);
+      expect(await governance.quorumBps()).to.equal(400);
+      expect(await governance.timelockDelay()).to.equal(7200);
+      expect(await governance.guardian()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should keep the quorum a proposal was created with", async function () {
+      const govAddr = await governance.getAddress();
+      // #1 misses the 1% quorum; #2 passes it and is queued
+      await governance.connect(voter1).createProposal("Defeated at 1%");
+      await governance.connect(voter2).vote(1, true);
+      await governance.connect(voter1).createProposal("Queued at 1%");
+      await governance.connect(voter1).vote(2, true);
+      await mine(VOTING_PERIOD + 1);
+      await governance.queue(2);
+
+      // #3 lowers the quorum to 0.5%, #4 raises it to 5%
+      for (const bps of [50, 500]) {
+        const id = Number(await governance.proposalCount()) + 1;
+        await governance.connect(voter1).propose(
+          [govAddr], [0], [governance.interface.encodeFunctionData("updateQuorum", [bps])], `Quorum ${bps}`
+        );
+        await governance.connect(voter1).vote(id, true);
+        await mine(VOTING_PERIOD + 1);
+        await governance.queue(id);
+        await time.increase(TIMELOCK_DELAY);
+        await governance.executeProposal(id);
+        expect(await governance.quorumBps()).to.equal(bps);
+        expect(await governance.state(1)).to.equal(State.Defeated);
+      }
+
+      expect(await governance.quorumVotes(2)).to.equal(ethers.parseEther("10000"));
+      expect(await governance.state(2)).to.equal(State.Queued);
+      await expect(governance.executeProposal(2)).to.emit(governance, "ProposalExecuted").withArgs(2);
+    });
+
+    it("should reject admin calls from other addresses", async function () {
+      await expect(
+        governance.connect(attacker).updateQuorum(0)
+      ).to.be.revertedWith("Governance: caller is not treasury");
+      await expect(
+        governance.connect(guardian).updateGuardian(attacker.address)
+      ).to.be.revertedWith("Governance: caller is not treasury");
+    });
+  });
+
   describe("Non-existent Proposals", function () {
     it("should reject voting on non-existent proposal", async function () {
       await expect(
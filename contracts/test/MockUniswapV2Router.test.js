@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("MockUniswapV2Router", function () {
+  let token, treasury, router;
+  let deployer, agent, governance, attacker;
+  let tokenAddr, treasuryAddr, weth;
+
+  const RATE = ethers.parseEther("1000"); // 1000 CLAW per MON
+  const MAX_ALLOC_BPS = 2000n;
+
+  beforeEach(async function () {
+    [deployer, agent, governance, attacker] = await ethers.getSigners();
+
+    const CLAWToken = await ethers.getContractFactory("CLAWToken");
+    token = await CLAWToken.deploy(1_000_000n);
+    await token.waitForDeployment();
+    tokenAddr = await token.getAddress();
+
+    const AgentTreasury = await ethers.getContractFactory("AgentTreasury");
+    treasury = await AgentTreasury.deploy(agent.address, governance.address, MAX_ALLOC_BPS);
+    await treasury.waitForDeployment();
+    treasuryAddr = await treasury.getAddress();
+
+    const Router = await ethers.getContractFactory("MockUniswapV2Router");
+    router = await Router.deploy();
+    await router.waitForDeployment();
+    weth = await router.WETH();
+
+    // Router inventory on both sides
+    await router.setRate(tokenAddr, RATE);
+    await token.transfer(await router.getAddress(), ethers.parseEther("500000"));
+    await deployer.sendTransaction({ to: await router.getAddress(), value: ethers.parseEther("100") });
+
+    // Treasury setup
+    await treasury.connect(governance).setTokenAllowed(tokenAddr, true);
+    await deployer.sendTransaction({ to: treasuryAddr, value: ethers.parseEther("10") });
+    await token.transfer(treasuryAddr, ethers.parseEther("100000"));
+    await treasury.connect(agent).updateTreasuryValue(ethers.parseEther("10"));
+  });
+
+  async function deadline(seconds = 120) {
+    return (await time.latest()) + seconds;
+  }
+
+  describe("Quotes", function () {
+    it("should quote native -> token at the rate minus the 0.3% fee", async function () {
+      const amounts = await router.getAmountsOut(ethers.parseEther("1"), [weth, tokenAddr]);
+      expect(amounts[1]).to.equal(ethers.parseEther("997"));
+    });
+
+    it("should quote token -> native at the inverse rate minus the fee", async function () {
+      const amounts = await router.getAmountsOut(ethers.parseEther("1000"), [tokenAddr, weth]);
+      expect(amounts[1]).to.equal(ethers.parseEther("0.997"));
+    });
+
+    it("should revert for a token without a rate", async function () {
+      await expect(
+        router.getAmountsOut(ethers.parseEther("1"), [weth, attacker.address])
+      ).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+    });
+
+    it("should allow only the owner to set rates", async function () {
+      await expect(
+        router.connect(attacker).setRate(tokenAddr, 1)
+      ).to.be.revertedWith("Router: caller is not owner");
+    });
+  });
+
+  describe("Swaps", function () {
+    it("should swap native for tokens and pay the recipient", async function () {
+      const amountIn = ethers.parseEther("1");
+      await expect(
+        router.connect(agent).swapExactETHForTokens(0, [weth, tokenAddr], treasuryAddr, await deadline(), { value: amountIn })
+      ).to.emit(router, "Swap").withArgs(agent.address, weth, tokenAddr, amountIn, ethers.parseEther("997"), treasuryAddr);
+    });
+
+    it("should swap tokens for native and pay the recipient", async function () {
+      const amountIn = ethers.parseEther("1000");
+      await token.transfer(agent.address, amountIn);
+      await token.connect(agent).approve(await router.getAddress(), amountIn);
+
+      const before = await ethers.provider.getBalance(treasuryAddr);
+      await router.connect(agent).swapExactTokensForETH(amountIn, 0, [tokenAddr, weth], treasuryAddr, await deadline());
+      expect(await ethers.provider.getBalance(treasuryAddr)).to.equal(before + ethers.parseEther("0.997"));
+    });
+
+    it("should revert when the output is below amountOutMin", async function () {
+      await expect(
+        router.connect(agent).swapExactETHForTokens(
+          ethers.parseEther("998"), [weth, tokenAddr], treasuryAddr, await deadline(), { value: ethers.parseEther("1") }
+        )
+      ).to.be.revertedWith("UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+    });
+
+    it("should revert after the deadline", async function () {
+      const expired = (await time.latest()) - 1;
+      await expect(
+        router.connect(agent).swapExactETHForTokens(0, [weth, tokenAddr], treasuryAddr, expired, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("UniswapV2Router: EXPIRED");
+    });
+
+    it("should revert for a path that does not start with WETH", async function () {
+      await expect(
+        router.connect(agent).swapExactETHForTokens(0, [tokenAddr, weth], treasuryAddr, await deadline(), { value: 1n })
+      ).to.be.revertedWith("UniswapV2Router: INVALID_PATH");
+    });
+  });
+
+  describe("Treasury round-trip", function () {
+    it("should route a BUY withdrawal back into the treasury as tokens", async function () {
+      const amount = ethers.parseEther("1");
+      const tokensBefore = await treasury.tokenBalance(tokenAddr);
+
+      await treasury.connect(agent).executeTrade(tokenAddr, amount, true);
+      const [, quoted] = await router.getAmountsOut(amount, [weth, tokenAddr]);
+      await router.connect(agent).swapExactETHForTokens(quoted, [weth, tokenAddr], treasuryAddr, await deadline(), { value: amount });
+
+      expect(await treasury.nativeBalance()).to.equal(ethers.parseEther("9"));
+      expect(await treasury.tokenBalance(tokenAddr)).to.equal(tokensBefore + quoted);
+    });
+
+    it("should route a SELL withdrawal back into the treasury as native", async function () {
+      const amount = ethers.parseEther("1000");
+      await treasury.connect(agent).executeTrade(tokenAddr, amount, false);
+      await token.connect(agent).approve(await router.getAddress(), amount);
+      const [, quoted] = await router.getAmountsOut(amount, [tokenAddr, weth]);
+
+      await expect(
+        router.connect(agent).swapExactTokensForETH(amount, quoted, [tokenAddr, weth], treasuryAddr, await deadline())
+      ).to.emit(treasury, "NativeReceived").withArgs(await router.getAddress(), quoted);
+      expect(await treasury.nativeBalance()).to.equal(ethers.parseEther("10") + quoted);
+    });
+  });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildMerkleTree, verifyProof } = require("../scripts/lib/merkleTree");
 
 describe("ProfitDistributor", function () {
   let token, distributor;
@@ -228,4 +230,173 @@ describe("ProfitDistributor", function () {
       ).to.be.revertedWith("ProfitDist: bps > 100%");
     });
   });
+
+  describe("Merkle Claims", function () {
+    const PENDING = ethers.parseEther("50"); // 50% of the first 100 ETH sync
+    let tree;
+
+    beforeEach(async function () {
+      await distributor.connect(agent).syncTreasuryValue(ethers.parseEther("100"));
+      // Top up to exactly the pending amount (20 ETH funded above)
+      await deployer.sendTransaction({
+        to: await distributor.getAddress(),
+        value: ethers.parseEther("30"),
+      });
+
+      tree = buildMerkleTree([
+        { account: holder1.address, amount: ethers.parseEther("3") },
+        { account: holder2.address, amount: ethers.parseEther("1") },
+        { account: treasury.address, amount: ethers.parseEther("2") },
+      ]);
+    });
+
+    it("should build proofs that verify off-chain", async function () {
+      expect(tree.total).to.equal(ethers.parseEther("6").toString());
+      for (const [account, { amount, proof }] of Object.entries(tree.claims)) {
+        expect(verifyProof(tree.root, account, amount, proof)).to.equal(true);
+      }
+      expect(verifyProof(tree.root, holder1.address, ethers.parseEther("4"), tree.claims[holder1.address].proof))
+        .to.equal(false);
+    });
+
+    it("should publish a root and reserve its total", async function () {
+      await expect(distributor.connect(agent).publishMerkleRoot(tree.root, tree.total))
+        .to.emit(distributor, "MerkleRootPublished");
+
+      const epoch = await distributor.claimEpochs(0);
+      expect(epoch.merkleRoot).to.equal(tree.root);
+      expect(epoch.total).to.equal(tree.total);
+      expect(await distributor.claimEpochCount()).to.equal(1);
+      expect(await distributor.pendingDistribution()).to.equal(PENDING - BigInt(tree.total));
+      expect(await distributor.reservedForClaims()).to.equal(tree.total);
+    });
+
+    it("should allow only agent to publish a root", async function () {
+      await expect(
+        distributor.connect(attacker).publishMerkleRoot(tree.root, tree.total)
+      ).to.be.revertedWith("ProfitDist: caller is not agent");
+    });
+
+    it("should reject a root for more than is pending", async function () {
+      await expect(
+        distributor.connect(agent).publishMerkleRoot(tree.root, PENDING + 1n)
+      ).to.be.revertedWith("ProfitDist: exceeds pending");
+    });
+
+    it("should pay a holder with a valid proof", async function () {
+      await distributor.connect(agent).publishMerkleRoot(tree.root, tree.total);
+      const { amount, proof } = tree.claims[holder1.address];
+
+      const tx = distributor.connect(holder1).claim(0, amount, proof);
+      await expect(tx).to.changeEtherBalance(holder1, amount);
+      await expect(tx).to.emit(distributor, "MerkleClaimed").withArgs(0, holder1.address, amount);
+
+      expect(await distributor.hasClaimed(0, holder1.address)).to.equal(true);
+      expect(await distributor.reservedForClaims()).to.equal(BigInt(tree.total) - BigInt(amount));
+    });
+
+    it("should revert a double claim", async function () {
+      await distributor.connect(agent).publishMerkleRoot(tree.root, tree.total);
+      const { amount, proof } = tree.claims[holder1.address];
+      await distributor.connect(holder1).claim(0, amount, proof);
+
+      await expect(
+        distributor.connect(holder1).claim(0, amount, proof)
+      ).to.be.revertedWith("ProfitDist: already claimed");
+    });
+
+    it("should revert a claim with a bad proof", async function () {
+      await distributor.connect(agent).publishMerkleRoot(tree.root, tree.total);
+      const { amount, proof } = tree.claims[holder1.address];
+
+      // Inflated amount
+      await expect(
+        distributor.connect(holder1).claim(0, BigInt(amount) + 1n, proof)
+      ).to.be.revertedWith("ProfitDist: invalid proof");
+      // Someone else's leaf
+      await expect(
+        distributor.connect(attacker).claim(0, amount, proof)
+      ).to.be.revertedWith("ProfitDist: invalid proof");
+      // Tampered proof
+      await expect(
+        distributor.connect(holder1).claim(0, amount, [ethers.ZeroHash, ...proof.slice(1)])
+      ).to.be.revertedWith("ProfitDist: invalid proof");
+    });
+
+    it("should revert claims beyond the epoch total", async function () {
+      // A root published for less than its leaves sum to (6 ETH)
+      const total = ethers.parseEther("3.5");
+      await distributor.connect(agent).publishMerkleRoot(tree.root, total);
+      const first = tree.claims[holder1.address];
+      await distributor.connect(holder1).claim(0, first.amount, first.proof);
+
+      const second = tree.claims[holder2.address];
+      await expect(
+        distributor.connect(holder2).claim(0, second.amount, second.proof)
+      ).to.be.revertedWith("ProfitDist: exceeds epoch total");
+      expect(await distributor.reservedForClaims()).to.equal(total - BigInt(first.amount));
+
+      // Expiry still rolls the remainder back instead of underflowing
+      await time.increase(await distributor.claimPeriod());
+      await distributor.rollOverExpired(0);
+      expect(await distributor.reservedForClaims()).to.equal(0);
+    });
+
+    it("should revert a claim on an unknown epoch", async function () {
+      const { amount, proof } = tree.claims[holder1.address];
+      await expect(
+        distributor.connect(holder1).claim(0, amount, proof)
+      ).to.be.revertedWith("ProfitDist: unknown epoch");
+    });
+
+    it("should revert a claim after expiry", async function () {
+      await distributor.connect(agent).publishMerkleRoot(tree.root, tree.total);
+      await time.increase(await distributor.claimPeriod());
+      const { amount, proof } = tree.claims[holder1.address];
+
+      await expect(
+        distributor.connect(holder1).claim(0, amount, proof)
+      ).to.be.revertedWith("ProfitDist: epoch expired");
+    });
+
+    it("should roll unclaimed funds back into pendingDistribution after expiry", async function () {
+      await distributor.connect(agent).publishMerkleRoot(tree.root, tree.total);
+      const { amount, proof } = tree.claims[holder1.address];
+      await distributor.connect(holder1).claim(0, amount, proof);
+
+      await expect(distributor.rollOverExpired(0)).to.be.revertedWith("ProfitDist: epoch not expired");
+
+      await time.increase(await distributor.claimPeriod());
+      const unclaimed = BigInt(tree.total) - BigInt(amount);
+      await expect(distributor.connect(attacker).rollOverExpired(0))
+        .to.emit(distributor, "ClaimEpochRolledOver")
+        .withArgs(0, unclaimed);
+
+      expect(await distributor.reservedForClaims()).to.equal(0);
+      expect(await distributor.pendingDistribution()).to.equal(PENDING - BigInt(amount));
+      await expect(distributor.rollOverExpired(0)).to.be.revertedWith("ProfitDist: already rolled over");
+    });
+
+    it("should keep distributeTo from spending reserved funds", async function () {
+      await distributor.connect(agent).publishMerkleRoot(tree.root, tree.total);
+      const available = await distributor.availableBalance();
+      expect(available).to.equal(ethers.parseEther("50") - BigInt(tree.total));
+
+      await expect(
+        distributor.connect(agent).distributeTo([holder1.address], [available + 1n])
+      ).to.be.revertedWith("ProfitDist: insufficient balance");
+    });
+
+    it("should let governance update the claim period", async function () {
+      await expect(distributor.connect(governance).updateClaimPeriod(7 * 24 * 3600))
+        .to.emit(distributor, "ClaimPeriodUpdated")
+        .withArgs(7 * 24 * 3600);
+      await expect(
+        distributor.connect(attacker).updateClaimPeriod(1)
+      ).to.be.revertedWith("ProfitDist: caller is not governance");
+      await expect(
+        distributor.connect(governance).updateClaimPeriod(0)
+      ).to.be.revertedWith("ProfitDist: zero claim period");
+    });
+  });
 });
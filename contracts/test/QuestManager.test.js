@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("QuestManager", function () {
   let token, questManager;
@@ -166,6 +167,38 @@ describe("QuestManager", function () {
       const tx = await questManager.connect(user1).verifyAndClaimQuest(1);
       await expect(tx).to.emit(questManager, "QuestCompleted");
     });
+
+    it("should emit QuestAttested on attestation", async function () {
+      await expect(questManager.connect(agent).attestQuest(1, user1.address))
+        .to.emit(questManager, "QuestAttested")
+        .withArgs(1, user1.address);
+    });
+
+    it("should attest a batch of users in one call", async function () {
+      const tx = await questManager.connect(agent).attestQuestBatch(1, [user1.address, user2.address]);
+      await expect(tx).to.emit(questManager, "QuestAttested").withArgs(1, user1.address);
+      await expect(tx).to.emit(questManager, "QuestAttested").withArgs(1, user2.address);
+
+      expect(await questManager.isAttested(1, user1.address)).to.be.true;
+      expect(await questManager.isAttested(1, user2.address)).to.be.true;
+      await expect(questManager.connect(user2).verifyAndClaimQuest(1))
+        .to.emit(questManager, "QuestCompleted");
+    });
+
+    it("should reject invalid batch attestations", async function () {
+      await expect(
+        questManager.connect(attacker).attestQuestBatch(1, [attacker.address])
+      ).to.be.revertedWith("QuestMgr: caller is not agent");
+      await expect(
+        questManager.connect(agent).attestQuestBatch(99, [user1.address])
+      ).to.be.revertedWith("QuestMgr: quest does not exist");
+      await expect(
+        questManager.connect(agent).attestQuestBatch(1, [])
+      ).to.be.revertedWith("QuestMgr: no users");
+      await expect(
+        questManager.connect(agent).attestQuestBatch(1, [user1.address, ethers.ZeroAddress])
+      ).to.be.revertedWith("QuestMgr: zero user");
+    });
   });
 
   describe("Quest Deactivation", function () {
@@ -210,6 +243,491 @@ describe("QuestManager", function () {
     });
   });
 
+  describe("Quest Options", function () {
+    const HOUR = 3600;
+    const NO_OPTIONS = {
+      rewardToken: ethers.ZeroAddress,
+      startTime: 0,
+      endTime: 0,
+      epochDuration: 0,
+      maxCompletions: 0,
+      holdBlocks: 0,
+    };
+
+    function createWithOptions(options, reward = ethers.parseEther("0.1"), questType = 0, threshold = ethers.parseEther("100")) {
+      return questManager
+        .connect(agent)
+        .createQuestWithOptions("Quest", reward, questType, threshold, { ...NO_OPTIONS, ...options });
+    }
+
+    it("should store options and emit QuestRulesSet", async function () {
+      const start = (await time.latest()) + HOUR;
+      const tx = await createWithOptions({
+        rewardToken: await token.getAddress(),
+        startTime: start,
+        endTime: start + 10 * HOUR,
+        epochDuration: HOUR,
+        maxCompletions: 5,
+      });
+      await expect(tx)
+        .to.emit(questManager, "QuestRulesSet")
+        .withArgs(1, await token.getAddress(), start, start + 10 * HOUR, HOUR, 5, 0);
+
+      const q = await questManager.getQuest(1);
+      expect(q.rewardToken).to.equal(await token.getAddress());
+      expect(q.startTime).to.equal(start);
+      expect(q.endTime).to.equal(start + 10 * HOUR);
+      expect(q.epochDuration).to.equal(HOUR);
+      expect(q.maxCompletions).to.equal(5);
+      expect(q.completions).to.equal(0);
+    });
+
+    it("should default createQuest to an open, one-off, native quest", async function () {
+      const tx = await questManager
+        .connect(agent)
+        .createQuest("Hold 100 CLAW", ethers.parseEther("0.1"), 0, ethers.parseEther("100"));
+      const start = await time.latest();
+      await expect(tx)
+        .to.emit(questManager, "QuestRulesSet")
+        .withArgs(1, ethers.ZeroAddress, start, 0, 0, 0, 0);
+    });
+
+    it("should reject a window that ends before it starts", async function () {
+      const start = (await time.latest()) + HOUR;
+      await expect(createWithOptions({ startTime: start, endTime: start })).to.be.revertedWith(
+        "QuestMgr: invalid window"
+      );
+    });
+
+    it("should allow only agent to create quests with options", async function () {
+      await expect(
+        questManager.connect(attacker).createQuestWithOptions("hack", 0, 0, 0, NO_OPTIONS)
+      ).to.be.revertedWith("QuestMgr: caller is not agent");
+    });
+
+    it("should reject claims before the start time", async function () {
+      await createWithOptions({ startTime: (await time.latest()) + HOUR });
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: quest not started"
+      );
+
+      await time.increase(HOUR);
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.emit(questManager, "QuestCompleted");
+    });
+
+    it("should reject claims after the end time", async function () {
+      await createWithOptions({ endTime: (await time.latest()) + HOUR });
+      await time.increase(HOUR + 1);
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: quest expired"
+      );
+    });
+
+    it("should stop paying once the completion cap is reached", async function () {
+      await token.transfer(user2.address, ethers.parseEther("5000"));
+      await createWithOptions({ maxCompletions: 1 });
+
+      await questManager.connect(user1).verifyAndClaimQuest(1);
+      expect((await questManager.getQuest(1)).completions).to.equal(1);
+      await expect(questManager.connect(user2).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: completion cap reached"
+      );
+    });
+
+    it("should allow one completion per epoch on repeatable quests", async function () {
+      await createWithOptions({ epochDuration: HOUR });
+      expect(await questManager.currentEpoch(1)).to.equal(0);
+
+      await questManager.connect(user1).verifyAndClaimQuest(1);
+      expect(await questManager.hasCompleted(1, user1.address)).to.be.true;
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: already completed"
+      );
+
+      await time.increase(HOUR);
+      expect(await questManager.currentEpoch(1)).to.equal(1);
+      expect(await questManager.hasCompleted(1, user1.address)).to.be.false;
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.emit(questManager, "QuestCompleted");
+      expect((await questManager.getQuest(1)).completions).to.equal(2);
+    });
+
+    it("should count repeat completions against the cap", async function () {
+      await createWithOptions({ epochDuration: HOUR, maxCompletions: 1 });
+      await questManager.connect(user1).verifyAndClaimQuest(1);
+      await time.increase(HOUR);
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: completion cap reached"
+      );
+    });
+
+    it("should require a fresh attestation each epoch on repeatable attested quests", async function () {
+      await createWithOptions({ epochDuration: HOUR }, ethers.parseEther("0.1"), 1, 0);
+      await questManager.connect(agent).attestQuest(1, user1.address);
+      await questManager.connect(user1).verifyAndClaimQuest(1);
+      expect(await questManager.isAttested(1, user1.address)).to.be.false;
+
+      await time.increase(HOUR);
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: not attested by agent"
+      );
+      await questManager.connect(agent).attestQuest(1, user1.address);
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.emit(questManager, "QuestCompleted");
+    });
+
+    it("should not carry an unclaimed attestation into a later epoch", async function () {
+      await createWithOptions({ epochDuration: HOUR }, ethers.parseEther("0.1"), 1, 0);
+      await questManager.connect(agent).attestQuest(1, user1.address);
+      expect(await questManager.isAttested(1, user1.address)).to.be.true;
+
+      await time.increase(HOUR);
+      expect(await questManager.isAttested(1, user1.address)).to.be.false;
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: not attested by agent"
+      );
+    });
+
+    it("should keep one-off attestations after claiming", async function () {
+      await createWithOptions({}, ethers.parseEther("0.1"), 1, 0);
+      await questManager.connect(agent).attestQuest(1, user1.address);
+      await questManager.connect(user1).verifyAndClaimQuest(1);
+      expect(await questManager.isAttested(1, user1.address)).to.be.true;
+    });
+
+    it("should pay ERC-20 rewards", async function () {
+      const reward = ethers.parseEther("50");
+      await token.transfer(await questManager.getAddress(), ethers.parseEther("100"));
+      await createWithOptions({ rewardToken: await token.getAddress() }, reward);
+
+      const nativeBefore = await questManager.contractBalance();
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.changeTokenBalances(
+        token,
+        [questManager, user1],
+        [-reward, reward]
+      );
+      expect(await questManager.contractBalance()).to.equal(nativeBefore);
+    });
+
+    it("should reject ERC-20 claims the contract cannot cover", async function () {
+      await createWithOptions({ rewardToken: await token.getAddress() }, ethers.parseEther("50"));
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: insufficient reward funds"
+      );
+    });
+  });
+
+  describe("Hold Duration", function () {
+    const HOLD_BLOCKS = 10;
+    const THRESHOLD = ethers.parseEther("100");
+
+    function createHoldQuest(holdBlocks = HOLD_BLOCKS) {
+      return questManager.connect(agent).createQuestWithOptions("Hold 100 CLAW for 10 blocks", ethers.parseEther("0.1"), 0, THRESHOLD, {
+        rewardToken: ethers.ZeroAddress,
+        startTime: 0,
+        endTime: 0,
+        epochDuration: 0,
+        maxCompletions: 0,
+        holdBlocks,
+      });
+    }
+
+    async function deployFlashHolder() {
+      const MockFlashHolder = await ethers.getContractFactory("MockFlashHolder");
+      const holder = await MockFlashHolder.deploy();
+      await holder.waitForDeployment();
+      // deployer lends the CLAW
+      await token.approve(await holder.getAddress(), THRESHOLD);
+      return holder;
+    }
+
+    it("should store the hold period and emit it in QuestRulesSet", async function () {
+      await expect(createHoldQuest())
+        .to.emit(questManager, "QuestRulesSet")
+        .withArgs(1, ethers.ZeroAddress, await time.latest() + 1, 0, 0, 0, HOLD_BLOCKS);
+      expect((await questManager.getQuest(1)).holdBlocks).to.equal(HOLD_BLOCKS);
+    });
+
+    it("should let a flash-hold claim a quest without a hold period", async function () {
+      await createHoldQuest(0);
+      const holder = await deployFlashHolder();
+      await expect(
+        holder.flashClaim(await token.getAddress(), await questManager.getAddress(), 1, deployer.address, THRESHOLD)
+      ).to.emit(questManager, "QuestCompleted");
+    });
+
+    it("should reject a flash-hold on a quest with a hold period", async function () {
+      await createHoldQuest();
+      const holder = await deployFlashHolder();
+      await expect(
+        holder.flashClaim(await token.getAddress(), await questManager.getAddress(), 1, deployer.address, THRESHOLD)
+      ).to.be.revertedWith("QuestMgr: CLAW not held long enough");
+    });
+
+    it("should reject a flash-hold backed by CLAW delegated in for the hold period", async function () {
+      await createHoldQuest();
+      const holder = await deployFlashHolder();
+      // user1's 5000 CLAW count as the holder's votes, but not its balance
+      await token.connect(user1).delegate(await holder.getAddress());
+      await mine(HOLD_BLOCKS);
+      expect(await token.getVotes(await holder.getAddress())).to.be.gte(THRESHOLD);
+
+      await expect(
+        holder.flashClaim(await token.getAddress(), await questManager.getAddress(), 1, deployer.address, THRESHOLD)
+      ).to.be.revertedWith("QuestMgr: CLAW not held long enough");
+    });
+
+    it("should reject CLAW acquired within the hold period", async function () {
+      await createHoldQuest();
+      await token.transfer(user2.address, THRESHOLD);
+      await mine(HOLD_BLOCKS - 2);
+      await expect(questManager.connect(user2).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: CLAW not held long enough"
+      );
+    });
+
+    it("should accept CLAW held for the whole hold period", async function () {
+      await createHoldQuest();
+      await mine(HOLD_BLOCKS);
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.emit(questManager, "QuestCompleted");
+    });
+
+    it("should reject a balance that dipped below the threshold during the hold period", async function () {
+      await createHoldQuest();
+      await mine(HOLD_BLOCKS);
+      const balance = await token.balanceOf(user1.address);
+      await token.connect(user1).transfer(user2.address, balance);
+      await token.connect(user2).transfer(user1.address, balance);
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.be.revertedWith(
+        "QuestMgr: CLAW not held long enough"
+      );
+
+      // Once the dip is older than the hold period it no longer counts
+      await mine(HOLD_BLOCKS);
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.emit(questManager, "QuestCompleted");
+    });
+
+    it("should count held CLAW that is delegated away", async function () {
+      await createHoldQuest();
+      await token.connect(user1).delegate(user2.address);
+      await mine(HOLD_BLOCKS);
+      await expect(questManager.connect(user1).verifyAndClaimQuest(1)).to.emit(questManager, "QuestCompleted");
+    });
+
+    it("should enforce the hold period on voucher claims", async function () {
+      await createHoldQuest();
+      await token.transfer(user2.address, THRESHOLD);
+      const deadline = (await time.latest()) + 3600;
+      const signature = await agent.signTypedData(
+        {
+          name: "QuestManager",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: await questManager.getAddress(),
+        },
+        {
+          QuestVoucher: [
+            { name: "questId", type: "uint256" },
+            { name: "epoch", type: "uint256" },
+            { name: "user", type: "address" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+          ],
+        },
+        { questId: 1, epoch: 0, user: user2.address, nonce: 1, deadline }
+      );
+      await expect(
+        questManager.connect(user2).verifyAndClaimQuestWithVoucher(1, 0, 1, deadline, signature)
+      ).to.be.revertedWith("QuestMgr: CLAW not held long enough");
+    });
+
+    it("should reject a hold period on quests verified off-chain", async function () {
+      await expect(
+        questManager.connect(agent).createQuestWithOptions("Provide LP", 0, 1, 0, {
+          rewardToken: ethers.ZeroAddress,
+          startTime: 0,
+          endTime: 0,
+          epochDuration: 0,
+          maxCompletions: 0,
+          holdBlocks: HOLD_BLOCKS,
+        })
+      ).to.be.revertedWith("QuestMgr: hold period needs HoldTokens");
+    });
+  });
+
+  describe("Signed Vouchers", function () {
+    const VOUCHER_TYPES = {
+      QuestVoucher: [
+        { name: "questId", type: "uint256" },
+        { name: "epoch", type: "uint256" },
+        { name: "user", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+
+    async function signVoucher(signer, questId, user, nonce, deadline, epoch = 0) {
+      const domain = {
+        name: "QuestManager",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await questManager.getAddress(),
+      };
+      return signer.signTypedData(domain, VOUCHER_TYPES, { questId, epoch, user, nonce, deadline });
+    }
+
+    async function deadlineIn(seconds) {
+      return (await time.latest()) + seconds;
+    }
+
+    beforeEach(async function () {
+      // Create LP quest
+      await questManager
+        .connect(agent)
+        .createQuest("Provide LP", ethers.parseEther("1"), 1, 0);
+    });
+
+    it("should claim with an agent-signed voucher and no attestation", async function () {
+      const deadline = await deadlineIn(3600);
+      const signature = await signVoucher(agent, 1, user1.address, 7, deadline);
+
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      const tx = questManager.connect(user1).verifyAndClaimQuestWithVoucher(1, 0, 7, deadline, signature);
+      await expect(tx).to.emit(questManager, "VoucherRedeemed").withArgs(1, user1.address, 7);
+      await expect(tx).to.emit(questManager, "QuestCompleted");
+
+      expect(await questManager.isAttested(1, user1.address)).to.be.false;
+      expect(await questManager.voucherNonceUsed(user1.address, 7)).to.be.true;
+      expect(await questManager.hasCompleted(1, user1.address)).to.be.true;
+      expect(await ethers.provider.getBalance(user1.address)).to.be.greaterThan(balanceBefore);
+    });
+
+    it("should reject a replayed voucher", async function () {
+      await questManager.connect(agent).createQuestWithOptions("Daily LP", 0, 1, 0, {
+        rewardToken: ethers.ZeroAddress, startTime: 0, endTime: 0, epochDuration: 3600, maxCompletions: 0, holdBlocks: 0,
+      });
+      const deadline = await deadlineIn(3 * 3600);
+      const signature = await signVoucher(agent, 2, user1.address, 1, deadline);
+      await questManager.connect(user1).verifyAndClaimQuestWithVoucher(2, 0, 1, deadline, signature);
+
+      // Next epoch, when the quest itself could be completed again
+      await time.increase(3600);
+      expect(await questManager.currentEpoch(2)).to.equal(1);
+      const reused = await signVoucher(agent, 2, user1.address, 1, deadline, 1);
+      await expect(
+        questManager.connect(user1).verifyAndClaimQuestWithVoucher(2, 1, 1, deadline, reused)
+      ).to.be.revertedWith("QuestMgr: voucher already used");
+
+      const fresh = await signVoucher(agent, 2, user1.address, 2, deadline, 1);
+      await expect(questManager.connect(user1).verifyAndClaimQuestWithVoucher(2, 1, 2, deadline, fresh))
+        .to.emit(questManager, "QuestCompleted");
+    });
+
+    it("should reject an unused voucher from a past epoch", async function () {
+      await questManager.connect(agent).createQuestWithOptions("Daily LP", 0, 1, 0, {
+        rewardToken: ethers.ZeroAddress, startTime: 0, endTime: 0, epochDuration: 3600, maxCompletions: 0, holdBlocks: 0,
+      });
+      const deadline = await deadlineIn(3 * 3600);
+      const signature = await signVoucher(agent, 2, user1.address, 1, deadline, 0);
+
+      await time.increase(3600);
+      await expect(
+        questManager.connect(user1).verifyAndClaimQuestWithVoucher(2, 0, 1, deadline, signature)
+      ).to.be.revertedWith("QuestMgr: voucher for another epoch");
+      // Claiming it as the current epoch's voucher breaks the signature
+      await expect(
+        questManager.connect(user1).verifyAndClaimQuestWithVoucher(2, 1, 1, deadline, signature)
+      ).to.be.revertedWith("QuestMgr: invalid voucher signature");
+    });
+
+    it("should reject a voucher for a one-off quest already completed", async function () {
+      const deadline = await deadlineIn(3600);
+      const first = await signVoucher(agent, 1, user1.address, 1, deadline);
+      const second = await signVoucher(agent, 1, user1.address, 2, deadline);
+      await questManager.connect(user1).verifyAndClaimQuestWithVoucher(1, 0, 1, deadline, first);
+      await expect(
+        questManager.connect(user1).verifyAndClaimQuestWithVoucher(1, 0, 2, deadline, second)
+      ).to.be.revertedWith("QuestMgr: already completed");
+    });
+
+    it("should reject a voucher signed by anyone but the agent", async function () {
+      const deadline = await deadlineIn(3600);
+      const forged = await signVoucher(attacker, 1, attacker.address, 1, deadline);
+      await expect(
+        questManager.connect(attacker).verifyAndClaimQuestWithVoucher(1, 0, 1, deadline, forged)
+      ).to.be.revertedWith("QuestMgr: invalid voucher signature");
+      await expect(
+        questManager.connect(attacker).verifyAndClaimQuestWithVoucher(1, 0, 1, deadline, "0x1234")
+      ).to.be.revertedWith("QuestMgr: invalid voucher signature");
+    });
+
+    it("should reject a voucher redeemed by another user", async function () {
+      const deadline = await deadlineIn(3600);
+      const signature = await signVoucher(agent, 1, user1.address, 1, deadline);
+      await expect(
+        questManager.connect(attacker).verifyAndClaimQuestWithVoucher(1, 0, 1, deadline, signature)
+      ).to.be.revertedWith("QuestMgr: invalid voucher signature");
+    });
+
+    it("should reject a voucher whose terms were altered", async function () {
+      await questManager.connect(agent).createQuest("Other LP", ethers.parseEther("1"), 1, 0);
+      const deadline = await deadlineIn(3600);
+      const signature = await signVoucher(agent, 1, user1.address, 1, deadline);
+      await expect(
+        questManager.connect(user1).verifyAndClaimQuestWithVoucher(2, 0, 1, deadline, signature)
+      ).to.be.revertedWith("QuestMgr: invalid voucher signature");
+      await expect(
+        questManager.connect(user1).verifyAndClaimQuestWithVoucher(1, 0, 1, deadline + 3600, signature)
+      ).to.be.revertedWith("QuestMgr: invalid voucher signature");
+    });
+
+    it("should reject an expired voucher", async function () {
+      const deadline = await deadlineIn(60);
+      const signature = await signVoucher(agent, 1, user1.address, 1, deadline);
+      await time.increaseTo(deadline + 1);
+      await expect(
+        questManager.connect(user1).verifyAndClaimQuestWithVoucher(1, 0, 1, deadline, signature)
+      ).to.be.revertedWith("QuestMgr: voucher expired");
+    });
+
+    it("should reject vouchers from a replaced agent", async function () {
+      const deadline = await deadlineIn(3600);
+      const signature = await signVoucher(agent, 1, user1.address, 1, deadline);
+      await questManager.connect(governance).updateAgent(user2.address);
+      await expect(
+        questManager.connect(user1).verifyAndClaimQuestWithVoucher(1, 0, 1, deadline, signature)
+      ).to.be.revertedWith("QuestMgr: invalid voucher signature");
+    });
+
+    it("should still check the CLAW balance on HoldTokens quests", async function () {
+      await questManager
+        .connect(agent)
+        .createQuest("Hold 100 CLAW", ethers.parseEther("0.1"), 0, ethers.parseEther("100"));
+      const deadline = await deadlineIn(3600);
+      const signature = await signVoucher(agent, 2, user2.address, 1, deadline);
+      await expect(
+        questManager.connect(user2).verifyAndClaimQuestWithVoucher(2, 0, 1, deadline, signature)
+      ).to.be.revertedWith("QuestMgr: insufficient CLAW balance");
+    });
+
+    it("should block voucher claims when paused", async function () {
+      const deadline = await deadlineIn(3600);
+      const signature = await signVoucher(agent, 1, user1.address, 1, deadline);
+      await questManager.connect(governance).pause();
+      await expect(
+        questManager.connect(user1).verifyAndClaimQuestWithVoucher(1, 0, 1, deadline, signature)
+      ).to.be.reverted;
+    });
+
+    it("should expose the EIP-712 domain separator", async function () {
+      const expected = ethers.TypedDataEncoder.hashDomain({
+        name: "QuestManager",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await questManager.getAddress(),
+      });
+      expect(await questManager.domainSeparator()).to.equal(expected);
+    });
+  });
+
   describe("Views", function () {
     it("should report hasCompleted", async function () {
       await questManager